@@ -10,7 +10,7 @@ import {assert, requireNonNull} from './assert';
 
 import {ChronoField} from './temporal/ChronoField';
 import {ChronoUnit} from './temporal/ChronoUnit';
-import {IllegalArgumentException} from './errors';
+import {DateTimeFormatterBuilder} from './format/DateTimeFormatterBuilder';
 import {Temporal} from './temporal/Temporal';
 import {TemporalQueries} from './temporal/TemporalQueries';
 import {createTemporalQuery} from './temporal/TemporalQuery';
@@ -154,8 +154,9 @@ export class DayOfWeek extends Temporal {
      * @return {string} the text value of the day-of-week, not null
      */
     getDisplayName(style, locale) {
-        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
-        // return new DateTimeFormatterBuilder().appendText(ChronoField.DAY_OF_WEEK, style).toFormatter(locale).format(this);
+        requireNonNull(style, 'style');
+        requireNonNull(locale, 'locale');
+        return new DateTimeFormatterBuilder().appendText(ChronoField.DAY_OF_WEEK, style).toFormatter(locale).format(this);
     }
 
     /**
@@ -10,6 +10,10 @@ import {DateTimeException, UnsupportedTemporalTypeException} from './errors';
 import {Clock} from './Clock';
 import {LocalTime} from './LocalTime';
 import {MathUtil} from './MathUtil';
+import {OffsetDateTime} from './OffsetDateTime';
+import {ZonedDateTime} from './ZonedDateTime';
+import {ZoneId} from './ZoneId';
+import {ZoneOffset} from './ZoneOffset';
 
 import {Temporal} from './temporal/Temporal';
 import {ChronoField} from './temporal/ChronoField';
@@ -178,6 +182,9 @@ export class Instant extends Temporal {
      * <p>
      * The conversion extracts the {@link ChronoField#INSTANT_SECONDS INSTANT_SECONDS}
      * and {@link ChronoField#NANO_OF_SECOND NANO_OF_SECOND} fields.
+     * If the temporal has no {@link ChronoField#INSTANT_SECONDS INSTANT_SECONDS}, like the result
+     * of parsing a date-time with an offset or zone, the instant is obtained from its local date,
+     * local time and offset, or its zone if it has no offset.
      * <p>
      * This method matches the signature of the functional interface {@link TemporalQuery}
      * allowing it to be used as a query via method reference, {@code Instant::from}.
@@ -187,7 +194,11 @@ export class Instant extends Temporal {
      * @throws DateTimeException if unable to convert to an {@code Instant}
      */
     static from(temporal) {
+        requireNonNull(temporal, 'temporal');
         try {
+            if (temporal.isSupported(ChronoField.INSTANT_SECONDS) === false) {
+                return ofLocalDateTimeAndZone(temporal);
+            }
             let instantSecs = temporal.getLong(ChronoField.INSTANT_SECONDS);
             let nanoOfSecond = temporal.get(ChronoField.NANO_OF_SECOND);
             return Instant.ofEpochSecond(instantSecs, nanoOfSecond);
@@ -908,9 +919,11 @@ export class Instant extends Temporal {
      * @return {OffsetDateTime} the offset date-time formed from this instant and the specified offset, not null
      * @throws DateTimeException if the result exceeds the supported range
      */
-    //atOffset(offset) {
-    //    return OffsetDateTime.ofInstant(this, offset);
-    //}
+    atOffset(offset) {
+        requireNonNull(offset, 'offset');
+        requireInstance(offset, ZoneOffset, 'offset');
+        return OffsetDateTime.ofInstant(this, offset);
+    }
 
     /**
      * Combines this instant with a time-zone to create a {@code ZonedDateTime}.
@@ -926,9 +939,11 @@ export class Instant extends Temporal {
      * @return {ZonedDateTime} the zoned date-time formed from this instant and the specified zone, not null
      * @throws DateTimeException if the result exceeds the supported range
      */
-    //atZone(zone) {
-    //    return ZonedDateTime.ofInstant(this, zone);
-    //}
+    atZone(zone) {
+        requireNonNull(zone, 'zone');
+        requireInstance(zone, ZoneId, 'zone');
+        return ZonedDateTime.ofInstant(this, zone);
+    }
 
     //-----------------------------------------------------------------------
     /**
@@ -1037,6 +1052,30 @@ export class Instant extends Temporal {
     }
 }
 
+/**
+ * Obtains the instant of a temporal from its local date-time and its offset, or its zone if it has no offset.
+ *
+ * @param {TemporalAccessor} temporal - the temporal object to convert, not null
+ * @return {Instant} the instant, not null
+ * @throws {DateTimeException} if the temporal has no local date-time or no offset or zone
+ */
+function ofLocalDateTimeAndZone(temporal) {
+    var date = temporal.query(TemporalQueries.localDate());
+    var time = temporal.query(TemporalQueries.localTime());
+    if (date == null || time == null) {
+        throw new DateTimeException('Unable to obtain a local date-time');
+    }
+    var offset = temporal.query(TemporalQueries.offset());
+    if (offset != null) {
+        return date.atTime(time).toInstant(offset);
+    }
+    var zone = temporal.query(TemporalQueries.zone());
+    if (zone == null) {
+        throw new DateTimeException('Unable to obtain an offset or zone');
+    }
+    return ZonedDateTime.of(date, time, zone).toInstant();
+}
+
 export function _init() {
     Instant.MIN_SECONDS = -31619119219200; // -1000000-01-01T00:00:00Z
     Instant.MAX_SECONDS = 31494816403199; // +1000000-12-31T23:59:59.999999999Z
@@ -25,8 +25,11 @@ import {Period} from './Period';
 import {YearConstants} from './YearConstants';
 import {LocalTime} from './LocalTime';
 import {LocalDateTime} from './LocalDateTime';
+import {OffsetDateTime} from './OffsetDateTime';
+import {OffsetTime} from './OffsetTime';
 import {Year} from './Year';
 import {ZoneId} from './ZoneId';
+import {ZoneOffset} from './ZoneOffset';
 import {ZonedDateTime} from './ZonedDateTime';
 
 /**
@@ -1373,13 +1376,16 @@ export class LocalDate extends ChronoLocalDate{
     /**
      * function overloading for {@link LocalDate.atTime}
      *
-     * if called with 1 argument {@link LocalDate.atTime1} is called
+     * if called with 1 argument {@link LocalDate.atTime1} is called,
+     * or {@link LocalDate._atTimeOffsetTime} for an {@link OffsetTime},
      * otherwise {@link LocalDate.atTime4}
      *
-     * @return {LocalDateTime} the local date-time formed from this date and the specified params
+     * @return {LocalDateTime|OffsetDateTime} the date-time formed from this date and the specified params
      */
     atTime(){
-        if(arguments.length===1){
+        if(arguments.length===1 && arguments[0] instanceof OffsetTime){
+            return this._atTimeOffsetTime.apply(this, arguments);
+        } else if(arguments.length===1){
             return this.atTime1.apply(this, arguments);
         } else {
             return this.atTime4.apply(this, arguments);
@@ -1427,11 +1433,9 @@ export class LocalDate extends ChronoLocalDate{
      * @param {OffsetTime} time - the time to combine with, not null
      * @return {OffsetDateTime} the offset date-time formed from this date and the specified time, not null
      */
-/*
     _atTimeOffsetTime(time) { // atTime(offsetTime)
-        return OffsetDateTime.of(LocalDateTime.of(this, time.toLocalTime()), time.getOffset());
+        return OffsetDateTime.of(LocalDateTime.of(this, time.toLocalTime()), time.offset());
     }
-*/
 
     /**
      * Combines this date with the time of midnight to create a {@link LocalDateTime}
@@ -1478,17 +1482,15 @@ export class LocalDate extends ChronoLocalDate{
     atStartOfDayWithZone(zone) {
         requireNonNull(zone, 'zone');
         var ldt = this.atTime(LocalTime.MIDNIGHT);
-/*      TODO iana tzdb
         // need to handle case where there is a gap from 11:30 to 00:30
         // standard ZDT factory would result in 01:00 rather than 00:30
         if (zone instanceof ZoneOffset === false) {
-            var rules = zone.getRules();
-            var trans = rules.getTransition(ldt);
+            var rules = zone.rules();
+            var trans = rules.transition(ldt);
             if (trans != null && trans.isGap()) {
-                ldt = trans.getDateTimeAfter();
+                ldt = trans.dateTimeAfter();
             }
         }
-*/
         return ZonedDateTime.of(ldt, zone);
     }
 
@@ -12,6 +12,7 @@ import {Clock} from './Clock';
 import {Instant} from './Instant';
 import {LocalDate} from './LocalDate';
 import {LocalTime} from './LocalTime';
+import {OffsetDateTime} from './OffsetDateTime';
 import {ZonedDateTime} from './ZonedDateTime';
 import {ZoneId} from './ZoneId';
 import {ZoneOffset} from './ZoneOffset';
@@ -210,9 +211,8 @@ implements Temporal, TemporalAdjuster, Serializable */ {
         requireNonNull(instant, 'instant');
         requireInstance(instant, Instant, 'instant');
         requireNonNull(zone, 'zone');
-        var rules = zone.rules();
-        var offset = rules.offset(instant);
-        return LocalDateTime.ofEpochSecond(instant.epochSecond(), instant.nano(), offset);
+        requireInstance(zone, ZoneId, 'zone');
+        return LocalDateTime.ofEpochSecond(instant.epochSecond(), instant.nano(), zone);
     }
 
     /**
@@ -222,19 +222,28 @@ implements Temporal, TemporalAdjuster, Serializable */ {
      * This allows the {@link ChronoField.INSTANT_SECONDS} epoch-second field
      * to be converted to a local date-time. This is primarily intended for
      * low-level conversions rather than general application usage.
+     * <p>
+     * The offset may be given as any {@link ZoneId}, the offset of a region based zone
+     * is then the one valid at the instant of the epoch-second,
+     * e.g. {@code LocalDateTime.ofEpochSecond(epochSecond, ZoneId.of('Europe/Paris'))}.
      *
      * @param {number} epochSecond - the number of seconds from the epoch of 1970-01-01T00:00:00Z
-     * @param {number|!ZoneOffset} nanoOfSecond - the nanosecond within the second, from 0 to 999,999,999
-     * @param {ZoneOffset} offset - the zone offset, not null if called with 3 arguments 
+     * @param {number|!ZoneId} nanoOfSecond - the nanosecond within the second, from 0 to 999,999,999,
+     *  or the zone offset or zone if called with 2 arguments
+     * @param {ZoneId} offset - the zone offset or zone, not null if called with 3 arguments
      * @return {LocalDateTime} the local date-time, not null
      * @throws {DateTimeException} if the result exceeds the supported range
      */
     static ofEpochSecond(epochSecond=0, nanoOfSecond=0, offset) {
-        if(arguments.length === 2 && nanoOfSecond instanceof ZoneOffset){
+        if(arguments.length === 2 && nanoOfSecond instanceof ZoneId){
             offset = nanoOfSecond;
             nanoOfSecond = 0;
         }
         requireNonNull(offset, 'offset');
+        if (!(offset instanceof ZoneOffset)) {
+            requireInstance(offset, ZoneId, 'offset');
+            offset = offset.rules().offset(Instant.ofEpochSecond(epochSecond, nanoOfSecond));
+        }
         var localSecond = epochSecond + offset.totalSeconds();  // overflow caught later
         var localEpochDay = MathUtil.floorDiv(localSecond, LocalTime.SECONDS_PER_DAY);
         var secsOfDay = MathUtil.floorMod(localSecond, LocalTime.SECONDS_PER_DAY);
@@ -1470,11 +1479,9 @@ implements Temporal, TemporalAdjuster, Serializable */ {
      * @param {ZoneOffset} offset  the offset to combine with, not null
      * @return {OffsetDateTime} the offset date-time formed from this date-time and the specified offset, not null
      */
-/*
     atOffset(offset) {
         return OffsetDateTime.of(this, offset);
     }
-*/
 
     /**
      * Combines this date-time with a time-zone to create a {@link ZonedDateTime}.
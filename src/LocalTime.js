@@ -11,6 +11,7 @@ import {DateTimeException, UnsupportedTemporalTypeException, IllegalArgumentExce
 
 import {Clock} from './Clock';
 import {LocalDateTime} from './LocalDateTime';
+import {OffsetTime} from './OffsetTime';
 import {ZoneId} from './ZoneId';
 
 import {DateTimeFormatter} from './format/DateTimeFormatter';
@@ -1180,14 +1181,12 @@ export class LocalTime extends Temporal /** implements Temporal, TemporalAdjuste
      * This returns an {@link OffsetTime} formed from this time at the specified offset.
      * All possible combinations of time and offset are valid.
      *
-     * @param {OffsetTime} offset - the offset to combine with, not null
+     * @param {ZoneOffset} offset - the offset to combine with, not null
      * @return {OffsetTime} the offset time formed from this time and the specified offset, not null
      */
-/*
     atOffset(offset) {
         return OffsetTime.of(this, offset);
     }
-*/
 
     //-----------------------------------------------------------------------
     /**
@@ -4,7 +4,7 @@
  * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
  */
 
-import {assert} from './assert';
+import {assert, requireNonNull} from './assert';
 import {MathUtil} from './MathUtil';
 
 import {ChronoField} from './temporal/ChronoField';
@@ -66,11 +66,11 @@ export class Month extends Temporal {
      *
      * @param {TextStyle} style - the length of the text required, not null
      * @param {Locale} locale - the locale to use, not null
-     * @return {string} the text value of the day-of-week, not null
+     * @return {string} the text value of the month-of-year, not null
      */
     getDisplayName(style, locale) {
-        // TODO:
-        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
+        requireNonNull(style, 'style');
+        requireNonNull(locale, 'locale');
         return new DateTimeFormatterBuilder().appendText(ChronoField.MONTH_OF_YEAR, style).toFormatter(locale).format(this);
     }
 
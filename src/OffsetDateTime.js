@@ -0,0 +1,1375 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull, requireInstance} from './assert';
+import {DateTimeException} from './errors';
+import {MathUtil} from './MathUtil';
+
+import {Clock} from './Clock';
+import {Instant} from './Instant';
+import {LocalDate} from './LocalDate';
+import {LocalDateTime} from './LocalDateTime';
+import {LocalTime} from './LocalTime';
+import {OffsetTime} from './OffsetTime';
+import {ZonedDateTime} from './ZonedDateTime';
+import {ZoneId} from './ZoneId';
+import {ZoneOffset} from './ZoneOffset';
+
+import {DateTimeFormatter} from './format/DateTimeFormatter';
+import {ChronoField} from './temporal/ChronoField';
+import {ChronoUnit} from './temporal/ChronoUnit';
+import {Temporal} from './temporal/Temporal';
+import {createTemporalQuery} from './temporal/TemporalQuery';
+import {TemporalQueries} from './temporal/TemporalQueries';
+
+/**
+ * A date-time with an offset from UTC/Greenwich in the ISO-8601 calendar system,
+ * such as {@code 2007-12-03T10:15:30+01:00}.
+ * <p>
+ * {@code OffsetDateTime} is an immutable representation of a date-time with an offset.
+ * This class stores all date and time fields, to a precision of nanoseconds,
+ * as well as the offset from UTC/Greenwich. For example, the value
+ * '2nd October 2007 at 13:45.30.123456789 +02:00' can be stored in an {@code OffsetDateTime}.
+ * <p>
+ * {@code OffsetDateTime}, {@link ZonedDateTime} and {@link Instant} all store an instant
+ * on the time-line to nanosecond precision.
+ * {@code Instant} is the simplest, simply representing the instant.
+ * {@code OffsetDateTime} adds to the instant the offset from UTC/Greenwich, which allows
+ * the local date-time to be obtained.
+ * {@code ZonedDateTime} adds full time-zone rules.
+ * <p>
+ * It is intended that {@code ZonedDateTime} or {@code Instant} is used to model data
+ * in simpler applications. This class may be used when modeling date-time concepts in
+ * more detail, or when communicating to a database or in a network protocol,
+ * e.g. an RFC 3339 timestamp such as {@code 2007-12-03T10:15:30+01:00}.
+ *
+ * <h3>Static properties of Class {@link OffsetDateTime}</h3>
+ *
+ * OffsetDateTime.MIN
+ *
+ * The minimum supported {@code OffsetDateTime}, '-999999999-01-01T00:00:00+18:00'.
+ * This is the local date-time of midnight at the start of the minimum date
+ * in the maximum offset (larger offsets are earlier on the time-line).
+ * This combines {@link LocalDateTime#MIN} and {@link ZoneOffset#MAX}.
+ * This could be used by an application as a "far past" date-time.
+ *
+ * OffsetDateTime.MAX
+ *
+ * The maximum supported {@code OffsetDateTime}, '+999999999-12-31T23:59:59.999999999-18:00'.
+ * This is the local date-time just before midnight at the end of the maximum date
+ * in the minimum offset (larger negative offsets are later on the time-line).
+ * This combines {@link LocalDateTime#MAX} and {@link ZoneOffset#MIN}.
+ * This could be used by an application as a "far future" date-time.
+ *
+ * OffsetDateTime.FROM
+ *
+ * The query to obtain an {@code OffsetDateTime} from a {@link TemporalAccessor}.
+ */
+export class OffsetDateTime extends Temporal {
+
+    /**
+     * Gets a comparator that compares two {@code OffsetDateTime} instances
+     * based solely on the instant.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} in that it
+     * only compares the underlying instant.
+     *
+     * @return {function(OffsetDateTime, OffsetDateTime): number} a comparator that compares in time-line order
+     * @see #isAfter
+     * @see #isBefore
+     * @see #isEqual
+     */
+    static timeLineOrder() {
+        return compareInstant;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Obtains the current date-time from the system clock in the specified time-zone or clock
+     * or default time zone.
+     * <p>
+     * The offset will be calculated from the time-zone in the clock.
+     * <p>
+     * Using this method will prevent the ability to use an alternate clock for testing
+     * because the clock is hard-coded.
+     *
+     * @param {Clock|ZoneId} [clockOrZone=Clock.systemDefaultZone()]
+     * @return {OffsetDateTime} the current date-time, not null
+     */
+    static now(clockOrZone) {
+        var clock;
+        if (clockOrZone instanceof ZoneId) {
+            clock = Clock.system(clockOrZone);
+        } else {
+            clock = clockOrZone == null ? Clock.systemDefaultZone() : clockOrZone;
+        }
+        return OffsetDateTime.ofInstant(clock.instant(), clock.zone());
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for static {@link OffsetDateTime.of}
+     *
+     * if called with 2 (or less) args {@link OffsetDateTime.of2} is called,
+     * if called with 3 args {@link OffsetDateTime.of3} is called,
+     * otherwise {@link OffsetDateTime.of8} is called.
+     */
+    static of() {
+        if (arguments.length <= 2) {
+            return OffsetDateTime.of2.apply(this, arguments);
+        } else if (arguments.length === 3) {
+            return OffsetDateTime.of3.apply(this, arguments);
+        } else {
+            return OffsetDateTime.of8.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetDateTime} from a date-time and offset.
+     * <p>
+     * This creates an offset date-time with the specified local date-time and offset.
+     *
+     * @param {LocalDateTime} dateTime - the local date-time, not null
+     * @param {ZoneOffset} offset - the zone offset, not null
+     * @return {OffsetDateTime} the offset date-time, not null
+     */
+    static of2(dateTime, offset) {
+        return new OffsetDateTime(dateTime, offset);
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetDateTime} from a date, time and offset.
+     * <p>
+     * This creates an offset date-time with the specified local date, time and offset.
+     *
+     * @param {LocalDate} date - the local date, not null
+     * @param {LocalTime} time - the local time, not null
+     * @param {ZoneOffset} offset - the zone offset, not null
+     * @return {OffsetDateTime} the offset date-time, not null
+     */
+    static of3(date, time, offset) {
+        return new OffsetDateTime(LocalDateTime.of(date, time), offset);
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetDateTime} from a year, month, day,
+     * hour, minute, second, nanosecond and offset.
+     * <p>
+     * This creates an offset date-time with the seven specified fields.
+     *
+     * @param {number} year - the year to represent, from MIN_YEAR to MAX_YEAR
+     * @param {number} month - the month-of-year to represent, from 1 (January) to 12 (December)
+     * @param {number} dayOfMonth - the day-of-month to represent, from 1 to 31
+     * @param {number} hour - the hour-of-day to represent, from 0 to 23
+     * @param {number} minute - the minute-of-hour to represent, from 0 to 59
+     * @param {number} second - the second-of-minute to represent, from 0 to 59
+     * @param {number} nanoOfSecond - the nano-of-second to represent, from 0 to 999,999,999
+     * @param {ZoneOffset} offset - the zone offset, not null
+     * @return {OffsetDateTime} the offset date-time, not null
+     * @throws DateTimeException if the value of any field is out of range, or
+     *  if the day-of-month is invalid for the month-year
+     */
+    static of8(year, month, dayOfMonth, hour, minute, second, nanoOfSecond, offset) {
+        var dt = LocalDateTime.of(year, month, dayOfMonth, hour, minute, second, nanoOfSecond);
+        return new OffsetDateTime(dt, offset);
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetDateTime} from an {@code Instant} and zone ID.
+     * <p>
+     * This creates an offset date-time with the same instant as that specified.
+     * Finding the offset from UTC/Greenwich is simple as there is only one valid
+     * offset for each instant.
+     *
+     * @param {Instant} instant - the instant to create the date-time from, not null
+     * @param {ZoneId} zone - the time-zone, which may be an offset, not null
+     * @return {OffsetDateTime} the offset date-time, not null
+     * @throws DateTimeException if the result exceeds the supported range
+     */
+    static ofInstant(instant, zone) {
+        requireNonNull(instant, 'instant');
+        requireInstance(instant, Instant, 'instant');
+        requireNonNull(zone, 'zone');
+        var offset = zone.rules().offset(instant);
+        var ldt = LocalDateTime.ofEpochSecond(instant.epochSecond(), instant.nano(), offset);
+        return new OffsetDateTime(ldt, offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Obtains an instance of {@code OffsetDateTime} from a temporal object.
+     * <p>
+     * The conversion first obtains a {@code ZoneOffset} from the temporal object.
+     * It then tries to obtain a {@code LocalDateTime}, falling back to an {@code Instant} if necessary.
+     * The result will be the combination of {@code ZoneOffset} with either
+     * with {@code LocalDateTime} or {@code Instant}.
+     * <p>
+     * This method matches the signature of the functional interface {@link TemporalQuery}
+     * allowing it to be used in queries via method reference, {@code OffsetDateTime::from}.
+     *
+     * @param {!TemporalAccessor} temporal - the temporal object to convert, not null
+     * @return {OffsetDateTime} the offset date-time, not null
+     * @throws DateTimeException if unable to convert to an {@code OffsetDateTime}
+     */
+    static from(temporal) {
+        requireNonNull(temporal, 'temporal');
+        if (temporal instanceof OffsetDateTime) {
+            return temporal;
+        }
+        var offset = temporal.query(TemporalQueries.offset());
+        if (offset == null) {
+            throw new DateTimeException('Unable to obtain OffsetDateTime from TemporalAccessor: ' +
+                    temporal + ', type ' + (temporal.constructor != null ? temporal.constructor.name : ''));
+        }
+        try {
+            var ldt = LocalDateTime.from(temporal);
+            return OffsetDateTime.of2(ldt, offset);
+        } catch (ignore) {
+            if (!(ignore instanceof DateTimeException)) throw ignore;
+        }
+        try {
+            var instant = Instant.from(temporal);
+            return OffsetDateTime.ofInstant(instant, offset);
+        } catch (ex) {
+            throw new DateTimeException('Unable to obtain OffsetDateTime from TemporalAccessor: ' +
+                    temporal + ', type ' + (temporal.constructor != null ? temporal.constructor.name : ''), ex);
+        }
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Obtains an instance of {@code OffsetDateTime} from a text string such as
+     * {@code 2007-12-03T10:15:30+01:00}.
+     * <p>
+     * The string must represent a valid date-time and is parsed using
+     * {@link DateTimeFormatter#ISO_OFFSET_DATE_TIME}.
+     *
+     * @param {!string} text - the text to parse such as '2007-12-03T10:15:30+01:00', not null
+     * @param {!DateTimeFormatter} [formatter=DateTimeFormatter.ISO_OFFSET_DATE_TIME] - the formatter to use
+     * @return {OffsetDateTime} the parsed offset date-time, not null
+     * @throws DateTimeParseException if the text cannot be parsed
+     */
+    static parse(text, formatter = DateTimeFormatter.ISO_OFFSET_DATE_TIME) {
+        requireNonNull(formatter, 'formatter');
+        return formatter.parse(text, OffsetDateTime.FROM);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Constructor.
+     *
+     * @param {LocalDateTime} dateTime - the local date-time, not null
+     * @param {ZoneOffset} offset - the zone offset, not null
+     */
+    constructor(dateTime, offset) {
+        super();
+        requireNonNull(dateTime, 'dateTime');
+        requireInstance(dateTime, LocalDateTime, 'dateTime');
+        requireNonNull(offset, 'offset');
+        requireInstance(offset, ZoneOffset, 'offset');
+        /**
+         * The local date-time.
+         */
+        this._dateTime = dateTime;
+        /**
+         * The offset from UTC/Greenwich.
+         */
+        this._offset = offset;
+    }
+
+    /**
+     * Returns a new date-time based on this one, returning {@code this} where possible.
+     *
+     * @param {LocalDateTime} dateTime - the date-time to create with, not null
+     * @param {ZoneOffset} offset - the zone offset to create with, not null
+     * @return {OffsetDateTime}
+     */
+    _withDateTimeOffset(dateTime, offset) {
+        if (this._dateTime === dateTime && this._offset.equals(offset)) {
+            return this;
+        }
+        return new OffsetDateTime(dateTime, offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if the specified field or unit is supported.
+     * <p>
+     * All {@link ChronoField}s are supported, as are the date and time based
+     * {@link ChronoUnit}s.
+     * <p>
+     * If the field or unit is not a {@code ChronoField} or {@code ChronoUnit}, then the result
+     * of this method is obtained by invoking {@code isSupportedBy(TemporalAccessor)}
+     * passing {@code this} as the argument.
+     *
+     * @param {TemporalField|TemporalUnit} fieldOrUnit - the field or unit to check, null returns false
+     * @return {boolean} true if the field or unit is supported on this date-time, false if not
+     */
+    isSupported(fieldOrUnit) {
+        if (fieldOrUnit instanceof ChronoField) {
+            return true;
+        } else if (fieldOrUnit instanceof ChronoUnit) {
+            return fieldOrUnit.isDateBased() || fieldOrUnit.isTimeBased();
+        }
+        return (fieldOrUnit != null && fieldOrUnit.isSupportedBy(this));
+    }
+
+    /**
+     * Gets the range of valid values for the specified field.
+     * <p>
+     * The {@code INSTANT_SECONDS} and {@code OFFSET_SECONDS} fields return the range of the field,
+     * the other {@link ChronoField}s the range of the local date-time.
+     *
+     * @param {TemporalField} field - the field to query the range for, not null
+     * @return {ValueRange} the range of valid values for the field, not null
+     * @throws DateTimeException if the range for the field cannot be obtained
+     */
+    range(field) {
+        if (field instanceof ChronoField) {
+            if (field === ChronoField.INSTANT_SECONDS || field === ChronoField.OFFSET_SECONDS) {
+                return field.range();
+            }
+            return this._dateTime.range(field);
+        }
+        return field.rangeRefinedBy(this);
+    }
+
+    /**
+     * Gets the value of the specified field from this date-time as an {@code int}.
+     *
+     * @param {!TemporalField} field - the field to get, not null
+     * @return {number} the value for the field
+     * @throws DateTimeException if a value for the field cannot be obtained
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    get(field) {
+        return this.getLong(field);
+    }
+
+    /**
+     * Gets the value of the specified field from this date-time as a {@code long}.
+     * <p>
+     * The {@code INSTANT_SECONDS} field returns the epoch-second, the {@code OFFSET_SECONDS}
+     * field the total seconds of the offset, the other {@link ChronoField}s are obtained
+     * from the local date-time.
+     *
+     * @param {!TemporalField} field - the field to get, not null
+     * @return {number} the value for the field
+     * @throws DateTimeException if a value for the field cannot be obtained
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    getLong(field) {
+        if (field instanceof ChronoField) {
+            switch (field) {
+                case ChronoField.INSTANT_SECONDS: return this.toEpochSecond();
+                case ChronoField.OFFSET_SECONDS: return this._offset.totalSeconds();
+            }
+            return this._dateTime.getLong(field);
+        }
+        requireNonNull(field, 'field');
+        return field.getFrom(this);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the zone offset, such as '+01:00'.
+     *
+     * @return {ZoneOffset} the zone offset, not null
+     */
+    offset() {
+        return this._offset;
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified offset ensuring
+     * that the result has the same local date-time.
+     * <p>
+     * This method returns an object with the same {@code LocalDateTime} and the specified {@code ZoneOffset}.
+     * No calculation is needed or performed.
+     * For example, if this time represents {@code 2007-12-03T10:30+02:00} and the offset specified is
+     * {@code +03:00}, then this method will return {@code 2007-12-03T10:30+03:00}.
+     * <p>
+     * To take into account the difference between the offsets, and adjust the time fields,
+     * use {@link #withOffsetSameInstant}.
+     *
+     * @param {ZoneOffset} offset - the zone offset to change to, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested offset, not null
+     */
+    withOffsetSameLocal(offset) {
+        requireNonNull(offset, 'offset');
+        return this._withDateTimeOffset(this._dateTime, offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified offset ensuring
+     * that the result is at the same instant.
+     * <p>
+     * This method returns an object with the specified {@code ZoneOffset} and a {@code LocalDateTime}
+     * adjusted by the difference between the two offsets.
+     * This will result in the old and new objects representing the same instant.
+     * For example, if this time represents {@code 2007-12-03T10:30+02:00} and the offset specified is
+     * {@code +03:00}, then this method will return {@code 2007-12-03T11:30+03:00}.
+     * <p>
+     * To change the offset without adjusting the local time use {@link #withOffsetSameLocal}.
+     *
+     * @param {ZoneOffset} offset - the zone offset to change to, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested offset, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    withOffsetSameInstant(offset) {
+        requireNonNull(offset, 'offset');
+        if (offset.equals(this._offset)) {
+            return this;
+        }
+        var difference = offset.totalSeconds() - this._offset.totalSeconds();
+        var adjusted = this._dateTime.plusSeconds(difference);
+        return new OffsetDateTime(adjusted, offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the year field.
+     *
+     * @return {number} the year, from MIN_YEAR to MAX_YEAR
+     */
+    year() {
+        return this._dateTime.year();
+    }
+
+    /**
+     * Gets the month-of-year field from 1 to 12.
+     *
+     * @return {number} the month-of-year, from 1 to 12
+     * @see #month()
+     */
+    monthValue() {
+        return this._dateTime.monthValue();
+    }
+
+    /**
+     * Gets the month-of-year field using the {@code Month} enum.
+     *
+     * @return {Month} the month-of-year, not null
+     * @see #monthValue()
+     */
+    month() {
+        return this._dateTime.month();
+    }
+
+    /**
+     * Gets the day-of-month field.
+     *
+     * @return {number} the day-of-month, from 1 to 31
+     */
+    dayOfMonth() {
+        return this._dateTime.dayOfMonth();
+    }
+
+    /**
+     * Gets the day-of-year field.
+     *
+     * @return {number} the day-of-year, from 1 to 365, or 366 in a leap year
+     */
+    dayOfYear() {
+        return this._dateTime.dayOfYear();
+    }
+
+    /**
+     * Gets the day-of-week field, which is an enum {@code DayOfWeek}.
+     *
+     * @return {DayOfWeek} the day-of-week, not null
+     */
+    dayOfWeek() {
+        return this._dateTime.dayOfWeek();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the hour-of-day field.
+     *
+     * @return {number} the hour-of-day, from 0 to 23
+     */
+    hour() {
+        return this._dateTime.hour();
+    }
+
+    /**
+     * Gets the minute-of-hour field.
+     *
+     * @return {number} the minute-of-hour, from 0 to 59
+     */
+    minute() {
+        return this._dateTime.minute();
+    }
+
+    /**
+     * Gets the second-of-minute field.
+     *
+     * @return {number} the second-of-minute, from 0 to 59
+     */
+    second() {
+        return this._dateTime.second();
+    }
+
+    /**
+     * Gets the nano-of-second field.
+     *
+     * @return {number} the nano-of-second, from 0 to 999,999,999
+     */
+    nano() {
+        return this._dateTime.nano();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for {@link OffsetDateTime.with}
+     *
+     * if called with 1 argument {@link OffsetDateTime.withTemporalAdjuster} is applied
+     * otherwise {@link OffsetDateTime.with2}
+     */
+    with() {
+        if (arguments.length === 1) {
+            return this.withTemporalAdjuster.apply(this, arguments);
+        } else {
+            return this.with2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Returns an adjusted copy of this date-time.
+     * <p>
+     * The classes {@link LocalDate}, {@link LocalTime} and {@link LocalDateTime} change
+     * the local date-time and keep the offset, an {@link Instant} keeps the offset and
+     * changes the local date-time to the instant, a {@link ZoneOffset} changes the offset
+     * and keeps the local date-time:
+     * <pre>
+     *  result = offsetDateTime.with(date);
+     *  result = offsetDateTime.with(time);
+     *  result = offsetDateTime.with(offset);
+     * </pre>
+     * Other adjusters are invoked with {@link TemporalAdjuster#adjustInto(Temporal)}
+     * passing {@code this} as the argument.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {TemporalAdjuster} adjuster - the adjuster to use, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on {@code this} with the adjustment made, not null
+     * @throws DateTimeException if the adjustment cannot be made
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    withTemporalAdjuster(adjuster) {
+        // optimizations
+        if (adjuster instanceof LocalDate || adjuster instanceof LocalTime || adjuster instanceof LocalDateTime) {
+            return this._withDateTimeOffset(this._dateTime.with(adjuster), this._offset);
+        } else if (adjuster instanceof Instant) {
+            return OffsetDateTime.ofInstant(adjuster, this._offset);
+        } else if (adjuster instanceof ZoneOffset) {
+            return this._withDateTimeOffset(this._dateTime, adjuster);
+        } else if (adjuster instanceof OffsetDateTime) {
+            return adjuster;
+        }
+        requireNonNull(adjuster, 'adjuster');
+        return adjuster.adjustInto(this);
+    }
+
+    /**
+     * Returns a copy of this date-time with the specified field set to a new value.
+     * <p>
+     * The {@code INSTANT_SECONDS} field will return a date-time with the specified instant.
+     * The offset and nano-of-second are unchanged.
+     * <p>
+     * The {@code OFFSET_SECONDS} field will return a date-time with the specified offset.
+     * The local date-time is unaltered.
+     * <p>
+     * The other {@link ChronoField}s will behave as per the matching method on
+     * {@link LocalDateTime#with(TemporalField, long) LocalDateTime}, the offset is unchanged.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {TemporalField} field - the field to set in the result, not null
+     * @param {number} newValue - the new value of the field in the result
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on {@code this} with the specified field set, not null
+     * @throws DateTimeException if the field cannot be set
+     * @throws UnsupportedTemporalTypeException if the field is not supported
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    with2(field, newValue) {
+        requireNonNull(field, 'field');
+        if (field instanceof ChronoField) {
+            switch (field) {
+                case ChronoField.INSTANT_SECONDS: return OffsetDateTime.ofInstant(Instant.ofEpochSecond(newValue, this.nano()), this._offset);
+                case ChronoField.OFFSET_SECONDS: {
+                    return this._withDateTimeOffset(this._dateTime, ZoneOffset.ofTotalSeconds(field.checkValidIntValue(newValue)));
+                }
+            }
+            return this._withDateTimeOffset(this._dateTime.with(field, newValue), this._offset);
+        }
+        return field.adjustInto(this, newValue);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the year altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     * If the day-of-month is invalid for the year, it will be changed to the last valid day of the month.
+     *
+     * @param {number} year - the year to set in the result, from MIN_YEAR to MAX_YEAR
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested year, not null
+     * @throws DateTimeException if the year value is invalid
+     */
+    withYear(year) {
+        return this._withDateTimeOffset(this._dateTime.withYear(year), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the month-of-year altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     * If the day-of-month is invalid for the year, it will be changed to the last valid day of the month.
+     *
+     * @param {number} month - the month-of-year to set in the result, from 1 (January) to 12 (December)
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested month, not null
+     * @throws DateTimeException if the month-of-year value is invalid
+     */
+    withMonth(month) {
+        return this._withDateTimeOffset(this._dateTime.withMonth(month), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the day-of-month altered.
+     * If the resulting {@code OffsetDateTime} is invalid, an exception is thrown.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} dayOfMonth - the day-of-month to set in the result, from 1 to 28-31
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested day, not null
+     * @throws DateTimeException if the day-of-month value is invalid,
+     *  or if the day-of-month is invalid for the month-year
+     */
+    withDayOfMonth(dayOfMonth) {
+        return this._withDateTimeOffset(this._dateTime.withDayOfMonth(dayOfMonth), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the day-of-year altered.
+     * If the resulting {@code OffsetDateTime} is invalid, an exception is thrown.
+     *
+     * @param {number} dayOfYear - the day-of-year to set in the result, from 1 to 365-366
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date with the requested day, not null
+     * @throws DateTimeException if the day-of-year value is invalid,
+     *  or if the day-of-year is invalid for the year
+     */
+    withDayOfYear(dayOfYear) {
+        return this._withDateTimeOffset(this._dateTime.withDayOfYear(dayOfYear), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the hour-of-day value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} hour - the hour-of-day to set in the result, from 0 to 23
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested hour, not null
+     * @throws DateTimeException if the hour value is invalid
+     */
+    withHour(hour) {
+        return this._withDateTimeOffset(this._dateTime.withHour(hour), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the minute-of-hour value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} minute - the minute-of-hour to set in the result, from 0 to 59
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested minute, not null
+     * @throws DateTimeException if the minute value is invalid
+     */
+    withMinute(minute) {
+        return this._withDateTimeOffset(this._dateTime.withMinute(minute), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the second-of-minute value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} second - the second-of-minute to set in the result, from 0 to 59
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested second, not null
+     * @throws DateTimeException if the second value is invalid
+     */
+    withSecond(second) {
+        return this._withDateTimeOffset(this._dateTime.withSecond(second), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the nano-of-second value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} nanoOfSecond - the nano-of-second to set in the result, from 0 to 999,999,999
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the requested nanosecond, not null
+     * @throws DateTimeException if the nano value is invalid
+     */
+    withNano(nanoOfSecond) {
+        return this._withDateTimeOffset(this._dateTime.withNano(nanoOfSecond), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the time truncated.
+     * <p>
+     * Truncation returns a copy of the original date-time with fields
+     * smaller than the specified unit set to zero.
+     * For example, truncating with the {@link ChronoUnit#MINUTES minutes} unit
+     * will set the second-of-minute and nano-of-second field to zero.
+     * <p>
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {TemporalUnit} unit - the unit to truncate to, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the time truncated, not null
+     * @throws DateTimeException if unable to truncate
+     */
+    truncatedTo(unit) {
+        return this._withDateTimeOffset(this._dateTime.truncatedTo(unit), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for {@link OffsetDateTime.plus}
+     *
+     * if called with 1 argument {@link OffsetDateTime.plusTemporalAmount} is applied,
+     * otherwise {@link OffsetDateTime.plus2}
+     */
+    plus() {
+        if (arguments.length === 1) {
+            return this.plusTemporalAmount.apply(this, arguments);
+        } else {
+            return this.plus2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Returns a copy of this date-time with the specified amount added.
+     * <p>
+     * The amount is typically {@link Period} or {@link Duration} but may be any other
+     * type implementing the {@link TemporalAmount} interface.
+     *
+     * @param {!TemporalAmount} amount - the amount to add, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the addition made, not null
+     * @throws DateTimeException if the addition cannot be made
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    plusTemporalAmount(amount) {
+        requireNonNull(amount, 'amount');
+        return amount.addTo(this);
+    }
+
+    /**
+     * Returns a copy of this date-time with the specified amount added.
+     * <p>
+     * The amount is added to the local date-time, the offset is unchanged.
+     *
+     * @param {number} amountToAdd - the amount of the unit to add to the result, may be negative
+     * @param {TemporalUnit} unit - the unit of the amount to add, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the specified amount added, not null
+     * @throws DateTimeException if the unit cannot be added to this type
+     */
+    plus2(amountToAdd, unit) {
+        if (unit instanceof ChronoUnit) {
+            return this._withDateTimeOffset(this._dateTime.plus(amountToAdd, unit), this._offset);
+        }
+        requireNonNull(unit, 'unit');
+        return unit.addTo(this, amountToAdd);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in years added.
+     * The day-of-month is adjusted to the last valid day of the month if necessary.
+     *
+     * @param {number} years - the years to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the years added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusYears(years) {
+        return this._withDateTimeOffset(this._dateTime.plusYears(years), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in months added.
+     * The day-of-month is adjusted to the last valid day of the month if necessary.
+     *
+     * @param {number} months - the months to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the months added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusMonths(months) {
+        return this._withDateTimeOffset(this._dateTime.plusMonths(months), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in weeks added.
+     *
+     * @param {number} weeks - the weeks to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the weeks added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusWeeks(weeks) {
+        return this._withDateTimeOffset(this._dateTime.plusWeeks(weeks), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in days added.
+     *
+     * @param {number} days - the days to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the days added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusDays(days) {
+        return this._withDateTimeOffset(this._dateTime.plusDays(days), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in hours added.
+     *
+     * @param {number} hours - the hours to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the hours added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusHours(hours) {
+        return this._withDateTimeOffset(this._dateTime.plusHours(hours), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in minutes added.
+     *
+     * @param {number} minutes - the minutes to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the minutes added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusMinutes(minutes) {
+        return this._withDateTimeOffset(this._dateTime.plusMinutes(minutes), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in seconds added.
+     *
+     * @param {number} seconds - the seconds to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the seconds added, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    plusSeconds(seconds) {
+        return this._withDateTimeOffset(this._dateTime.plusSeconds(seconds), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in nanoseconds added.
+     *
+     * @param {number} nanos - the nanos to add, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the nanoseconds added, not null
+     * @throws DateTimeException if the unit cannot be added to this type
+     */
+    plusNanos(nanos) {
+        return this._withDateTimeOffset(this._dateTime.plusNanos(nanos), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for {@link OffsetDateTime.minus}
+     *
+     * if called with 1 argument {@link OffsetDateTime.minusTemporalAmount} is applied,
+     * otherwise {@link OffsetDateTime.minus2}
+     */
+    minus() {
+        if (arguments.length === 1) {
+            return this.minusTemporalAmount.apply(this, arguments);
+        } else {
+            return this.minus2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Returns a copy of this date-time with the specified amount subtracted.
+     * <p>
+     * The amount is typically {@link Period} or {@link Duration} but may be any other
+     * type implementing the {@link TemporalAmount} interface.
+     *
+     * @param {TemporalAmount} amount - the amount to subtract, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the subtraction made, not null
+     * @throws DateTimeException if the subtraction cannot be made
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    minusTemporalAmount(amount) {
+        requireNonNull(amount, 'amount');
+        return amount.subtractFrom(this);
+    }
+
+    /**
+     * Returns a copy of this date-time with the specified amount subtracted.
+     * <p>
+     * The amount is subtracted from the local date-time, the offset is unchanged.
+     *
+     * @param {number} amountToSubtract - the amount of the unit to subtract from the result, may be negative
+     * @param {TemporalUnit} unit - the unit of the amount to subtract, not null
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the specified amount subtracted, not null
+     * @throws DateTimeException if the unit cannot be added to this type
+     */
+    minus2(amountToSubtract, unit) {
+        return this.plus2(-1 * amountToSubtract, unit);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in years subtracted.
+     *
+     * @param {number} years - the years to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the years subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusYears(years) {
+        return this.plusYears(-1 * years);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in months subtracted.
+     *
+     * @param {number} months - the months to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the months subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusMonths(months) {
+        return this.plusMonths(-1 * months);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in weeks subtracted.
+     *
+     * @param {number} weeks - the weeks to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the weeks subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusWeeks(weeks) {
+        return this.plusWeeks(-1 * weeks);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in days subtracted.
+     *
+     * @param {number} days - the days to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the days subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusDays(days) {
+        return this.plusDays(-1 * days);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in hours subtracted.
+     *
+     * @param {number} hours - the hours to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the hours subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusHours(hours) {
+        return this.plusHours(-1 * hours);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in minutes subtracted.
+     *
+     * @param {number} minutes - the minutes to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the minutes subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusMinutes(minutes) {
+        return this.plusMinutes(-1 * minutes);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in seconds subtracted.
+     *
+     * @param {number} seconds - the seconds to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the seconds subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusSeconds(seconds) {
+        return this.plusSeconds(-1 * seconds);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetDateTime} with the specified period in nanoseconds subtracted.
+     *
+     * @param {number} nanos - the nanos to subtract, may be negative
+     * @return {OffsetDateTime} an {@code OffsetDateTime} based on this date-time with the nanoseconds subtracted, not null
+     * @throws DateTimeException if the result exceeds the supported date range
+     */
+    minusNanos(nanos) {
+        return this.plusNanos(-1 * nanos);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Queries this date-time using the specified query.
+     * <p>
+     * The {@link TemporalQueries#offset} and {@link TemporalQueries#zone} queries return the offset,
+     * {@link TemporalQueries#zoneId} returns null as an offset date-time has no zone.
+     *
+     * @param {TemporalQuery} query - the query to invoke, not null
+     * @return {*} the query result, null may be returned (defined by the query)
+     * @throws DateTimeException if unable to query (defined by the query)
+     * @throws ArithmeticException if numeric overflow occurs (defined by the query)
+     */
+    query(query) {
+        requireNonNull(query, 'query');
+        if (query === TemporalQueries.chronology()) {
+            return this.toLocalDate().chronology();
+        } else if (query === TemporalQueries.precision()) {
+            return ChronoUnit.NANOS;
+        } else if (query === TemporalQueries.offset() || query === TemporalQueries.zone()) {
+            return this._offset;
+        } else if (query === TemporalQueries.localDate()) {
+            return this.toLocalDate();
+        } else if (query === TemporalQueries.localTime()) {
+            return this.toLocalTime();
+        } else if (query === TemporalQueries.zoneId()) {
+            return null;
+        }
+        return super.query(query);
+    }
+
+    /**
+     * Adjusts the specified temporal object to have the same offset, date
+     * and time as this object.
+     * <p>
+     * This returns a temporal object of the same observable type as the input
+     * with the offset, date and time changed to be the same as this.
+     *
+     * @param {Temporal} temporal - the target object to be adjusted, not null
+     * @return {Temporal} the adjusted object, not null
+     * @throws DateTimeException if unable to make the adjustment
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    adjustInto(temporal) {
+        return temporal
+                .with(ChronoField.EPOCH_DAY, this.toLocalDate().toEpochDay())
+                .with(ChronoField.NANO_OF_DAY, this.toLocalTime().toNanoOfDay())
+                .with(ChronoField.OFFSET_SECONDS, this._offset.totalSeconds());
+    }
+
+    /**
+     * Calculates the period between this date-time and another date-time in
+     * terms of the specified unit.
+     * <p>
+     * The {@code Temporal} passed to this method is converted to an {@code OffsetDateTime}
+     * using {@link #from}. If the offset differs between the two date-times, the specified
+     * end date-time is normalized to have the same offset as this date-time.
+     * <p>
+     * The calculation returns a whole number, representing the number of
+     * complete units between the two date-times.
+     * For example, the period in months between 2012-06-15T00:00Z and 2012-08-14T23:59Z
+     * will only be one month as it is one minute short of two months.
+     *
+     * @param {Temporal} endExclusive - the end date-time, which is converted to an {@code OffsetDateTime}, not null
+     * @param {TemporalUnit} unit - the unit to measure the period in, not null
+     * @return {number} the amount of the period between this date-time and the end date-time
+     * @throws DateTimeException if the period cannot be calculated
+     * @throws ArithmeticException if numeric overflow occurs
+     */
+    until(endExclusive, unit) {
+        var end = OffsetDateTime.from(endExclusive);
+        if (unit instanceof ChronoUnit) {
+            end = end.withOffsetSameInstant(this._offset);
+            return this._dateTime.until(end._dateTime, unit);
+        }
+        return unit.between(this, end);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Combines this date-time with a time-zone to create a {@code ZonedDateTime}
+     * ensuring that the result has the same instant.
+     * <p>
+     * This conversion will ignore the visible local date-time and use the underlying instant instead.
+     * This avoids any problems with local time-line gaps or overlaps.
+     * The result might have different values for fields such as hour, minute an even day.
+     * <p>
+     * To attempt to retain the values of the fields, use {@link #atZoneSimilarLocal}.
+     * To use the offset as the zone ID, use {@link #toZonedDateTime}.
+     *
+     * @param {ZoneId} zone - the time-zone to use, not null
+     * @return {ZonedDateTime} the zoned date-time formed from this date-time, not null
+     */
+    atZoneSameInstant(zone) {
+        return ZonedDateTime.ofInstant(this._dateTime, this._offset, zone);
+    }
+
+    /**
+     * Combines this date-time with a time-zone to create a {@code ZonedDateTime}
+     * trying to keep the same local date and time.
+     * <p>
+     * This conversion will ignore the visible local date-time and use the underlying instant instead
+     * only if the local date-time is not valid for the zone. Local time-line gaps are resolved
+     * by {@link ZonedDateTime#ofLocal}, in an overlap the offset of this date-time is retained if possible.
+     * <p>
+     * To use the offset as the zone ID, use {@link #toZonedDateTime}.
+     *
+     * @param {ZoneId} zone - the time-zone to use, not null
+     * @return {ZonedDateTime} the zoned date-time formed from this date and the earliest valid time for the zone, not null
+     */
+    atZoneSimilarLocal(zone) {
+        return ZonedDateTime.ofLocal(this._dateTime, zone, this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the {@code LocalDateTime} part of this offset date-time.
+     *
+     * @return {LocalDateTime} the local date-time part of this date-time, not null
+     */
+    toLocalDateTime() {
+        return this._dateTime;
+    }
+
+    /**
+     * Gets the {@code LocalDate} part of this date-time.
+     *
+     * @return {LocalDate} the date part of this date-time, not null
+     */
+    toLocalDate() {
+        return this._dateTime.toLocalDate();
+    }
+
+    /**
+     * Gets the {@code LocalTime} part of this date-time.
+     *
+     * @return {LocalTime} the time part of this date-time, not null
+     */
+    toLocalTime() {
+        return this._dateTime.toLocalTime();
+    }
+
+    /**
+     * Converts this date-time to an {@code OffsetTime}.
+     * <p>
+     * This returns an offset time with the same local time and offset.
+     *
+     * @return {OffsetTime} an OffsetTime representing the time and offset, not null
+     */
+    toOffsetTime() {
+        return OffsetTime.of(this._dateTime.toLocalTime(), this._offset);
+    }
+
+    /**
+     * Converts this date-time to a {@code ZonedDateTime} using the offset as the zone ID.
+     * <p>
+     * This creates the simplest possible {@code ZonedDateTime} using the offset
+     * as the zone ID.
+     * <p>
+     * To control the time-zone used, see {@link #atZoneSameInstant} and {@link #atZoneSimilarLocal}.
+     *
+     * @return {ZonedDateTime} a zoned date-time representing the same local date-time and offset, not null
+     */
+    toZonedDateTime() {
+        return ZonedDateTime.of(this._dateTime, this._offset);
+    }
+
+    /**
+     * Converts this date-time to an {@code Instant}.
+     *
+     * @return {Instant} an {@code Instant} representing the same instant, not null
+     */
+    toInstant() {
+        return this._dateTime.toInstant(this._offset);
+    }
+
+    /**
+     * Converts this date-time to the number of seconds from the epoch of 1970-01-01T00:00:00Z.
+     * <p>
+     * This allows this date-time to be converted to a value of the
+     * {@link ChronoField#INSTANT_SECONDS epoch-seconds} field. This is primarily
+     * intended for low-level conversions rather than general application usage.
+     *
+     * @return {number} the number of seconds from the epoch of 1970-01-01T00:00:00Z
+     */
+    toEpochSecond() {
+        return this._dateTime.toEpochSecond(this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Compares this {@code OffsetDateTime} to another date-time.
+     * <p>
+     * The comparison is based on the instant then on the local date-time.
+     * It is "consistent with equals", as defined by {@link Comparable}.
+     * <p>
+     * For example, the following is the comparator order:
+     * <ol>
+     * <li>{@code 2008-12-03T10:30+01:00}</li>
+     * <li>{@code 2008-12-03T11:00+01:00}</li>
+     * <li>{@code 2008-12-03T12:00+02:00}</li>
+     * <li>{@code 2008-12-03T11:30+01:00}</li>
+     * <li>{@code 2008-12-03T12:00+01:00}</li>
+     * <li>{@code 2008-12-03T12:30+01:00}</li>
+     * </ol>
+     * Values #2 and #3 represent the same instant on the time-line.
+     * When two values represent the same instant, the local date-time is compared
+     * to distinguish them. This step is needed to make the ordering
+     * consistent with {@code equals()}.
+     *
+     * @param {OffsetDateTime} other - the other date-time to compare to, not null
+     * @return {number} the comparator value, negative if less, positive if greater
+     */
+    compareTo(other) {
+        requireNonNull(other, 'other');
+        requireInstance(other, OffsetDateTime, 'other');
+        var cmp = compareInstant(this, other);
+        if (cmp === 0) {
+            cmp = this._dateTime.compareTo(other._dateTime);
+        }
+        return cmp;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if the instant of this date-time is after that of the specified date-time.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} and {@link #equals} in that it
+     * only compares the instant of the date-time. This is equivalent to using
+     * {@code dateTime1.toInstant().isAfter(dateTime2.toInstant());}.
+     *
+     * @param {!OffsetDateTime} other - the other date-time to compare to, not null
+     * @return {boolean} true if this is after the instant of the specified date-time
+     */
+    isAfter(other) {
+        requireNonNull(other, 'other');
+        var thisEpochSec = this.toEpochSecond();
+        var otherEpochSec = other.toEpochSecond();
+        return thisEpochSec > otherEpochSec ||
+            (thisEpochSec === otherEpochSec && this.nano() > other.nano());
+    }
+
+    /**
+     * Checks if the instant of this date-time is before that of the specified date-time.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} in that it
+     * only compares the instant of the date-time. This is equivalent to using
+     * {@code dateTime1.toInstant().isBefore(dateTime2.toInstant());}.
+     *
+     * @param {!OffsetDateTime} other - the other date-time to compare to, not null
+     * @return {boolean} true if this is before the instant of the specified date-time
+     */
+    isBefore(other) {
+        requireNonNull(other, 'other');
+        var thisEpochSec = this.toEpochSecond();
+        var otherEpochSec = other.toEpochSecond();
+        return thisEpochSec < otherEpochSec ||
+            (thisEpochSec === otherEpochSec && this.nano() < other.nano());
+    }
+
+    /**
+     * Checks if the instant of this date-time is equal to that of the specified date-time.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} and {@link #equals}
+     * in that it only compares the instant of the date-time. This is equivalent to using
+     * {@code dateTime1.toInstant().equals(dateTime2.toInstant());}.
+     *
+     * @param {!OffsetDateTime} other - the other date-time to compare to, not null
+     * @return {boolean} true if the instant equals the instant of the specified date-time
+     */
+    isEqual(other) {
+        requireNonNull(other, 'other');
+        return this.toEpochSecond() === other.toEpochSecond() &&
+                this.nano() === other.nano();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if this date-time is equal to another date-time.
+     * <p>
+     * The comparison is based on the local date-time and the offset.
+     * To compare for the same instant on the time-line, use {@link #isEqual}.
+     * Only objects of type {@code OffsetDateTime} are compared, other types return false.
+     *
+     * @param {*} other - the object to check, null returns false
+     * @return {boolean} true if this is equal to the other date-time
+     */
+    equals(other) {
+        if (this === other) {
+            return true;
+        }
+        if (other instanceof OffsetDateTime) {
+            return this._dateTime.equals(other._dateTime) && this._offset.equals(other._offset);
+        }
+        return false;
+    }
+
+    /**
+     * A hash code for this date-time.
+     *
+     * @return {number} a suitable hash code
+     */
+    hashCode() {
+        return this._dateTime.hashCode() ^ this._offset.hashCode();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Outputs this date-time as a {@code String}, such as {@code 2007-12-03T10:15:30+01:00}.
+     * <p>
+     * The format consists of the {@code LocalDateTime} followed by the {@code ZoneOffset}
+     * and is compatible with ISO-8601 and RFC 3339.
+     *
+     * @return {string} a string representation of this date-time, not null
+     */
+    toString() {
+        return this._dateTime.toString() + this._offset.toString();
+    }
+
+    /**
+     *
+     * @return {string} same as {@link OffsetDateTime.toString}
+     */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Outputs this date-time as a {@code String} using the formatter.
+     *
+     * @param {DateTimeFormatter} formatter - the formatter to use, not null
+     * @return {string} the formatted date-time string, not null
+     * @throws DateTimeException if an error occurs during printing
+     */
+    format(formatter) {
+        requireNonNull(formatter, 'formatter');
+        return formatter.format(this);
+    }
+
+}
+
+/**
+ * Compares two offset date-times by their instant, the local date-times if the offsets are equal.
+ *
+ * @param {OffsetDateTime} datetime1 - the first date-time to compare, not null
+ * @param {OffsetDateTime} datetime2 - the other date-time to compare to, not null
+ * @return {number} the comparator value, negative if less, positive if greater
+ */
+function compareInstant(datetime1, datetime2) {
+    if (datetime1.offset().equals(datetime2.offset())) {
+        return datetime1.toLocalDateTime().compareTo(datetime2.toLocalDateTime());
+    }
+    var cmp = MathUtil.compareNumbers(datetime1.toEpochSecond(), datetime2.toEpochSecond());
+    if (cmp === 0) {
+        cmp = datetime1.nano() - datetime2.nano();
+    }
+    return cmp;
+}
+
+export function _init() {
+    OffsetDateTime.MIN = LocalDateTime.MIN.atOffset(ZoneOffset.MAX);
+
+    OffsetDateTime.MAX = LocalDateTime.MAX.atOffset(ZoneOffset.MIN);
+
+    OffsetDateTime.FROM = createTemporalQuery('OffsetDateTime.FROM', (temporal) => {
+        return OffsetDateTime.from(temporal);
+    });
+}
@@ -0,0 +1,990 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull, requireInstance} from './assert';
+import {DateTimeException, UnsupportedTemporalTypeException} from './errors';
+import {MathUtil} from './MathUtil';
+
+import {Clock} from './Clock';
+import {Instant} from './Instant';
+import {LocalTime} from './LocalTime';
+import {OffsetDateTime} from './OffsetDateTime';
+import {ZoneId} from './ZoneId';
+import {ZoneOffset} from './ZoneOffset';
+
+import {DateTimeFormatter} from './format/DateTimeFormatter';
+import {ChronoField} from './temporal/ChronoField';
+import {ChronoUnit} from './temporal/ChronoUnit';
+import {Temporal} from './temporal/Temporal';
+import {createTemporalQuery} from './temporal/TemporalQuery';
+import {TemporalQueries} from './temporal/TemporalQueries';
+
+/**
+ * A time with an offset from UTC/Greenwich in the ISO-8601 calendar system,
+ * such as {@code 10:15:30+01:00}.
+ * <p>
+ * {@code OffsetTime} is an immutable date-time object that represents a time, often
+ * viewed as hour-minute-second-offset.
+ * This class stores all time fields, to a precision of nanoseconds,
+ * as well as a zone offset.
+ * For example, the value '13:45.30.123456789+02:00' can be stored
+ * in an {@code OffsetTime}.
+ *
+ * <h3>Static properties of Class {@link OffsetTime}</h3>
+ *
+ * OffsetTime.MIN
+ *
+ * The minimum supported {@code OffsetTime}, '00:00:00+18:00'.
+ * This is the time of midnight at the start of the day in the maximum offset
+ * (larger offsets are earlier on the time-line).
+ * This combines {@link LocalTime#MIN} and {@link ZoneOffset#MAX}.
+ * This could be used by an application as a "far past" date.
+ *
+ * OffsetTime.MAX
+ *
+ * The maximum supported {@code OffsetTime}, '23:59:59.999999999-18:00'.
+ * This is the time just before midnight at the end of the day in the minimum offset
+ * (larger negative offsets are later on the time-line).
+ * This combines {@link LocalTime#MAX} and {@link ZoneOffset#MIN}.
+ * This could be used by an application as a "far future" date.
+ *
+ * OffsetTime.FROM
+ *
+ * The query to obtain an {@code OffsetTime} from a {@link TemporalAccessor}.
+ */
+export class OffsetTime extends Temporal {
+
+    //-----------------------------------------------------------------------
+    /**
+     * Obtains the current time from the system clock in the specified time-zone or clock
+     * or default time zone.
+     * <p>
+     * The offset will be calculated from the time-zone in the clock.
+     * <p>
+     * Using this method will prevent the ability to use an alternate clock for testing
+     * because the clock is hard-coded.
+     *
+     * @param {Clock|ZoneId} [clockOrZone=Clock.systemDefaultZone()]
+     * @return {OffsetTime} the current time, not null
+     */
+    static now(clockOrZone) {
+        var clock;
+        if (clockOrZone instanceof ZoneId) {
+            clock = Clock.system(clockOrZone);
+        } else {
+            clock = clockOrZone == null ? Clock.systemDefaultZone() : clockOrZone;
+        }
+        return OffsetTime.ofInstant(clock.instant(), clock.zone());
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for static {@link OffsetTime.of}
+     *
+     * if called with 2 (or less) args {@link OffsetTime.of2} is called,
+     * otherwise {@link OffsetTime.of5} is called.
+     */
+    static of() {
+        if (arguments.length <= 2) {
+            return OffsetTime.of2.apply(this, arguments);
+        } else {
+            return OffsetTime.of5.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetTime} from a local time and an offset.
+     *
+     * @param {LocalTime} time - the local time, not null
+     * @param {ZoneOffset} offset - the zone offset, not null
+     * @return {OffsetTime} the offset time, not null
+     */
+    static of2(time, offset) {
+        return new OffsetTime(time, offset);
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetTime} from an hour, minute, second and nanosecond.
+     * <p>
+     * This creates an offset time with the four specified fields.
+     *
+     * @param {number} hour - the hour-of-day to represent, from 0 to 23
+     * @param {number} minute - the minute-of-hour to represent, from 0 to 59
+     * @param {number} second - the second-of-minute to represent, from 0 to 59
+     * @param {number} nanoOfSecond - the nano-of-second to represent, from 0 to 999,999,999
+     * @param {ZoneOffset} offset - the zone offset, not null
+     * @return {OffsetTime} the offset time, not null
+     * @throws DateTimeException if the value of any field is out of range
+     */
+    static of5(hour, minute, second, nanoOfSecond, offset) {
+        return new OffsetTime(LocalTime.of(hour, minute, second, nanoOfSecond), offset);
+    }
+
+    /**
+     * Obtains an instance of {@code OffsetTime} from an {@code Instant} and zone ID.
+     * <p>
+     * This creates an offset time with the same instant as that specified.
+     * Finding the offset from UTC/Greenwich is simple as there is only one valid
+     * offset for each instant.
+     * <p>
+     * The date component of the instant is dropped during the conversion.
+     *
+     * @param {Instant} instant - the instant to create the time from, not null
+     * @param {ZoneId} zone - the time-zone, which may be an offset, not null
+     * @return {OffsetTime} the offset time, not null
+     */
+    static ofInstant(instant, zone) {
+        requireNonNull(instant, 'instant');
+        requireInstance(instant, Instant, 'instant');
+        requireNonNull(zone, 'zone');
+        var offset = zone.rules().offset(instant);
+        var secsOfDay = MathUtil.floorMod(instant.epochSecond(), LocalTime.SECONDS_PER_DAY);
+        secsOfDay = MathUtil.floorMod(secsOfDay + offset.totalSeconds(), LocalTime.SECONDS_PER_DAY);
+        var time = LocalTime.ofSecondOfDay(secsOfDay, instant.nano());
+        return new OffsetTime(time, offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Obtains an instance of {@code OffsetTime} from a temporal object.
+     * <p>
+     * The conversion extracts and combines {@code LocalTime} and {@code ZoneOffset}.
+     * <p>
+     * This method matches the signature of the functional interface {@link TemporalQuery}
+     * allowing it to be used in queries via method reference, {@code OffsetTime::from}.
+     *
+     * @param {!TemporalAccessor} temporal - the temporal object to convert, not null
+     * @return {OffsetTime} the offset time, not null
+     * @throws DateTimeException if unable to convert to an {@code OffsetTime}
+     */
+    static from(temporal) {
+        requireNonNull(temporal, 'temporal');
+        if (temporal instanceof OffsetTime) {
+            return temporal;
+        }
+        var offset = temporal.query(TemporalQueries.offset());
+        try {
+            if (offset != null) {
+                return new OffsetTime(LocalTime.from(temporal), offset);
+            }
+        } catch (ex) {
+            if (!(ex instanceof DateTimeException)) throw ex;
+        }
+        throw new DateTimeException('Unable to obtain OffsetTime from TemporalAccessor: ' +
+                temporal + ', type ' + (temporal.constructor != null ? temporal.constructor.name : ''));
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Obtains an instance of {@code OffsetTime} from a text string such as {@code 10:15:30+01:00}.
+     * <p>
+     * The string must represent a valid time and is parsed using
+     * {@link DateTimeFormatter#ISO_OFFSET_TIME}.
+     *
+     * @param {!string} text - the text to parse such as '10:15:30+01:00', not null
+     * @param {!DateTimeFormatter} [formatter=DateTimeFormatter.ISO_OFFSET_TIME] - the formatter to use
+     * @return {OffsetTime} the parsed offset time, not null
+     * @throws DateTimeParseException if the text cannot be parsed
+     */
+    static parse(text, formatter = DateTimeFormatter.ISO_OFFSET_TIME) {
+        requireNonNull(formatter, 'formatter');
+        return formatter.parse(text, OffsetTime.FROM);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Constructor.
+     *
+     * @param {LocalTime} time - the local time, not null
+     * @param {ZoneOffset} offset - the zone offset, not null
+     */
+    constructor(time, offset) {
+        super();
+        requireNonNull(time, 'time');
+        requireInstance(time, LocalTime, 'time');
+        requireNonNull(offset, 'offset');
+        requireInstance(offset, ZoneOffset, 'offset');
+        /**
+         * The local time.
+         */
+        this._time = time;
+        /**
+         * The offset from UTC/Greenwich.
+         */
+        this._offset = offset;
+    }
+
+    /**
+     * Returns a new time based on this one, returning {@code this} where possible.
+     *
+     * @param {LocalTime} time - the time to create with, not null
+     * @param {ZoneOffset} offset - the zone offset to create with, not null
+     * @return {OffsetTime}
+     */
+    _withTimeOffset(time, offset) {
+        if (this._time === time && this._offset.equals(offset)) {
+            return this;
+        }
+        return new OffsetTime(time, offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if the specified field or unit is supported.
+     * <p>
+     * The time based {@link ChronoField}s and {@code OFFSET_SECONDS} are supported,
+     * as are the time based {@link ChronoUnit}s.
+     * <p>
+     * If the field or unit is not a {@code ChronoField} or {@code ChronoUnit}, then the result
+     * of this method is obtained by invoking {@code isSupportedBy(TemporalAccessor)}
+     * passing {@code this} as the argument.
+     *
+     * @param {TemporalField|TemporalUnit} fieldOrUnit - the field or unit to check, null returns false
+     * @return {boolean} true if the field or unit is supported on this time, false if not
+     */
+    isSupported(fieldOrUnit) {
+        if (fieldOrUnit instanceof ChronoField) {
+            return fieldOrUnit.isTimeBased() || fieldOrUnit === ChronoField.OFFSET_SECONDS;
+        } else if (fieldOrUnit instanceof ChronoUnit) {
+            return fieldOrUnit.isTimeBased();
+        }
+        return (fieldOrUnit != null && fieldOrUnit.isSupportedBy(this));
+    }
+
+    /**
+     * Gets the range of valid values for the specified field.
+     *
+     * @param {TemporalField} field - the field to query the range for, not null
+     * @return {ValueRange} the range of valid values for the field, not null
+     * @throws DateTimeException if the range for the field cannot be obtained
+     */
+    range(field) {
+        if (field instanceof ChronoField) {
+            if (field === ChronoField.OFFSET_SECONDS) {
+                return field.range();
+            }
+            return this._time.range(field);
+        }
+        return field.rangeRefinedBy(this);
+    }
+
+    /**
+     * Gets the value of the specified field from this time as an {@code int}.
+     *
+     * @param {!TemporalField} field - the field to get, not null
+     * @return {number} the value for the field
+     * @throws DateTimeException if a value for the field cannot be obtained
+     */
+    get(field) {
+        return this.getLong(field);
+    }
+
+    /**
+     * Gets the value of the specified field from this time as a {@code long}.
+     * <p>
+     * The {@code OFFSET_SECONDS} field returns the total seconds of the offset,
+     * the other time based {@link ChronoField}s are obtained from the local time.
+     *
+     * @param {!TemporalField} field - the field to get, not null
+     * @return {number} the value for the field
+     * @throws DateTimeException if a value for the field cannot be obtained
+     */
+    getLong(field) {
+        if (field instanceof ChronoField) {
+            if (field === ChronoField.OFFSET_SECONDS) {
+                return this._offset.totalSeconds();
+            }
+            return this._time.getLong(field);
+        }
+        requireNonNull(field, 'field');
+        return field.getFrom(this);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the zone offset, such as '+01:00'.
+     *
+     * @return {ZoneOffset} the zone offset, not null
+     */
+    offset() {
+        return this._offset;
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified offset ensuring
+     * that the result has the same local time.
+     * <p>
+     * For example, if this time represents {@code 10:30+02:00} and the offset specified is
+     * {@code +03:00}, then this method will return {@code 10:30+03:00}.
+     * <p>
+     * To take into account the difference between the offsets, and adjust the time fields,
+     * use {@link #withOffsetSameInstant}.
+     *
+     * @param {ZoneOffset} offset - the zone offset to change to, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the requested offset, not null
+     */
+    withOffsetSameLocal(offset) {
+        requireNonNull(offset, 'offset');
+        return this._withTimeOffset(this._time, offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified offset ensuring
+     * that the result is at the same instant on an implied day.
+     * <p>
+     * For example, if this time represents {@code 10:30+02:00} and the offset specified is
+     * {@code +03:00}, then this method will return {@code 11:30+03:00}.
+     * <p>
+     * To change the offset without adjusting the local time use {@link #withOffsetSameLocal}.
+     *
+     * @param {ZoneOffset} offset - the zone offset to change to, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the requested offset, not null
+     */
+    withOffsetSameInstant(offset) {
+        requireNonNull(offset, 'offset');
+        if (offset.equals(this._offset)) {
+            return this;
+        }
+        var difference = offset.totalSeconds() - this._offset.totalSeconds();
+        var adjusted = this._time.plusSeconds(difference);
+        return new OffsetTime(adjusted, offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the hour-of-day field.
+     *
+     * @return {number} the hour-of-day, from 0 to 23
+     */
+    hour() {
+        return this._time.hour();
+    }
+
+    /**
+     * Gets the minute-of-hour field.
+     *
+     * @return {number} the minute-of-hour, from 0 to 59
+     */
+    minute() {
+        return this._time.minute();
+    }
+
+    /**
+     * Gets the second-of-minute field.
+     *
+     * @return {number} the second-of-minute, from 0 to 59
+     */
+    second() {
+        return this._time.second();
+    }
+
+    /**
+     * Gets the nano-of-second field.
+     *
+     * @return {number} the nano-of-second, from 0 to 999,999,999
+     */
+    nano() {
+        return this._time.nano();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for {@link OffsetTime.with}
+     *
+     * if called with 1 argument {@link OffsetTime.withTemporalAdjuster} is applied
+     * otherwise {@link OffsetTime.with2}
+     */
+    with() {
+        if (arguments.length === 1) {
+            return this.withTemporalAdjuster.apply(this, arguments);
+        } else {
+            return this.with2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Returns an adjusted copy of this time.
+     * <p>
+     * A {@link LocalTime} changes the local time and keeps the offset, a {@link ZoneOffset}
+     * changes the offset and keeps the local time:
+     * <pre>
+     *  result = offsetTime.with(time);
+     *  result = offsetTime.with(offset);
+     * </pre>
+     * Other adjusters are invoked with {@link TemporalAdjuster#adjustInto(Temporal)}
+     * passing {@code this} as the argument.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {TemporalAdjuster} adjuster - the adjuster to use, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on {@code this} with the adjustment made, not null
+     * @throws DateTimeException if the adjustment cannot be made
+     */
+    withTemporalAdjuster(adjuster) {
+        // optimizations
+        if (adjuster instanceof LocalTime) {
+            return this._withTimeOffset(adjuster, this._offset);
+        } else if (adjuster instanceof ZoneOffset) {
+            return this._withTimeOffset(this._time, adjuster);
+        } else if (adjuster instanceof OffsetTime) {
+            return adjuster;
+        }
+        requireNonNull(adjuster, 'adjuster');
+        return adjuster.adjustInto(this);
+    }
+
+    /**
+     * Returns a copy of this time with the specified field set to a new value.
+     * <p>
+     * The {@code OFFSET_SECONDS} field will return a time with the specified offset.
+     * The local time is unaltered.
+     * <p>
+     * The other {@link #isSupported(TemporalField) supported fields} will behave as per
+     * the matching method on {@link LocalTime#with(TemporalField, long) LocalTime},
+     * the offset is unchanged.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {TemporalField} field - the field to set in the result, not null
+     * @param {number} newValue - the new value of the field in the result
+     * @return {OffsetTime} an {@code OffsetTime} based on {@code this} with the specified field set, not null
+     * @throws DateTimeException if the field cannot be set
+     * @throws UnsupportedTemporalTypeException if the field is not supported
+     */
+    with2(field, newValue) {
+        requireNonNull(field, 'field');
+        if (field instanceof ChronoField) {
+            if (field === ChronoField.OFFSET_SECONDS) {
+                return this._withTimeOffset(this._time, ZoneOffset.ofTotalSeconds(field.checkValidIntValue(newValue)));
+            }
+            return this._withTimeOffset(this._time.with(field, newValue), this._offset);
+        }
+        return field.adjustInto(this, newValue);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetTime} with the hour-of-day value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} hour - the hour-of-day to set in the result, from 0 to 23
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the requested hour, not null
+     * @throws DateTimeException if the hour value is invalid
+     */
+    withHour(hour) {
+        return this._withTimeOffset(this._time.withHour(hour), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the minute-of-hour value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} minute - the minute-of-hour to set in the result, from 0 to 59
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the requested minute, not null
+     * @throws DateTimeException if the minute value is invalid
+     */
+    withMinute(minute) {
+        return this._withTimeOffset(this._time.withMinute(minute), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the second-of-minute value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} second - the second-of-minute to set in the result, from 0 to 59
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the requested second, not null
+     * @throws DateTimeException if the second value is invalid
+     */
+    withSecond(second) {
+        return this._withTimeOffset(this._time.withSecond(second), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the nano-of-second value altered.
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {number} nanoOfSecond - the nano-of-second to set in the result, from 0 to 999,999,999
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the requested nanosecond, not null
+     * @throws DateTimeException if the nanos value is invalid
+     */
+    withNano(nanoOfSecond) {
+        return this._withTimeOffset(this._time.withNano(nanoOfSecond), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetTime} with the time truncated.
+     * <p>
+     * Truncating the time returns a copy of the original time with fields
+     * smaller than the specified unit set to zero.
+     * For example, truncating with the {@link ChronoUnit#MINUTES minutes} unit
+     * will set the second-of-minute and nano-of-second field to zero.
+     * <p>
+     * The offset does not affect the calculation and will be the same in the result.
+     *
+     * @param {TemporalUnit} unit - the unit to truncate to, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the time truncated, not null
+     * @throws DateTimeException if unable to truncate
+     */
+    truncatedTo(unit) {
+        return this._withTimeOffset(this._time.truncatedTo(unit), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for {@link OffsetTime.plus}
+     *
+     * if called with 1 argument {@link OffsetTime.plusTemporalAmount} is applied,
+     * otherwise {@link OffsetTime.plus2}
+     */
+    plus() {
+        if (arguments.length === 1) {
+            return this.plusTemporalAmount.apply(this, arguments);
+        } else {
+            return this.plus2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Returns a copy of this time with the specified amount added.
+     * <p>
+     * The amount is typically {@link Duration} but may be any other type
+     * implementing the {@link TemporalAmount} interface.
+     *
+     * @param {!TemporalAmount} amount - the amount to add, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the addition made, not null
+     * @throws DateTimeException if the addition cannot be made
+     */
+    plusTemporalAmount(amount) {
+        requireNonNull(amount, 'amount');
+        return amount.addTo(this);
+    }
+
+    /**
+     * Returns a copy of this time with the specified amount added.
+     * <p>
+     * The amount is added to the local time wrapping around midnight, the offset is unchanged.
+     *
+     * @param {number} amountToAdd - the amount of the unit to add to the result, may be negative
+     * @param {TemporalUnit} unit - the unit of the amount to add, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the specified amount added, not null
+     * @throws DateTimeException if the unit cannot be added to this type
+     */
+    plus2(amountToAdd, unit) {
+        if (unit instanceof ChronoUnit) {
+            return this._withTimeOffset(this._time.plus(amountToAdd, unit), this._offset);
+        }
+        requireNonNull(unit, 'unit');
+        return unit.addTo(this, amountToAdd);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in hours added.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} hours - the hours to add, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the hours added, not null
+     */
+    plusHours(hours) {
+        return this._withTimeOffset(this._time.plusHours(hours), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in minutes added.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} minutes - the minutes to add, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the minutes added, not null
+     */
+    plusMinutes(minutes) {
+        return this._withTimeOffset(this._time.plusMinutes(minutes), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in seconds added.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} seconds - the seconds to add, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the seconds added, not null
+     */
+    plusSeconds(seconds) {
+        return this._withTimeOffset(this._time.plusSeconds(seconds), this._offset);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in nanoseconds added.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} nanos - the nanos to add, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the nanoseconds added, not null
+     */
+    plusNanos(nanos) {
+        return this._withTimeOffset(this._time.plusNanos(nanos), this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * function overloading for {@link OffsetTime.minus}
+     *
+     * if called with 1 argument {@link OffsetTime.minusTemporalAmount} is applied,
+     * otherwise {@link OffsetTime.minus2}
+     */
+    minus() {
+        if (arguments.length === 1) {
+            return this.minusTemporalAmount.apply(this, arguments);
+        } else {
+            return this.minus2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Returns a copy of this time with the specified amount subtracted.
+     * <p>
+     * The amount is typically {@link Duration} but may be any other type
+     * implementing the {@link TemporalAmount} interface.
+     *
+     * @param {TemporalAmount} amount - the amount to subtract, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the subtraction made, not null
+     * @throws DateTimeException if the subtraction cannot be made
+     */
+    minusTemporalAmount(amount) {
+        requireNonNull(amount, 'amount');
+        return amount.subtractFrom(this);
+    }
+
+    /**
+     * Returns a copy of this time with the specified amount subtracted.
+     * <p>
+     * The amount is subtracted from the local time wrapping around midnight, the offset is unchanged.
+     *
+     * @param {number} amountToSubtract - the amount of the unit to subtract from the result, may be negative
+     * @param {TemporalUnit} unit - the unit of the amount to subtract, not null
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the specified amount subtracted, not null
+     * @throws DateTimeException if the unit cannot be added to this type
+     */
+    minus2(amountToSubtract, unit) {
+        return this.plus2(-1 * amountToSubtract, unit);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in hours subtracted.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} hours - the hours to subtract, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the hours subtracted, not null
+     */
+    minusHours(hours) {
+        return this.plusHours(-1 * hours);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in minutes subtracted.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} minutes - the minutes to subtract, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the minutes subtracted, not null
+     */
+    minusMinutes(minutes) {
+        return this.plusMinutes(-1 * minutes);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in seconds subtracted.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} seconds - the seconds to subtract, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the seconds subtracted, not null
+     */
+    minusSeconds(seconds) {
+        return this.plusSeconds(-1 * seconds);
+    }
+
+    /**
+     * Returns a copy of this {@code OffsetTime} with the specified period in nanoseconds subtracted.
+     * The calculation wraps around midnight.
+     *
+     * @param {number} nanos - the nanos to subtract, may be negative
+     * @return {OffsetTime} an {@code OffsetTime} based on this time with the nanoseconds subtracted, not null
+     */
+    minusNanos(nanos) {
+        return this.plusNanos(-1 * nanos);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Queries this time using the specified query.
+     * <p>
+     * The {@link TemporalQueries#offset} and {@link TemporalQueries#zone} queries return the offset,
+     * {@link TemporalQueries#localTime} the local time, the queries of a date, a chronology or
+     * a zone id return null.
+     *
+     * @param {TemporalQuery} query - the query to invoke, not null
+     * @return {*} the query result, null may be returned (defined by the query)
+     * @throws DateTimeException if unable to query (defined by the query)
+     */
+    query(query) {
+        requireNonNull(query, 'query');
+        if (query === TemporalQueries.precision()) {
+            return ChronoUnit.NANOS;
+        } else if (query === TemporalQueries.offset() || query === TemporalQueries.zone()) {
+            return this._offset;
+        } else if (query === TemporalQueries.localTime()) {
+            return this._time;
+        } else if (query === TemporalQueries.chronology() || query === TemporalQueries.localDate() || query === TemporalQueries.zoneId()) {
+            return null;
+        }
+        return super.query(query);
+    }
+
+    /**
+     * Adjusts the specified temporal object to have the same offset and time as this object.
+     *
+     * @param {Temporal} temporal - the target object to be adjusted, not null
+     * @return {Temporal} the adjusted object, not null
+     * @throws DateTimeException if unable to make the adjustment
+     */
+    adjustInto(temporal) {
+        return temporal
+                .with(ChronoField.NANO_OF_DAY, this._time.toNanoOfDay())
+                .with(ChronoField.OFFSET_SECONDS, this._offset.totalSeconds());
+    }
+
+    /**
+     * Calculates the period between this time and another time in
+     * terms of the specified unit.
+     * <p>
+     * The {@code Temporal} passed to this method is converted to an {@code OffsetTime}
+     * using {@link #from}. If the offset differs between the two times, then the specified
+     * end time is normalized to have the same offset as this time.
+     * <p>
+     * The calculation returns a whole number, representing the number of
+     * complete units between the two times.
+     * For example, the period in hours between 11:30Z and 13:29Z will only
+     * be one hour as it is one minute short of two hours.
+     * <p>
+     * The units {@code NANOS}, {@code MICROS}, {@code MILLIS}, {@code SECONDS},
+     * {@code MINUTES}, {@code HOURS} and {@code HALF_DAYS} are supported.
+     * Other {@code ChronoUnit} values will throw an exception.
+     *
+     * @param {Temporal} endExclusive - the end time, which is converted to an {@code OffsetTime}, not null
+     * @param {TemporalUnit} unit - the unit to measure the period in, not null
+     * @return {number} the amount of the period between this time and the end time
+     * @throws DateTimeException if the period cannot be calculated
+     */
+    until(endExclusive, unit) {
+        var end = OffsetTime.from(endExclusive);
+        if (unit instanceof ChronoUnit) {
+            var nanosUntil = end._toEpochNano() - this._toEpochNano();  // no overflow
+            switch (unit) {
+                case ChronoUnit.NANOS: return nanosUntil;
+                case ChronoUnit.MICROS: return MathUtil.intDiv(nanosUntil, 1000);
+                case ChronoUnit.MILLIS: return MathUtil.intDiv(nanosUntil, 1000000);
+                case ChronoUnit.SECONDS: return MathUtil.intDiv(nanosUntil, LocalTime.NANOS_PER_SECOND);
+                case ChronoUnit.MINUTES: return MathUtil.intDiv(nanosUntil, LocalTime.NANOS_PER_MINUTE);
+                case ChronoUnit.HOURS: return MathUtil.intDiv(nanosUntil, LocalTime.NANOS_PER_HOUR);
+                case ChronoUnit.HALF_DAYS: return MathUtil.intDiv(nanosUntil, (12 * LocalTime.NANOS_PER_HOUR));
+            }
+            throw new UnsupportedTemporalTypeException('Unsupported unit: ' + unit);
+        }
+        return unit.between(this, end);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Combines this time with a date to create an {@code OffsetDateTime}.
+     * <p>
+     * This returns an {@code OffsetDateTime} formed from this time and the specified date.
+     * All possible combinations of date and time are valid.
+     *
+     * @param {LocalDate} date - the date to combine with, not null
+     * @return {OffsetDateTime} the offset date-time formed from this time and the specified date, not null
+     */
+    atDate(date) {
+        return OffsetDateTime.of(date, this._time, this._offset);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the {@code LocalTime} part of this offset time.
+     *
+     * @return {LocalTime} the time part of this offset time, not null
+     */
+    toLocalTime() {
+        return this._time;
+    }
+
+    /**
+     * Converts this time to nanoseconds of an epoch day, normalizing the offset to UTC.
+     *
+     * @return {number} the nano-of-day of the time in UTC, may be negative or exceed a day
+     */
+    _toEpochNano() {
+        var nod = this._time.toNanoOfDay();
+        var offsetNanos = this._offset.totalSeconds() * LocalTime.NANOS_PER_SECOND;
+        return nod - offsetNanos;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Compares this {@code OffsetTime} to another time.
+     * <p>
+     * The comparison is based first on the UTC equivalent instant, then on the local time.
+     * It is "consistent with equals", as defined by {@link Comparable}.
+     * <p>
+     * For example, the following is the comparator order:
+     * <ol>
+     * <li>{@code 10:30+01:00}</li>
+     * <li>{@code 11:00+01:00}</li>
+     * <li>{@code 12:00+02:00}</li>
+     * <li>{@code 11:30+01:00}</li>
+     * <li>{@code 12:00+01:00}</li>
+     * <li>{@code 12:30+01:00}</li>
+     * </ol>
+     * Values #2 and #3 represent the same instant on the time-line.
+     * When two values represent the same instant, the local time is compared
+     * to distinguish them. This step is needed to make the ordering
+     * consistent with {@code equals()}.
+     *
+     * @param {OffsetTime} other - the other time to compare to, not null
+     * @return {number} the comparator value, negative if less, positive if greater
+     */
+    compareTo(other) {
+        requireNonNull(other, 'other');
+        requireInstance(other, OffsetTime, 'other');
+        if (this._offset.equals(other._offset)) {
+            return this._time.compareTo(other._time);
+        }
+        var cmp = MathUtil.compareNumbers(this._toEpochNano(), other._toEpochNano());
+        if (cmp === 0) {
+            cmp = this._time.compareTo(other._time);
+        }
+        return cmp;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if the instant of this {@code OffsetTime} is after that of the
+     * specified time applying both times to a common date.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} in that it
+     * only compares the instant of the time. This is equivalent to converting both
+     * times to an instant using the same date and comparing the instants.
+     *
+     * @param {!OffsetTime} other - the other time to compare to, not null
+     * @return {boolean} true if this is after the instant of the specified time
+     */
+    isAfter(other) {
+        requireNonNull(other, 'other');
+        return this._toEpochNano() > other._toEpochNano();
+    }
+
+    /**
+     * Checks if the instant of this {@code OffsetTime} is before that of the
+     * specified time applying both times to a common date.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} in that it
+     * only compares the instant of the time. This is equivalent to converting both
+     * times to an instant using the same date and comparing the instants.
+     *
+     * @param {!OffsetTime} other - the other time to compare to, not null
+     * @return {boolean} true if this is before the instant of the specified time
+     */
+    isBefore(other) {
+        requireNonNull(other, 'other');
+        return this._toEpochNano() < other._toEpochNano();
+    }
+
+    /**
+     * Checks if the instant of this {@code OffsetTime} is equal to that of the
+     * specified time applying both times to a common date.
+     * <p>
+     * This method differs from the comparison in {@link #compareTo} and {@link #equals}
+     * in that it only compares the instant of the time. This is equivalent to converting both
+     * times to an instant using the same date and comparing the instants.
+     *
+     * @param {!OffsetTime} other - the other time to compare to, not null
+     * @return {boolean} true if this is equal to the instant of the specified time
+     */
+    isEqual(other) {
+        requireNonNull(other, 'other');
+        return this._toEpochNano() === other._toEpochNano();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if this time is equal to another time.
+     * <p>
+     * The comparison is based on the local time and the offset.
+     * To compare for the same instant on the time-line, use {@link #isEqual}.
+     * Only objects of type {@code OffsetTime} are compared, other types return false.
+     *
+     * @param {*} other - the object to check, null returns false
+     * @return {boolean} true if this is equal to the other time
+     */
+    equals(other) {
+        if (this === other) {
+            return true;
+        }
+        if (other instanceof OffsetTime) {
+            return this._time.equals(other._time) && this._offset.equals(other._offset);
+        }
+        return false;
+    }
+
+    /**
+     * A hash code for this time.
+     *
+     * @return {number} a suitable hash code
+     */
+    hashCode() {
+        return this._time.hashCode() ^ this._offset.hashCode();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Outputs this time as a {@code String}, such as {@code 10:15:30+01:00}.
+     * <p>
+     * The format consists of the {@code LocalTime} followed by the {@code ZoneOffset}.
+     *
+     * @return {string} a string representation of this time, not null
+     */
+    toString() {
+        return this._time.toString() + this._offset.toString();
+    }
+
+    /**
+     *
+     * @return {string} same as {@link OffsetTime.toString}
+     */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Outputs this time as a {@code String} using the formatter.
+     *
+     * @param {DateTimeFormatter} formatter - the formatter to use, not null
+     * @return {string} the formatted time string, not null
+     * @throws DateTimeException if an error occurs during printing
+     */
+    format(formatter) {
+        requireNonNull(formatter, 'formatter');
+        return formatter.format(this);
+    }
+
+}
+
+export function _init() {
+    OffsetTime.MIN = LocalTime.MIN.atOffset(ZoneOffset.MAX);
+
+    OffsetTime.MAX = LocalTime.MAX.atOffset(ZoneOffset.MIN);
+
+    OffsetTime.FROM = createTemporalQuery('OffsetTime.FROM', (temporal) => {
+        return OffsetTime.from(temporal);
+    });
+}
@@ -14,6 +14,7 @@ import {ZoneId} from './ZoneId';
 
 import {TemporalQueries} from './temporal/TemporalQueries';
 import {SystemDefaultZoneId} from './zone/SystemDefaultZoneId';
+import {ZoneRulesProvider} from './zone/ZoneRulesProvider';
 
 /**
  * @see {@link ZoneId}
@@ -33,6 +34,23 @@ export class ZoneIdFactory {
         return SYSTEM_DEFAULT_ZONE_ID_INSTANCE;
     }
 
+    /**
+     * Gets the set of available zone IDs.
+     * <p>
+     * This set includes the string form of all available region-based IDs,
+     * as provided by the registered {@link ZoneRulesProvider}s, including the IDs
+     * of aliases like 'US/Eastern'.
+     * Offset-based zone IDs are not included in the returned set.
+     * The ID can be passed to {@link ZoneId.of} to create a {@code ZoneId}.
+     * <p>
+     * The set of zone IDs can increase over time, as more providers are registered.
+     *
+     * @return {string[]} a new array of the available zone IDs, not null
+     */
+    static getAvailableZoneIds() {
+        return ZoneRulesProvider.getAvailableZoneIds();
+    }
+
     /**
      * Obtains an instance of {@code ZoneId} from an ID ensuring that the
      * ID is valid and available for use.
@@ -172,6 +190,7 @@ export function _init(){
 
     // a bit magic to stay a bit more to the threeten bp impl.
     ZoneId.systemDefault = ZoneIdFactory.systemDefault;
+    ZoneId.getAvailableZoneIds = ZoneIdFactory.getAvailableZoneIds;
     ZoneId.of = ZoneIdFactory.of;
     ZoneId.ofOffset = ZoneIdFactory.ofOffset;
     ZoneId.from = ZoneIdFactory.from;
@@ -4,11 +4,19 @@
  * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
  */
 
-import {DateTimeException} from './errors';
+import {requireNonNull} from './assert';
+import {DateTimeException, ZoneRulesException} from './errors';
 
 import {ZoneId} from './ZoneId';
 import {ZoneOffset} from './ZoneOffset';
 
+import {ZoneRulesProvider} from './zone/ZoneRulesProvider';
+
+/**
+ * The regex pattern for region IDs.
+ */
+var PATTERN = /^[A-Za-z][A-Za-z0-9~\/._+-]+$/;
+
 /**
  * A geographical region where the same time-zone rules apply.
  * <p>
@@ -29,19 +37,39 @@ import {ZoneOffset} from './ZoneOffset';
  */
 export class ZoneRegion extends ZoneId {
     /**
-     * not yet implemented
-     * @params {string} zoneId
-     * @return {ZoneId}
+     * Obtains an instance of {@code ZoneRegion} from an identifier.
+     * <p>
+     * The rules are looked up by the registered {@link ZoneRulesProvider}s.
+     *
+     * @param {string} zoneId - the time-zone ID, not null
+     * @param {boolean} [checkAvailable=true] - whether to check if the zone ID is available
+     * @return {ZoneRegion} the zone ID, not null
+     * @throws DateTimeException if the ID format is invalid
+     * @throws ZoneRulesException if checking availability and the ID cannot be found
      */
-    static ofId(zoneId){
-        // special case as removed from data file
-        if (zoneId === 'GMT0') {
-            var rules = ZoneOffset.UTC.rules();
-            return new ZoneRegion(zoneId, rules);
+    static ofId(zoneId, checkAvailable=true){
+        requireNonNull(zoneId, 'zoneId');
+        if (zoneId.length < 2 || PATTERN.test(zoneId) === false) {
+            throw new DateTimeException('Invalid ID for region-based ZoneId, invalid format: ' + zoneId);
+        }
+        var rules = null;
+        try {
+            // always attempt load for better behavior after deserialization
+            rules = ZoneRulesProvider.getRules(zoneId, true);
+        } catch (ex) {
+            if (!(ex instanceof ZoneRulesException)) {
+                throw ex;
+            }
+            // special case as removed from data file
+            if (zoneId === 'GMT0') {
+                rules = ZoneOffset.UTC.rules();
+            } else if (checkAvailable) {
+                throw ex;
+            }
         }
-        throw new DateTimeException('ZoneRegion.ofId() is not yet implemented');
+        return new ZoneRegion(zoneId, rules);
     }
-    
+
      //-------------------------------------------------------------------------
     /**
      * Constructor.
@@ -65,11 +93,31 @@ export class ZoneRegion extends ZoneId {
     }
 
     /**
+     * Gets the time-zone rules, looking them up by the registered providers if
+     * they were not available when this instance was created.
      *
      * @returns {ZoneRules}
+     * @throws ZoneRulesException if no rules are available for this ID
      */
     rules() {
-        return this._rules;
+        return this._rules != null ? this._rules : ZoneRulesProvider.getRules(this._id, false);
+    }
+
+    /**
+     * Gets the canonical ID of this region.
+     * <p>
+     * Legacy IDs that are links to another zone in the TZDB, like 'US/Eastern' or
+     * 'Asia/Calcutta', return the ID of the zone they refer to, like 'America/New_York'
+     * or 'Asia/Kolkata'. Any other ID is returned unchanged.
+     * <p>
+     * The ID returned by {@link ZoneRegion#id} is not affected, a region created
+     * from a legacy ID keeps its ID.
+     *
+     * @return {string} the canonical time-zone ID, not null
+     * @throws ZoneRulesException if the ID is not provided by a registered {@link ZoneRulesProvider}
+     */
+    canonicalId() {
+        return ZoneRulesProvider.getCanonicalId(this._id);
     }
 
 }
@@ -12,6 +12,7 @@ import {Instant} from './Instant';
 import {LocalDate} from './LocalDate';
 import {LocalDateTime} from './LocalDateTime';
 import {LocalTime} from './LocalTime';
+import {OffsetDateTime} from './OffsetDateTime';
 import {ZoneId} from './ZoneId';
 import {ZoneOffset} from './ZoneOffset';
 
@@ -255,24 +256,22 @@ export class ZonedDateTime extends ChronoZonedDateTime {
             return new ZonedDateTime(localDateTime, zone, zone);
         }
         var rules = zone.rules();
-        var offset = rules.offsetOfLocalDateTime(localDateTime);
-
-/* TODO implement for iana tzdb
         var validOffsets = rules.validOffsets(localDateTime);
-        if (validOffsets.size() == 1) {
-            offset = validOffsets.get(0);
-        } else if (validOffsets.size() == 0) {
+        var offset;
+        if (validOffsets.length === 1) {
+            offset = validOffsets[0];
+        } else if (validOffsets.length === 0) {
             var trans = rules.transition(localDateTime);
             localDateTime = localDateTime.plusSeconds(trans.duration().seconds());
             offset = trans.offsetAfter();
         } else {
-            if (preferredOffset != null && validOffsets.contains(preferredOffset)) {
+            if (preferredOffset != null && validOffsets.some((validOffset) => validOffset.equals(preferredOffset))) {
                 offset = preferredOffset;
             } else {
-                offset = requireNonNull(validOffsets.get(0), 'offset');  // protect against bad ZoneRules
+                offset = requireNonNull(validOffsets[0], 'offset');  // protect against bad ZoneRules
             }
         }
-*/
+
         return new ZonedDateTime(localDateTime, offset, zone);
     }
 
@@ -374,16 +373,14 @@ export class ZonedDateTime extends ChronoZonedDateTime {
         requireNonNull(zone, 'zone');
         var rules = zone.rules();
         if (rules.isValidOffset(localDateTime, offset) === false) {
-        /* TODO implement for iana tzdb
             var trans = rules.transition(localDateTime);
             if (trans != null && trans.isGap()) {
                 // error message says daylight savings for simplicity
                 // even though there are other kinds of gaps
-                throw new DateTimeException('LocalDateTime '' + localDateTime +
-                        '' does not exist in zone '' + zone +
-                        '' due to a gap in the local time-line, typically caused by daylight savings');
+                throw new DateTimeException('LocalDateTime "' + localDateTime +
+                        '" does not exist in zone "' + zone +
+                        '" due to a gap in the local time-line, typically caused by daylight savings');
             }
-        */
             throw new DateTimeException('ZoneOffset "' + offset + '" is not valid for LocalDateTime "' +
                 localDateTime + '" in zone "' + zone + '"');
         }
@@ -737,18 +734,16 @@ export class ZonedDateTime extends ChronoZonedDateTime {
      *
      * @return {ZonedDateTime} a {@code ZonedDateTime} based on this date-time with the earlier offset, not null
      */
-/* TODO implement for iana tzdb
     withEarlierOffsetAtOverlap() {
         var trans = this._zone.rules().transition(this._dateTime);
         if (trans != null && trans.isOverlap()) {
             var earlierOffset = trans.offsetBefore();
-            if (earlierOffset.equals(offset) === false) {
+            if (earlierOffset.equals(this._offset) === false) {
                 return new ZonedDateTime(this._dateTime, earlierOffset, this._zone);
             }
         }
         return this;
     }
-*/
 
     /**
      * Returns a copy of this date-time changing the zone offset to the
@@ -766,18 +761,54 @@ export class ZonedDateTime extends ChronoZonedDateTime {
      *
      * @return {ZonedDateTime} a {@code ZonedDateTime} based on this date-time with the later offset, not null
      */
-/* TODO implement for iana tzdb
     withLaterOffsetAtOverlap() {
-        var trans = zone().rules().transition(this.toLocalDateTime());
+        var trans = this._zone.rules().transition(this.toLocalDateTime());
         if (trans != null) {
             var laterOffset = trans.offsetAfter();
-            if (laterOffset.equals(offset) === false) {
+            if (laterOffset.equals(this._offset) === false) {
                 return new ZonedDateTime(this._dateTime, laterOffset, this._zone);
             }
         }
         return this;
     }
-*/
+
+    /**
+     * Gets the standard offset of the time-zone at the instant of this date-time.
+     * <p>
+     * The standard offset is the offset before any daylight saving time is applied,
+     * see {@link ZoneRules#standardOffset}.
+     *
+     * @return {ZoneOffset} the standard offset, not null
+     */
+    standardOffset() {
+        return this._zone.rules().standardOffset(this.toInstant());
+    }
+
+    /**
+     * Checks if daylight savings are in effect at the instant of this date-time,
+     * see {@link ZoneRules#isDaylightSavings}.
+     * <p>
+     * This is true if the offset of this date-time differs from the standard offset,
+     * such as during summer time.
+     *
+     * @return {boolean} true if daylight savings are in effect
+     */
+    isDaylightSavings() {
+        return this._zone.rules().isDaylightSavings(this.toInstant());
+    }
+
+    /**
+     * Gets the amount of daylight savings in effect at the instant of this date-time,
+     * see {@link ZoneRules#daylightSavings}.
+     * <p>
+     * This is the difference between the standard offset and the offset of this date-time,
+     * typically zero during winter and one hour during summer.
+     *
+     * @return {Duration} the amount of daylight savings, not null
+     */
+    daylightSavings() {
+        return this._zone.rules().daylightSavings(this.toInstant());
+    }
 
     //-----------------------------------------------------------------------
     /**
@@ -1932,13 +1963,7 @@ export class ZonedDateTime extends ChronoZonedDateTime {
             if (unit.isDateBased()) {
                 return this._dateTime.until(end._dateTime, unit);
             } else {
-                // TODO check with iana tzdb, this might be wrong   
-                return this._dateTime.until(end._dateTime, unit);
-                // threeten says
-                // return toOffsetDateTime().until(end.toOffsetDateTime(), unit)
-                // OffsetDateTime.until ...
-                // end = end.withOffsetSameInstant(offset);
-                // return dateTime.until(end.dateTime, unit);
+                return this.toOffsetDateTime().until(end.toOffsetDateTime(), unit);
             }
         }
         return unit.between(this, end);
@@ -1990,7 +2015,6 @@ export class ZonedDateTime extends ChronoZonedDateTime {
      * @return {OffsetDateTime} an offset date-time representing the same local date-time and offset, not null
      */
     toOffsetDateTime() {
-        // TODO we do not support OffsetDateTime, clean up
         return OffsetDateTime.of(this._dateTime, this._offset);
     }
 
@@ -12,6 +12,8 @@ import {_init as LocalTimeInit} from './LocalTime';
 import {_init as LocalDateTimeInit} from './LocalDateTime';
 import {_init as MonthInit} from './Month';
 import {_init as MonthDayInit} from './MonthDay';
+import {_init as OffsetDateTimeInit} from './OffsetDateTime';
+import {_init as OffsetTimeInit} from './OffsetTime';
 import {_init as PeriodInit} from './Period';
 import {_init as YearInit} from './Year';
 import {_init as YearConstantsInit} from './YearConstants';
@@ -22,7 +24,10 @@ import {_init as DateTimeFormatterInit} from './format/DateTimeFormatter';
 import {_init as ChronoFieldInit} from './temporal/ChronoField';
 import {_init as ChronoUnitInit} from './temporal/ChronoUnit';
 import {_init as IsoFieldsInit} from './temporal/IsoFields';
+import {_init as WeekFieldsInit} from './temporal/WeekFields';
 import {_init as DateTimeFormatterBuilderInit} from './format/DateTimeFormatterBuilder';
+import {_init as LocaleInit} from './format/Locale';
+import {_init as LocaleDataProviderInit} from './format/LocaleDataProvider';
 
 import {_init as TemporalQueriesInit} from './temporal/TemporalQueriesFactory';
 import {_init as ZoneIdInit} from './ZoneIdFactory';
@@ -45,6 +50,7 @@ function init() {
     IsoFieldsInit();
     TemporalQueriesInit();
     DayOfWeekInit();
+    WeekFieldsInit();
     InstantInit();
     LocalDateInit();
     LocalDateTimeInit();
@@ -55,8 +61,12 @@ function init() {
     PeriodInit();
     ZoneOffsetInit();
     ZonedDateTimeInit();
+    OffsetDateTimeInit();
+    OffsetTimeInit();
     ZoneIdInit();
     IsoChronologyInit();
+    LocaleInit();
+    LocaleDataProviderInit();
     DateTimeFormatterInit();
     DateTimeFormatterBuilderInit();
 }
@@ -23,6 +23,7 @@ function createErrorType(name, init, superErrorClass = Error) {
 export var DateTimeException = createErrorType('DateTimeException', messageWithCause);
 export var DateTimeParseException = createErrorType('DateTimeParseException', messageForDateTimeParseException);
 export var UnsupportedTemporalTypeException = createErrorType('UnsupportedTemporalTypeException', null, DateTimeException);
+export var ZoneRulesException = createErrorType('ZoneRulesException', messageWithCause, DateTimeException);
 export var ArithmeticException = createErrorType('ArithmeticException');
 export var IllegalArgumentException = createErrorType('IllegalArgumentException');
 export var IllegalStateException = createErrorType('IllegalStateException');
@@ -36,7 +37,17 @@ function messageWithCause(message, cause = null) {
     this.message = msg;
 }
 
-function messageForDateTimeParseException(message, text = '', index = 0, cause = null) {
+/**
+ * The details are provided by the formatter, they are null for other texts like the ones of a Duration or Period.
+ *
+ * @param {string} message
+ * @param {string} text  the text that was being parsed
+ * @param {number} index  the error index in the text
+ * @param {Error} cause  the cause of the failure
+ * @param {Object} details  the structured details of the failure,
+ *  with the properties stage, printerParser, expected, field and parsedFields
+ */
+function messageForDateTimeParseException(message, text = '', index = 0, cause = null, details = null) {
     let msg = message || this.name;
     msg += ': ' + text + ', at index: ' + index;
     if (cause !== null && cause instanceof Error) {
@@ -49,4 +60,24 @@ function messageForDateTimeParseException(message, text = '', index = 0, cause =
     this.errorIndex = () => {
         return index;
     };
+    // whether the failure came from 'parse' or from 'resolve', null if unknown
+    this.errorStage = () => {
+        return details != null ? details.stage : null;
+    };
+    // the description of the printer-parser that failed to parse, null if not a parse failure of a printer-parser
+    this.failedPrinterParser = () => {
+        return details != null ? details.printerParser : null;
+    };
+    // what was expected at the error index, e.g. "literal '-'", or the valid values of the invalid field
+    this.expected = () => {
+        return details != null ? details.expected : null;
+    };
+    // the field that failed to parse or that has an invalid value, null if not related to a field
+    this.errorField = () => {
+        return details != null ? details.field : null;
+    };
+    // the fields parsed until the failure, keyed by the name of the field
+    this.parsedFields = () => {
+        return details != null ? details.parsedFields : {};
+    };
 }
@@ -20,8 +20,7 @@ import {TemporalQueries} from '../temporal/TemporalQueries';
 import {LocalTime} from '../LocalTime';
 import {LocalDate} from '../LocalDate';
 import {Period} from '../Period';
-
-//import {ZoneOffset} from '../ZoneOffset';
+import {ZoneOffset} from '../ZoneOffset';
 
 /**
  * Builder that can holds date and time fields and related date and time objects.
@@ -148,11 +147,11 @@ export class DateTimeBuilder extends Temporal {
         // this._mergeInstantFields();
         this._mergeDate(resolverStyle);
         this._mergeTime(resolverStyle);
-        //if (resolveFields(resolverStyle)) {
-        //    mergeInstantFields();
-        //    mergeDate(resolverStyle);
-        //    mergeTime(resolverStyle);
-        //}
+        if (this._resolveFields(resolverStyle)) {
+            // this._mergeInstantFields();
+            this._mergeDate(resolverStyle);
+            this._mergeTime(resolverStyle);
+        }
         this._resolveTimeInferZeroes(resolverStyle);
         //this._crossCheck();
         if (this.excessDays != null && this.excessDays.isZero() === false && this.date != null && this.time != null) {
@@ -160,10 +159,100 @@ export class DateTimeBuilder extends Temporal {
             this.excessDays = Period.ZERO;
         }
         //resolveFractional();
-        //resolveInstant();
+        this._resolveInstant();
         return this;
     }
 
+    /**
+     * Resolves the {@link ChronoField.INSTANT_SECONDS} of the resolved date and time,
+     * using the parsed offset or, if no offset has been parsed, the zone.
+     *
+     * @private
+     */
+    _resolveInstant() {
+        if (this.date != null && this.time != null) {
+            var offsetSecs = this.fieldValues.get(ChronoField.OFFSET_SECONDS);
+            var zone = offsetSecs != null ? ZoneOffset.ofTotalSeconds(offsetSecs) : this.zone;
+            if (zone != null) {
+                var instant = this.date.atTime(this.time).atZone(zone).getLong(ChronoField.INSTANT_SECONDS);
+                this.fieldValues.put(ChronoField.INSTANT_SECONDS, instant);
+            }
+        }
+    }
+
+    /**
+     * Resolves the fields that are not resolved by the chronology, like the fields of {@link IsoFields}
+     * and {@link WeekFields}, by calling {@link TemporalField#resolve} until no field changes anymore.
+     *
+     * @param {ResolverStyle} resolverStyle
+     * @return {boolean} true if a field has been resolved
+     * @private
+     */
+    _resolveFields(resolverStyle) {
+        var changes = 0;
+        var changed = true;
+        while (changed && changes < 100) {
+            changed = false;
+            // have to restart after each change, as the fields of the map change
+            var fields = this.fieldValues.keys();
+            for (let i = 0; i < fields.length && changed === false; i++) {
+                let targetField = fields[i];
+                let resolvedObject = targetField.resolve(this.fieldValues, this, resolverStyle);
+                if (resolvedObject != null) {
+                    if (resolvedObject instanceof ChronoLocalDate) {
+                        this._resolveMakeChangesDate(targetField, resolvedObject);
+                    } else if (resolvedObject instanceof LocalTime) {
+                        this._resolveMakeChangesTime(targetField, resolvedObject);
+                    } else {
+                        throw new DateTimeException('Unknown type: ' + resolvedObject);
+                    }
+                    changed = true;
+                } else if (this.fieldValues.containsKey(targetField) === false) {
+                    changed = true;
+                }
+            }
+            if (changed) {
+                changes++;
+            }
+        }
+        if (changes === 100) {
+            throw new DateTimeException('Badly written field');
+        }
+        return changes > 0;
+    }
+
+    /**
+     *
+     * @param {TemporalField} targetField
+     * @param {ChronoLocalDate} date
+     * @private
+     */
+    _resolveMakeChangesDate(targetField, date) {
+        var epochDay = date.toEpochDay();
+        var old = this.fieldValues.get(ChronoField.EPOCH_DAY);
+        if (old != null && old !== epochDay) {
+            throw new DateTimeException('Conflict found: ' + LocalDate.ofEpochDay(old) + ' differs from ' +
+                LocalDate.ofEpochDay(epochDay) + ' while resolving  ' + targetField);
+        }
+        this.fieldValues.put(ChronoField.EPOCH_DAY, epochDay);
+    }
+
+    /**
+     *
+     * @param {TemporalField} targetField
+     * @param {LocalTime} time
+     * @private
+     */
+    _resolveMakeChangesTime(targetField, time) {
+        var nanoOfDay = time.toNanoOfDay();
+        var old = this.fieldValues.get(ChronoField.NANO_OF_DAY);
+        if (old != null && old !== nanoOfDay) {
+            throw new DateTimeException('Conflict found: ' + LocalTime.ofNanoOfDay(old) + ' differs from ' +
+                time + ' while resolving  ' + targetField);
+        }
+        this.fieldValues.put(ChronoField.NANO_OF_DAY, nanoOfDay);
+    }
+
     /**
      *
      * @param {ResolverStyle} resolverStyle
@@ -190,7 +279,7 @@ export class DateTimeBuilder extends Temporal {
             this._addObject(date);
             for (let fieldName in this.fieldValues.keySet()) {
                 let field = ChronoField.byName(fieldName);
-                if (field !== null) {
+                if (field != null) {
                     if (this.fieldValues.get(field) !== undefined) { // undefined if "removed" in EnumMap
                         if (field.isDateBased()) {
                             var val1;
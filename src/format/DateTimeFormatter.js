@@ -4,34 +4,130 @@
  * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
  */
 
-import {assert, requireNonNull} from '../assert';
+import {assert, requireInstance, requireNonNull} from '../assert';
 
-import {DateTimeParseException, NullPointerException} from '../errors';
+import {DateTimeException, DateTimeParseException, IllegalArgumentException, NullPointerException} from '../errors';
 
+import {Month} from '../Month';
 import {Period} from '../Period';
+import {ZoneId} from '../ZoneId';
 
 import {ParsePosition} from './ParsePosition';
 import {DateTimeBuilder} from './DateTimeBuilder';
 import {DateTimeParseContext} from './DateTimeParseContext';
+import {EnumMap} from './EnumMap';
 import {DateTimePrintContext} from './DateTimePrintContext';
 import {DateTimeFormatterBuilder} from './DateTimeFormatterBuilder';
+import {DecimalStyle} from './DecimalStyle';
+import {Locale} from './Locale';
 import {SignStyle} from './SignStyle';
 import {StringBuilder} from './StringBuilder';
 import {ResolverStyle} from './ResolverStyle';
 
 import {IsoChronology} from '../chrono/IsoChronology';
 import {ChronoField} from '../temporal/ChronoField';
+import {IsoFields} from '../temporal/IsoFields';
 import {createTemporalQuery} from '../temporal/TemporalQuery';
+import {ValueRange} from '../temporal/ValueRange';
+
+/**
+ * Converts parsed field values to a plain object keyed by the names of the fields.
+ *
+ * @param {EnumMap} fieldValues  the parsed field values, not null
+ * @return {Object} the parsed values keyed by field name, not null
+ * @private
+ */
+function toParsedFields(fieldValues) {
+    var parsedFields = {};
+    fieldValues.keys().forEach((field) => {
+        parsedFields[field.name()] = fieldValues.get(field);
+    });
+    return parsedFields;
+}
+
+/**
+ * Cross-checks the parsed day of the month and day of the year against the parsed month and year,
+ * e.g. the day of the month 30 in february.
+ *
+ * @param {EnumMap} fieldValues  the parsed field values, not null
+ * @return {{field: ChronoField, range: ValueRange}} the day field exceeding the length of its month or year
+ *  and the valid range of it, null if there is none
+ * @private
+ */
+function crossCheckDays(fieldValues) {
+    var year = null;
+    if (fieldValues.containsKey(ChronoField.YEAR)) {
+        year = fieldValues.get(ChronoField.YEAR);
+    } else if (fieldValues.containsKey(ChronoField.YEAR_OF_ERA)) {
+        var yoe = fieldValues.get(ChronoField.YEAR_OF_ERA);
+        year = (fieldValues.get(ChronoField.ERA) === 0 ? 1 - yoe : yoe);
+    }
+    var leapYear = (year == null || IsoChronology.isLeapYear(year));
+    var dom = fieldValues.get(ChronoField.DAY_OF_MONTH);
+    var moy = fieldValues.get(ChronoField.MONTH_OF_YEAR);
+    if (dom != null && moy != null && ChronoField.MONTH_OF_YEAR.range().isValidValue(moy)) {
+        var lengthOfMonth = Month.of(moy).length(leapYear);
+        if (dom > lengthOfMonth) {
+            return {field: ChronoField.DAY_OF_MONTH, range: ValueRange.of(1, lengthOfMonth)};
+        }
+    }
+    var doy = fieldValues.get(ChronoField.DAY_OF_YEAR);
+    if (doy != null && year != null && doy > (leapYear ? 366 : 365)) {
+        return {field: ChronoField.DAY_OF_YEAR, range: ValueRange.of(1, leapYear ? 366 : 365)};
+    }
+    return null;
+}
 
 /**
  *
  * <h3>Static properties of Class {@link DateTimeFormatter}</h3>
  *
- * DateTimeFormatter.ISO_LOCAL_DATE
+ * DateTimeFormatter.ISO_LOCAL_DATE - the ISO date without an offset, such as '2011-12-03'
+ *
+ * DateTimeFormatter.ISO_OFFSET_DATE - the ISO date with an offset, such as '2011-12-03+01:00'
  *
- * DateTimeFormatter.ISO_LOCAL_TIME
+ * DateTimeFormatter.ISO_DATE - the ISO date with the offset if available, such as '2011-12-03' or '2011-12-03+01:00'
  *
- * DateTimeFormatter.ISO_LOCAL_DATE_TIME
+ * DateTimeFormatter.ISO_LOCAL_TIME - the ISO time without an offset, such as '10:15' or '10:15:30'
+ *
+ * DateTimeFormatter.ISO_OFFSET_TIME - the ISO time with an offset, such as '10:15:30+01:00'
+ *
+ * DateTimeFormatter.ISO_TIME - the ISO time with the offset if available, such as '10:15:30' or '10:15:30+01:00'
+ *
+ * DateTimeFormatter.ISO_LOCAL_DATE_TIME - the ISO date-time without an offset, such as '2011-12-03T10:15:30'
+ *
+ * DateTimeFormatter.ISO_OFFSET_DATE_TIME - the ISO date-time with an offset, such as '2011-12-03T10:15:30+01:00'
+ *
+ * DateTimeFormatter.ISO_ZONED_DATE_TIME - the ISO date-time with an offset and the zone if it is not an offset,
+ *  such as '2011-12-03T10:15:30+01:00[Europe/Paris]'
+ *
+ * DateTimeFormatter.ISO_DATE_TIME - the ISO date-time with the offset if available and the zone if it is
+ *  not an offset, such as '2011-12-03T10:15:30', '2011-12-03T10:15:30+01:00' or '2011-12-03T10:15:30+01:00[Europe/Paris]'
+ *
+ * DateTimeFormatter.ISO_ORDINAL_DATE - the ISO ordinal date with the offset if available, such as '2012-337'
+ *
+ * DateTimeFormatter.ISO_WEEK_DATE - the ISO week-based date with the offset if available, such as '2012-W48-6'
+ *
+ * DateTimeFormatter.ISO_INSTANT - the ISO instant in UTC, such as '2011-12-03T10:15:30Z'
+ *
+ * DateTimeFormatter.BASIC_ISO_DATE - the basic ISO date with the offset if available,
+ *  such as '20111203' or '20111203+0100'
+ *
+ * DateTimeFormatter.RFC_1123_DATE_TIME - the RFC-1123 date-time, such as 'Tue, 3 Jun 2008 11:05:30 GMT',
+ *  with english names of the days and months independent of the locale.
+ *  Only four digit years and the offsets 'GMT' and '+HHMM' are supported, the two digit years and the
+ *  obsolete zone names of RFC-822, like 'UT', 'EST' or 'PDT', are not parsed.
+ *  The formatter prints temporals with an offset, like a {@link ZonedDateTime} or an {@link OffsetDateTime},
+ *  it fails to print an {@link Instant}, which has no date fields without a zone. Use
+ *  {@code RFC_1123_DATE_TIME.withZone(ZoneOffset.UTC)} or {@code HTTP_DATE} to print an instant,
+ *  e.g. for a http header
+ *
+ * DateTimeFormatter.HTTP_DATE - the RFC 7231 HTTP-date in GMT, such as 'Tue, 03 Jun 2008 11:05:30 GMT',
+ *  also parsing the obsolete RFC 850 and asctime() formats, see {@link DateTimeFormatterBuilder#appendHttpDate}
+ *
+ * The optional parts are printed if the temporal has them, and parsed if the text has them,
+ * so that the result of a parse can be queried for the most specific type available,
+ * e.g. {@link ZonedDateTime.parse} or {@link LocalDateTime.parse} with {@code ISO_DATE_TIME}.
  *
  */
 export class DateTimeFormatter {
@@ -120,8 +216,8 @@ export class DateTimeFormatter {
      * <p>
      * This method will create a formatter based on a simple pattern of letters and symbols.
      * <p>
-     * The returned formatter will use the default locale, but this can be changed
-     * using {@link DateTimeFormatter.withLocale}.
+     * The returned formatter will use the specified locale, or the default locale if none
+     * is specified, but this can be changed using {@link DateTimeFormatter.withLocale}.
      * <p>
      * All letters 'A' to 'Z' and 'a' to 'z' are reserved as pattern letters.
      * The following pattern letters are defined:
@@ -177,7 +273,8 @@ export class DateTimeFormatter {
      * Exactly 4 pattern letters will use the full form `TextStyle.FULL`.
      * Exactly 5 pattern letters will use the narrow form `TextStyle.NARROW`.
      * <p>
-     * **NOTE**: since text styles require locale support, they are currently not supported in js-joda!
+     * **NOTE**: the text is provided by the locale data of the {@link LocaleDataProvider}, js-joda registers
+     * the english data by default, the data of other locales has to be registered.
      * <p>
      * **Number**: If the count of letters is one, then the value is printed using the minimum number
      * of digits and without padding as per {@link DateTimeFormatterBuilder.appendValue}.
@@ -246,6 +343,7 @@ export class DateTimeFormatter {
      * output directly to ensure that future changes do not break your application.
      *
      * @param {String} pattern  the pattern to use, not null
+     * @param {Locale} [locale]  the locale to use, the default locale if not specified
      * @return {DateTimeFormatter} the formatter based on the pattern, not null
      * @throws IllegalArgumentException if the pattern is invalid
      * @see DateTimeFormatterBuilder#appendPattern(String)
@@ -254,8 +352,124 @@ export class DateTimeFormatter {
      * console.log(s); // '1 04 2016'
      *
      */
-    static ofPattern(pattern) {
-        return new DateTimeFormatterBuilder().appendPattern(pattern).toFormatter();
+    static ofPattern(pattern, locale) {
+        if (locale == null) {
+            return new DateTimeFormatterBuilder().appendPattern(pattern).toFormatter();
+        }
+        requireInstance(locale, Locale, 'locale');
+        return new DateTimeFormatterBuilder().appendPattern(pattern).toFormatter(locale);
+    }
+
+    /**
+     * Creates a formatter using the first of several patterns that matches.
+     * <p>
+     * The patterns are tried in order when parsing, and the first pattern that is able
+     * to print the temporal is used when formatting, see {@link DateTimeFormatterBuilder.appendFirstOf}.
+     * Each pattern is interpreted like in {@link DateTimeFormatter.ofPattern}.
+     *
+     * @param {String[]} patterns  the patterns to use, at least one, not null
+     * @param {Locale} [locale]  the locale to use, the default locale if not specified
+     * @return {DateTimeFormatter} the formatter based on the patterns, not null
+     * @throws IllegalArgumentException if a pattern is invalid or no pattern is specified
+     * @example
+     * var formatter = DateTimeFormatter.ofPatterns(['uuuu-MM-dd', 'dd.MM.uuuu', 'M/d/uuuu']);
+     * LocalDate.parse('01.03.2024', formatter); // 2024-03-01
+     * LocalDate.parse('3/1/2024', formatter); // 2024-03-01
+     */
+    static ofPatterns(patterns, locale) {
+        requireNonNull(patterns, 'patterns');
+        var builder = new DateTimeFormatterBuilder().appendFirstOf(patterns.map((pattern) => {
+            requireNonNull(pattern, 'pattern');
+            return new DateTimeFormatterBuilder().appendPattern(pattern).toFormatter();
+        }));
+        if (locale == null) {
+            return builder.toFormatter();
+        }
+        requireInstance(locale, Locale, 'locale');
+        return builder.toFormatter(locale);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a locale specific date format for the ISO chronology.
+     * <p>
+     * This returns a formatter that will format or parse a date.
+     * The exact format pattern used varies by locale.
+     * <p>
+     * The locale is determined from the formatter. The formatter returned directly by
+     * this method will use the default locale.
+     * The locale can be controlled using {@link DateTimeFormatter#withLocale}
+     * on the result of this method.
+     * <p>
+     * Note that the localized pattern is looked up lazily.
+     * This {@code DateTimeFormatter} holds the style required and the locale,
+     * looking up the pattern required on demand.
+     *
+     * @param {FormatStyle} dateStyle  the formatter style to obtain, not null
+     * @return {DateTimeFormatter} the date formatter, not null
+     */
+    static ofLocalizedDate(dateStyle) {
+        requireNonNull(dateStyle, 'dateStyle');
+        return new DateTimeFormatterBuilder().appendLocalized(dateStyle, null)
+            .toFormatter().withChronology(IsoChronology.INSTANCE);
+    }
+
+    /**
+     * Returns a locale specific time format for the ISO chronology.
+     * <p>
+     * This returns a formatter that will format or parse a time.
+     * The exact format pattern used varies by locale.
+     * <p>
+     * The locale is determined from the formatter. The formatter returned directly by
+     * this method will use the default locale.
+     * The locale can be controlled using {@link DateTimeFormatter#withLocale}
+     * on the result of this method.
+     * <p>
+     * Note that the localized pattern is looked up lazily.
+     * This {@code DateTimeFormatter} holds the style required and the locale,
+     * looking up the pattern required on demand.
+     * <p>
+     * The full and long styles typically require a time-zone, formatting a
+     * {@link LocalTime} with them fails.
+     *
+     * @param {FormatStyle} timeStyle  the formatter style to obtain, not null
+     * @return {DateTimeFormatter} the time formatter, not null
+     */
+    static ofLocalizedTime(timeStyle) {
+        requireNonNull(timeStyle, 'timeStyle');
+        return new DateTimeFormatterBuilder().appendLocalized(null, timeStyle)
+            .toFormatter().withChronology(IsoChronology.INSTANCE);
+    }
+
+    /**
+     * Returns a locale specific date-time format for the ISO chronology.
+     * <p>
+     * This returns a formatter that will format or parse a date-time.
+     * The exact format pattern used varies by locale.
+     * <p>
+     * The locale is determined from the formatter. The formatter returned directly by
+     * this method will use the default locale.
+     * The locale can be controlled using {@link DateTimeFormatter#withLocale}
+     * on the result of this method.
+     * <p>
+     * Note that the localized pattern is looked up lazily.
+     * This {@code DateTimeFormatter} holds the style required and the locale,
+     * looking up the pattern required on demand.
+     *
+     * @param {FormatStyle} dateStyleOrDateTimeStyle  the date style, or the style of both the date
+     *  and the time if no time style is specified, not null
+     * @param {FormatStyle} [timeStyle]  the time style, not null if specified
+     * @return {DateTimeFormatter} the date-time formatter, not null
+     */
+    static ofLocalizedDateTime(dateStyleOrDateTimeStyle, timeStyle) {
+        requireNonNull(dateStyleOrDateTimeStyle, 'dateStyle');
+        if (arguments.length > 1) {
+            requireNonNull(timeStyle, 'timeStyle');
+        } else {
+            timeStyle = dateStyleOrDateTimeStyle;
+        }
+        return new DateTimeFormatterBuilder().appendLocalized(dateStyleOrDateTimeStyle, timeStyle)
+            .toFormatter().withChronology(IsoChronology.INSTANCE);
     }
 
 
@@ -280,7 +494,7 @@ export class DateTimeFormatter {
          */
         this._printerParser = printerParser;
         /**
-         * The locale to use for formatting. // nyi
+         * The locale to use for formatting, not null.
          */
         this._locale = locale;
         /**
@@ -300,7 +514,7 @@ export class DateTimeFormatter {
          */
         this._chrono = chrono;
         /**
-         * The zone to use for formatting, null for no override. // nyi
+         * The zone to use for formatting, null for no override.
          */
         this._zone = zone;
     }
@@ -317,6 +531,33 @@ export class DateTimeFormatter {
         return this._chrono;
     }
 
+    /**
+     * Gets the overriding zone to be used during formatting.
+     *
+     * @return {ZoneId} the override zone, null if no override
+     */
+    zone() {
+        return this._zone;
+    }
+
+    /**
+     * Gets the resolver style to use during parsing.
+     *
+     * @return {ResolverStyle} the resolver style of this formatter, not null
+     */
+    resolverStyle() {
+        return this._resolverStyle;
+    }
+
+    /**
+     * Gets the resolver fields to use during parsing.
+     *
+     * @return {TemporalField[]} the fields used during resolving, null for all fields
+     */
+    resolverFields() {
+        return this._resolverFields;
+    }
+
     /**
      * Returns a copy of this formatter with a new override chronology.
      *
@@ -350,11 +591,132 @@ export class DateTimeFormatter {
     }
 
     /**
-     * not yet supported
-     * @returns {DateTimeFormatter}
+     * Returns a copy of this formatter with a new locale.
+     * <p>
+     * This is used to lookup any part of the formatter needing specific
+     * localization, such as the text or localized pattern.
+     * The decimal style is not changed, see {@link DecimalStyle.of}.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {Locale} locale  the new locale, not null
+     * @return {DateTimeFormatter} a formatter based on this formatter with the requested locale, not null
+     */
+    withLocale(locale) {
+        requireNonNull(locale, 'locale');
+        requireInstance(locale, Locale, 'locale');
+        if (locale.equals(this._locale)) {
+            return this;
+        }
+        return new DateTimeFormatter(this._printerParser, locale, this._decimalStyle,
+            this._resolverStyle, this._resolverFields, this._chrono, this._zone);
+    }
+
+    /**
+     * Returns a copy of this formatter with a new decimal style.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {DecimalStyle} decimalStyle  the new decimal style, not null
+     * @return {DateTimeFormatter} a formatter based on this formatter with the requested decimal style, not null
+     */
+    withDecimalStyle(decimalStyle) {
+        requireNonNull(decimalStyle, 'decimalStyle');
+        requireInstance(decimalStyle, DecimalStyle, 'decimalStyle');
+        if (decimalStyle.equals(this._decimalStyle)) {
+            return this;
+        }
+        return new DateTimeFormatter(this._printerParser, this._locale, decimalStyle,
+            this._resolverStyle, this._resolverFields, this._chrono, this._zone);
+    }
+
+    /**
+     * Returns a copy of this formatter with a new override zone.
+     * <p>
+     * This returns a formatter with similar state to this formatter but
+     * with the override zone set.
+     * By default, a formatter has no override zone, returning null.
+     * <p>
+     * If an override is added, then any instant that is printed or parsed will be affected.
+     * <p>
+     * When printing, if the temporal object contains an instant then it will
+     * be converted to a zoned date-time using the override zone, e.g. an {@link Instant}
+     * can be printed with {@link DateTimeFormatter.ISO_LOCAL_DATE_TIME}.
+     * If the temporal object does not contain an instant, but does contain an offset,
+     * then the override zone must not be an offset different to that offset.
+     * Otherwise the override zone is reported as the zone of the temporal object.
+     * <p>
+     * When parsing, the override zone is used as the zone of the result
+     * unless the formatter directly parses a zone.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {ZoneId} zone  the new override zone, null if no override
+     * @return {DateTimeFormatter} a formatter based on this formatter with the requested override zone, not null
      */
-    withLocale(){
-        return this;
+    withZone(zone) {
+        if (zone != null) {
+            requireInstance(zone, ZoneId, 'zone');
+        }
+        if (zone == null ? this._zone == null : zone.equals(this._zone)) {
+            return this;
+        }
+        return new DateTimeFormatter(this._printerParser, this._locale, this._decimalStyle,
+            this._resolverStyle, this._resolverFields, this._chrono, zone);
+    }
+
+    /**
+     * Returns a copy of this formatter with a new resolver style.
+     * <p>
+     * The resolver style controls how the fields are combined to form a date or time
+     * during parsing, see {@link ResolverStyle}.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {ResolverStyle} resolverStyle  the new resolver style, not null
+     * @return {DateTimeFormatter} a formatter based on this formatter with the requested resolver style, not null
+     */
+    withResolverStyle(resolverStyle) {
+        requireNonNull(resolverStyle, 'resolverStyle');
+        requireInstance(resolverStyle, ResolverStyle, 'resolverStyle');
+        if (resolverStyle.equals(this._resolverStyle)) {
+            return this;
+        }
+        return new DateTimeFormatter(this._printerParser, this._locale, this._decimalStyle,
+            resolverStyle, this._resolverFields, this._chrono, this._zone);
+    }
+
+    /**
+     * Returns a copy of this formatter with a new set of resolver fields.
+     * <p>
+     * During parsing, only the resolver fields are used to form a date or time,
+     * all other parsed fields are discarded before resolving.
+     * For example, parsing the year, month, day of month and day of year with the
+     * resolver fields year and day of year resolves the date from the day of year only.
+     * <p>
+     * The fields can be passed as arguments or as an array,
+     * null restores the default of resolving all parsed fields.
+     * <p>
+     * This instance is immutable and unaffected by this method call.
+     *
+     * @param {...TemporalField|TemporalField[]} resolverFields  the new set of resolver fields, null if no fields
+     * @return {DateTimeFormatter} a formatter based on this formatter with the requested resolver fields, not null
+     */
+    withResolverFields() {
+        var fields = arguments.length === 1 && (arguments[0] == null || Array.isArray(arguments[0])) ?
+            arguments[0] : Array.prototype.slice.call(arguments);
+        if (fields != null) {
+            fields.forEach((field) => requireNonNull(field, 'resolverField'));
+            fields = fields.filter((field, index) => fields.indexOf(field) === index);
+            if (this._resolverFields != null && this._resolverFields.length === fields.length &&
+                    fields.every((field) => this._resolverFields.indexOf(field) >= 0)) {
+                return this;
+            }
+        } else if (this._resolverFields == null) {
+            return this;
+        }
+        return new DateTimeFormatter(this._printerParser, this._locale, this._decimalStyle,
+            this._resolverStyle, fields, this._chrono, this._zone);
     }
 
     //-----------------------------------------------------------------------
@@ -431,13 +793,16 @@ export class DateTimeFormatter {
      */
     parse1(text) {
         requireNonNull(text, 'text');
+        var parsedFieldValues = null;
         try {
-            return this._parseToBuilder(text, null).resolve(this._resolverStyle, this._resolverFields);
+            var builder = this._parseToBuilder(text, null);
+            parsedFieldValues = new EnumMap().putAll(builder.fieldValues);
+            return builder.resolve(this._resolverStyle, this._resolverFields);
         } catch (ex) {
             if(ex instanceof DateTimeParseException){
                 throw ex;
             } else {
-                throw this._createError(text, ex);
+                throw this._createError(text, ex, parsedFieldValues);
             }
         }
     }
@@ -461,26 +826,130 @@ export class DateTimeFormatter {
     parse2(text, type) {
         requireNonNull(text, 'text');
         requireNonNull(type, 'type');
+        var parsedFieldValues = null;
         try {
-            var builder = this._parseToBuilder(text, null).resolve(this._resolverStyle, this._resolverFields);
+            var builder = this._parseToBuilder(text, null);
+            parsedFieldValues = new EnumMap().putAll(builder.fieldValues);
+            builder.resolve(this._resolverStyle, this._resolverFields);
             return builder.build(type);
         } catch (ex) {
             if(ex instanceof DateTimeParseException){
                 throw ex;
             } else {
-                throw this._createError(text, ex);
+                throw this._createError(text, ex, parsedFieldValues);
+            }
+        }
+    }
+
+    /**
+     * Fully parses the text producing an object of one of the specified types.
+     * <p>
+     * This parse method is convenient for use when the parser can handle optional elements.
+     * For example, a pattern of 'uuuu-MM-dd HH.mm[ VV]' can be fully parsed to a {@link ZonedDateTime},
+     * or partially parsed to a {@link LocalDateTime}.
+     * The queries must be specified in order, starting from the best matching full-parse option
+     * and ending with the worst matching minimal parse option.
+     * <p>
+     * The result is associated with the first type that successfully parses.
+     * Normally, applications will use {@code instanceof} to check the result.
+     * For example:
+     * <pre>
+     *  var dt = parser.parseBest(str, ZonedDateTime.FROM, LocalDateTime.FROM);
+     *  if (dt instanceof ZonedDateTime) {
+     *   ...
+     *  } else {
+     *   ...
+     *  }
+     * </pre>
+     * The types are passed as arguments or as an array, either as queries like {@link ZonedDateTime.FROM}
+     * or as the classes defining such a {@code FROM} query, like {@link ZonedDateTime}.
+     * <p>
+     * If the parse completes without reading the entire length of the text,
+     * or a problem occurs during parsing or merging, then an exception is thrown.
+     *
+     * @param {String} text  the text to parse, not null
+     * @param {...TemporalQuery|TemporalQuery[]} types  the types to attempt to parse to, at least two, not null
+     * @return {TemporalAccessor} the parsed date-time, not null
+     * @throws IllegalArgumentException if less than two types are specified
+     * @throws DateTimeParseException if unable to parse the requested result
+     */
+    parseBest(text) {
+        requireNonNull(text, 'text');
+        var types = arguments.length === 2 && Array.isArray(arguments[1]) ?
+            arguments[1] : Array.prototype.slice.call(arguments, 1);
+        if (types.length < 2) {
+            throw new IllegalArgumentException('At least two types must be specified');
+        }
+        var queries = types.map((type) => {
+            requireNonNull(type, 'type');
+            return typeof type === 'function' && type.FROM != null ? type.FROM : type;
+        });
+        var parsedFieldValues = null;
+        try {
+            var builder = this._parseToBuilder(text, null);
+            parsedFieldValues = new EnumMap().putAll(builder.fieldValues);
+            builder.resolve(this._resolverStyle, this._resolverFields);
+            for (let i = 0; i < queries.length; i++) {
+                try {
+                    return builder.build(queries[i]);
+                } catch (ex) {
+                    if (!(ex instanceof DateTimeException)) {
+                        throw ex;
+                    }
+                }
+            }
+            throw new DateTimeException('Unable to convert parsed text to any specified type: ' + queries.join(', '));
+        } catch (ex) {
+            if(ex instanceof DateTimeParseException){
+                throw ex;
+            } else {
+                throw this._createError(text, ex, parsedFieldValues);
             }
         }
     }
 
-    _createError(text, ex) {
+    /**
+     * Creates the exception of a failure that is not a parse failure of a printer-parser.
+     * <p>
+     * A failure after the text has been parsed is a failure to resolve the parsed fields,
+     * its error field is the first parsed field having an invalid value, if any,
+     * else the day of the month or year exceeding the length of the parsed month or year.
+     *
+     * @param {String} text  the text being parsed, not null
+     * @param {Error} ex  the cause of the failure, not null
+     * @param {EnumMap} parsedFieldValues  the parsed fields, null if the failure occurred during parsing
+     * @return {DateTimeParseException} the exception, not null
+     * @private
+     */
+    _createError(text, ex, parsedFieldValues) {
         var abbr = '';
         if (text.length > 64) {
-            abbr = text.subString(0, 64) + '...';
+            abbr = text.substr(0, 64) + '...';
         } else {
             abbr = text;
         }
-        return new DateTimeParseException('Text \'' + abbr + '\' could not be parsed: ' + ex.message, text, 0, ex);
+        var details = {stage: 'parse', printerParser: null, expected: null, field: null, parsedFields: {}};
+        if (parsedFieldValues != null) {
+            details.stage = 'resolve';
+            details.parsedFields = toParsedFields(parsedFieldValues);
+            var fields = parsedFieldValues.keys();
+            for (let i = 0; i < fields.length; i++) {
+                let field = fields[i];
+                if (field instanceof ChronoField && field.range().isValidValue(parsedFieldValues.get(field)) === false) {
+                    details.field = field;
+                    details.expected = `${field} in the range ${field.range()}`;
+                    break;
+                }
+            }
+            if (details.field == null) {
+                var crossChecked = crossCheckDays(parsedFieldValues);
+                if (crossChecked != null) {
+                    details.field = crossChecked.field;
+                    details.expected = `${crossChecked.field} in the range ${crossChecked.range}`;
+                }
+            }
+        }
+        return new DateTimeParseException('Text \'' + abbr + '\' could not be parsed: ' + ex.message, text, 0, ex, details);
     }
 
 
@@ -499,7 +968,8 @@ export class DateTimeFormatter {
      */
     _parseToBuilder(text, position) {
         var pos = (position != null ? position : new ParsePosition(0));
-        var result = this._parseUnresolved0(text, pos);
+        var context = new DateTimeParseContext(this);
+        var result = this._parseUnresolved0(text, pos, context);
         if (result == null || pos.getErrorIndex() >= 0 || (position == null && pos.getIndex() < text.length)) {
             var abbr = '';
             if (text.length > 64) {
@@ -507,12 +977,23 @@ export class DateTimeFormatter {
             } else {
                 abbr = text;
             }
+            var details = {stage: 'parse', printerParser: null, expected: null, field: null, parsedFields: {}};
             if (pos.getErrorIndex() >= 0) {
+                var error = context.getParseError(pos.getErrorIndex());
+                if (error != null) {
+                    var pp = error.printerParser;
+                    details.printerParser = pp.toString();
+                    details.expected = typeof pp.expected === 'function' ? pp.expected() : pp.toString();
+                    details.field = typeof pp.field === 'function' ? pp.field() : null;
+                    details.parsedFields = toParsedFields(error.fieldValues);
+                }
                 throw new DateTimeParseException('Text \'' + abbr + '\' could not be parsed at index ' +
-                        pos.getErrorIndex(), text, pos.getErrorIndex());
+                        pos.getErrorIndex(), text, pos.getErrorIndex(), null, details);
             } else {
+                details.expected = 'end of text';
+                details.parsedFields = toParsedFields(result.fieldValues);
                 throw new DateTimeParseException('Text \'' + abbr + '\' could not be parsed, unparsed text found at index ' +
-                        pos.getIndex(), text, pos.getIndex());
+                        pos.getIndex(), text, pos.getIndex(), null, details);
             }
         }
         return result.toBuilder();
@@ -561,10 +1042,9 @@ export class DateTimeFormatter {
         return this._parseUnresolved0(text, position);
     }
 
-    _parseUnresolved0(text, position) {
+    _parseUnresolved0(text, position, context = new DateTimeParseContext(this)) {
         assert(text != null, 'text', NullPointerException);
         assert(position != null, 'position', NullPointerException);
-        var context = new DateTimeParseContext(this);
         var pos = position.getIndex();
         pos = this._printerParser.parse(context, text, pos);
         if (pos < 0) {
@@ -602,6 +1082,19 @@ export function _init() {
         .appendValue(ChronoField.DAY_OF_MONTH, 2)
         .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
 
+    DateTimeFormatter.ISO_OFFSET_DATE = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .append(DateTimeFormatter.ISO_LOCAL_DATE)
+        .appendOffsetId()
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
+    DateTimeFormatter.ISO_DATE = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .append(DateTimeFormatter.ISO_LOCAL_DATE)
+        .optionalStart()
+        .appendOffsetId()
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
     DateTimeFormatter.ISO_LOCAL_TIME = new DateTimeFormatterBuilder()
         .appendValue(ChronoField.HOUR_OF_DAY, 2)
         .appendLiteral(':')
@@ -613,6 +1106,19 @@ export function _init() {
         .appendFraction(ChronoField.NANO_OF_SECOND, 0, 9, true)
         .toFormatter(ResolverStyle.STRICT);
 
+    DateTimeFormatter.ISO_OFFSET_TIME = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .append(DateTimeFormatter.ISO_LOCAL_TIME)
+        .appendOffsetId()
+        .toFormatter(ResolverStyle.STRICT);
+
+    DateTimeFormatter.ISO_TIME = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .append(DateTimeFormatter.ISO_LOCAL_TIME)
+        .optionalStart()
+        .appendOffsetId()
+        .toFormatter(ResolverStyle.STRICT);
+
     DateTimeFormatter.ISO_LOCAL_DATE_TIME = new DateTimeFormatterBuilder()
         .parseCaseInsensitive()
         .append(DateTimeFormatter.ISO_LOCAL_DATE)
@@ -620,11 +1126,6 @@ export function _init() {
         .append(DateTimeFormatter.ISO_LOCAL_TIME)
         .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
 
-    DateTimeFormatter.ISO_INSTANT = new DateTimeFormatterBuilder()
-        .parseCaseInsensitive()
-        .appendInstant()
-        .toFormatter(ResolverStyle.STRICT);
-
     DateTimeFormatter.ISO_OFFSET_DATE_TIME = new DateTimeFormatterBuilder()
         .parseCaseInsensitive()
         .append(DateTimeFormatter.ISO_LOCAL_DATE_TIME)
@@ -641,6 +1142,84 @@ export function _init() {
         .appendLiteral(']')
         .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
 
+    DateTimeFormatter.ISO_DATE_TIME = new DateTimeFormatterBuilder()
+        .append(DateTimeFormatter.ISO_LOCAL_DATE_TIME)
+        .optionalStart()
+        .appendOffsetId()
+        .optionalStart()
+        .appendLiteral('[')
+        .parseCaseSensitive()
+        .appendZoneRegionId()
+        .appendLiteral(']')
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
+    DateTimeFormatter.ISO_ORDINAL_DATE = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .appendValue(ChronoField.YEAR, 4, 10, SignStyle.EXCEEDS_PAD)
+        .appendLiteral('-')
+        .appendValue(ChronoField.DAY_OF_YEAR, 3)
+        .optionalStart()
+        .appendOffsetId()
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
+    DateTimeFormatter.ISO_WEEK_DATE = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .appendValue(IsoFields.WEEK_BASED_YEAR, 4, 10, SignStyle.EXCEEDS_PAD)
+        .appendLiteral('-W')
+        .appendValue(IsoFields.WEEK_OF_WEEK_BASED_YEAR, 2)
+        .appendLiteral('-')
+        .appendValue(ChronoField.DAY_OF_WEEK, 1)
+        .optionalStart()
+        .appendOffsetId()
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
+    DateTimeFormatter.ISO_INSTANT = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .appendInstant()
+        .toFormatter(ResolverStyle.STRICT);
+
+    DateTimeFormatter.BASIC_ISO_DATE = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .appendValue(ChronoField.YEAR, 4)
+        .appendValue(ChronoField.MONTH_OF_YEAR, 2)
+        .appendValue(ChronoField.DAY_OF_MONTH, 2)
+        .optionalStart()
+        .appendOffset('+HHMMss', 'Z')
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
+    const dow = {1: 'Mon', 2: 'Tue', 3: 'Wed', 4: 'Thu', 5: 'Fri', 6: 'Sat', 7: 'Sun'};
+    const moy = {
+        1: 'Jan', 2: 'Feb', 3: 'Mar', 4: 'Apr', 5: 'May', 6: 'Jun',
+        7: 'Jul', 8: 'Aug', 9: 'Sep', 10: 'Oct', 11: 'Nov', 12: 'Dec'
+    };
+    DateTimeFormatter.RFC_1123_DATE_TIME = new DateTimeFormatterBuilder()
+        .parseCaseInsensitive()
+        .parseLenient()
+        .optionalStart()
+        .appendText(ChronoField.DAY_OF_WEEK, dow)
+        .appendLiteral(', ')
+        .optionalEnd()
+        .appendValue(ChronoField.DAY_OF_MONTH, 1, 2, SignStyle.NOT_NEGATIVE)
+        .appendLiteral(' ')
+        .appendText(ChronoField.MONTH_OF_YEAR, moy)
+        .appendLiteral(' ')
+        .appendValue(ChronoField.YEAR, 4)
+        .appendLiteral(' ')
+        .appendValue(ChronoField.HOUR_OF_DAY, 2)
+        .appendLiteral(':')
+        .appendValue(ChronoField.MINUTE_OF_HOUR, 2)
+        .optionalStart()
+        .appendLiteral(':')
+        .appendValue(ChronoField.SECOND_OF_MINUTE, 2)
+        .optionalEnd()
+        .appendLiteral(' ')
+        .appendOffset('+HHMM', 'GMT')
+        .toFormatter(ResolverStyle.SMART).withChronology(IsoChronology.INSTANCE);
+
+    DateTimeFormatter.HTTP_DATE = new DateTimeFormatterBuilder()
+        .appendHttpDate()
+        .toFormatter(ResolverStyle.STRICT).withChronology(IsoChronology.INSTANCE);
+
     DateTimeFormatter.PARSED_EXCESS_DAYS = createTemporalQuery('PARSED_EXCESS_DAYS', (temporal) => {
         if (temporal instanceof DateTimeBuilder) {
             return temporal.excessDays;
@@ -10,6 +10,7 @@ import {MathUtil} from '../MathUtil';
 
 import {Enum} from '../Enum';
 import {ZoneIdFactory} from '../ZoneIdFactory';
+import {Instant} from '../Instant';
 import {LocalDate} from '../LocalDate';
 import {LocalDateTime} from '../LocalDateTime';
 import {ZoneOffset} from '../ZoneOffset';
@@ -18,16 +19,30 @@ import {ChronoLocalDate} from '../chrono/ChronoLocalDate';
 import {IsoChronology} from '../chrono/IsoChronology';
 import {ChronoField} from '../temporal/ChronoField';
 import {IsoFields} from '../temporal/IsoFields';
+import {createTemporalQuery} from '../temporal/TemporalQuery';
 import {TemporalQueries} from '../temporal/TemporalQueries';
+import {WeekFields} from '../temporal/WeekFields';
+import {ZoneRulesProvider} from '../zone/ZoneRulesProvider';
 
 import {DateTimeFormatter} from './DateTimeFormatter';
 import {DecimalStyle} from './DecimalStyle';
+import {Locale} from './Locale';
+import {LocaleDataProvider} from './LocaleDataProvider';
+import {LocaleStore, SimpleDateTimeTextProvider} from './SimpleDateTimeTextProvider';
 import {SignStyle} from './SignStyle';
 import {TextStyle} from './TextStyle';
 import {ResolverStyle} from './ResolverStyle';
 
 const MAX_WIDTH = 15; // can't parse all numbers with more then 15 digits in javascript
 
+/**
+ * Query for a time-zone that is region-only.
+ */
+const QUERY_REGION_ONLY = createTemporalQuery('QUERY_REGION_ONLY', (temporal) => {
+    var zone = temporal.query(TemporalQueries.zoneId());
+    return (zone != null && zone instanceof ZoneOffset === false) ? zone : null;
+});
+
 export class DateTimeFormatterBuilder {
 
     /**
@@ -152,6 +167,40 @@ export class DateTimeFormatterBuilder {
         return this;
     }
 
+    /**
+     * Appends a default value for a field to the formatter for use in parsing.
+     * 
+     * This appends an instruction to the builder to inject a default value
+     * into the parsed result. This is especially useful in conjunction with
+     * optional parts of the formatter.
+     * 
+     * For example, consider a formatter that parses the year, followed by
+     * an optional month, with a further optional day-of-month. Using such a
+     * formatter would require the calling code to check whether a full date,
+     * year-month or just a year had been parsed. This method can be used to
+     * default the month and day-of-month to a sensible value, such as the
+     * first of the month, allowing the calling code to always get a date.
+     * 
+     * During formatting, this method has no effect.
+     * 
+     * During parsing, the current state of the parse is inspected.
+     * If the specified field has no associated value, because it has not been
+     * parsed successfully at that point, then the specified value is injected
+     * into the parse result. Injection is immediate, thus the field-value pair
+     * will be visible to any subsequent elements in the formatter.
+     * As such, this method is normally called at the end of the builder.
+     *
+     * @param {TemporalField} field  the field to default the value of, not null
+     * @param {number} value  the value to default the field to
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     */
+    parseDefaulting(field, value) {
+        requireNonNull(field, 'field');
+        requireNonNull(value, 'value');
+        this._appendInternal(new DefaultingParser(field, value));
+        return this;
+    }
+
     /**
      * appendValue function overloading
      */
@@ -487,6 +536,85 @@ export class DateTimeFormatterBuilder {
         return this;
     }
 
+    /**
+     * appendText function overloading
+     */
+    appendText(){
+        if(arguments.length === 1){
+            return this._appendText1.apply(this, arguments);
+        } else {
+            return this._appendText2.apply(this, arguments);
+        }
+    }
+
+    /**
+     * Appends the text of a date-time field to the formatter using the full
+     * text style.
+     * <p>
+     * The text of the field will be output during a print.
+     * The value must be within the valid range of the field.
+     * If the value cannot be obtained then an exception will be thrown.
+     * If the field has no textual representation, then the numeric value will be used.
+     * <p>
+     * The value will be printed as per the normal print of an integer value.
+     * Only negative numbers will be signed. No padding will be added.
+     *
+     * @param {TemporalField} field  the field to append, not null
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     */
+    _appendText1(field) {
+        return this._appendText2(field, TextStyle.FULL);
+    }
+
+    /**
+     * Appends the text of a date-time field to the formatter, either in a
+     * text style or using the specified map to supply the text.
+     * <p>
+     * With a {@link TextStyle}, the text of the field will be output during a print.
+     * The value must be within the valid range of the field.
+     * If the value cannot be obtained then an exception will be thrown.
+     * If the field has no textual representation, then the numeric value will be used.
+     * <p>
+     * With a map, the standard text that would normally be output for a field is overridden.
+     * The map is an object whose keys are the field values and whose values are the texts,
+     * for example to print the months in roman numerals:
+     * <pre>
+     *  builder.appendText(ChronoField.MONTH_OF_YEAR, {1: 'JNY', 2: 'FBY', 3: 'MCH', ...});
+     * </pre>
+     * When parsing, the texts are matched case-sensitively or case-insensitively
+     * as per the formatter, longest text first. Parsing in strict mode only accepts
+     * the texts of the style, parsing in lenient mode accepts the texts of any style.
+     *
+     * @param {TemporalField} field  the field to append, not null
+     * @param {TextStyle|Object} textStyle  the text style to use, or the map of values to texts, not null
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     */
+    _appendText2(field, textStyle) {
+        requireNonNull(field, 'field');
+        requireNonNull(textStyle, 'textStyle');
+        if (textStyle instanceof TextStyle) {
+            this._appendInternal(new TextPrinterParser(field, textStyle, SimpleDateTimeTextProvider.getInstance()));
+        } else {
+            var valueTextMap = {};
+            Object.keys(textStyle).forEach((value) => {
+                valueTextMap[value] = textStyle[value];
+            });
+            var map = {};
+            map[TextStyle.FULL] = valueTextMap;
+            var store = new LocaleStore(map);
+            var provider = {
+                getText(field, value, style) {
+                    return store.getText(value, style);
+                },
+                getTextIterator(field, style) {
+                    return store.getTextIterator(style);
+                }
+            };
+            this._appendInternal(new TextPrinterParser(field, TextStyle.FULL, provider));
+        }
+        return this;
+    }
+
     /**
      * Appends an instant using ISO-8601 to the formatter with control over
      * the number of fractional digits.
@@ -531,6 +659,31 @@ export class DateTimeFormatterBuilder {
     }
 
 
+    /**
+     * Appends an HTTP-date, such as 'Sun, 06 Nov 1994 08:49:37 GMT', to the formatter.
+     * <p>
+     * HTTP-dates are defined by RFC 7231 and always represent an instant in GMT,
+     * the names of the days and months are english, independent of the locale.
+     * <p>
+     * During printing, the instant is obtained using {@link ChronoField#INSTANT_SECONDS INSTANT_SECONDS}
+     * and printed in GMT using the preferred IMF-fixdate format, such as 'Sun, 06 Nov 1994 08:49:37 GMT'.
+     * If the instant cannot be obtained then an exception is thrown unless the
+     * section of the formatter is optional.
+     * <p>
+     * During parsing, the IMF-fixdate format is accepted as well as the obsolete formats
+     * of RFC 850, such as 'Sunday, 06-Nov-94 08:49:37 GMT', and of the ANSI C asctime(),
+     * such as 'Sun Nov  6 08:49:37 1994'. The two digit year of RFC 850 is interpreted
+     * as the most recent year in the past if it appears to be more than 50 years in the future.
+     * The date and time fields, the {@code INSTANT_SECONDS} and the zone {@link ZoneOffset#UTC}
+     * are parsed, the day of the week must match the date.
+     *
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     */
+    appendHttpDate() {
+        this._appendInternal(new HttpDatePrinterParser());
+        return this;
+    }
+
     /**
      * Appends the zone offset, such as '+01:00', to the formatter.
      * <p>
@@ -613,6 +766,151 @@ export class DateTimeFormatterBuilder {
         return this;
     }
 
+    /**
+     * Appends the time-zone region ID, such as 'Europe/Paris', to the formatter,
+     * rejecting the zone ID if it is a {@code ZoneOffset}.
+     * <p>
+     * This appends an instruction to print/parse the zone ID to the builder
+     * only if it is a region-based ID.
+     * <p>
+     * During printing, the zone is obtained using a mechanism equivalent
+     * to querying the temporal with {@link TemporalQueries#zoneId()}.
+     * If the zone is a {@code ZoneOffset} or it cannot be obtained then
+     * an exception is thrown unless the section of the formatter is optional.
+     * If the zone is not an offset, then the zone will be printed using
+     * the zone ID from {@link ZoneId#getId()}.
+     * <p>
+     * During parsing, the zone is parsed like {@link #appendZoneId()},
+     * accepting offsets as well.
+     *
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     * @see #appendZoneId()
+     */
+    appendZoneRegionId() {
+        this._appendInternal(new ZoneIdPrinterParser(QUERY_REGION_ONLY, 'ZoneRegionId()'));
+        return this;
+    }
+
+    /**
+     * Appends the time-zone name, such as 'British Summer Time', to the formatter.
+     * <p>
+     * This appends an instruction to print/parse the textual name of the zone to the builder.
+     * <p>
+     * During printing, the zone is obtained using a mechanism equivalent
+     * to querying the temporal with {@link TemporalQueries#zoneId()}.
+     * If the temporal has an instant, the standard or the daylight saving name
+     * of the zone is printed, like 'CET' or 'CEST', otherwise the generic name.
+     * The names are provided by the locale data of the {@link LocaleDataProvider},
+     * a zone without a name, like a {@link ZoneOffset}, is printed by its ID.
+     * If the zone cannot be obtained then an exception is thrown unless the
+     * section of the formatter is optional.
+     * <p>
+     * During parsing, the standard, daylight saving and generic names of the text style
+     * are accepted, as well as the zone IDs and offsets accepted by {@link #appendZoneId()}.
+     * A name shared by several zones, like 'CET', is parsed to one of the {@code preferredZones}
+     * having that name, or otherwise to the first zone of the locale data having that name.
+     * If the zone cannot be parsed then an exception is thrown unless the
+     * section of the formatter is optional.
+     *
+     * @param {TextStyle} textStyle  the text style to use, not null
+     * @param {ZoneId[]} [preferredZones]  the zones preferred when parsing an ambiguous name, not null
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     */
+    appendZoneText(textStyle, preferredZones=[]) {
+        requireNonNull(textStyle, 'textStyle');
+        requireNonNull(preferredZones, 'preferredZones');
+        this._appendInternal(new ZoneTextPrinterParser(textStyle, false, preferredZones));
+        return this;
+    }
+
+    /**
+     * Appends the generic time-zone name, such as 'Pacific Time', to the formatter.
+     * <p>
+     * This appends an instruction to print/parse the generic name of the zone to the builder.
+     * The generic name does not depend on daylight saving, otherwise printing and parsing
+     * work as described in {@link #appendZoneText}.
+     *
+     * @param {TextStyle} textStyle  the text style to use, not null
+     * @param {ZoneId[]} [preferredZones]  the zones preferred when parsing an ambiguous name, not null
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     */
+    appendGenericZoneText(textStyle, preferredZones=[]) {
+        requireNonNull(textStyle, 'textStyle');
+        requireNonNull(preferredZones, 'preferredZones');
+        this._appendInternal(new ZoneTextPrinterParser(textStyle, true, preferredZones));
+        return this;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Appends a localized date-time pattern to the formatter.
+     * <p>
+     * This appends a localized section to the builder, suitable for outputting
+     * a date, time or date-time combination. The format of the localized
+     * section is lazily looked up based on four items:
+     * <ul>
+     * <li>the {@code dateStyle} specified to this method
+     * <li>the {@code timeStyle} specified to this method
+     * <li>the {@code Locale} of the {@code DateTimeFormatter}
+     * <li>the {@code Chronology}, selecting the best available
+     * </ul>
+     * During formatting, the chronology is obtained from the temporal object
+     * being formatted, which may have been overridden by
+     * {@link DateTimeFormatter#withChronology(Chronology)}.
+     * <p>
+     * During parsing, if a chronology has already been parsed, then it is used.
+     * Otherwise the default from {@code DateTimeFormatter.withChronology(Chronology)}
+     * is used, with {@code IsoChronology} as the fallback.
+     * <p>
+     * The patterns are provided by the locale data of the {@link LocaleDataProvider}.
+     * Note that this method provides similar functionality to methods on
+     * {@code DateFormat} such as {@code DateFormat.getDateTimeInstance(int, int)}.
+     *
+     * @param {FormatStyle} dateStyle  the date style to use, null means no date required
+     * @param {FormatStyle} timeStyle  the time style to use, null means no time required
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     * @throws IllegalArgumentException if both the date and time styles are null
+     */
+    appendLocalized(dateStyle, timeStyle) {
+        if (dateStyle == null && timeStyle == null) {
+            throw new IllegalArgumentException('Either the date or time style must be non-null');
+        }
+        this._appendInternal(new LocalizedPrinterParser(dateStyle, timeStyle));
+        return this;
+    }
+
+    /**
+     * Gets the formatting pattern for date and time styles for a locale and chronology.
+     * <p>
+     * The locale and chronology are used to lookup the locale specific format
+     * for the requested dateStyle and/or timeStyle.
+     * The patterns are provided by the locale data of the {@link LocaleDataProvider}.
+     *
+     * @param {FormatStyle} dateStyle  the FormatStyle for the date, null for no date
+     * @param {FormatStyle} timeStyle  the FormatStyle for the time, null for no time
+     * @param {Chronology} chrono  the Chronology, not null
+     * @param {Locale} locale  the locale, not null
+     * @return {String} the locale and Chronology specific formatting pattern
+     * @throws IllegalArgumentException if both dateStyle and timeStyle are null
+     */
+    static getLocalizedDateTimePattern(dateStyle, timeStyle, chrono, locale) {
+        requireNonNull(chrono, 'chrono');
+        requireNonNull(locale, 'locale');
+        if (dateStyle == null && timeStyle == null) {
+            throw new IllegalArgumentException('Either dateStyle or timeStyle must be non-null');
+        }
+        var datePattern = (dateStyle != null ? LocaleDataProvider.getData(locale, 'datePatterns')[dateStyle] : null);
+        var timePattern = (timeStyle != null ? LocaleDataProvider.getData(locale, 'timePatterns')[timeStyle] : null);
+        if (datePattern == null) {
+            return timePattern;
+        }
+        if (timePattern == null) {
+            return datePattern;
+        }
+        return LocaleDataProvider.getData(locale, 'dateTimePatterns')[dateStyle]
+            .replace('{1}', datePattern).replace('{0}', timePattern);
+    }
+
     //-----------------------------------------------------------------------
     /**
      * Appends the elements defined by the specified pattern to the builder.
@@ -652,6 +950,7 @@ export class DateTimeFormatterBuilder {
      *   N       nano-of-day                 number            1234000000
      *
      *   V       time-zone ID                zone-id           America/Los_Angeles; Z; -08:30
+     *   v       generic time-zone name      zone-name         Pacific Time; PT
      *   z       time-zone name              zone-name         Pacific Standard Time; PST
      *   X       zone-offset 'Z' for zero    offset-X          Z; -08; -0830; -08:30; -083015; -08:30:15;
      *   x       zone-offset                 offset-x          +0000; -08; -0830; -08:30; -083015; -08:30:15;
@@ -716,6 +1015,17 @@ export class DateTimeFormatterBuilder {
      *   zzzz        appendZoneText(TextStyle.FULL)
      * </pre>
      * <p>
+     * <b>Generic zone names</b>: This outputs the generic display name of the time-zone ID,
+     * that does not depend on daylight saving.
+     * If the count of letters is one, then the short name is output.
+     * If the count of letters is four, then the full name is output.
+     * Any other count of letters throws {@code IllegalArgumentException}.
+     * <pre>
+     *  Pattern     Equivalent builder methods
+     *   v           appendGenericZoneText(TextStyle.SHORT)
+     *   vvvv        appendGenericZoneText(TextStyle.FULL)
+     * </pre>
+     * <p>
      * <b>Offset X and x</b>: This formats the offset based on the number of pattern letters.
      * One letter outputs just the hour', such as '+01', unless the minute is non-zero
      * in which case the minute is also output, such as '+0130'.
@@ -846,14 +1156,18 @@ export class DateTimeFormatterBuilder {
                     if (count > 4) {
                         throw new IllegalArgumentException('Too many pattern letters: ' + cur);
                     } else if (count === 4) {
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendZoneText(TextStyle.FULL);
                     } else {
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendZoneText(TextStyle.SHORT);
                     }
+                } else if (cur === 'v') {
+                    if (count === 1) {
+                        this.appendGenericZoneText(TextStyle.SHORT);
+                    } else if (count === 4) {
+                        this.appendGenericZoneText(TextStyle.FULL);
+                    } else {
+                        throw new IllegalArgumentException('Wrong number of pattern letters: ' + cur);
+                    }
                 } else if (cur === 'V') {
                     if (count !== 2) {
                         throw new IllegalArgumentException('Pattern letter count must be 2: ' + cur);
@@ -898,14 +1212,14 @@ export class DateTimeFormatterBuilder {
                     if (count > 1) {
                         throw new IllegalArgumentException('Too many pattern letters: ' + cur);
                     }
-                    this._appendInternal(new OffsetIdPrinterParser('W', count));
+                    this._appendInternal(new WeekFieldsPrinterParser('W', count));
                 } else if (cur === 'w') {
                     if (count > 2) {
                         throw new IllegalArgumentException('Too many pattern letters: ' + cur);
                     }
-                    this._appendInternal(new OffsetIdPrinterParser('w', count));
+                    this._appendInternal(new WeekFieldsPrinterParser('w', count));
                 } else if (cur === 'Y') {
-                    this._appendInternal(new OffsetIdPrinterParser('Y', count));
+                    this._appendInternal(new WeekFieldsPrinterParser('Y', count));
                 } else {
                     throw new IllegalArgumentException('Unknown pattern letter: ' + cur);
                 }
@@ -972,18 +1286,12 @@ export class DateTimeFormatterBuilder {
                         this.appendValue(field, 2);
                         break;
                     case 3:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.SHORT);
                         break;
                     case 4:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.FULL);
                         break;
                     case 5:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.NARROW);
                         break;
                     default:
@@ -1000,18 +1308,12 @@ export class DateTimeFormatterBuilder {
                         this.appendValue(field, 2);
                         break;
                     case 3:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.SHORT_STANDALONE);
                         break;
                     case 4:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.FULL_STANDALONE);
                         break;
                     case 5:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.NARROW_STANDALONE);
                         break;
                     default:
@@ -1022,23 +1324,15 @@ export class DateTimeFormatterBuilder {
                 switch (count) {
                     case 1:
                     case 2:
-                        // TODO: WeekFieldsPrinterParser
-                        throw new IllegalArgumentException('Pattern using WeekFields not implemented yet!');
-                        // this.appendInternal(new WeekFieldsPrinterParser('e', count));
+                        this._appendInternal(new WeekFieldsPrinterParser('e', count));
                         break;
                     case 3:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.SHORT);
                         break;
                     case 4:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.FULL);
                         break;
                     case 5:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.NARROW);
                         break;
                     default:
@@ -1048,25 +1342,17 @@ export class DateTimeFormatterBuilder {
             case 'c':
                 switch (count) {
                     case 1:
-                        // TODO: WeekFieldsPrinterParser
-                        throw new IllegalArgumentException('Pattern using WeekFields not implemented yet!');
-                        // this.appendInternal(new WeekFieldsPrinterParser('c', count));
+                        this._appendInternal(new WeekFieldsPrinterParser('c', count));
                         break;
                     case 2:
                         throw new IllegalArgumentException('Invalid number of pattern letters: ' + cur);
                     case 3:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.SHORT_STANDALONE);
                         break;
                     case 4:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.FULL_STANDALONE);
                         break;
                     case 5:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.NARROW_STANDALONE);
                         break;
                     default:
@@ -1075,8 +1361,6 @@ export class DateTimeFormatterBuilder {
                 break;
             case 'a':
                 if (count === 1) {
-                    //TODO:
-                    throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                     this.appendText(field, TextStyle.SHORT);
                 } else {
                     throw new IllegalArgumentException('Too many pattern letters: ' + cur);
@@ -1088,18 +1372,12 @@ export class DateTimeFormatterBuilder {
                     case 1:
                     case 2:
                     case 3:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.SHORT);
                         break;
                     case 4:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.FULL);
                         break;
                     case 5:
-                        //TODO:
-                        throw new IllegalArgumentException('Pattern using (localized) text not implemented yet!');
                         this.appendText(field, TextStyle.NARROW);
                         break;
                     default:
@@ -1360,10 +1638,48 @@ export class DateTimeFormatterBuilder {
         return this;
     }
 
+    /**
+     * Appends alternative formatters of which the first matching one is used.
+     * <p>
+     * During parsing, the formatters are tried in order at the same position of the text.
+     * The fields parsed by a formatter that does not match are discarded and the first formatter
+     * that matches determines the parsed fields and the position to continue from.
+     * If none of the formatters matches, the parse fails at the furthest error index of the formatters.
+     * For example, the dates '2024-03-01', '01.03.2024' and '3/1/2024' are all parsed by:
+     * <pre>
+     *  new DateTimeFormatterBuilder().appendFirstOf(
+     *      DateTimeFormatter.ISO_LOCAL_DATE,
+     *      DateTimeFormatter.ofPattern('dd.MM.uuuu'),
+     *      DateTimeFormatter.ofPattern('M/d/uuuu')).toFormatter();
+     * </pre>
+     * During formatting, the first formatter that is able to print the temporal is used.
+     * <p>
+     * Only the printers and parsers of the formatters are used, their locale, resolver style
+     * and overrides are ignored in favour of the formatter being built.
+     * The formatters can be passed as arguments or as an array.
+     *
+     * @param {...DateTimeFormatter|DateTimeFormatter[]} formatters  the alternative formatters, at least one, not null
+     * @return {DateTimeFormatterBuilder} this, for chaining, not null
+     * @throws IllegalArgumentException if no formatter is specified
+     */
+    appendFirstOf() {
+        var formatters = arguments.length === 1 && Array.isArray(arguments[0]) ?
+            arguments[0] : Array.prototype.slice.call(arguments);
+        if (formatters.length === 0) {
+            throw new IllegalArgumentException('At least one formatter must be specified');
+        }
+        var printerParsers = formatters.map((formatter) => {
+            requireNonNull(formatter, 'formatter');
+            return formatter.toPrinterParser(false);
+        });
+        this._appendInternal(new FirstOfPrinterParser(printerParsers));
+        return this;
+    }
+
     /**
      * Completes this builder by creating the DateTimeFormatter.
      * 
-     * This will create a formatter with the specified locale.
+     * This will create a formatter with the specified locale, the default locale if none is specified.
      * Numbers will be printed and parsed using the standard non-localized set of symbols.
      * 
      * Calling this method will end any open optional sections by repeatedly
@@ -1372,15 +1688,23 @@ export class DateTimeFormatterBuilder {
      * This builder can still be used after creating the formatter if desired,
      * although the state may have been changed by calls to {@code optionalEnd}.
      *
-     * @param resolverStyle  the new resolver style
+     * @param {Locale|ResolverStyle} [localeOrResolverStyle]  the locale to use, or the resolver style
+     *  of a formatter in the default locale, the smart resolver style if none is specified
      * @return the created formatter, not null
      */
-    toFormatter(resolverStyle=ResolverStyle.SMART) {
+    toFormatter(localeOrResolverStyle=ResolverStyle.SMART) {
         while (this._active._parent != null) {
             this.optionalEnd();
         }
+        var locale = Locale.getDefault();
+        var resolverStyle = ResolverStyle.SMART;
+        if (localeOrResolverStyle instanceof Locale) {
+            locale = localeOrResolverStyle;
+        } else {
+            resolverStyle = localeOrResolverStyle;
+        }
         var pp = new CompositePrinterParser(this._printerParsers, false);
-        return new DateTimeFormatter(pp, null, DecimalStyle.STANDARD, resolverStyle, null, null, null);
+        return new DateTimeFormatter(pp, locale, DecimalStyle.STANDARD, resolverStyle, null, null, null);
     }
 
 }
@@ -1445,8 +1769,10 @@ class CompositePrinterParser {
             var pos = position;
             for (let i=0; i<this._printerParsers.length; i++) {
                 let pp = this._printerParsers[i];
+                let count = context.parseErrorCount();
                 pos = pp.parse(context, text, pos);
                 if (pos < 0) {
+                    context.setParseError(pp, ~pos, count);
                     context.endOptional(false);
                     return position;  // return original position
                 }
@@ -1456,8 +1782,10 @@ class CompositePrinterParser {
         } else {
             for (let i=0; i<this._printerParsers.length; i++) {
                 let pp = this._printerParsers[i];
+                let count = context.parseErrorCount();
                 position = pp.parse(context, text, position);
                 if (position < 0) {
+                    context.setParseError(pp, ~position, count);
                     break;
                 }
             }
@@ -1479,6 +1807,53 @@ class CompositePrinterParser {
     }
 }
 
+/**
+ * Prints or parses the first of several alternative printer-parsers that matches.
+ */
+class FirstOfPrinterParser {
+
+    constructor(printerParsers) {
+        this._printerParsers = printerParsers;
+    }
+
+    print(context, buf) {
+        var length = buf.length();
+        var error = null;
+        for (let i=0; i<this._printerParsers.length; i++) {
+            try {
+                return this._printerParsers[i].print(context, buf);
+            } catch (ex) {
+                if (!(ex instanceof DateTimeException)) {
+                    throw ex;
+                }
+                buf.setLength(length);  // reset buffer
+                if (error == null) {
+                    error = ex;
+                }
+            }
+        }
+        throw error;
+    }
+
+    parse(context, text, position) {
+        var errorPos = position;
+        for (let i=0; i<this._printerParsers.length; i++) {
+            context.startOptional();
+            let pos = this._printerParsers[i].parse(context, text, position);
+            context.endOptional(pos >= 0);
+            if (pos >= 0) {
+                return pos;
+            }
+            errorPos = Math.max(errorPos, ~pos);
+        }
+        return ~errorPos;
+    }
+
+    toString() {
+        return `FirstOf(${this._printerParsers.join(',')})`;
+    }
+}
+
 /**
  * Pads the output to a fixed width.
  */
@@ -1547,6 +1922,15 @@ class PadPrinterParserDecorator {
     toString() {
         return `Pad(${this._printerParser},${this._padWidth}${(this._padChar === ' ' ? ')' : ',\'' + this._padChar + '\')')}`;
     }
+
+    field() {
+        return typeof this._printerParser.field === 'function' ? this._printerParser.field() : null;
+    }
+
+    expected() {
+        var expected = typeof this._printerParser.expected === 'function' ? this._printerParser.expected() : this._printerParser.toString();
+        return `${expected} padded to ${this._padWidth} characters`;
+    }
 }
 
 class SettingsParser extends Enum {
@@ -1582,6 +1966,32 @@ SettingsParser.INSENSITIVE = new SettingsParser('INSENSITIVE');
 SettingsParser.STRICT = new SettingsParser('STRICT');
 SettingsParser.LENIENT = new SettingsParser('LENIENT');
 
+/**
+ * Defaults a value into the parse if not currently present.
+ */
+class DefaultingParser {
+
+    constructor(field, value) {
+        this._field = field;
+        this._value = value;
+    }
+
+    print(/*context, buf*/) {
+        return true;  // nothing to do here
+    }
+
+    parse(context, text, position) {
+        if (context.getParsed(this._field) == null) {
+            context.setParsedField(this._field, this._value, position, position);
+        }
+        return position;
+    }
+
+    toString() {
+        return `Default(${this._field},${this._value})`;
+    }
+}
+
 /**
 * Prints or parses a string literal.
 */
@@ -1610,6 +2020,10 @@ class StringLiteralPrinterParser {
         let converted = this._literal.replace("'", "''");
         return '\'' + converted + '\'';
     }
+
+    expected() {
+        return 'literal ' + this.toString();
+    }
 }
 
 /**
@@ -1647,6 +2061,10 @@ class CharLiteralPrinterParser {
         }
         return "'" + this._literal + "'";
     }
+
+    expected() {
+        return 'literal ' + this.toString();
+    }
 }
 
 class NumberPrinterParser {
@@ -1685,16 +2103,28 @@ class NumberPrinterParser {
         return new NumberPrinterParser(this._field, this._minWidth, this._maxWidth, this._signStyle, this._subsequentWidth + subsequentWidth);
     }
 
+    /**
+     * Gets the value to output.
+     *
+     * @param {DateTimePrintContext} context  the context
+     * @param {number} value  the value of the field, not null
+     * @return {number} the value
+     */
+    getValue(context, value) {
+        return value;
+    }
+
     _isFixedWidth() {
         return this._subsequentWidth === -1 ||
                 (this._subsequentWidth > 0 && this._minWidth === this._maxWidth && this._signStyle === SignStyle.NOT_NEGATIVE);
     }
 
     print(context, buf) {
-        var value = context.getValue(this._field);
-        if (value == null) {
+        var contextValue = context.getValue(this._field);
+        if (contextValue == null) {
             return false;
         }
+        var value = this.getValue(context, contextValue);
         var symbols = context.symbols();
         var str = '' + Math.abs(value);
         if (str.length > this._maxWidth) {
@@ -1842,6 +2272,11 @@ class NumberPrinterParser {
         return 'Value(' + this._field + ',' + this._minWidth + ',' + this._maxWidth + ',' + this._signStyle + ')';
     }
 
+    expected() {
+        var digits = this._minWidth === this._maxWidth ? this._minWidth : this._minWidth + ' to ' + this._maxWidth;
+        return `${this._field} of ${digits} digits`;
+    }
+
 }
 //-----------------------------------------------------------------------
 /**
@@ -1892,10 +2327,8 @@ class ReducedPrinterParser extends NumberPrinterParser {
         if (this._baseDate !== null) {
             // TODO: in threetenbp the following line is used, but we dont have Chronology yet, 
             // let chrono = Chronology.from(context.getTemporal());
-            // so let's use IsoChronology for now
-            context.temporal();
-            let chrono = IsoChronology.INSTANCE;
-            baseValue = chrono.date(this._baseDate).get(this._field);
+            // so let's use the iso base date for now
+            baseValue = this._baseDate.get(this._field);
         }
         if (value >= baseValue && value < baseValue + EXCEED_POINTS[this._minWidth]) {
             return absValue % EXCEED_POINTS[this._minWidth];
@@ -1913,9 +2346,8 @@ class ReducedPrinterParser extends NumberPrinterParser {
     _setValue(context, value, errorPos, successPos) {
         let baseValue = this._baseValue;
         if (this._baseDate != null) {
-            let chrono = context.getEffectiveChronology();
-            baseValue = chrono.date(this._baseDate).get(this._field);
-            context.addChronologyChangedParser(this, value, errorPos, successPos);
+            // only the IsoChronology is supported, the base value is the value of the iso base date
+            baseValue = this._baseDate.get(this._field);
         }
         let parseLen = successPos - errorPos;
         if (parseLen === this._minWidth && value >= 0) {
@@ -2117,6 +2549,94 @@ class FractionPrinterParser {
         var decimal = (this.decimalPoint ? ',DecimalPoint' : '');
         return 'Fraction(' + this.field + ',' + this.minWidth + ',' + this.maxWidth + decimal + ')';
     }
+
+    expected() {
+        return `fraction of ${this.field} of ${this.minWidth} to ${this.maxWidth} digits${this.decimalPoint ? ' after a decimal point' : ''}`;
+    }
+}
+
+//-----------------------------------------------------------------------
+/**
+ * Prints or parses field text.
+ * <p>
+ * The text is parsed ignoring case, like {@code mon} or {@code JANUARY}.
+ */
+class TextPrinterParser {
+
+    /**
+     * Constructor.
+     *
+     * @param {TemporalField} field  the field to output, not null
+     * @param {TextStyle} textStyle  the text style, not null
+     * @param {DateTimeTextProvider} provider  the text provider, not null
+     */
+    constructor(field, textStyle, provider) {
+        this._field = field;
+        this._textStyle = textStyle;
+        this._provider = provider;
+        this._numberPrinterParser = null;
+    }
+
+    print(context, buf) {
+        var value = context.getValue(this._field);
+        if (value === null) {
+            return false;
+        }
+        var text = this._provider.getText(this._field, value, this._textStyle, context.locale());
+        if (text === null) {
+            return this._numberPrinterParser_().print(context, buf);
+        }
+        buf.append(text);
+        return true;
+    }
+
+    parse(context, parseText, position) {
+        var length = parseText.length;
+        if (position < 0 || position > length) {
+            throw new IllegalArgumentException('The position is invalid: ' + position);
+        }
+        var style = (context.isStrict() ? this._textStyle : null);
+        var it = this._provider.getTextIterator(this._field, style, context.locale());
+        if (it != null) {
+            // the text of the field is matched ignoring case, whether the context is case sensitive or not
+            for (let i = 0; i < it.length; i++) {
+                let itText = it[i][0];
+                if (parseText.substr(position, itText.length).toLowerCase() === itText.toLowerCase()) {
+                    return context.setParsedField(this._field, it[i][1], position, position + itText.length);
+                }
+            }
+            if (context.isStrict()) {
+                return ~position;
+            }
+        }
+        return this._numberPrinterParser_().parse(context, parseText, position);
+    }
+
+    /**
+     * Create and cache a number printer parser.
+     * @return {NumberPrinterParser} the number printer parser, not null
+     */
+    _numberPrinterParser_() {
+        if (this._numberPrinterParser == null) {
+            this._numberPrinterParser = new NumberPrinterParser(this._field, 1, MAX_WIDTH, SignStyle.NORMAL);
+        }
+        return this._numberPrinterParser;
+    }
+
+    toString() {
+        if (this._textStyle === TextStyle.FULL) {
+            return 'Text(' + this._field + ')';
+        }
+        return 'Text(' + this._field + ',' + this._textStyle + ')';
+    }
+
+    field() {
+        return this._field;
+    }
+
+    expected() {
+        return `text of ${this._field}`;
+    }
 }
 
 //-----------------------------------------------------------------------
@@ -2258,6 +2778,134 @@ class InstantPrinterParser  {
     toString() {
         return 'Instant()';
     }
+
+    expected() {
+        return 'ISO-8601 instant';
+    }
+}
+
+//-----------------------------------------------------------------------
+/**
+ * The english text of the days of the week and the months of HTTP-dates.
+ */
+const HTTP_DAYS_OF_WEEK = {1: 'Mon', 2: 'Tue', 3: 'Wed', 4: 'Thu', 5: 'Fri', 6: 'Sat', 7: 'Sun'};
+const HTTP_DAYS_OF_WEEK_FULL = {
+    1: 'Monday', 2: 'Tuesday', 3: 'Wednesday', 4: 'Thursday', 5: 'Friday', 6: 'Saturday', 7: 'Sunday'
+};
+const HTTP_MONTHS = {
+    1: 'Jan', 2: 'Feb', 3: 'Mar', 4: 'Apr', 5: 'May', 6: 'Jun',
+    7: 'Jul', 8: 'Aug', 9: 'Sep', 10: 'Oct', 11: 'Nov', 12: 'Dec'
+};
+
+/**
+ * Prints or parses an RFC 7231 HTTP-date.
+ */
+class HttpDatePrinterParser {
+
+    constructor() {
+        // Sun, 06 Nov 1994 08:49:37 GMT
+        this._imfFixdate = new DateTimeFormatterBuilder()
+            .appendText(ChronoField.DAY_OF_WEEK, HTTP_DAYS_OF_WEEK).appendLiteral(', ')
+            .appendValue(ChronoField.DAY_OF_MONTH, 2).appendLiteral(' ')
+            .appendText(ChronoField.MONTH_OF_YEAR, HTTP_MONTHS).appendLiteral(' ')
+            .appendValue(ChronoField.YEAR, 4).appendLiteral(' ')
+            .appendValue(ChronoField.HOUR_OF_DAY, 2).appendLiteral(':')
+            .appendValue(ChronoField.MINUTE_OF_HOUR, 2).appendLiteral(':')
+            .appendValue(ChronoField.SECOND_OF_MINUTE, 2).appendLiteral(' GMT')
+            .toFormatter();
+        // Sunday, 06-Nov-94 08:49:37 GMT
+        this._rfc850 = new DateTimeFormatterBuilder()
+            .appendText(ChronoField.DAY_OF_WEEK, HTTP_DAYS_OF_WEEK_FULL).appendLiteral(', ')
+            .appendValue(ChronoField.DAY_OF_MONTH, 2).appendLiteral('-')
+            .appendText(ChronoField.MONTH_OF_YEAR, HTTP_MONTHS).appendLiteral('-')
+            .appendValue(ChronoField.YEAR, 2).appendLiteral(' ')
+            .appendValue(ChronoField.HOUR_OF_DAY, 2).appendLiteral(':')
+            .appendValue(ChronoField.MINUTE_OF_HOUR, 2).appendLiteral(':')
+            .appendValue(ChronoField.SECOND_OF_MINUTE, 2).appendLiteral(' GMT')
+            .toFormatter();
+        // Sun Nov  6 08:49:37 1994
+        this._asctime = new DateTimeFormatterBuilder()
+            .appendText(ChronoField.DAY_OF_WEEK, HTTP_DAYS_OF_WEEK).appendLiteral(' ')
+            .appendText(ChronoField.MONTH_OF_YEAR, HTTP_MONTHS).appendLiteral(' ')
+            .padNext(2).appendValue(ChronoField.DAY_OF_MONTH, 1, 2, SignStyle.NOT_NEGATIVE).appendLiteral(' ')
+            .appendValue(ChronoField.HOUR_OF_DAY, 2).appendLiteral(':')
+            .appendValue(ChronoField.MINUTE_OF_HOUR, 2).appendLiteral(':')
+            .appendValue(ChronoField.SECOND_OF_MINUTE, 2).appendLiteral(' ')
+            .appendValue(ChronoField.YEAR, 4)
+            .toFormatter();
+    }
+
+    print(context, buf) {
+        var inSecs = context.getValue(ChronoField.INSTANT_SECONDS);
+        if (inSecs == null) {
+            return false;
+        }
+        buf.append(this._imfFixdate.format(LocalDateTime.ofEpochSecond(inSecs, 0, ZoneOffset.UTC)));
+        return true;
+    }
+
+    parse(context, text, position) {
+        var formats = [this._imfFixdate, this._rfc850, this._asctime];
+        for (let i = 0; i < formats.length; i++) {
+            // new context to avoid overwriting fields by a format that fails
+            var newContext = context.copy();
+            var pos = formats[i].toPrinterParser(false).parse(newContext, text, position);
+            if (pos >= 0) {
+                return this._setParsed(context, newContext, formats[i] === this._rfc850, position, pos);
+            }
+        }
+        return ~position;
+    }
+
+    /**
+     * Sets the parsed date-time in GMT.
+     *
+     * @param {DateTimeParseContext} context  the context to set the date-time, not null
+     * @param {DateTimeParseContext} newContext  the context of the parsed format, not null
+     * @param {boolean} twoDigitYear  whether the year has two digits
+     * @param {number} position  the position the format was parsed from
+     * @param {number} pos  the position after the parsed format
+     * @return {number} the new position, negative if the date-time is invalid
+     */
+    _setParsed(context, newContext, twoDigitYear, position, pos) {
+        var year = newContext.getParsed(ChronoField.YEAR);
+        if (twoDigitYear) {
+            var currentYear = LocalDate.now(ZoneOffset.UTC).year();
+            year = currentYear - MathUtil.floorMod(currentYear - year, 100);
+            if (year + 100 <= currentYear + 50) {
+                year += 100;
+            }
+        }
+        var ldt;
+        try {
+            ldt = LocalDateTime.of(year, newContext.getParsed(ChronoField.MONTH_OF_YEAR),
+                newContext.getParsed(ChronoField.DAY_OF_MONTH), newContext.getParsed(ChronoField.HOUR_OF_DAY),
+                newContext.getParsed(ChronoField.MINUTE_OF_HOUR), newContext.getParsed(ChronoField.SECOND_OF_MINUTE));
+        } catch (ex) {
+            return ~position;
+        }
+        if (ldt.dayOfWeek().value() !== newContext.getParsed(ChronoField.DAY_OF_WEEK)) {
+            return ~position;
+        }
+        var successPos = pos;
+        successPos = context.setParsedField(ChronoField.YEAR, ldt.year(), position, successPos);
+        successPos = context.setParsedField(ChronoField.MONTH_OF_YEAR, ldt.monthValue(), position, successPos);
+        successPos = context.setParsedField(ChronoField.DAY_OF_MONTH, ldt.dayOfMonth(), position, successPos);
+        successPos = context.setParsedField(ChronoField.HOUR_OF_DAY, ldt.hour(), position, successPos);
+        successPos = context.setParsedField(ChronoField.MINUTE_OF_HOUR, ldt.minute(), position, successPos);
+        successPos = context.setParsedField(ChronoField.SECOND_OF_MINUTE, ldt.second(), position, successPos);
+        successPos = context.setParsedField(ChronoField.INSTANT_SECONDS, ldt.toEpochSecond(ZoneOffset.UTC), position, successPos);
+        context.setParsedZone(ZoneOffset.UTC);
+        return successPos;
+    }
+
+    toString() {
+        return 'HttpDate()';
+    }
+
+    expected() {
+        return 'HTTP-date';
+    }
 }
 
 //-----------------------------------------------------------------------
@@ -2420,6 +3068,10 @@ class OffsetIdPrinterParser  {
         var converted = this.noOffsetText.replace('\'', '\'\'');
         return 'Offset(' + PATTERNS[this.type] + ',\'' + converted + '\')';
     }
+
+    expected() {
+        return `offset ${PATTERNS[this.type]} or '${this.noOffsetText}'`;
+    }
 }
 OffsetIdPrinterParser.INSTANCE_ID = new OffsetIdPrinterParser('Z', '+HH:MM:ss');
 OffsetIdPrinterParser.PATTERNS = PATTERNS;
@@ -2461,10 +3113,8 @@ class ZoneIdPrinterParser {
      * For example, parsing Etc/GMT-2 will return Etc/GMC-2 rather than just
      * Etc/GMC although both are valid.
      * <p>
-     * This implementation uses a tree to search for valid time-zone names in
-     * the parseText. The top level node of the tree has a length equal to the
-     * length of the shortest time-zone as well as the beginning characters of
-     * all other time-zones.
+     * Region IDs are matched against the zone IDs available from the
+     * registered {@link ZoneRulesProvider}s.
      *
      * @param {DateTimeParseContext} context
      * @param {String} text
@@ -2514,12 +3164,26 @@ class ZoneIdPrinterParser {
             return position + 6;
         }
 
-        // ...
+
+        // parse the longest matching region id of the registered zone rules providers
+        var parsedZoneId = null;
+        var availableZoneIds = ZoneRulesProvider.getAvailableZoneIds();
+        for (let i = 0; i < availableZoneIds.length; i++) {
+            var zoneId = availableZoneIds[i];
+            if ((parsedZoneId == null || zoneId.length > parsedZoneId.length) &&
+                    context.subSequenceEquals(text, position, zoneId, 0, zoneId.length)) {
+                parsedZoneId = zoneId;
+            }
+        }
+        if (parsedZoneId != null) {
+            context.setParsedZone(ZoneIdFactory.of(parsedZoneId));
+            return position + parsedZoneId.length;
+        }
+
         if (context.charEquals(nextChar, 'Z')) {
             context.setParsedZone(ZoneOffset.UTC);
             return position + 1;
         }
-        // ...
         return ~position;
     }
 
@@ -2556,6 +3220,305 @@ class ZoneIdPrinterParser {
     toString() {
         return this.description;
     }
+
+    expected() {
+        return 'zone id';
+    }
+}
+
+//-----------------------------------------------------------------------
+/**
+ * The indices of the standard, daylight saving and generic name in the names of a zone.
+ */
+const STANDARD = 0;
+const DAYLIGHT = 1;
+const GENERIC = 2;
+
+/**
+ * Cache of the zone names to parse, keyed by locale and text style.
+ */
+const ZONE_NAMES_CACHE = {};
+
+/**
+ * Prints or parses a zone name, like 'CET' or 'Central European Summer Time'.
+ * <p>
+ * The names are provided by the 'zoneNames' of the locale data, keyed by the zone ID,
+ * each zone having the standard, daylight saving and generic name of the text styles.
+ */
+class ZoneTextPrinterParser {
+
+    /**
+     * Constructor.
+     *
+     * @param {TextStyle} textStyle  the text style to use, not null
+     * @param {boolean} generic  whether the generic name is printed
+     * @param {ZoneId[]} preferredZones  the zones preferred when parsing an ambiguous name, not null
+     */
+    constructor(textStyle, generic, preferredZones) {
+        // validated by caller
+        this._textStyle = textStyle.asNormal();
+        this._generic = generic;
+        this._preferredZoneIds = preferredZones.map((zone) => zone.id());
+        this._zoneIdParser = new ZoneIdPrinterParser(TemporalQueries.zoneId(), 'ZoneId()');
+    }
+
+    print(context, buf) {
+        var zone = context.getValueQuery(TemporalQueries.zoneId());
+        if (zone == null) {
+            return false;
+        }
+        var text = zone.id();
+        if (!(zone instanceof ZoneOffset)) {
+            var type = GENERIC;
+            var temporal = context.temporal();
+            if (!this._generic && temporal.isSupported(ChronoField.INSTANT_SECONDS)) {
+                var instant = Instant.ofEpochSecond(temporal.getLong(ChronoField.INSTANT_SECONDS));
+                type = zone.rules().isDaylightSavings(instant) ? DAYLIGHT : STANDARD;
+            }
+            var zoneNames = LocaleDataProvider.getData(context.locale(), 'zoneNames');
+            var names = (zoneNames != null && zoneNames[text] != null) ? zoneNames[text][this._textStyle] : null;
+            if (names != null && names[type] != null) {
+                text = names[type];
+            }
+        }
+        buf.append(text);
+        return true;
+    }
+
+    /**
+     * This implementation looks for the longest matching name, falling back
+     * to the zone IDs and offsets.
+     *
+     * @param {DateTimeParseContext} context
+     * @param {String} text
+     * @param {number} position
+     * @return {number}
+     */
+    parse(context, text, position) {
+        if (position > text.length) {
+            return ~position;
+        }
+        var names = this._names(context.locale());
+        for (let i = 0; i < names.length; i++) {
+            var name = names[i].name;
+            if (context.subSequenceEquals(text, position, name, 0, name.length)) {
+                var zoneId = this._zoneId(names[i].zoneIds);
+                if (zoneId != null) {
+                    context.setParsedZone(ZoneIdFactory.of(zoneId));
+                    return position + name.length;
+                }
+            }
+        }
+        return this._zoneIdParser.parse(context, text, position);
+    }
+
+    /**
+     * Gets the names of the text style, longest first, with the IDs of the zones having that name.
+     *
+     * @param {Locale} locale  the locale to use, null for the default locale
+     * @return {Array} the names, not null
+     */
+    _names(locale) {
+        var zoneNames = LocaleDataProvider.getData(locale, 'zoneNames');
+        var key = (locale != null ? locale : Locale.getDefault()).toString() + '|' + this._textStyle;
+        var cached = ZONE_NAMES_CACHE[key];
+        // the locale data may be registered again, so the names are checked against the cached data
+        if (cached != null && cached.zoneNames === zoneNames) {
+            return cached.names;
+        }
+        var zoneIdsByName = {};
+        var names = [];
+        if (zoneNames != null) {
+            for (let zoneId in zoneNames) {
+                var texts = zoneNames[zoneId][this._textStyle];
+                if (texts == null) {
+                    continue;
+                }
+                for (let i = 0; i < texts.length; i++) {
+                    var name = texts[i];
+                    if (zoneIdsByName[name] == null) {
+                        zoneIdsByName[name] = {name: name, zoneIds: []};
+                        names.push(zoneIdsByName[name]);
+                    }
+                    if (zoneIdsByName[name].zoneIds.indexOf(zoneId) < 0) {
+                        zoneIdsByName[name].zoneIds.push(zoneId);
+                    }
+                }
+            }
+        }
+        names.sort((a, b) => b.name.length - a.name.length);
+        ZONE_NAMES_CACHE[key] = {zoneNames: zoneNames, names: names};
+        return names;
+    }
+
+    /**
+     * Selects the available zone of a name, the preferred zones first.
+     *
+     * @param {string[]} zoneIds  the IDs of the zones having the name, not null
+     * @return {string} the zone ID, null if none of the zones is available
+     */
+    _zoneId(zoneIds) {
+        var availableZoneIds = ZoneRulesProvider.getAvailableZoneIds();
+        var available = zoneIds.filter((zoneId) => availableZoneIds.indexOf(zoneId) >= 0);
+        for (let i = 0; i < available.length; i++) {
+            if (this._preferredZoneIds.indexOf(available[i]) >= 0) {
+                return available[i];
+            }
+        }
+        return available.length > 0 ? available[0] : null;
+    }
+
+    toString() {
+        return (this._generic ? 'GenericZoneText(' : 'ZoneText(') + this._textStyle + ')';
+    }
+
+    expected() {
+        return 'zone name';
+    }
+}
+
+//-----------------------------------------------------------------------
+/**
+ * Cache of the formatters of the localized patterns, keyed by locale and pattern.
+ */
+const LOCALIZED_FORMATTER_CACHE = {};
+
+/**
+ * Prints or parses a localized pattern.
+ */
+class LocalizedPrinterParser {
+
+    /**
+     * Constructor.
+     *
+     * @param {FormatStyle} dateStyle  the date style to use, may be null
+     * @param {FormatStyle} timeStyle  the time style to use, may be null
+     */
+    constructor(dateStyle, timeStyle) {
+        // validated by caller
+        this._dateStyle = dateStyle;
+        this._timeStyle = timeStyle;
+    }
+
+    print(context, buf) {
+        var chrono = context.temporal().query(TemporalQueries.chronology());
+        if (chrono == null) {
+            chrono = IsoChronology.INSTANCE;
+        }
+        return this._formatter(context.locale(), chrono).toPrinterParser(false).print(context, buf);
+    }
+
+    parse(context, text, position) {
+        var chrono = context.getEffectiveChronology();
+        return this._formatter(context.locale(), chrono).toPrinterParser(false).parse(context, text, position);
+    }
+
+    /**
+     * Gets the formatter to use.
+     * <p>
+     * The pattern is looked up on each call, as the locale data may be registered later on,
+     * the formatter of the pattern is cached.
+     *
+     * @param {Locale} locale  the locale to use, null for the default locale
+     * @param {Chronology} chrono  the chronology to use, not null
+     * @return {DateTimeFormatter} the formatter, not null
+     * @throws IllegalArgumentException if the formatter cannot be found
+     */
+    _formatter(locale, chrono) {
+        if (locale == null) {
+            locale = Locale.getDefault();
+        }
+        var pattern = DateTimeFormatterBuilder.getLocalizedDateTimePattern(this._dateStyle, this._timeStyle, chrono, locale);
+        var key = locale.toString() + '|' + pattern;
+        var formatter = LOCALIZED_FORMATTER_CACHE[key];
+        if (formatter == null) {
+            formatter = new DateTimeFormatterBuilder().appendPattern(pattern).toFormatter(locale);
+            LOCALIZED_FORMATTER_CACHE[key] = formatter;
+        }
+        return formatter;
+    }
+
+    toString() {
+        return 'Localized(' + (this._dateStyle != null ? this._dateStyle : '') + ',' +
+            (this._timeStyle != null ? this._timeStyle : '') + ')';
+    }
+}
+
+//-----------------------------------------------------------------------
+/**
+ * Prints or parses a localized pattern of the week fields, the week definition
+ * is taken from the locale of the context.
+ */
+class WeekFieldsPrinterParser {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} letter  the pattern letter, one of 'e', 'c', 'w', 'W' and 'Y'
+     * @param {number} count  the number of pattern letters
+     */
+    constructor(letter, count) {
+        this._letter = letter;
+        this._count = count;
+    }
+
+    print(context, buf) {
+        var weekFields = WeekFields.of(context.locale() != null ? context.locale() : Locale.getDefault());
+        return this._evaluate(weekFields).print(context, buf);
+    }
+
+    parse(context, text, position) {
+        var weekFields = WeekFields.of(context.locale() != null ? context.locale() : Locale.getDefault());
+        return this._evaluate(weekFields).parse(context, text, position);
+    }
+
+    /**
+     *
+     * @param {WeekFields} weekFields  the week definition to use, not null
+     * @return {NumberPrinterParser} the printer parser of the week field
+     */
+    _evaluate(weekFields) {
+        switch (this._letter) {
+            case 'e':
+            case 'c':
+                return new NumberPrinterParser(weekFields.dayOfWeek(), this._count, 2, SignStyle.NOT_NEGATIVE);
+            case 'w':
+                return new NumberPrinterParser(weekFields.weekOfWeekBasedYear(), this._count, 2, SignStyle.NOT_NEGATIVE);
+            case 'W':
+                return new NumberPrinterParser(weekFields.weekOfMonth(), 1, 2, SignStyle.NOT_NEGATIVE);
+            case 'Y':
+                if (this._count === 2) {
+                    return new ReducedPrinterParser(weekFields.weekBasedYear(), 2, 2, 0, ReducedPrinterParser.BASE_DATE);
+                }
+                return new NumberPrinterParser(weekFields.weekBasedYear(), this._count, MAX_WIDTH,
+                    (this._count < 4) ? SignStyle.NORMAL : SignStyle.EXCEEDS_PAD, -1);
+        }
+        throw new IllegalStateException('unreachable');
+    }
+
+    toString() {
+        var str = 'Localized(';
+        if (this._letter === 'Y') {
+            if (this._count === 1) {
+                str += 'WeekBasedYear';
+            } else if (this._count === 2) {
+                str += 'ReducedValue(WeekBasedYear,2,2,2000-01-01)';
+            } else {
+                str += 'WeekBasedYear,' + this._count + ',' + MAX_WIDTH + ',' +
+                    ((this._count < 4) ? SignStyle.NORMAL : SignStyle.EXCEEDS_PAD);
+            }
+        } else {
+            if (this._letter === 'c' || this._letter === 'e') {
+                str += 'DayOfWeek';
+            } else if (this._letter === 'w') {
+                str += 'WeekOfWeekBasedYear';
+            } else if (this._letter === 'W') {
+                str += 'WeekOfMonth';
+            }
+            str += ',' + this._count;
+        }
+        return str + ')';
+    }
 }
 
 export function _init() {
@@ -2567,9 +3530,15 @@ export function _init() {
     DateTimeFormatterBuilder.CharLiteralPrinterParser = StringLiteralPrinterParser;
     DateTimeFormatterBuilder.StringLiteralPrinterParser = StringLiteralPrinterParser;
     DateTimeFormatterBuilder.CharLiteralPrinterParser = CharLiteralPrinterParser;
+    DateTimeFormatterBuilder.DefaultingParser = DefaultingParser;
+    DateTimeFormatterBuilder.FirstOfPrinterParser = FirstOfPrinterParser;
     DateTimeFormatterBuilder.NumberPrinterParser = NumberPrinterParser;
     DateTimeFormatterBuilder.ReducedPrinterParser = ReducedPrinterParser;
     DateTimeFormatterBuilder.FractionPrinterParser = FractionPrinterParser;
+    DateTimeFormatterBuilder.TextPrinterParser = TextPrinterParser;
     DateTimeFormatterBuilder.OffsetIdPrinterParser = OffsetIdPrinterParser;
     DateTimeFormatterBuilder.ZoneIdPrinterParser = ZoneIdPrinterParser;
+    DateTimeFormatterBuilder.ZoneTextPrinterParser = ZoneTextPrinterParser;
+    DateTimeFormatterBuilder.LocalizedPrinterParser = LocalizedPrinterParser;
+    DateTimeFormatterBuilder.WeekFieldsPrinterParser = WeekFieldsPrinterParser;
 }
\ No newline at end of file
@@ -30,18 +30,22 @@ export class DateTimeParseContext{
         this._caseSensitive = true;
         this._strict = true;
         this._parsed = [new Parsed(this)];
+        this._parseErrors = {};
+        this._parseErrorCount = 0;
     }
 
     _constructorParam(locale, symbols, chronology){
         this._locale = locale;
         this._symbols = symbols;
         this._overrideChronology = chronology;
+        this._overrideZone = null;
     }
 
     _constructorFormatter(formatter){
         this._locale = formatter.locale();
         this._symbols = formatter.decimalStyle();
         this._overrideChronology = formatter.chronology();
+        this._overrideZone = formatter.zone();
     }
 
 
@@ -53,6 +57,8 @@ export class DateTimeParseContext{
         this._caseSensitive = other._caseSensitive;
         this._strict = other._strict;
         this._parsed = [new Parsed(this)];
+        this._parseErrors = {};
+        this._parseErrorCount = 0;
     }
 
     /**
@@ -62,6 +68,18 @@ export class DateTimeParseContext{
         return new DateTimeParseContext(this);
     }
 
+    /**
+     * Gets the locale.
+     * <p>
+     * This locale is used to control localization in the parse output except
+     * where localization is controlled by the symbols.
+     *
+     * @return {Locale} the locale, may be null
+     */
+    locale(){
+        return this._locale;
+    }
+
     symbols(){
         return this._symbols;
     }
@@ -189,6 +207,51 @@ export class DateTimeParseContext{
         this.currentParsed().zone = zone;
     }
 
+    /**
+     * Gets the number of failures recorded so far.
+     *
+     * @return {number} the number of recorded failures, to pass to {@link setParseError}
+     */
+    parseErrorCount() {
+        return this._parseErrorCount;
+    }
+
+    /**
+     * Records the printer-parser that failed to parse at the error index.
+     * <p>
+     * A failure recorded at the same index while the printer-parser was parsing
+     * is the failure of a nested printer-parser, which is kept as the more specific one.
+     * Any earlier failure at the same index is replaced, as it was part of an optional section
+     * or an alternative that has been backtracked.
+     *
+     * @param {DateTimePrinterParser} printerParser  the printer-parser that failed, not null
+     * @param {number} errorIndex  the index of the failure
+     * @param {number} count  the {@link parseErrorCount} before the printer-parser started parsing
+     */
+    setParseError(printerParser, errorIndex, count) {
+        var error = this._parseErrors[errorIndex];
+        if (error != null && error.sequence >= count) {
+            return;
+        }
+        this._parseErrors[errorIndex] = {
+            printerParser: printerParser,
+            fieldValues: new EnumMap().putAll(this.currentParsed().fieldValues),
+            sequence: this._parseErrorCount++
+        };
+    }
+
+    /**
+     * Gets the failure recorded at the error index.
+     *
+     * @param {number} errorIndex  the index of the failure
+     * @return {{printerParser: DateTimePrinterParser, fieldValues: EnumMap}} the printer-parser
+     *  and the fields parsed until the failure, null if no failure is recorded at the index
+     */
+    getParseError(errorIndex) {
+        var error = this._parseErrors[errorIndex];
+        return error != null ? error : null;
+    }
+
     getParsed(field) {
         return this.currentParsed().fieldValues.get(field);
     }
@@ -278,7 +341,7 @@ class Parsed extends Temporal {
         if (this.zone != null) {
             builder.zone = this.zone;
         } else {
-            builder.zone = this.overrideZone;
+            builder.zone = this.dateTimeParseContext._overrideZone;
         }
         builder.leapSecond = this.leapSecond;
         builder.excessDays = this.excessDays;
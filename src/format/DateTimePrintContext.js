@@ -8,6 +8,13 @@ import {DateTimeException} from '../errors';
 
 import {DateTimeFormatter} from './DateTimeFormatter';
 
+import {Instant} from '../Instant';
+import {ZonedDateTime} from '../ZonedDateTime';
+import {ZoneOffset} from '../ZoneOffset';
+import {ChronoField} from '../temporal/ChronoField';
+import {TemporalAccessor} from '../temporal/TemporalAccessor';
+import {TemporalQueries} from '../temporal/TemporalQueries';
+
 export class DateTimePrintContext{
     /**
      *
@@ -29,17 +36,50 @@ export class DateTimePrintContext{
     }
 
     /**
+     * Adjusts the temporal to the override zone of the formatter.
+     * <p>
+     * A temporal with an instant is converted to a {@link ZonedDateTime} in the override zone,
+     * any other temporal reports the override zone as its zone.
+     * As js-joda only supports the iso chronology, the override chronology never requires a conversion.
      *
-     * @param {TemporalAccessor} temporal
-     * @param {DateTimeFormatter} formatter
-     * @returns {TemporalAccessor}
+     * @param {TemporalAccessor} temporal  the temporal to adjust, not null
+     * @param {DateTimeFormatter} formatter  the formatter providing the overrides, not null
+     * @returns {TemporalAccessor} the adjusted temporal, not null
+     * @throws DateTimeException if the override zone is an offset different to the offset of the temporal
      */
     static adjust(temporal, formatter) {
-        // TODO implement
-        return temporal;
+        var overrideZone = formatter.zone();
+        if (overrideZone == null) {
+            return temporal;
+        }
+        var temporalZone = temporal.query(TemporalQueries.zoneId());
+        if (overrideZone.equals(temporalZone)) {
+            return temporal;
+        }
+        if (temporal.isSupported(ChronoField.INSTANT_SECONDS)) {
+            return ZonedDateTime.ofInstant(Instant.from(temporal), overrideZone);
+        }
+        var normalizedOffset = overrideZone.normalized();
+        var temporalOffset = temporal.query(TemporalQueries.offset());
+        if (normalizedOffset instanceof ZoneOffset && temporalOffset != null && normalizedOffset.equals(temporalOffset) === false) {
+            throw new DateTimeException('Invalid override zone for temporal: ' + overrideZone + ' ' + temporal);
+        }
+        return new ZoneOverrideTemporalAccessor(temporal, overrideZone);
     }
 
 
+    /**
+     * Gets the locale.
+     * <p>
+     * This locale is used to control localization in the print output except
+     * where localization is controlled by the symbols.
+     *
+     * @return {Locale} the locale, may be null
+     */
+    locale(){
+        return this._locale;
+    }
+
     symbols(){
         return this._symbols;
     }
@@ -115,4 +155,50 @@ export class DateTimePrintContext{
     }
 
 
-}
\ No newline at end of file
+}
+
+/**
+ * A temporal delegating to the temporal being printed, but reporting the override zone of the formatter.
+ * @private
+ */
+class ZoneOverrideTemporalAccessor extends TemporalAccessor {
+    /**
+     * @param {TemporalAccessor} temporal  the temporal to delegate to, not null
+     * @param {ZoneId} zone  the override zone, not null
+     */
+    constructor(temporal, zone) {
+        super();
+        this._temporal = temporal;
+        this._zone = zone;
+    }
+
+    isSupported(field) {
+        return this._temporal.isSupported(field);
+    }
+
+    range(field) {
+        return this._temporal.range(field);
+    }
+
+    get(field) {
+        return this._temporal.get(field);
+    }
+
+    getLong(field) {
+        return this._temporal.getLong(field);
+    }
+
+    query(query) {
+        if (query === TemporalQueries.zoneId()) {
+            return this._zone;
+        }
+        if (query === TemporalQueries.chronology() || query === TemporalQueries.precision()) {
+            return this._temporal.query(query);
+        }
+        return query.queryFrom(this);
+    }
+
+    toString() {
+        return this._temporal.toString();
+    }
+}
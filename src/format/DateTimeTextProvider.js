@@ -0,0 +1,59 @@
+/**
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {abstractMethodFail} from '../assert';
+
+/**
+ * The Service Provider Interface (SPI) to be implemented by classes providing
+ * the textual form of a date-time field.
+ *
+ * <h3>Specification for implementors</h3>
+ * This interface is a service provider that can be called by multiple threads.
+ * Implementations must be thread-safe.
+ * Implementations should cache the textual information.
+ */
+export class DateTimeTextProvider {
+
+    /**
+     * Gets the text for the specified field, locale and style
+     * for the purpose of printing.
+     * <p>
+     * The text associated with the value is returned.
+     * The null return value should be used if there is no applicable text, or
+     * if the text would be a numeric representation of the value.
+     *
+     * @param {TemporalField} field - the field to get text for, not null
+     * @param {number} value - the field value to get text for, not null
+     * @param {TextStyle} style - the style to get text for, not null
+     * @param {Locale} locale - the locale to get text for, not null
+     * @return {string} the text for the field value, null if no text found
+     */
+    getText() {
+        abstractMethodFail('DateTimeTextProvider.getText');
+    }
+
+    /**
+     * Gets the text of the specified field, locale and style
+     * for the purpose of parsing.
+     * <p>
+     * The text and the values are returned as pairs {@code [text, value]}, sorted
+     * such that the longest text comes first, so that the parser matches the longest text.
+     * The same text must not be mapped to two different values.
+     * <p>
+     * The null return value should be used if there is no applicable parsable text, or
+     * if the text would be a numeric representation of the value.
+     * Text can only be parsed if all the values for that field-style-locale combination are unique.
+     *
+     * @param {TemporalField} field - the field to get text for, not null
+     * @param {TextStyle} style - the style to get text for, null for all parsable text
+     * @param {Locale} locale - the locale to get text for, not null
+     * @return {Array} the pairs of text and field value, longest text first, null if unable to parse
+     */
+    getTextIterator() {
+        abstractMethodFail('DateTimeTextProvider.getTextIterator');
+    }
+
+}
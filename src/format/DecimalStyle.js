@@ -4,6 +4,10 @@
  * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
  */
 
+import {requireNonNull} from '../assert';
+
+import {LocaleDataProvider} from './LocaleDataProvider';
+
 export class DecimalStyle {
     constructor(zeroChar, positiveSignChar, negativeSignChar, decimalPointChar) {
         this._zeroDigit = zeroChar;
@@ -93,11 +97,28 @@ export class DecimalStyle {
         return 'DecimalStyle[' + this._zeroDigit + this._positiveSign + this._negativeSign + this._decimalSeparator + ']';
     }
 
-    static of(){
-        throw new Error('not yet supported');
+    /**
+     * Obtains the decimal style of the locale, as provided by the {@link LocaleDataProvider}.
+     *
+     * @param {Locale} locale - the locale, not null
+     * @return {DecimalStyle} the decimal style of the locale, not null
+     */
+    static of(locale){
+        requireNonNull(locale, 'locale');
+        var data = LocaleDataProvider.getData(locale, 'decimalStyle');
+        if (data == null) {
+            return DecimalStyle.STANDARD;
+        }
+        return new DecimalStyle(data.zeroDigit, data.positiveSign, data.negativeSign, data.decimalSeparator);
     }
+
+    /**
+     * Gets the locales whose data is registered in the {@link LocaleDataProvider}.
+     *
+     * @return {Locale[]} the available locales, not null
+     */
     static availableLocales(){
-        throw new Error('not yet supported');
+        return LocaleDataProvider.getAvailableLocales();
     }
 
 }
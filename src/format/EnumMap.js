@@ -6,11 +6,13 @@
 export class EnumMap {
     constructor(){
         this._map = {};
+        this._keys = {};
     }
 
     putAll(otherMap){
         for(let key in otherMap._map){
             this._map[key] = otherMap._map[key];
+            this._keys[key] = otherMap._keys[key];
         }
         return this;
     }
@@ -29,16 +31,20 @@ export class EnumMap {
 
     set(key, val) {
         this._map[key.name()] = val;
+        this._keys[key.name()] = key;
         return this;
     }
 
     retainAll(keyList){
         var map = {};
+        var keys = {};
         for(let i=0; i<keyList.length; i++){
             let key = keyList[i].name();
             map[key] = this._map[key];
+            keys[key] = this._keys[key];
         }
         this._map = map;
+        this._keys = keys;
         return this;
     }
 
@@ -60,7 +66,23 @@ export class EnumMap {
         return this._map;
     }
 
+    /**
+     * the keys, like the fields, whose entries are not removed
+     *
+     * @returns {Array} a new array of the keys
+     */
+    keys(){
+        var keys = [];
+        for(let key in this._map){
+            if (this._map[key] !== undefined) {
+                keys.push(this._keys[key]);
+            }
+        }
+        return keys;
+    }
+
     clear(){
         this._map = {};
+        this._keys = {};
     }
 }
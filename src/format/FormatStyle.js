@@ -0,0 +1,40 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {Enum} from '../Enum';
+
+/**
+ * Enumeration of the style of a localized date, time or date-time formatter.
+ * <p>
+ * These styles are used when obtaining a date-time style for a locale,
+ * see {@link DateTimeFormatter.ofLocalizedDate}.
+ *
+ * <h3>Specification for implementors</h3>
+ * This is an immutable and thread-safe enum.
+ */
+export class FormatStyle extends Enum {
+}
+
+/**
+ * Full text style, with the most detail.
+ * For example, the format might be 'Tuesday, April 12, 1952 AD' or '3:30:42pm PST'.
+ */
+FormatStyle.FULL = new FormatStyle('FULL');
+/**
+ * Long text style, with lots of detail.
+ * For example, the format might be 'January 12, 1952'.
+ */
+FormatStyle.LONG = new FormatStyle('LONG');
+/**
+ * Medium text style, with some detail.
+ * For example, the format might be 'Jan 12, 1952'.
+ */
+FormatStyle.MEDIUM = new FormatStyle('MEDIUM');
+/**
+ * Short text style, typically numeric.
+ * For example, the format might be '12.13.52' or '3:30pm'.
+ */
+FormatStyle.SHORT = new FormatStyle('SHORT');
@@ -0,0 +1,182 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireInstance, requireNonNull} from '../assert';
+import {IllegalArgumentException} from '../errors';
+
+import {LocaleDataProvider} from './LocaleDataProvider';
+
+/**
+ * The default locale, initialized by {@link _init}.
+ */
+var DEFAULT_LOCALE = null;
+
+/**
+ * A locale, identifying a language and optionally a country.
+ * <p>
+ * The locale selects the localized data of the formatters, like the names of the months
+ * and the days of the week, the first day of the week and the decimal symbols.
+ * The data of a locale is provided by the {@link LocaleDataProvider}.
+ * <p>
+ * Only the language and the country of the locale are supported, scripts, variants
+ * and extensions of a language tag are not.
+ *
+ * <h3>Static properties of Class {@link Locale}</h3>
+ *
+ * Locale.ROOT, the root locale, the language and the country are empty
+ *
+ * Locale.ENGLISH, Locale.US, Locale.UK,
+ * Locale.GERMAN, Locale.GERMANY,
+ * Locale.FRENCH, Locale.FRANCE
+ *
+ */
+export class Locale {
+
+    /**
+     *
+     * @param {string} language - the ISO 639 language code, like 'en', empty for the root locale
+     * @param {string} [country=''] - the ISO 3166 country code, like 'US', may be empty
+     */
+    constructor(language, country = '') {
+        requireNonNull(language, 'language');
+        requireNonNull(country, 'country');
+        this._language = language.toLowerCase();
+        this._country = country.toUpperCase();
+    }
+
+    /**
+     * Obtains a locale from a language tag, like 'de' or 'de-DE'.
+     * <p>
+     * The language and the country may also be separated by an underscore,
+     * like in the result of {@link Locale#toString}.
+     *
+     * @param {string} languageTag - the language tag, not null
+     * @return {Locale} the locale, not null
+     * @throws IllegalArgumentException if the language tag is invalid
+     */
+    static forLanguageTag(languageTag) {
+        requireNonNull(languageTag, 'languageTag');
+        var parts = languageTag.split(/[-_]/);
+        if (parts.length > 2 || /^[a-zA-Z]{0,8}$/.test(parts[0]) === false ||
+                (parts.length === 2 && /^([a-zA-Z]{2}|[0-9]{3})$/.test(parts[1]) === false)) {
+            throw new IllegalArgumentException('Invalid language tag: ' + languageTag);
+        }
+        return new Locale(parts[0], parts.length === 2 ? parts[1] : '');
+    }
+
+    /**
+     * Gets the default locale, used by the formatters if no locale is specified.
+     * <p>
+     * The default locale is {@link Locale.US}, unless it is changed by {@link Locale.setDefault}.
+     *
+     * @return {Locale} the default locale, not null
+     */
+    static getDefault() {
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * Sets the default locale, used by the formatters created afterwards if no locale is specified.
+     *
+     * @param {Locale} locale - the new default locale, not null
+     */
+    static setDefault(locale) {
+        requireNonNull(locale, 'locale');
+        requireInstance(locale, Locale, 'locale');
+        DEFAULT_LOCALE = locale;
+    }
+
+    /**
+     * Gets the locales whose data is registered in the {@link LocaleDataProvider}.
+     *
+     * @return {Locale[]} the available locales, not null
+     */
+    static getAvailableLocales() {
+        return LocaleDataProvider.getAvailableLocales();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the language code of the locale, like 'en'.
+     *
+     * @return {string} the lower case language code, empty for the root locale
+     */
+    language() {
+        return this._language;
+    }
+
+    /**
+     * Gets the country code of the locale, like 'US'.
+     *
+     * @return {string} the upper case country code, may be empty
+     */
+    country() {
+        return this._country;
+    }
+
+    /**
+     * Gets the language tag of the locale, like 'en-US'.
+     *
+     * @return {string} the language tag, 'und' for the root locale
+     */
+    toLanguageTag() {
+        var language = this._language.length > 0 ? this._language : 'und';
+        return this._country.length > 0 ? language + '-' + this._country : language;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if this locale is equal to another locale.
+     *
+     * @param {*} other - the object to check, null returns false
+     * @return {boolean} true if this is equal to the other locale
+     */
+    equals(other) {
+        if (this === other) {
+            return true;
+        }
+        if (other instanceof Locale) {
+            return this._language === other._language && this._country === other._country;
+        }
+        return false;
+    }
+
+    /**
+     * A hash code for this locale.
+     *
+     * @return {number} a suitable hash code
+     */
+    hashCode() {
+        var hash = 0;
+        var str = this.toString();
+        for (let i = 0; i < str.length; i++) {
+            hash = (31 * hash + str.charCodeAt(i)) | 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Outputs this locale as a string, like 'en_US'.
+     *
+     * @return {string} the language code and the country code separated by an underscore
+     */
+    toString() {
+        return this._country.length > 0 ? this._language + '_' + this._country : this._language;
+    }
+
+}
+
+export function _init() {
+    Locale.ROOT = new Locale('');
+    Locale.ENGLISH = new Locale('en');
+    Locale.US = new Locale('en', 'US');
+    Locale.UK = new Locale('en', 'GB');
+    Locale.GERMAN = new Locale('de');
+    Locale.GERMANY = new Locale('de', 'DE');
+    Locale.FRENCH = new Locale('fr');
+    Locale.FRANCE = new Locale('fr', 'FR');
+
+    DEFAULT_LOCALE = Locale.US;
+}
@@ -0,0 +1,112 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireInstance, requireNonNull} from '../assert';
+import {IllegalArgumentException} from '../errors';
+
+import {Locale} from './Locale';
+import {en, enGB} from './locale/en';
+
+/**
+ * The registered locale data, keyed by the string of the locale, like 'en_GB'.
+ */
+var DATA = {};
+
+/**
+ * Registry of the localized data used by the formatters.
+ * <p>
+ * The data of a locale is a plain object, a locale data module, that is registered by
+ * {@link LocaleDataProvider.register}. The english data is registered by default,
+ * other locales like the german data shipped in {@link LocaleData} have to be registered:
+ * <pre>
+ *   LocaleDataProvider.register(LocaleData.de);
+ *   LocalDate.of(2016, 3, 1).format(DateTimeFormatter.ofPattern('d MMMM uuuu', Locale.GERMAN)); // '1 März 2016'
+ * </pre>
+ * A locale data module has the following properties, all of them optional except the locale:
+ * <pre>
+ *   {
+ *     locale: 'de',                   // the language tag of the locale
+ *     months: {FULL: [...], ...},     // the text of the months, from january to december
+ *     daysOfWeek: {FULL: [...], ...}, // the text of the days of the week, from monday to sunday
+ *     amPm: {FULL: [...], ...},       // the text of AM and PM
+ *     eras: {FULL: [...], ...},       // the text of the eras BC and AD
+ *     quarters: {FULL: [...], ...},   // the text of the quarters of the year
+ *     datePatterns: {FULL: 'EEEE, d. MMMM y', ...}, // the date patterns of the format styles
+ *     timePatterns: {FULL: 'HH:mm:ss zzzz', ...},   // the time patterns of the format styles
+ *     dateTimePatterns: {FULL: "{1} 'um' {0}", ...}, // the combination of date {1} and time {0},
+ *                                                    // keyed by the format style of the date
+ *     zoneNames: {'Europe/Berlin': {FULL: [...], SHORT: [...]}, ...}, // the standard, daylight saving
+ *                                     // and generic names of the zones, keyed by the zone ID
+ *     firstDayOfWeek: 1,              // the value of the first day of the week, from 1 (monday) to 7 (sunday)
+ *     minimalDaysInFirstWeek: 4,      // the minimal number of days in the first week, from 1 to 7
+ *     decimalStyle: {zeroDigit: '0', positiveSign: '+', negativeSign: '-', decimalSeparator: ','}
+ *   }
+ * </pre>
+ * The text is keyed by the name of the {@link TextStyle}, styles without text print the numeric value.
+ * The patterns are keyed by the name of the {@link FormatStyle}.
+ * The stand-alone styles default to the text of the normal styles.
+ * A zone name shared by several zones is parsed to the first of these zones, unless a preferred zone is given.
+ * <p>
+ * A property missing in the data of a locale with a country, like 'de-AT', is looked up in the data of
+ * its language, like 'de', and finally in the english data.
+ */
+export class LocaleDataProvider {
+
+    /**
+     * Registers the data module of a locale.
+     * <p>
+     * A later registration of the same locale replaces the data of the earlier one.
+     *
+     * @param {Object} data - the locale data module, not null
+     * @throws IllegalArgumentException if the data has no valid locale
+     */
+    static register(data) {
+        requireNonNull(data, 'data');
+        if (typeof data.locale !== 'string') {
+            throw new IllegalArgumentException('Locale data must have the language tag of its locale');
+        }
+        DATA[Locale.forLanguageTag(data.locale).toString()] = data;
+    }
+
+    /**
+     * Gets the locales whose data is registered.
+     *
+     * @return {Locale[]} a new array of the available locales, not null
+     */
+    static getAvailableLocales() {
+        return Object.keys(DATA).map((key) => Locale.forLanguageTag(key));
+    }
+
+    /**
+     * Gets a property of the data of a locale, like 'months' or 'firstDayOfWeek'.
+     * <p>
+     * The property is looked up in the data of the locale, of its language and in the english data.
+     *
+     * @param {Locale} locale - the locale, null for the default locale
+     * @param {string} key - the name of the property, not null
+     * @return {*} the value of the property, null if no data defines it
+     */
+    static getData(locale, key) {
+        requireNonNull(key, 'key');
+        if (locale == null) {
+            locale = Locale.getDefault();
+        }
+        requireInstance(locale, Locale, 'locale');
+        var candidates = [locale.toString(), locale.language(), en.locale];
+        for (let i = 0; i < candidates.length; i++) {
+            let data = DATA[candidates[i]];
+            if (data != null && data[key] != null) {
+                return data[key];
+            }
+        }
+        return null;
+    }
+
+}
+
+export function _init() {
+    LocaleDataProvider.register(en);
+    LocaleDataProvider.register(enGB);
+}
@@ -0,0 +1,255 @@
+/**
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {ChronoField} from '../temporal/ChronoField';
+import {IsoFields} from '../temporal/IsoFields';
+
+import {DateTimeTextProvider} from './DateTimeTextProvider';
+import {Locale} from './Locale';
+import {LocaleDataProvider} from './LocaleDataProvider';
+import {TextStyle} from './TextStyle';
+
+/**
+ * The singleton instance.
+ */
+var INSTANCE = null;
+
+/**
+ * The Service Provider Implementation to obtain date-time text for a field.
+ * <p>
+ * The text of the months, the days of the week, the AM/PM markers, the eras and the
+ * quarters of the year is taken from the locale data of the {@link LocaleDataProvider}.
+ *
+ * <h3>Specification for implementors</h3>
+ * This class is immutable and thread-safe.
+ */
+export class SimpleDateTimeTextProvider extends DateTimeTextProvider {
+
+    /**
+     * Gets the shared instance of the provider.
+     *
+     * @return {SimpleDateTimeTextProvider} the provider, not null
+     */
+    static getInstance() {
+        if (INSTANCE == null) {
+            INSTANCE = new SimpleDateTimeTextProvider();
+        }
+        return INSTANCE;
+    }
+
+    constructor() {
+        super();
+        /**
+         * Cache of the stores, keyed by locale and field name, with the locale data they are created from.
+         */
+        this._cache = {};
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @param {TemporalField} field
+     * @param {number} value
+     * @param {TextStyle} style
+     * @param {Locale} locale
+     * @return {string}
+     */
+    getText(field, value, style, locale) {
+        var store = this._findStore(field, locale);
+        if (store != null) {
+            return store.getText(value, style);
+        }
+        return null;
+    }
+
+    /**
+     *
+     * @param {TemporalField} field
+     * @param {TextStyle} style
+     * @param {Locale} locale
+     * @return {Array}
+     */
+    getTextIterator(field, style, locale) {
+        var store = this._findStore(field, locale);
+        if (store != null) {
+            return store.getTextIterator(style);
+        }
+        return null;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Finds the store of the field and the locale, the store is recreated if
+     * the locale data changed since it was created.
+     *
+     * @param {TemporalField} field
+     * @param {Locale} locale - the locale, null for the default locale
+     * @return {LocaleStore} the store, null if the field has no text
+     * @private
+     */
+    _findStore(field, locale) {
+        var dataKey = dataKeyOf(field);
+        if (dataKey == null) {
+            return null;
+        }
+        if (locale == null) {
+            locale = Locale.getDefault();
+        }
+        var styleMap = LocaleDataProvider.getData(locale, dataKey);
+        if (styleMap == null) {
+            return null;
+        }
+        var key = locale.toString() + '|' + field.name();
+        var cached = this._cache[key];
+        if (cached == null || cached.styleMap !== styleMap) {
+            cached = {styleMap: styleMap, store: createLocaleStore(styleMap, field.range().minimum())};
+            this._cache[key] = cached;
+        }
+        return cached.store;
+    }
+
+}
+
+//-----------------------------------------------------------------------
+/**
+ * Stores the text for a single locale.
+ * <p>
+ * Some fields have a textual representation, such as day-of-week or month-of-year.
+ * These textual representations can be captured in this class for printing
+ * and parsing.
+ */
+export class LocaleStore {
+
+    /**
+     * Constructor.
+     *
+     * @param {Object} valueTextMap - the map of text style names to maps of values to text, not null
+     */
+    constructor(valueTextMap) {
+        /**
+         * Map of value to text.
+         */
+        this._valueTextMap = valueTextMap;
+        /**
+         * Parsable data, keyed by text style name, the key 'ALL' for all text styles.
+         */
+        this._parsable = {};
+        var allList = [];
+        Object.keys(valueTextMap).forEach((style) => {
+            var reverse = {};
+            var list = [];
+            var textMap = valueTextMap[style];
+            var values = Object.keys(textMap);
+            for (let i = 0; i < values.length; i++) {
+                let text = textMap[values[i]];
+                if (reverse.hasOwnProperty(text)) {
+                    return;  // not parsable, try next style
+                }
+                reverse[text] = true;
+                list.push([text, parseInt(values[i], 10)]);
+            }
+            list.sort(compareLongestFirst);
+            this._parsable[style] = list;
+            allList = allList.concat(list);
+        });
+        allList.sort(compareLongestFirst);
+        this._parsable.ALL = allList;
+    }
+
+    /**
+     * Gets the text for the specified field value, locale and style
+     * for the purpose of printing.
+     *
+     * @param {number} value - the value to get text for, not null
+     * @param {TextStyle} style - the style to get text for, not null
+     * @return {string} the text for the field value, null if no text found
+     */
+    getText(value, style) {
+        var map = this._valueTextMap[style];
+        if (map != null && map.hasOwnProperty(value)) {
+            return map[value];
+        }
+        return null;
+    }
+
+    /**
+     * Gets the pairs of text and value for the specified style, longest text first,
+     * for the purpose of parsing.
+     *
+     * @param {TextStyle} style - the style to get text for, null for all parsable text
+     * @return {Array} the pairs of text and value, null if unable to parse
+     */
+    getTextIterator(style) {
+        var list = this._parsable[style != null ? style : 'ALL'];
+        return list != null ? list : null;
+    }
+
+}
+
+/**
+ * Gets the name of the locale data of the text of a field.
+ *
+ * @param {TemporalField} field
+ * @return {string} the name of the locale data, null if the field has no text
+ * @private
+ */
+function dataKeyOf(field) {
+    if (field === ChronoField.MONTH_OF_YEAR) {
+        return 'months';
+    }
+    if (field === ChronoField.DAY_OF_WEEK) {
+        return 'daysOfWeek';
+    }
+    if (field === ChronoField.AMPM_OF_DAY) {
+        return 'amPm';
+    }
+    if (field === ChronoField.ERA) {
+        return 'eras';
+    }
+    if (field === IsoFields.QUARTER_OF_YEAR) {
+        return 'quarters';
+    }
+    return null;
+}
+
+/**
+ * Creates the store of the text of the locale data,
+ * using the normal styles for the missing stand-alone styles.
+ *
+ * @param {Object} styleMap - the text of consecutive values keyed by text style name, not null
+ * @param {number} firstValue - the value of the first text
+ * @return {LocaleStore} the store, not null
+ * @private
+ */
+function createLocaleStore(styleMap, firstValue) {
+    var valueTextMap = {};
+    Object.keys(styleMap).forEach((style) => {
+        var map = {};
+        styleMap[style].forEach((text, i) => {
+            map[firstValue + i] = text;
+        });
+        valueTextMap[style] = map;
+    });
+    [TextStyle.FULL, TextStyle.SHORT, TextStyle.NARROW].forEach((style) => {
+        var standalone = style.asStandalone();
+        if (valueTextMap.hasOwnProperty(style) && valueTextMap.hasOwnProperty(standalone) === false) {
+            valueTextMap[standalone] = valueTextMap[style];
+        }
+    });
+    return new LocaleStore(valueTextMap);
+}
+
+/**
+ * Compares the pairs of text and value, longest text first.
+ *
+ * @param {Array} obj1
+ * @param {Array} obj2
+ * @return {number}
+ * @private
+ */
+function compareLongestFirst(obj1, obj2) {
+    return obj2[0].length - obj1[0].length;
+}
@@ -0,0 +1,18 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {de} from './de';
+import {en, enGB} from './en';
+import {fr} from './fr';
+
+/**
+ * The locale data modules shipped with js-joda.
+ * <p>
+ * The english data is registered by default, the other locales have to be registered:
+ * <pre>
+ *   LocaleDataProvider.register(LocaleData.de);
+ * </pre>
+ */
+export const LocaleData = {de, en, enGB, fr};
@@ -0,0 +1,116 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+/**
+ * The names of the zones, standard, daylight saving and generic, shared by several zones.
+ */
+const CENTRAL_EUROPEAN = {
+    FULL: ['Mitteleuropäische Normalzeit', 'Mitteleuropäische Sommerzeit', 'Mitteleuropäische Zeit'],
+    SHORT: ['MEZ', 'MESZ', 'MEZ']
+};
+const WESTERN_EUROPEAN = {
+    FULL: ['Westeuropäische Normalzeit', 'Westeuropäische Sommerzeit', 'Westeuropäische Zeit'],
+    SHORT: ['WEZ', 'WESZ', 'WEZ']
+};
+const EASTERN_EUROPEAN = {
+    FULL: ['Osteuropäische Normalzeit', 'Osteuropäische Sommerzeit', 'Osteuropäische Zeit'],
+    SHORT: ['OEZ', 'OESZ', 'OEZ']
+};
+const UTC = {
+    FULL: ['Koordinierte Weltzeit', 'Koordinierte Weltzeit', 'Koordinierte Weltzeit'],
+    SHORT: ['UTC', 'UTC', 'UTC']
+};
+
+/**
+ * The german locale data, to be registered by {@link LocaleDataProvider.register}.
+ */
+export const de = {
+    locale: 'de',
+    months: {
+        FULL: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+            'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+        SHORT: ['Jan.', 'Feb.', 'März', 'Apr.', 'Mai', 'Juni', 'Juli', 'Aug.', 'Sep.', 'Okt.', 'Nov.', 'Dez.'],
+        NARROW: ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'],
+        SHORT_STANDALONE: ['Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez']
+    },
+    daysOfWeek: {
+        FULL: ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag'],
+        SHORT: ['Mo.', 'Di.', 'Mi.', 'Do.', 'Fr.', 'Sa.', 'So.'],
+        NARROW: ['M', 'D', 'M', 'D', 'F', 'S', 'S'],
+        SHORT_STANDALONE: ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So']
+    },
+    amPm: {
+        FULL: ['AM', 'PM'],
+        SHORT: ['AM', 'PM']
+    },
+    eras: {
+        FULL: ['v. Chr.', 'n. Chr.'],
+        SHORT: ['v. Chr.', 'n. Chr.'],
+        NARROW: ['v. Chr.', 'n. Chr.']
+    },
+    quarters: {
+        FULL: ['1. Quartal', '2. Quartal', '3. Quartal', '4. Quartal'],
+        SHORT: ['Q1', 'Q2', 'Q3', 'Q4']
+    },
+    datePatterns: {
+        FULL: 'EEEE, d. MMMM y',
+        LONG: 'd. MMMM y',
+        MEDIUM: 'dd.MM.y',
+        SHORT: 'dd.MM.yy'
+    },
+    timePatterns: {
+        FULL: 'HH:mm:ss zzzz',
+        LONG: 'HH:mm:ss z',
+        MEDIUM: 'HH:mm:ss',
+        SHORT: 'HH:mm'
+    },
+    dateTimePatterns: {
+        FULL: "{1} 'um' {0}",
+        LONG: "{1} 'um' {0}",
+        MEDIUM: '{1}, {0}',
+        SHORT: '{1}, {0}'
+    },
+    zoneNames: {
+        'Europe/London': {
+            FULL: ['Mittlere Greenwich-Zeit', 'Britische Sommerzeit', 'Britische Zeit'],
+            SHORT: ['GMT', 'BST', 'GMT']
+        },
+        'Europe/Berlin': CENTRAL_EUROPEAN,
+        'Europe/Amsterdam': CENTRAL_EUROPEAN,
+        'Europe/Brussels': CENTRAL_EUROPEAN,
+        'Europe/Budapest': CENTRAL_EUROPEAN,
+        'Europe/Copenhagen': CENTRAL_EUROPEAN,
+        'Europe/Madrid': CENTRAL_EUROPEAN,
+        'Europe/Oslo': CENTRAL_EUROPEAN,
+        'Europe/Paris': CENTRAL_EUROPEAN,
+        'Europe/Prague': CENTRAL_EUROPEAN,
+        'Europe/Rome': CENTRAL_EUROPEAN,
+        'Europe/Stockholm': CENTRAL_EUROPEAN,
+        'Europe/Vienna': CENTRAL_EUROPEAN,
+        'Europe/Warsaw': CENTRAL_EUROPEAN,
+        'Europe/Zurich': CENTRAL_EUROPEAN,
+        'Atlantic/Canary': WESTERN_EUROPEAN,
+        'Europe/Lisbon': WESTERN_EUROPEAN,
+        'Europe/Bucharest': EASTERN_EUROPEAN,
+        'Europe/Athens': EASTERN_EUROPEAN,
+        'Europe/Helsinki': EASTERN_EUROPEAN,
+        'Europe/Kiev': EASTERN_EUROPEAN,
+        'Europe/Sofia': EASTERN_EUROPEAN,
+        'Europe/Moscow': {
+            FULL: ['Moskauer Normalzeit', 'Moskauer Sommerzeit', 'Moskauer Zeit'],
+            SHORT: ['MSK', 'MSD', 'MSK']
+        },
+        'Etc/UTC': UTC,
+        'UTC': UTC
+    },
+    firstDayOfWeek: 1,
+    minimalDaysInFirstWeek: 4,
+    decimalStyle: {
+        zeroDigit: '0',
+        positiveSign: '+',
+        negativeSign: '-',
+        decimalSeparator: ','
+    }
+};
@@ -0,0 +1,196 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+/**
+ * The names of the zones, standard, daylight saving and generic, shared by several zones.
+ */
+const EASTERN = {
+    FULL: ['Eastern Standard Time', 'Eastern Daylight Time', 'Eastern Time'],
+    SHORT: ['EST', 'EDT', 'ET']
+};
+const CENTRAL = {
+    FULL: ['Central Standard Time', 'Central Daylight Time', 'Central Time'],
+    SHORT: ['CST', 'CDT', 'CT']
+};
+const MOUNTAIN = {
+    FULL: ['Mountain Standard Time', 'Mountain Daylight Time', 'Mountain Time'],
+    SHORT: ['MST', 'MDT', 'MT']
+};
+const PACIFIC = {
+    FULL: ['Pacific Standard Time', 'Pacific Daylight Time', 'Pacific Time'],
+    SHORT: ['PST', 'PDT', 'PT']
+};
+const CENTRAL_EUROPEAN = {
+    FULL: ['Central European Standard Time', 'Central European Summer Time', 'Central European Time'],
+    SHORT: ['CET', 'CEST', 'CET']
+};
+const WESTERN_EUROPEAN = {
+    FULL: ['Western European Standard Time', 'Western European Summer Time', 'Western European Time'],
+    SHORT: ['WET', 'WEST', 'WET']
+};
+const EASTERN_EUROPEAN = {
+    FULL: ['Eastern European Standard Time', 'Eastern European Summer Time', 'Eastern European Time'],
+    SHORT: ['EET', 'EEST', 'EET']
+};
+const INDIA = {
+    FULL: ['India Standard Time', 'India Standard Time', 'India Standard Time'],
+    SHORT: ['IST', 'IST', 'IST']
+};
+const AUSTRALIAN_EASTERN = {
+    FULL: ['Australian Eastern Standard Time', 'Australian Eastern Daylight Time', 'Australian Eastern Time'],
+    SHORT: ['AEST', 'AEDT', 'AET']
+};
+const UTC = {
+    FULL: ['Coordinated Universal Time', 'Coordinated Universal Time', 'Coordinated Universal Time'],
+    SHORT: ['UTC', 'UTC', 'UTC']
+};
+
+/**
+ * The english locale data, registered by default and the fallback of every other locale.
+ * <p>
+ * See {@link LocaleDataProvider.register} for the format of locale data modules.
+ */
+export const en = {
+    locale: 'en',
+    months: {
+        FULL: ['January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'],
+        SHORT: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+        NARROW: ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D']
+    },
+    daysOfWeek: {
+        FULL: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+        SHORT: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        NARROW: ['M', 'T', 'W', 'T', 'F', 'S', 'S']
+    },
+    amPm: {
+        FULL: ['AM', 'PM'],
+        SHORT: ['AM', 'PM']
+    },
+    eras: {
+        FULL: ['Before Christ', 'Anno Domini'],
+        SHORT: ['BC', 'AD'],
+        NARROW: ['B', 'A']
+    },
+    quarters: {
+        FULL: ['1st quarter', '2nd quarter', '3rd quarter', '4th quarter'],
+        SHORT: ['Q1', 'Q2', 'Q3', 'Q4']
+    },
+    datePatterns: {
+        FULL: 'EEEE, MMMM d, y',
+        LONG: 'MMMM d, y',
+        MEDIUM: 'MMM d, y',
+        SHORT: 'M/d/yy'
+    },
+    timePatterns: {
+        FULL: 'h:mm:ss a zzzz',
+        LONG: 'h:mm:ss a z',
+        MEDIUM: 'h:mm:ss a',
+        SHORT: 'h:mm a'
+    },
+    dateTimePatterns: {
+        FULL: "{1} 'at' {0}",
+        LONG: "{1} 'at' {0}",
+        MEDIUM: '{1}, {0}',
+        SHORT: '{1}, {0}'
+    },
+    zoneNames: {
+        'America/New_York': EASTERN,
+        'America/Detroit': EASTERN,
+        'America/Toronto': EASTERN,
+        'America/Chicago': CENTRAL,
+        'America/Winnipeg': CENTRAL,
+        'America/Denver': MOUNTAIN,
+        'America/Edmonton': MOUNTAIN,
+        'America/Phoenix': MOUNTAIN,
+        'America/Los_Angeles': PACIFIC,
+        'America/Vancouver': PACIFIC,
+        'America/Anchorage': {
+            FULL: ['Alaska Standard Time', 'Alaska Daylight Time', 'Alaska Time'],
+            SHORT: ['AKST', 'AKDT', 'AKT']
+        },
+        'America/Halifax': {
+            FULL: ['Atlantic Standard Time', 'Atlantic Daylight Time', 'Atlantic Time'],
+            SHORT: ['AST', 'ADT', 'AT']
+        },
+        'Pacific/Honolulu': {
+            FULL: ['Hawaii-Aleutian Standard Time', 'Hawaii-Aleutian Daylight Time', 'Hawaii-Aleutian Time'],
+            SHORT: ['HST', 'HDT', 'HST']
+        },
+        'Europe/London': {
+            FULL: ['Greenwich Mean Time', 'British Summer Time', 'British Time'],
+            SHORT: ['GMT', 'BST', 'BT']
+        },
+        'Europe/Paris': CENTRAL_EUROPEAN,
+        'Europe/Amsterdam': CENTRAL_EUROPEAN,
+        'Europe/Berlin': CENTRAL_EUROPEAN,
+        'Europe/Brussels': CENTRAL_EUROPEAN,
+        'Europe/Budapest': CENTRAL_EUROPEAN,
+        'Europe/Copenhagen': CENTRAL_EUROPEAN,
+        'Europe/Madrid': CENTRAL_EUROPEAN,
+        'Europe/Oslo': CENTRAL_EUROPEAN,
+        'Europe/Prague': CENTRAL_EUROPEAN,
+        'Europe/Rome': CENTRAL_EUROPEAN,
+        'Europe/Stockholm': CENTRAL_EUROPEAN,
+        'Europe/Vienna': CENTRAL_EUROPEAN,
+        'Europe/Warsaw': CENTRAL_EUROPEAN,
+        'Europe/Zurich': CENTRAL_EUROPEAN,
+        'Atlantic/Canary': WESTERN_EUROPEAN,
+        'Europe/Lisbon': WESTERN_EUROPEAN,
+        'Europe/Bucharest': EASTERN_EUROPEAN,
+        'Europe/Athens': EASTERN_EUROPEAN,
+        'Europe/Helsinki': EASTERN_EUROPEAN,
+        'Europe/Kiev': EASTERN_EUROPEAN,
+        'Europe/Sofia': EASTERN_EUROPEAN,
+        'Europe/Moscow': {
+            FULL: ['Moscow Standard Time', 'Moscow Summer Time', 'Moscow Time'],
+            SHORT: ['MSK', 'MSD', 'MSK']
+        },
+        'Asia/Kolkata': INDIA,
+        'Asia/Calcutta': INDIA,
+        'Asia/Shanghai': {
+            FULL: ['China Standard Time', 'China Daylight Time', 'China Time'],
+            SHORT: ['CST', 'CDT', 'CT']
+        },
+        'Asia/Tokyo': {
+            FULL: ['Japan Standard Time', 'Japan Daylight Time', 'Japan Time'],
+            SHORT: ['JST', 'JDT', 'JT']
+        },
+        'Australia/Sydney': AUSTRALIAN_EASTERN,
+        'Australia/Brisbane': AUSTRALIAN_EASTERN,
+        'Australia/Melbourne': AUSTRALIAN_EASTERN,
+        'Etc/UTC': UTC,
+        'UTC': UTC
+    },
+    firstDayOfWeek: 7,
+    minimalDaysInFirstWeek: 1,
+    decimalStyle: {
+        zeroDigit: '0',
+        positiveSign: '+',
+        negativeSign: '-',
+        decimalSeparator: '.'
+    }
+};
+
+/**
+ * The british english locale data, registered by default, the weeks start on monday.
+ */
+export const enGB = {
+    locale: 'en-GB',
+    datePatterns: {
+        FULL: 'EEEE, d MMMM y',
+        LONG: 'd MMMM y',
+        MEDIUM: 'd MMM y',
+        SHORT: 'dd/MM/y'
+    },
+    timePatterns: {
+        FULL: 'HH:mm:ss zzzz',
+        LONG: 'HH:mm:ss z',
+        MEDIUM: 'HH:mm:ss',
+        SHORT: 'HH:mm'
+    },
+    firstDayOfWeek: 1,
+    minimalDaysInFirstWeek: 4
+};
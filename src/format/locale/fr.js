@@ -0,0 +1,110 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+/**
+ * The names of the zones, standard, daylight saving and generic, shared by several zones.
+ */
+const CENTRAL_EUROPEAN = {
+    FULL: ['heure normale d’Europe centrale', 'heure d’été d’Europe centrale', 'heure d’Europe centrale'],
+    SHORT: ['HNEC', 'HAEC', 'HEC']
+};
+const WESTERN_EUROPEAN = {
+    FULL: ['heure normale d’Europe de l’Ouest', 'heure d’été d’Europe de l’Ouest', 'heure d’Europe de l’Ouest'],
+    SHORT: ['HNEO', 'HAEO', 'HEO']
+};
+const EASTERN_EUROPEAN = {
+    FULL: ['heure normale d’Europe de l’Est', 'heure d’été d’Europe de l’Est', 'heure d’Europe de l’Est'],
+    SHORT: ['HNEE', 'HAEE', 'HEE']
+};
+const UTC = {
+    FULL: ['temps universel coordonné', 'temps universel coordonné', 'temps universel coordonné'],
+    SHORT: ['UTC', 'UTC', 'UTC']
+};
+
+/**
+ * The french locale data, to be registered by {@link LocaleDataProvider.register}.
+ */
+export const fr = {
+    locale: 'fr',
+    months: {
+        FULL: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+            'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+        SHORT: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'],
+        NARROW: ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D']
+    },
+    daysOfWeek: {
+        FULL: ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'],
+        SHORT: ['lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.', 'dim.'],
+        NARROW: ['L', 'M', 'M', 'J', 'V', 'S', 'D']
+    },
+    amPm: {
+        FULL: ['AM', 'PM'],
+        SHORT: ['AM', 'PM']
+    },
+    eras: {
+        FULL: ['avant Jésus-Christ', 'après Jésus-Christ'],
+        SHORT: ['av. J.-C.', 'ap. J.-C.'],
+        NARROW: ['av. J.-C.', 'ap. J.-C.']
+    },
+    quarters: {
+        FULL: ['1er trimestre', '2e trimestre', '3e trimestre', '4e trimestre'],
+        SHORT: ['T1', 'T2', 'T3', 'T4']
+    },
+    datePatterns: {
+        FULL: 'EEEE d MMMM y',
+        LONG: 'd MMMM y',
+        MEDIUM: 'd MMM y',
+        SHORT: 'dd/MM/y'
+    },
+    timePatterns: {
+        FULL: 'HH:mm:ss zzzz',
+        LONG: 'HH:mm:ss z',
+        MEDIUM: 'HH:mm:ss',
+        SHORT: 'HH:mm'
+    },
+    dateTimePatterns: {
+        FULL: "{1} 'à' {0}",
+        LONG: "{1} 'à' {0}",
+        MEDIUM: '{1} {0}',
+        SHORT: '{1} {0}'
+    },
+    zoneNames: {
+        'Europe/London': {
+            FULL: ['heure moyenne de Greenwich', 'heure d’été britannique', 'heure du Royaume-Uni'],
+            SHORT: ['GMT', 'BST', 'GMT']
+        },
+        'Europe/Paris': CENTRAL_EUROPEAN,
+        'Europe/Amsterdam': CENTRAL_EUROPEAN,
+        'Europe/Berlin': CENTRAL_EUROPEAN,
+        'Europe/Brussels': CENTRAL_EUROPEAN,
+        'Europe/Budapest': CENTRAL_EUROPEAN,
+        'Europe/Copenhagen': CENTRAL_EUROPEAN,
+        'Europe/Madrid': CENTRAL_EUROPEAN,
+        'Europe/Oslo': CENTRAL_EUROPEAN,
+        'Europe/Prague': CENTRAL_EUROPEAN,
+        'Europe/Rome': CENTRAL_EUROPEAN,
+        'Europe/Stockholm': CENTRAL_EUROPEAN,
+        'Europe/Vienna': CENTRAL_EUROPEAN,
+        'Europe/Warsaw': CENTRAL_EUROPEAN,
+        'Europe/Zurich': CENTRAL_EUROPEAN,
+        'Atlantic/Canary': WESTERN_EUROPEAN,
+        'Europe/Lisbon': WESTERN_EUROPEAN,
+        'Europe/Bucharest': EASTERN_EUROPEAN,
+        'Europe/Athens': EASTERN_EUROPEAN,
+        'Europe/Helsinki': EASTERN_EUROPEAN,
+        'Europe/Kiev': EASTERN_EUROPEAN,
+        'Europe/Sofia': EASTERN_EUROPEAN,
+        'Etc/UTC': UTC,
+        'UTC': UTC
+    },
+    firstDayOfWeek: 1,
+    minimalDaysInFirstWeek: 4,
+    decimalStyle: {
+        zeroDigit: '0',
+        positiveSign: '+',
+        negativeSign: '-',
+        decimalSeparator: ','
+    }
+};
@@ -4,13 +4,15 @@
  */
 
 export { Clock } from './Clock';
-export { DateTimeException, DateTimeParseException } from './errors';
+export { DateTimeException, DateTimeParseException, ZoneRulesException } from './errors';
 export { DayOfWeek } from './DayOfWeek';
 export { Duration } from './Duration';
 export { Instant } from './Instant';
 export { LocalDate } from './LocalDate';
 export { LocalTime } from './LocalTime';
 export { LocalDateTime } from './LocalDateTime';
+export { OffsetDateTime } from './OffsetDateTime';
+export { OffsetTime } from './OffsetTime';
 export { Month } from './Month';
 export { MonthDay } from './MonthDay';
 export { Period } from './Period';
@@ -28,9 +30,26 @@ export {ChronoUnit} from './temporal/ChronoUnit';
 export {IsoFields} from './temporal/IsoFields';
 export {TemporalAdjusters} from './temporal/TemporalAdjusters';
 export {TemporalQueries} from './temporal/TemporalQueries';
+export {WeekFields} from './temporal/WeekFields';
 
 export {DateTimeFormatter} from './format/DateTimeFormatter';
 export {DateTimeFormatterBuilder} from './format/DateTimeFormatterBuilder';
+export {DecimalStyle} from './format/DecimalStyle';
+export {FormatStyle} from './format/FormatStyle';
+export {Locale} from './format/Locale';
+export {LocaleData} from './format/locale/LocaleData';
+export {LocaleDataProvider} from './format/LocaleDataProvider';
 export {ResolverStyle} from './format/ResolverStyle';
+export {TextStyle} from './format/TextStyle';
+
+export {ZoneRules} from './zone/ZoneRules';
+export {ZoneOffsetTransition} from './zone/ZoneOffsetTransition';
+export {ZoneOffsetTransitionRule} from './zone/ZoneOffsetTransitionRule';
+export {ZoneRulesBuilder} from './zone/ZoneRulesBuilder';
+export {ZoneRulesProvider} from './zone/ZoneRulesProvider';
+export {TzdbZoneRulesProvider} from './zone/TzdbZoneRulesProvider';
+export {TzdbPackedData} from './zone/TzdbPackedData';
+export {IntlZoneRules} from './zone/IntlZoneRules';
+export {IntlZoneRulesProvider} from './zone/IntlZoneRulesProvider';
 
 import './_init';
\ No newline at end of file
@@ -277,6 +277,15 @@ export class ChronoField extends TemporalField {
         return temporal.getLong(this);
     }
 
+    /**
+     * The fields of {@link ChronoField} are resolved by the chronology, not by the field itself.
+     *
+     * @returns {null}
+     */
+    resolve() {
+        return null;
+    }
+
     /**
      *
      * @returns {string}
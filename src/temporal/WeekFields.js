@@ -0,0 +1,933 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireInstance, requireNonNull} from '../assert';
+import {DateTimeException, IllegalArgumentException, IllegalStateException} from '../errors';
+
+import {DayOfWeek} from '../DayOfWeek';
+import {LocalDate} from '../LocalDate';
+import {MathUtil} from '../MathUtil';
+import {Year} from '../Year';
+
+import {ChronoField} from './ChronoField';
+import {ChronoUnit} from './ChronoUnit';
+import {IsoFields} from './IsoFields';
+import {TemporalField} from './TemporalField';
+import {ValueRange} from './ValueRange';
+
+import {Locale} from '../format/Locale';
+import {LocaleDataProvider} from '../format/LocaleDataProvider';
+import {ResolverStyle} from '../format/ResolverStyle';
+
+/**
+ * The cache of rules by first day of week and minimal days.
+ */
+var CACHE = {};
+
+/**
+ * Localized definitions of the day-of-week, week-of-month and week-of-year fields.
+ * <p>
+ * A standard week is seven days long, but cultures have different definitions for some
+ * other aspects of a week. This class represents the definition of the week, for the
+ * purpose of providing {@link TemporalField} instances.
+ * <p>
+ * WeekFields provides five fields,
+ * {@link #dayOfWeek()}, {@link #weekOfMonth()}, {@link #weekOfYear()},
+ * {@link #weekOfWeekBasedYear()}, and {@link #weekBasedYear()}
+ * that provide access to the values from any {@link Temporal temporal object}.
+ * <p>
+ * The computations for day-of-week, week-of-month, and week-of-year are based
+ * on the {@link ChronoField#YEAR proleptic-year},
+ * {@link ChronoField#MONTH_OF_YEAR month-of-year},
+ * {@link ChronoField#DAY_OF_MONTH day-of-month}, and
+ * {@link ChronoField#DAY_OF_WEEK ISO day-of-week} which are based on the
+ * {@link ChronoField#EPOCH_DAY epoch-day} and the chronology.
+ * The values may not be aligned with the {@link ChronoField#YEAR_OF_ERA year-of-Era}
+ * depending on the Chronology.
+ * <p>A week is defined by:
+ * <ul>
+ * <li>The first day-of-week.
+ * For example, the ISO-8601 standard considers Monday to be the first day-of-week.
+ * <li>The minimal number of days in the first week.
+ * For example, the ISO-8601 standard counts the first week as needing at least 4 days.
+ * </ul><p>
+ * Together these two values allow a year or month to be divided into weeks.
+ * <p>
+ * <h3>Week of Month</h3>
+ * One field is used: week-of-month.
+ * The calculation ensures that weeks never overlap a month boundary.
+ * The month is divided into periods where each period starts on the defined first day-of-week.
+ * The earliest period is referred to as week 0 if it has less than the minimal number of days
+ * and week 1 if it has at least the minimal number of days.
+ * <p>
+ * <table cellpadding="0" cellspacing="3" border="0" style="text-align: left; width: 50%;">
+ * <caption>Examples of WeekFields</caption>
+ * <tr><th>Date</th><td>Day-of-week</td>
+ *  <td>First day: Monday<br>Minimal days: 4</td><td>First day: Monday<br>Minimal days: 5</td></tr>
+ * <tr><th>2008-12-31</th><td>Wednesday</td>
+ *  <td>Week 5 of December 2008</td><td>Week 5 of December 2008</td></tr>
+ * <tr><th>2009-01-01</th><td>Thursday</td>
+ *  <td>Week 1 of January 2009</td><td>Week 0 of January 2009</td></tr>
+ * <tr><th>2009-01-04</th><td>Sunday</td>
+ *  <td>Week 1 of January 2009</td><td>Week 0 of January 2009</td></tr>
+ * <tr><th>2009-01-05</th><td>Monday</td>
+ *  <td>Week 2 of January 2009</td><td>Week 1 of January 2009</td></tr>
+ * </table>
+ *
+ * <h3>Week of Year</h3>
+ * One field is used: week-of-year.
+ * The calculation ensures that weeks never overlap a year boundary.
+ * The year is divided into periods where each period starts on the defined first day-of-week.
+ * The earliest period is referred to as week 0 if it has less than the minimal number of days
+ * and week 1 if it has at least the minimal number of days.
+ *
+ * <h3>Week Based Year</h3>
+ * Two fields are used for week-based-year, one for the
+ * {@link #weekOfWeekBasedYear() week-of-week-based-year} and one for
+ * {@link #weekBasedYear() week-based-year}.  In a week-based-year, each week
+ * belongs to only a single year.  Week 1 of a year is the first week that
+ * starts on the first day-of-week and has at least the minimum number of days.
+ * The first and last weeks of a year may contain days from the
+ * previous calendar year or next calendar year respectively.
+ *
+ * <table cellpadding="0" cellspacing="3" border="0" style="text-align: left; width: 50%;">
+ * <caption>Examples of WeekFields for week-based-year</caption>
+ * <tr><th>Date</th><td>Day-of-week</td>
+ *  <td>First day: Monday<br>Minimal days: 4</td><td>First day: Monday<br>Minimal days: 5</td></tr>
+ * <tr><th>2008-12-31</th><td>Wednesday</td>
+ *  <td>Week 1 of 2009</td><td>Week 53 of 2008</td></tr>
+ * <tr><th>2009-01-01</th><td>Thursday</td>
+ *  <td>Week 1 of 2009</td><td>Week 53 of 2008</td></tr>
+ * <tr><th>2009-01-04</th><td>Sunday</td>
+ *  <td>Week 1 of 2009</td><td>Week 53 of 2008</td></tr>
+ * <tr><th>2009-01-05</th><td>Monday</td>
+ *  <td>Week 2 of 2009</td><td>Week 1 of 2009</td></tr>
+ * </table>
+ *
+ * <h3>Static properties of Class {@link WeekFields}</h3>
+ *
+ * WeekFields.ISO
+ *
+ * The ISO-8601 definition, where a week starts on Monday and the first week
+ * has a minimum of 4 days.
+ * <p>
+ * The ISO-8601 standard defines a calendar system based on weeks.
+ * It uses the week-based-year and week-of-week-based-year concepts to split
+ * up the passage of days instead of the standard year/month/day.
+ * <p>
+ * Note that the first week may start in the previous calendar year.
+ * Note also that the first few days of a calendar year may be in the
+ * week-based-year corresponding to the previous calendar year.
+ *
+ * WeekFields.SUNDAY_START
+ *
+ * The common definition of a week that starts on Sunday and the first week
+ * has a minimum of 1 day.
+ * <p>
+ * Defined as starting on Sunday and with a minimum of 1 day in the month.
+ * This week definition is in use in the US and other European countries.
+ *
+ * <h3>Specification for implementors</h3>
+ * This class is immutable and thread-safe.
+ */
+export class WeekFields {
+
+    /**
+     * Obtains an instance of {@code WeekFields} appropriate for a locale,
+     * or from the first day-of-week and minimal days.
+     * <p>
+     * The week definition of a locale is taken from the {@code firstDayOfWeek} and
+     * {@code minimalDaysInFirstWeek} of its data in the {@link LocaleDataProvider}.
+     *
+     * @param {Locale|DayOfWeek} localeOrFirstDayOfWeek - the locale to use, or the first day of the week, not null
+     * @param {number} [minimalDaysInFirstWeek] - the minimal number of days in the first week, from 1 to 7,
+     *  required if the first day of the week is specified
+     * @return {WeekFields} the week-definition, not null
+     * @throws IllegalArgumentException if the minimal days value is less than one
+     *      or greater than 7
+     */
+    static of(localeOrFirstDayOfWeek, minimalDaysInFirstWeek) {
+        if (arguments.length === 1) {
+            return WeekFields._ofLocale(localeOrFirstDayOfWeek);
+        } else {
+            return WeekFields._ofFirstDayOfWeekMinimalDays(localeOrFirstDayOfWeek, minimalDaysInFirstWeek);
+        }
+    }
+
+    /**
+     * Obtains an instance of {@code WeekFields} appropriate for a locale.
+     *
+     * @param {Locale} locale - the locale to use, not null
+     * @return {WeekFields} the week-definition, not null
+     */
+    static _ofLocale(locale) {
+        requireNonNull(locale, 'locale');
+        requireInstance(locale, Locale, 'locale');
+        var firstDayOfWeek = LocaleDataProvider.getData(locale, 'firstDayOfWeek');
+        var minimalDays = LocaleDataProvider.getData(locale, 'minimalDaysInFirstWeek');
+        return WeekFields._ofFirstDayOfWeekMinimalDays(DayOfWeek.of(firstDayOfWeek), minimalDays);
+    }
+
+    /**
+     * Obtains an instance of {@code WeekFields} from the first day-of-week and minimal days.
+     * <p>
+     * The first day-of-week defines the ISO {@code DayOfWeek} that is day 1 of the week.
+     * The minimal number of days in the first week defines how many days must be present
+     * in a month or year, starting from the first day-of-week, before the week is counted
+     * as the first week. A value of 1 will count the first day of the month or year as part
+     * of the first week, whereas a value of 7 will require the whole seven days to be in
+     * the new month or year.
+     * <p>
+     * WeekFields instances are singletons; for each unique combination
+     * of {@code firstDayOfWeek} and {@code minimalDaysInFirstWeek} the
+     * the same instance will be returned.
+     *
+     * @param {DayOfWeek} firstDayOfWeek - the first day of the week, not null
+     * @param {number} minimalDaysInFirstWeek - the minimal number of days in the first week, from 1 to 7
+     * @return {WeekFields} the week-definition, not null
+     * @throws IllegalArgumentException if the minimal days value is less than one
+     *      or greater than 7
+     */
+    static _ofFirstDayOfWeekMinimalDays(firstDayOfWeek, minimalDaysInFirstWeek) {
+        requireNonNull(firstDayOfWeek, 'firstDayOfWeek');
+        requireInstance(firstDayOfWeek, DayOfWeek, 'firstDayOfWeek');
+        var key = firstDayOfWeek.toString() + minimalDaysInFirstWeek;
+        var rules = CACHE[key];
+        if (rules == null) {
+            rules = new WeekFields(firstDayOfWeek, minimalDaysInFirstWeek);
+            CACHE[key] = rules;
+        }
+        return rules;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Creates an instance of the definition.
+     *
+     * @param {DayOfWeek} firstDayOfWeek - the first day of the week, not null
+     * @param {number} minimalDaysInFirstWeek - the minimal number of days in the first week, from 1 to 7
+     * @throws IllegalArgumentException if the minimal days value is invalid
+     * @private
+     */
+    constructor(firstDayOfWeek, minimalDaysInFirstWeek) {
+        requireNonNull(firstDayOfWeek, 'firstDayOfWeek');
+        if (minimalDaysInFirstWeek < 1 || minimalDaysInFirstWeek > 7) {
+            throw new IllegalArgumentException('Minimal number of days is invalid');
+        }
+        this._firstDayOfWeek = firstDayOfWeek;
+        this._minimalDays = minimalDaysInFirstWeek;
+        this._dayOfWeek = ComputedDayOfField.ofDayOfWeekField(this);
+        this._weekOfMonth = ComputedDayOfField.ofWeekOfMonthField(this);
+        this._weekOfYear = ComputedDayOfField.ofWeekOfYearField(this);
+        this._weekOfWeekBasedYear = ComputedDayOfField.ofWeekOfWeekBasedYearField(this);
+        this._weekBasedYear = ComputedDayOfField.ofWeekBasedYearField(this);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the first day-of-week.
+     * <p>
+     * The first day-of-week varies by culture.
+     * For example, the US uses Sunday, while France and the ISO-8601 standard use Monday.
+     * This method returns the first day using the standard {@code DayOfWeek} enum.
+     *
+     * @return {DayOfWeek} the first day-of-week, not null
+     */
+    firstDayOfWeek() {
+        return this._firstDayOfWeek;
+    }
+
+    /**
+     * Gets the minimal number of days in the first week.
+     * <p>
+     * The number of days considered to define the first week of a month or year
+     * varies by culture.
+     * For example, the ISO-8601 requires 4 days (more than half a week) to
+     * be present before counting the first week.
+     *
+     * @return {number} the minimal number of days in the first week of a month or year, from 1 to 7
+     */
+    minimalDaysInFirstWeek() {
+        return this._minimalDays;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a field to access the day of week based on this {@code WeekFields}.
+     * <p>
+     * This is similar to {@link ChronoField#DAY_OF_WEEK} but uses values for
+     * the day-of-week based on this {@code WeekFields}.
+     * The days are numbered from 1 to 7 where the
+     * {@link #firstDayOfWeek() first day-of-week} is assigned the value 1.
+     * <p>
+     * For example, if the first day-of-week is Sunday, then that will have the
+     * value 1, with other days ranging from Monday as 2 to Saturday as 7.
+     * <p>
+     * In the resolving phase of parsing, a localized day-of-week will be converted
+     * to a standardized {@code ChronoField} day-of-week.
+     * The day-of-week must be in the valid range 1 to 7.
+     * Other fields in this class build dates using the standardized day-of-week.
+     *
+     * @return {TemporalField} a field providing access to the day-of-week with localized numbering, not null
+     */
+    dayOfWeek() {
+        return this._dayOfWeek;
+    }
+
+    /**
+     * Returns a field to access the week of month based on this {@code WeekFields}.
+     * <p>
+     * This represents the concept of the count of weeks within the month where weeks
+     * start on a fixed day-of-week, such as Monday.
+     * This field is typically used with {@link WeekFields#dayOfWeek()}.
+     * <p>
+     * Week one (1) is the week starting on the {@link WeekFields#firstDayOfWeek}
+     * where there are at least {@link WeekFields#minimalDaysInFirstWeek()} days in the month.
+     * Thus, week one may start up to {@code minDays} days before the start of the month.
+     * If the first week starts after the start of the month then the period before is week zero (0).
+     * <p>
+     * In the resolving phase of parsing, a date can be created from a year,
+     * week-of-month, month-of-year and day-of-week.
+     *
+     * @return {TemporalField} a field providing access to the week-of-month, not null
+     */
+    weekOfMonth() {
+        return this._weekOfMonth;
+    }
+
+    /**
+     * Returns a field to access the week of year based on this {@code WeekFields}.
+     * <p>
+     * This represents the concept of the count of weeks within the year where weeks
+     * start on a fixed day-of-week, such as Monday.
+     * This field is typically used with {@link WeekFields#dayOfWeek()}.
+     * <p>
+     * Week one(1) is the week starting on the {@link WeekFields#firstDayOfWeek}
+     * where there are at least {@link WeekFields#minimalDaysInFirstWeek()} days in the year.
+     * Thus, week one may start up to {@code minDays} days before the start of the year.
+     * If the first week starts after the start of the year then the period before is week zero (0).
+     * <p>
+     * In the resolving phase of parsing, a date can be created from a year,
+     * week-of-year and day-of-week.
+     *
+     * @return {TemporalField} a field providing access to the week-of-year, not null
+     */
+    weekOfYear() {
+        return this._weekOfYear;
+    }
+
+    /**
+     * Returns a field to access the week of a week-based-year based on this {@code WeekFields}.
+     * <p>
+     * This represents the concept of the count of weeks within the year where weeks
+     * start on a fixed day-of-week, such as Monday and each week belongs to exactly one year.
+     * This field is typically used with {@link WeekFields#dayOfWeek()} and
+     * {@link WeekFields#weekBasedYear()}.
+     * <p>
+     * Week one(1) is the week starting on the {@link WeekFields#firstDayOfWeek}
+     * where there are at least {@link WeekFields#minimalDaysInFirstWeek()} days in the year.
+     * If the first week starts after the start of the year then the period before
+     * is in the last week of the previous year.
+     * <p>
+     * In the resolving phase of parsing, a date can be created from a week-based-year,
+     * week-of-week-based-year and day-of-week.
+     *
+     * @return {TemporalField} a field providing access to the week-of-week-based-year, not null
+     */
+    weekOfWeekBasedYear() {
+        return this._weekOfWeekBasedYear;
+    }
+
+    /**
+     * Returns a field to access the year of a week-based-year based on this {@code WeekFields}.
+     * <p>
+     * This represents the concept of the year where weeks start on a fixed day-of-week,
+     * such as Monday and each week belongs to exactly one year.
+     * This field is typically used with {@link WeekFields#dayOfWeek()} and
+     * {@link WeekFields#weekOfWeekBasedYear()}.
+     * <p>
+     * Week one(1) is the week starting on the {@link WeekFields#firstDayOfWeek}
+     * where there are at least {@link WeekFields#minimalDaysInFirstWeek()} days in the year.
+     * Thus, week one may start before the start of the year.
+     * If the first week starts after the start of the year then the period before
+     * is in the last week of the previous year.
+     *
+     * @return {TemporalField} a field providing access to the week-based-year, not null
+     */
+    weekBasedYear() {
+        return this._weekBasedYear;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if this {@code WeekFields} is equal to the specified object.
+     * <p>
+     * The comparison is based on the entire state of the rules, which is
+     * the first day-of-week and minimal days.
+     *
+     * @param {*} other - the other rules to compare to, null returns false
+     * @return {boolean} true if this is equal to the specified rules
+     */
+    equals(other) {
+        if (this === other) {
+            return true;
+        }
+        if (other instanceof WeekFields) {
+            return this._firstDayOfWeek === other._firstDayOfWeek && this._minimalDays === other._minimalDays;
+        }
+        return false;
+    }
+
+    /**
+     * A hash code for this {@code WeekFields}.
+     *
+     * @return {number} a suitable hash code
+     */
+    hashCode() {
+        return this._firstDayOfWeek.ordinal() * 7 + this._minimalDays;
+    }
+
+    /**
+     * A string representation of this {@code WeekFields} instance.
+     *
+     * @return {string} the string representation, like 'WeekFields[SUNDAY,1]'
+     */
+    toString() {
+        return 'WeekFields[' + this._firstDayOfWeek + ',' + this._minimalDays + ']';
+    }
+
+}
+
+//-----------------------------------------------------------------------
+var DAY_OF_WEEK_RANGE = null;
+var WEEK_OF_MONTH_RANGE = null;
+var WEEK_OF_YEAR_RANGE = null;
+var WEEK_OF_WEEK_BASED_YEAR_RANGE = null;
+var WEEK_BASED_YEAR_RANGE = null;
+
+/**
+ * Field type that computes DayOfWeek, WeekOfMonth, and WeekOfYear
+ * based on a WeekFields.
+ * A separate Field instance is required for each different WeekFields;
+ * combination of start of week and minimum number of days.
+ * Constructors are provided to create fields for DayOfWeek, WeekOfMonth,
+ * and WeekOfYear.
+ */
+class ComputedDayOfField extends TemporalField {
+
+    /**
+     * Returns a field to access the day of week,
+     * computed based on a WeekFields.
+     * <p>
+     * The WeekDefintion of the first day of the week is used with
+     * the ISO DAY_OF_WEEK field to compute week boundaries.
+     *
+     * @param {WeekFields} weekDef
+     * @return {ComputedDayOfField}
+     */
+    static ofDayOfWeekField(weekDef) {
+        return new ComputedDayOfField('DayOfWeek', weekDef, ChronoUnit.DAYS, ChronoUnit.WEEKS, DAY_OF_WEEK_RANGE);
+    }
+
+    /**
+     * Returns a field to access the week of month,
+     * computed based on a WeekFields.
+     *
+     * @param {WeekFields} weekDef
+     * @return {ComputedDayOfField}
+     */
+    static ofWeekOfMonthField(weekDef) {
+        return new ComputedDayOfField('WeekOfMonth', weekDef, ChronoUnit.WEEKS, ChronoUnit.MONTHS, WEEK_OF_MONTH_RANGE);
+    }
+
+    /**
+     * Returns a field to access the week of year,
+     * computed based on a WeekFields.
+     *
+     * @param {WeekFields} weekDef
+     * @return {ComputedDayOfField}
+     */
+    static ofWeekOfYearField(weekDef) {
+        return new ComputedDayOfField('WeekOfYear', weekDef, ChronoUnit.WEEKS, ChronoUnit.YEARS, WEEK_OF_YEAR_RANGE);
+    }
+
+    /**
+     * Returns a field to access the week of week-based-year,
+     * computed based on a WeekFields.
+     *
+     * @param {WeekFields} weekDef
+     * @return {ComputedDayOfField}
+     */
+    static ofWeekOfWeekBasedYearField(weekDef) {
+        return new ComputedDayOfField('WeekOfWeekBasedYear', weekDef, ChronoUnit.WEEKS, IsoFields.WEEK_BASED_YEARS,
+            WEEK_OF_WEEK_BASED_YEAR_RANGE);
+    }
+
+    /**
+     * Returns a field to access the week-based-year,
+     * computed based on a WeekFields.
+     *
+     * @param {WeekFields} weekDef
+     * @return {ComputedDayOfField}
+     */
+    static ofWeekBasedYearField(weekDef) {
+        return new ComputedDayOfField('WeekBasedYear', weekDef, IsoFields.WEEK_BASED_YEARS, ChronoUnit.FOREVER,
+            WEEK_BASED_YEAR_RANGE);
+    }
+
+    /**
+     *
+     * @param {string} name - the name of the field
+     * @param {WeekFields} weekDef - the week definition
+     * @param {TemporalUnit} baseUnit - the base unit
+     * @param {TemporalUnit} rangeUnit - the range unit
+     * @param {ValueRange} range - the range
+     * @private
+     */
+    constructor(name, weekDef, baseUnit, rangeUnit, range) {
+        super();
+        this._name = name;
+        this._weekDef = weekDef;
+        this._baseUnit = baseUnit;
+        this._rangeUnit = rangeUnit;
+        this._range = range;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {number}
+     */
+    getFrom(temporal) {
+        if (this._rangeUnit === ChronoUnit.WEEKS) {
+            return this._localizedDayOfWeek(temporal);
+        } else if (this._rangeUnit === ChronoUnit.MONTHS) {
+            return this._localizedWeekOfMonth(temporal, this._localizedDayOfWeek(temporal));
+        } else if (this._rangeUnit === ChronoUnit.YEARS) {
+            return this._localizedWeekOfYear(temporal, this._localizedDayOfWeek(temporal));
+        } else if (this._rangeUnit === IsoFields.WEEK_BASED_YEARS) {
+            return this._localizedWeekOfWeekBasedYear(temporal);
+        } else if (this._rangeUnit === ChronoUnit.FOREVER) {
+            return this._localizedWeekBasedYear(temporal);
+        } else {
+            throw new IllegalStateException('unreachable');
+        }
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {number} the day of the week, from 1 for the first day of the week to 7
+     */
+    _localizedDayOfWeek(temporal) {
+        var sow = this._weekDef.firstDayOfWeek().value();
+        var isoDow = temporal.get(ChronoField.DAY_OF_WEEK);
+        return MathUtil.floorMod(isoDow - sow, 7) + 1;
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @param {number} dow - the localized day of the week
+     * @return {number}
+     */
+    _localizedWeekOfMonth(temporal, dow) {
+        var dom = temporal.get(ChronoField.DAY_OF_MONTH);
+        var offset = this._startOfWeekOffset(dom, dow);
+        return this._computeWeek(offset, dom);
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @param {number} dow - the localized day of the week
+     * @return {number}
+     */
+    _localizedWeekOfYear(temporal, dow) {
+        var doy = temporal.get(ChronoField.DAY_OF_YEAR);
+        var offset = this._startOfWeekOffset(doy, dow);
+        return this._computeWeek(offset, doy);
+    }
+
+    /**
+     * Returns the week index of the first week of the next year, relative to the year of the temporal.
+     *
+     * @param {TemporalAccessor} temporal
+     * @param {number} dow - the localized day of the week
+     * @return {number}
+     */
+    _weekIndexOfFirstWeekNextYear(temporal, dow) {
+        var offset = this._startOfWeekOffset(temporal.get(ChronoField.DAY_OF_YEAR), dow);
+        var yearLen = Year.isLeap(temporal.get(ChronoField.YEAR)) ? 366 : 365;
+        return this._computeWeek(offset, yearLen + this._weekDef.minimalDaysInFirstWeek());
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {number}
+     */
+    _localizedWeekOfWeekBasedYear(temporal) {
+        var dow = this._localizedDayOfWeek(temporal);
+        var woy = this._localizedWeekOfYear(temporal, dow);
+        if (woy === 0) {
+            var previous = LocalDate.from(temporal).minus(1, ChronoUnit.WEEKS);
+            return this._localizedWeekOfYear(previous, dow) + 1;
+        } else if (woy >= 53) {
+            var weekIndexOfFirstWeekNextYear = this._weekIndexOfFirstWeekNextYear(temporal, dow);
+            if (woy >= weekIndexOfFirstWeekNextYear) {
+                woy = woy - (weekIndexOfFirstWeekNextYear - 1);
+            }
+        }
+        return woy;
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {number}
+     */
+    _localizedWeekBasedYear(temporal) {
+        var dow = this._localizedDayOfWeek(temporal);
+        var year = temporal.get(ChronoField.YEAR);
+        var woy = this._localizedWeekOfYear(temporal, dow);
+        if (woy === 0) {
+            return year - 1;
+        } else if (woy < 53) {
+            return year;
+        }
+        if (woy >= this._weekIndexOfFirstWeekNextYear(temporal, dow)) {
+            return year + 1;
+        }
+        return year;
+    }
+
+    /**
+     * Returns an offset to align week start with a day of month or day of year.
+     *
+     * @param {number} day - the day; 1 through infinity
+     * @param {number} dow - the day of the week of that day; 1 through 7
+     * @return {number} an offset in days to align a day with the start of the first 'full' week
+     */
+    _startOfWeekOffset(day, dow) {
+        // offset of first day corresponding to the day of week in first 7 days (zero origin)
+        var weekStart = MathUtil.floorMod(day - dow, 7);
+        var offset = -weekStart;
+        if (weekStart + 1 > this._weekDef.minimalDaysInFirstWeek()) {
+            // The previous week has the minimum days in the current month to be a 'week'
+            offset = 7 - weekStart;
+        }
+        return offset;
+    }
+
+    /**
+     * Returns the week number computed from the reference day and reference dayOfWeek.
+     *
+     * @param {number} offset - the offset to align a date with the start of week
+     *     from {@link #_startOfWeekOffset}.
+     * @param {number} day - the day for which to compute the week number
+     * @return {number} the week number where zero is used for a partial week and 1 for the first full week
+     */
+    _computeWeek(offset, day) {
+        return MathUtil.intDiv(7 + offset + (day - 1), 7);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @param {Temporal} temporal
+     * @param {number} newValue
+     * @return {Temporal}
+     */
+    adjustInto(temporal, newValue) {
+        // Check the new value and get the old value of the field
+        var newVal = this._range.checkValidIntValue(newValue, this);
+        var currentVal = temporal.get(this);
+        if (newVal === currentVal) {
+            return temporal;
+        }
+        if (this._rangeUnit === ChronoUnit.FOREVER) {
+            // adjust in whole weeks so dow never changes
+            var baseWowby = temporal.get(this._weekDef._weekOfWeekBasedYear);
+            var diffWeeks = MathUtil.roundDown((newValue - currentVal) * 52.1775);
+            var result = temporal.plus(diffWeeks, ChronoUnit.WEEKS);
+            if (result.get(this) > newVal) {
+                // ended up in later week-based-year
+                // move to last week of previous year
+                result = result.minus(result.get(this._weekDef._weekOfWeekBasedYear), ChronoUnit.WEEKS);
+            } else {
+                if (result.get(this) < newVal) {
+                    // ended up in earlier week-based-year
+                    result = result.plus(2, ChronoUnit.WEEKS);
+                }
+                // reset the week-of-week-based-year
+                result = result.plus(baseWowby - result.get(this._weekDef._weekOfWeekBasedYear), ChronoUnit.WEEKS);
+                if (result.get(this) > newVal) {
+                    result = result.minus(1, ChronoUnit.WEEKS);
+                }
+            }
+            return result;
+        }
+        // Compute the difference and add that using the base using of the field
+        return temporal.plus(newVal - currentVal, this._baseUnit);
+    }
+
+    /**
+     *
+     * @param {EnumMap} fieldValues
+     * @param {TemporalAccessor} partialTemporal
+     * @param {ResolverStyle} resolverStyle
+     * @return {ChronoLocalDate} the resolved date, null if the fields are not resolved to a date
+     */
+    resolve(fieldValues, partialTemporal, resolverStyle) {
+        var sow = this._weekDef.firstDayOfWeek().value();
+        if (this._rangeUnit === ChronoUnit.WEEKS) {  // day-of-week
+            let value = fieldValues.remove(this);
+            let localDow = this._range.checkValidIntValue(value, this);
+            let isoDow = MathUtil.floorMod((sow - 1) + (localDow - 1), 7) + 1;
+            fieldValues.put(ChronoField.DAY_OF_WEEK, isoDow);
+            return null;
+        }
+        if (fieldValues.containsKey(ChronoField.DAY_OF_WEEK) === false) {
+            return null;
+        }
+        // the week-of-week-based-year is resolved by the week-based-year
+        if (this._rangeUnit === IsoFields.WEEK_BASED_YEARS) {
+            return null;
+        }
+        var isoDow = ChronoField.DAY_OF_WEEK.checkValidIntValue(fieldValues.get(ChronoField.DAY_OF_WEEK));
+        var dow = MathUtil.floorMod(isoDow - sow, 7) + 1;
+        var date, dateDow, weeks;
+
+        if (this._rangeUnit === ChronoUnit.FOREVER) {  // week-based-year
+            let weekOfWeekBasedYear = this._weekDef._weekOfWeekBasedYear;
+            if (fieldValues.containsKey(weekOfWeekBasedYear) === false) {
+                return null;
+            }
+            let wby = this._range.checkValidIntValue(fieldValues.get(this), this);
+            let wowby = fieldValues.get(weekOfWeekBasedYear);
+            if (resolverStyle !== ResolverStyle.LENIENT) {
+                wowby = weekOfWeekBasedYear.range().checkValidIntValue(wowby, weekOfWeekBasedYear);
+            }
+            date = LocalDate.of(wby, 1, this._weekDef.minimalDaysInFirstWeek());
+            dateDow = this._localizedDayOfWeek(date);
+            weeks = wowby - this._localizedWeekOfYear(date, dateDow);
+            date = date.plus(weeks * 7 + (dow - dateDow), ChronoUnit.DAYS);
+            if (resolverStyle === ResolverStyle.STRICT) {
+                if (date.getLong(this) !== fieldValues.get(this)) {
+                    throw new DateTimeException('Strict mode rejected date parsed to a different year');
+                }
+            }
+            fieldValues.remove(this);
+            fieldValues.remove(weekOfWeekBasedYear);
+            fieldValues.remove(ChronoField.DAY_OF_WEEK);
+            return date;
+        }
+
+        if (fieldValues.containsKey(ChronoField.YEAR) === false) {
+            return null;
+        }
+        var year = ChronoField.YEAR.checkValidIntValue(fieldValues.get(ChronoField.YEAR));
+        if (this._rangeUnit === ChronoUnit.MONTHS) {  // week-of-month
+            if (fieldValues.containsKey(ChronoField.MONTH_OF_YEAR) === false) {
+                return null;
+            }
+            let value = fieldValues.get(this);
+            if (resolverStyle === ResolverStyle.LENIENT) {
+                date = LocalDate.of(year, 1, 1).plus(fieldValues.get(ChronoField.MONTH_OF_YEAR) - 1, ChronoUnit.MONTHS);
+                dateDow = this._localizedDayOfWeek(date);
+                weeks = value - this._localizedWeekOfMonth(date, dateDow);
+            } else {
+                let month = ChronoField.MONTH_OF_YEAR.checkValidIntValue(fieldValues.get(ChronoField.MONTH_OF_YEAR));
+                date = LocalDate.of(year, month, 8);
+                dateDow = this._localizedDayOfWeek(date);
+                weeks = this._range.checkValidIntValue(value, this) - this._localizedWeekOfMonth(date, dateDow);
+            }
+            date = date.plus(weeks * 7 + (dow - dateDow), ChronoUnit.DAYS);
+            if (resolverStyle === ResolverStyle.STRICT) {
+                if (date.getLong(ChronoField.MONTH_OF_YEAR) !== fieldValues.get(ChronoField.MONTH_OF_YEAR)) {
+                    throw new DateTimeException('Strict mode rejected date parsed to a different month');
+                }
+            }
+            fieldValues.remove(this);
+            fieldValues.remove(ChronoField.YEAR);
+            fieldValues.remove(ChronoField.MONTH_OF_YEAR);
+            fieldValues.remove(ChronoField.DAY_OF_WEEK);
+            return date;
+        } else if (this._rangeUnit === ChronoUnit.YEARS) {  // week-of-year
+            let value = fieldValues.get(this);
+            date = LocalDate.of(year, 1, 1);
+            dateDow = this._localizedDayOfWeek(date);
+            if (resolverStyle === ResolverStyle.LENIENT) {
+                weeks = value - this._localizedWeekOfYear(date, dateDow);
+            } else {
+                weeks = this._range.checkValidIntValue(value, this) - this._localizedWeekOfYear(date, dateDow);
+            }
+            date = date.plus(weeks * 7 + (dow - dateDow), ChronoUnit.DAYS);
+            if (resolverStyle === ResolverStyle.STRICT) {
+                if (date.getLong(ChronoField.YEAR) !== fieldValues.get(ChronoField.YEAR)) {
+                    throw new DateTimeException('Strict mode rejected date parsed to a different year');
+                }
+            }
+            fieldValues.remove(this);
+            fieldValues.remove(ChronoField.YEAR);
+            fieldValues.remove(ChronoField.DAY_OF_WEEK);
+            return date;
+        } else {
+            throw new IllegalStateException('unreachable');
+        }
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @return {string}
+     */
+    name() {
+        return this.toString();
+    }
+
+    /**
+     *
+     * @return {TemporalUnit}
+     */
+    baseUnit() {
+        return this._baseUnit;
+    }
+
+    /**
+     *
+     * @return {TemporalUnit}
+     */
+    rangeUnit() {
+        return this._rangeUnit;
+    }
+
+    /**
+     *
+     * @return {boolean}
+     */
+    isDateBased() {
+        return true;
+    }
+
+    /**
+     *
+     * @return {boolean}
+     */
+    isTimeBased() {
+        return false;
+    }
+
+    /**
+     *
+     * @return {ValueRange}
+     */
+    range() {
+        return this._range;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {boolean}
+     */
+    isSupportedBy(temporal) {
+        if (temporal.isSupported(ChronoField.DAY_OF_WEEK)) {
+            if (this._rangeUnit === ChronoUnit.WEEKS) {
+                return true;
+            } else if (this._rangeUnit === ChronoUnit.MONTHS) {
+                return temporal.isSupported(ChronoField.DAY_OF_MONTH);
+            } else if (this._rangeUnit === ChronoUnit.YEARS) {
+                return temporal.isSupported(ChronoField.DAY_OF_YEAR);
+            } else if (this._rangeUnit === IsoFields.WEEK_BASED_YEARS) {
+                return temporal.isSupported(ChronoField.EPOCH_DAY);
+            } else if (this._rangeUnit === ChronoUnit.FOREVER) {
+                return temporal.isSupported(ChronoField.EPOCH_DAY);
+            }
+        }
+        return false;
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {ValueRange}
+     */
+    rangeRefinedBy(temporal) {
+        var field;
+        if (this._rangeUnit === ChronoUnit.WEEKS) {
+            return this._range;
+        } else if (this._rangeUnit === ChronoUnit.MONTHS) {
+            field = ChronoField.DAY_OF_MONTH;
+        } else if (this._rangeUnit === ChronoUnit.YEARS) {
+            field = ChronoField.DAY_OF_YEAR;
+        } else if (this._rangeUnit === IsoFields.WEEK_BASED_YEARS) {
+            return this._rangeWeekOfWeekBasedYear(temporal);
+        } else if (this._rangeUnit === ChronoUnit.FOREVER) {
+            return temporal.range(ChronoField.YEAR);
+        } else {
+            throw new IllegalStateException('unreachable');
+        }
+        var dow = this._localizedDayOfWeek(temporal);
+        var offset = this._startOfWeekOffset(temporal.get(field), dow);
+        var fieldRange = temporal.range(field);
+        return ValueRange.of(this._computeWeek(offset, fieldRange.minimum()),
+            this._computeWeek(offset, fieldRange.maximum()));
+    }
+
+    /**
+     *
+     * @param {TemporalAccessor} temporal
+     * @return {ValueRange}
+     */
+    _rangeWeekOfWeekBasedYear(temporal) {
+        var dow = this._localizedDayOfWeek(temporal);
+        var woy = this._localizedWeekOfYear(temporal, dow);
+        if (woy === 0) {
+            return this._rangeWeekOfWeekBasedYear(LocalDate.from(temporal).minus(2, ChronoUnit.WEEKS));
+        }
+        var weekIndexOfFirstWeekNextYear = this._weekIndexOfFirstWeekNextYear(temporal, dow);
+        if (woy >= weekIndexOfFirstWeekNextYear) {
+            return this._rangeWeekOfWeekBasedYear(LocalDate.from(temporal).plus(2, ChronoUnit.WEEKS));
+        }
+        return ValueRange.of(1, weekIndexOfFirstWeekNextYear - 1);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @return {string}
+     */
+    getDisplayName(/*locale*/) {
+        if (this._rangeUnit === ChronoUnit.YEARS) {  // week-of-year
+            return 'Week';
+        }
+        return this._name;
+    }
+
+    /**
+     *
+     * @return {string} the name of the field and its week definition, like 'WeekOfYear[WeekFields[SUNDAY,1]]'
+     */
+    toString() {
+        return this._name + '[' + this._weekDef.toString() + ']';
+    }
+
+}
+
+export function _init() {
+    DAY_OF_WEEK_RANGE = ValueRange.of(1, 7);
+    WEEK_OF_MONTH_RANGE = ValueRange.of(0, 1, 4, 6);
+    WEEK_OF_YEAR_RANGE = ValueRange.of(0, 1, 52, 54);
+    WEEK_OF_WEEK_BASED_YEAR_RANGE = ValueRange.of(1, 52, 53);
+    WEEK_BASED_YEAR_RANGE = ChronoField.YEAR.range();
+
+    WeekFields.ISO = WeekFields.of(DayOfWeek.MONDAY, 4);
+    WeekFields.SUNDAY_START = WeekFields.of(DayOfWeek.SUNDAY, 1);
+}
@@ -0,0 +1,127 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull} from '../assert';
+import {MathUtil} from '../MathUtil';
+
+import {LocalDate} from '../LocalDate';
+import {ZoneOffset} from '../ZoneOffset';
+import {ProbingZoneRules} from './ProbingZoneRules';
+
+/**
+ * The range of epoch milliseconds supported by the javascript Date.
+ */
+var MAX_DATE_EPOCH_MILLI = 8640000000000000;
+
+/**
+ * The rules of a time-zone region, as implemented by the javascript runtime.
+ * <p>
+ * The offsets are obtained from {@code Intl.DateTimeFormat} with the {@code timeZone} option,
+ * which is backed by the tzdb of the runtime, for example by ICU in node and in most browsers.
+ * No time-zone data needs to be bundled with the application.
+ * <p>
+ * The rules do not know the transitions of the zone in advance, they are found by probing
+ * the offset, see {@link ProbingZoneRules}.
+ * <p>
+ * Instants outside of the range of the javascript Date use the offset of the nearest supported instant.
+ */
+export class IntlZoneRules extends ProbingZoneRules {
+
+    /**
+     *
+     * @param {string} zoneId - the time-zone region ID, supported by {@code Intl.DateTimeFormat}, not null
+     * @throws RangeError if the zone ID is not supported by the runtime
+     */
+    constructor(zoneId) {
+        super();
+        requireNonNull(zoneId, 'zoneId');
+        this._zoneId = zoneId;
+        this._dateTimeFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone: zoneId,
+            hour12: false,
+            era: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    /**
+     * Gets the time-zone region ID of the rules.
+     *
+     * @return {string}
+     */
+    zoneId() {
+        return this._zoneId;
+    }
+
+    /**
+     *
+     * @param {Instant} instant
+     * @returns {ZoneOffset}
+     */
+    offsetOfInstant(instant) {
+        return this._offsetOfEpochSecond(instant.epochSecond());
+    }
+
+    /**
+     *
+     * @param {number} epochMilli
+     * @returns {ZoneOffset}
+     */
+    offsetOfEpochMilli(epochMilli) {
+        return this._offsetOfEpochSecond(MathUtil.floorDiv(epochMilli, 1000));
+    }
+
+    /**
+     * Gets the offset of an epoch second by formatting it to the wall time of the zone.
+     *
+     * @param {number} epochSecond
+     * @return {ZoneOffset}
+     * @protected
+     */
+    _offsetOfEpochSecond(epochSecond) {
+        var epochMilli = Math.max(-MAX_DATE_EPOCH_MILLI, Math.min(epochSecond * 1000, MAX_DATE_EPOCH_MILLI));
+        var fields = {};
+        this._dateTimeFormat.formatToParts(new Date(epochMilli)).forEach((part) => {
+            fields[part.type] = part.value;
+        });
+        var yearOfEra = parseInt(fields.year, 10);
+        var year = fields.era === 'BC' || fields.era === 'B' ? 1 - yearOfEra : yearOfEra;
+        // some engines format midnight as hour 24 of the same day
+        var hour = parseInt(fields.hour, 10) % 24;
+        var localEpochSecond = LocalDate.of(year, parseInt(fields.month, 10), parseInt(fields.day, 10)).toEpochDay() * 86400 +
+            hour * 3600 + parseInt(fields.minute, 10) * 60 + parseInt(fields.second, 10);
+        return ZoneOffset.ofTotalSeconds(localEpochSecond - epochMilli / 1000);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @param other
+     * @returns {boolean}
+     */
+    equals(other) {
+        if (this === other) {
+            return true;
+        }
+        if (other instanceof IntlZoneRules) {
+            return this._zoneId === other._zoneId;
+        }
+        return false;
+    }
+
+    /**
+     *
+     * @returns {string}
+     */
+    toString() {
+        return 'IntlZoneRules[zoneId=' + this._zoneId + ']';
+    }
+
+}
@@ -0,0 +1,162 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull} from '../assert';
+import {ZoneRulesException} from '../errors';
+
+import {IntlZoneRules} from './IntlZoneRules';
+import {ZoneRulesProvider} from './ZoneRulesProvider';
+
+/**
+ * Provides time-zone rules from the tzdb of the javascript runtime.
+ * <p>
+ * The rules are {@link IntlZoneRules}, obtained from {@code Intl.DateTimeFormat} with the
+ * {@code timeZone} option. The provider is optional, it is not registered by default:
+ * <pre>
+ *   if (IntlZoneRulesProvider.isSupported()) {
+ *       ZoneRulesProvider.registerProvider(new IntlZoneRulesProvider());
+ *   }
+ *   ZoneId.of('Asia/Tokyo');
+ * </pre>
+ * The provider supports any zone ID that {@code Intl.DateTimeFormat} supports, like aliases
+ * {@code US/Eastern} or zones that are named differently by the runtime like {@code Asia/Kolkata},
+ * it is checked on first request. The zone IDs listed by {@link ZoneRulesProvider.getAvailableZoneIds}
+ * are those of {@code Intl.supportedValuesOf('timeZone')}, if the runtime lists its zone IDs,
+ * or the zone IDs passed to the constructor.
+ * <p>
+ * The rules and the canonical ID of a zone are resolved lazily, on first request.
+ */
+export class IntlZoneRulesProvider extends ZoneRulesProvider {
+
+    /**
+     * Checks if the javascript runtime supports time-zones in {@code Intl.DateTimeFormat}.
+     *
+     * @return {boolean} true if the provider can be used
+     */
+    static isSupported() {
+        if (typeof Intl === 'undefined' || typeof Intl.DateTimeFormat !== 'function' ||
+                typeof Intl.DateTimeFormat.prototype.formatToParts !== 'function') {
+            return false;
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', {timeZone: 'America/New_York'});
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     *
+     * @param {string[]} [zoneIds] - the zone IDs to list, defaults to the zone IDs listed by the runtime,
+     *  or none if the runtime does not list them
+     * @throws ZoneRulesException if the runtime does not support time-zones or does not support one of the zone IDs
+     */
+    constructor(zoneIds) {
+        super();
+        if (IntlZoneRulesProvider.isSupported() === false) {
+            throw new ZoneRulesException('Time-zones are not supported by Intl.DateTimeFormat of this javascript runtime');
+        }
+        this._canonicalIds = {};
+        if (zoneIds == null) {
+            zoneIds = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        } else {
+            zoneIds.forEach((zoneId) => {
+                requireNonNull(zoneId, 'zoneId');
+                if (this._canonicalIdOf(zoneId) == null) {
+                    throw new ZoneRulesException('Time-zone ID is not supported by this javascript runtime: ' + zoneId);
+                }
+            });
+        }
+        this._zoneIds = zoneIds.slice();
+        this._rulesCache = {};
+    }
+
+    /**
+     *
+     * @return {string[]}
+     */
+    provideZoneIds() {
+        return this._zoneIds.slice();
+    }
+
+    /**
+     * Any zone ID supported by {@code Intl.DateTimeFormat} is supported.
+     *
+     * @param {string} regionId
+     * @return {boolean}
+     */
+    provideSupportsZoneId(regionId) {
+        requireNonNull(regionId, 'regionId');
+        return this._canonicalIdOf(regionId) != null;
+    }
+
+    /**
+     *
+     * @param {string} regionId
+     * @return {ZoneRules}
+     */
+    provideRules(regionId) {
+        requireNonNull(regionId, 'regionId');
+        var canonicalId = this._canonicalIdOf(regionId);
+        if (canonicalId == null) {
+            throw new ZoneRulesException('Unknown time-zone ID: ' + regionId);
+        }
+        if (this._rulesCache.hasOwnProperty(canonicalId)) {
+            return this._rulesCache[canonicalId];
+        }
+        var rules = new IntlZoneRules(canonicalId);
+        this._rulesCache[canonicalId] = rules;
+        return rules;
+    }
+
+    /**
+     * The canonical ID is the time-zone of the runtime, which resolves aliases in most runtimes.
+     *
+     * @param {string} regionId
+     * @return {string}
+     */
+    provideCanonicalId(regionId) {
+        requireNonNull(regionId, 'regionId');
+        var canonicalId = this._canonicalIdOf(regionId);
+        return canonicalId != null ? canonicalId : regionId;
+    }
+
+    /**
+     * Gets the time-zone the runtime resolves the zone ID to, the result is cached.
+     *
+     * @param {string} zoneId
+     * @return {string} the time-zone of the runtime, null if the zone ID is not supported
+     * @private
+     */
+    _canonicalIdOf(zoneId) {
+        if (this._canonicalIds.hasOwnProperty(zoneId) === false) {
+            this._canonicalIds[zoneId] = IntlZoneRulesProvider._resolveTimeZone(zoneId);
+        }
+        return this._canonicalIds[zoneId];
+    }
+
+    /**
+     *
+     * @param {string} zoneId
+     * @return {string} the time-zone the runtime resolves the zone ID to, null if the zone ID is not supported
+     * @private
+     */
+    static _resolveTimeZone(zoneId) {
+        try {
+            return new Intl.DateTimeFormat('en-US', {timeZone: zoneId}).resolvedOptions().timeZone;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     *
+     * @return {string}
+     */
+    toString() {
+        return 'Intl';
+    }
+}
@@ -0,0 +1,234 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {abstractMethodFail} from '../assert';
+import {MathUtil} from '../MathUtil';
+
+import {LocalDate} from '../LocalDate';
+import {ZoneOffset} from '../ZoneOffset';
+import {ZoneOffsetTransition} from './ZoneOffsetTransition';
+import {ZoneRules} from './ZoneRules';
+
+/**
+ * The number of seconds of a day.
+ */
+var SECONDS_PER_DAY = 86400;
+
+/**
+ * The number of seconds between two probes when searching for a transition.
+ */
+var PROBE_STEP_SECONDS = 86400;
+
+/**
+ * The maximum number of probes when searching for a transition, one year.
+ */
+var MAX_PROBES = 366;
+
+/**
+ * Base class of the rules of a time-zone whose transitions are not known in advance,
+ * but whose offset can be queried for any instant, like the rules of the javascript runtime.
+ * <p>
+ * Transitions are found by probing the offset day by day and bisecting to the exact second,
+ * up to one year away from the queried instant. The transition of a local date-time, as
+ * needed to detect gaps and overlaps, is searched within one day of the local date-time.
+ * Zones with two transitions within two days are not handled correctly.
+ * <p>
+ * The standard offset is not known either, it is assumed to be the smaller one of the offsets
+ * at the start and in the middle of the year, the common winter and summer time.
+ * <p>
+ * Subclasses implement {@link ProbingZoneRules#_offsetOfEpochSecond}.
+ */
+export class ProbingZoneRules extends ZoneRules {
+
+    isFixedOffset() {
+        return false;
+    }
+
+    /**
+     *
+     * @param {LocalDateTime} localDateTime
+     * @returns {ZoneOffset}
+     */
+    offsetOfLocalDateTime(localDateTime) {
+        var info = this._offsetInfo(localDateTime);
+        if (info instanceof ZoneOffsetTransition) {
+            return info.offsetBefore();
+        }
+        return info;
+    }
+
+    /**
+     *
+     * @param {LocalDateTime} localDateTime
+     * @return {ZoneOffset[]}
+     */
+    validOffsets(localDateTime) {
+        var info = this._offsetInfo(localDateTime);
+        if (info instanceof ZoneOffsetTransition) {
+            return info.validOffsets();
+        }
+        return [info];
+    }
+
+    /**
+     *
+     * @param {LocalDateTime} localDateTime
+     * @return {ZoneOffsetTransition}
+     */
+    transition(localDateTime) {
+        var info = this._offsetInfo(localDateTime);
+        return info instanceof ZoneOffsetTransition ? info : null;
+    }
+
+    /**
+     *
+     * @param {LocalDateTime} localDateTime
+     * @param {ZoneOffset} offset
+     * @return {boolean}
+     */
+    isValidOffset(localDateTime, offset) {
+        return this.validOffsets(localDateTime).some((validOffset) => validOffset.equals(offset));
+    }
+
+    /**
+     * The standard offset is the smaller one of the offsets on the first of January and
+     * the first of July of the year of the instant, in UTC. That is the offset without
+     * daylight savings for zones that observe daylight savings in summer,
+     * but does not detect changes of the standard offset within a year.
+     *
+     * @param {Instant} instant
+     * @return {ZoneOffset}
+     */
+    standardOffset(instant) {
+        var epochDay = MathUtil.floorDiv(instant.epochSecond(), SECONDS_PER_DAY);
+        epochDay = Math.max(LocalDate.MIN.toEpochDay(), Math.min(epochDay, LocalDate.MAX.toEpochDay()));
+        var year = LocalDate.ofEpochDay(epochDay).year();
+        var january = this._offsetOfEpochSecond(LocalDate.of(year, 1, 1).toEpochDay() * SECONDS_PER_DAY);
+        var july = this._offsetOfEpochSecond(LocalDate.of(year, 7, 1).toEpochDay() * SECONDS_PER_DAY);
+        return january.totalSeconds() < july.totalSeconds() ? january : july;
+    }
+
+    /**
+     * Gets the offset or the transition of a local date-time.
+     * <p>
+     * The offsets one day before and after the local date-time cover every instant
+     * that has the local date-time as wall time. If they differ, the transition
+     * between them decides about gap, overlap or a single offset.
+     *
+     * @param {LocalDateTime} dt
+     * @return {ZoneOffset|ZoneOffsetTransition} the offset or the transition
+     * @private
+     */
+    _offsetInfo(dt) {
+        var localEpochSecond = dt.toEpochSecond(ZoneOffset.UTC);
+        var low = localEpochSecond - PROBE_STEP_SECONDS;
+        var high = localEpochSecond + PROBE_STEP_SECONDS;
+        var offsetBefore = this._offsetOfEpochSecond(low);
+        if (this._offsetOfEpochSecond(high).equals(offsetBefore)) {
+            return offsetBefore;
+        }
+        var trans = this._searchTransition(low, high);
+        if (trans.isGap()) {
+            if (dt.isBefore(trans.dateTimeBefore())) {
+                return trans.offsetBefore();
+            }
+            return dt.isBefore(trans.dateTimeAfter()) ? trans : trans.offsetAfter();
+        } else {
+            if (dt.isBefore(trans.dateTimeAfter())) {
+                return trans.offsetBefore();
+            }
+            return dt.isBefore(trans.dateTimeBefore()) ? trans : trans.offsetAfter();
+        }
+    }
+
+    /**
+     * The transition is searched by probing the offset day by day,
+     * up to one year ahead of the instant. Transitions further away are not found.
+     *
+     * @param {Instant} instant
+     * @return {ZoneOffsetTransition} the next transition, null if there is none within a year
+     */
+    nextTransition(instant) {
+        var epochSec = instant.epochSecond();
+        var offset = this._offsetOfEpochSecond(epochSec);
+        for (let i = 1; i <= MAX_PROBES; i++) {
+            let probe = epochSec + i * PROBE_STEP_SECONDS;
+            if (this._offsetOfEpochSecond(probe).equals(offset) === false) {
+                return this._searchTransition(probe - PROBE_STEP_SECONDS, probe);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The transition is searched by probing the offset day by day,
+     * up to one year before the instant. Transitions further away are not found.
+     *
+     * @param {Instant} instant
+     * @return {ZoneOffsetTransition} the previous transition, null if there is none within a year
+     */
+    previousTransition(instant) {
+        var epochSec = instant.nano() > 0 ? instant.epochSecond() : instant.epochSecond() - 1;
+        var offset = this._offsetOfEpochSecond(epochSec);
+        for (let i = 1; i <= MAX_PROBES; i++) {
+            let probe = epochSec - i * PROBE_STEP_SECONDS;
+            if (this._offsetOfEpochSecond(probe).equals(offset) === false) {
+                return this._searchTransition(probe, probe + PROBE_STEP_SECONDS);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The transitions of the zone are not known in advance, always returns an empty list.
+     *
+     * @return {ZoneOffsetTransition[]}
+     */
+    transitions() {
+        return [];
+    }
+
+    /**
+     * The transition rules of the zone are not known, always returns an empty list.
+     *
+     * @return {ZoneOffsetTransitionRule[]}
+     */
+    transitionRules() {
+        return [];
+    }
+
+    /**
+     * Finds the transition between two epoch seconds with different offsets by bisection.
+     *
+     * @param {number} low - an epoch second with the offset before the transition
+     * @param {number} high - an epoch second with the offset after the transition
+     * @return {ZoneOffsetTransition}
+     * @private
+     */
+    _searchTransition(low, high) {
+        var offsetBefore = this._offsetOfEpochSecond(low);
+        while (high - low > 1) {
+            let mid = low + MathUtil.intDiv(high - low, 2);
+            if (this._offsetOfEpochSecond(mid).equals(offsetBefore)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return new ZoneOffsetTransition(high, offsetBefore, this._offsetOfEpochSecond(high));
+    }
+
+    /**
+     * Gets the offset of an epoch second, the probe of the transition search.
+     *
+     * @param {number} epochSecond
+     * @return {ZoneOffset}
+     * @protected
+     */
+    _offsetOfEpochSecond() {
+        abstractMethodFail('ProbingZoneRules._offsetOfEpochSecond');
+    }
+
+}
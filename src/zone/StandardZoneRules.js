@@ -0,0 +1,595 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull} from '../assert';
+import {IllegalArgumentException} from '../errors';
+import {MathUtil} from '../MathUtil';
+
+import {Instant} from '../Instant';
+import {LocalDate} from '../LocalDate';
+import {LocalDateTime} from '../LocalDateTime';
+import {Year} from '../Year';
+import {ZoneOffsetTransition} from './ZoneOffsetTransition';
+import {ZoneRules} from './ZoneRules';
+
+/**
+ * The last year to have its transitions cached.
+ */
+var LAST_CACHED_YEAR = 2100;
+
+/**
+ * The rules describing how the zone offset varies through the year and historically.
+ * <p>
+ * This class is used by the TZDB time-zone rules. The rules are defined by a list of
+ * transitions on the instant time-line, each transition switching to a new wall offset.
+ * After the last transition, the transitions of every year are created from the
+ * recurring last rules, if there are any.
+ * <p>
+ * The standard offsets are defined by a second list of transitions, each transition
+ * switching to a new standard offset. Without that list, the standard offsets are the
+ * wall offsets, so that no daylight savings are known.
+ *
+ * <h3>Specification for implementors</h3>
+ * This class is immutable and thread-safe.
+ */
+export class StandardZoneRules extends ZoneRules {
+
+    /**
+     * Obtains an instance of {@code StandardZoneRules}.
+     *
+     * @param {number[]} savingsInstantTransitions - the epoch-seconds of the wall offset transitions, ascending, not null
+     * @param {ZoneOffset[]} wallOffsets - the wall offsets, one more than there are transitions, not null
+     * @param {ZoneOffsetTransitionRule[]} [lastRules=[]] - the recurring rules applying after the last transition,
+     *  in the order of their transitions within a year, not null
+     * @param {number[]} [standardTransitions=savingsInstantTransitions] - the epoch-seconds of the standard offset
+     *  transitions, ascending, not null
+     * @param {ZoneOffset[]} [standardOffsets=wallOffsets] - the standard offsets, one more than there are
+     *  standard transitions, not null
+     * @return {StandardZoneRules} the zone rules, not null
+     */
+    static of(savingsInstantTransitions, wallOffsets, lastRules = [],
+            standardTransitions = savingsInstantTransitions, standardOffsets = wallOffsets) {
+        requireNonNull(savingsInstantTransitions, 'savingsInstantTransitions');
+        requireNonNull(wallOffsets, 'wallOffsets');
+        requireNonNull(lastRules, 'lastRules');
+        requireNonNull(standardTransitions, 'standardTransitions');
+        requireNonNull(standardOffsets, 'standardOffsets');
+        if (wallOffsets.length !== savingsInstantTransitions.length + 1) {
+            throw new IllegalArgumentException('wallOffsets must contain exactly one more entry than savingsInstantTransitions');
+        }
+        if (standardOffsets.length !== standardTransitions.length + 1) {
+            throw new IllegalArgumentException('standardOffsets must contain exactly one more entry than standardTransitions');
+        }
+        if (lastRules.length > 0 && savingsInstantTransitions.length === 0) {
+            throw new IllegalArgumentException('lastRules require at least one transition');
+        }
+        return new StandardZoneRules(savingsInstantTransitions, wallOffsets, lastRules, standardTransitions, standardOffsets);
+    }
+
+    /**
+     * Creates an instance.
+     *
+     * @param {number[]} savingsInstantTransitions - the epoch-seconds of the wall offset transitions, not null
+     * @param {ZoneOffset[]} wallOffsets - the wall offsets, not null
+     * @param {ZoneOffsetTransitionRule[]} lastRules - the recurring last rules, not null
+     * @param {number[]} standardTransitions - the epoch-seconds of the standard offset transitions, not null
+     * @param {ZoneOffset[]} standardOffsets - the standard offsets, not null
+     * @private
+     */
+    constructor(savingsInstantTransitions, wallOffsets, lastRules, standardTransitions, standardOffsets) {
+        super();
+        /**
+         * The transitions between standard offsets (epoch seconds), sorted.
+         */
+        this._standardTransitions = standardTransitions;
+        /**
+         * The standard offsets.
+         */
+        this._standardOffsets = standardOffsets;
+        /**
+         * The transitions between instants (epoch seconds), sorted.
+         */
+        this._savingsInstantTransitions = savingsInstantTransitions;
+        /**
+         * The wall offsets.
+         */
+        this._wallOffsets = wallOffsets;
+        /**
+         * The transitions between local date-times, sorted.
+         * This is a paired array, where the first entry is the start of the transition
+         * and the second entry is the end of the transition.
+         */
+        this._savingsLocalTransitions = [];
+        for (let i = 0; i < savingsInstantTransitions.length; i++) {
+            let before = wallOffsets[i];
+            let after = wallOffsets[i + 1];
+            let dateTimeBefore = LocalDateTime.ofEpochSecond(savingsInstantTransitions[i], 0, before);
+            let dateTimeAfter = LocalDateTime.ofEpochSecond(savingsInstantTransitions[i], 0, after);
+            if (after.totalSeconds() > before.totalSeconds()) {
+                // gap
+                this._savingsLocalTransitions.push(dateTimeBefore);
+                this._savingsLocalTransitions.push(dateTimeAfter);
+            } else {
+                // overlap
+                this._savingsLocalTransitions.push(dateTimeAfter);
+                this._savingsLocalTransitions.push(dateTimeBefore);
+            }
+        }
+        /**
+         * The last rule.
+         */
+        this._lastRules = lastRules;
+        /**
+         * The map of recent transitions, keyed by year.
+         */
+        this._lastRulesCache = {};
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks of the zone rules are fixed, such that the offset never varies.
+     *
+     * @return {boolean} true if the time-zone is fixed and the offset never changes
+     */
+    isFixedOffset() {
+        return this._savingsInstantTransitions.length === 0;
+    }
+
+    /**
+     * Gets the offset applicable at the specified instant in these rules.
+     *
+     * @param {Instant} instant - the instant to find the offset for, not null
+     * @return {ZoneOffset} the offset, not null
+     */
+    offsetOfInstant(instant) {
+        return this._offsetOfEpochSecond(instant.epochSecond());
+    }
+
+    /**
+     * Gets the offset applicable at the specified epochMilli in these rules.
+     *
+     * @param {number} epochMilli - the epoch millisecond to find the offset for
+     * @return {ZoneOffset} the offset, not null
+     */
+    offsetOfEpochMilli(epochMilli) {
+        return this._offsetOfEpochSecond(MathUtil.floorDiv(epochMilli, 1000));
+    }
+
+    /**
+     *
+     * @param {number} epochSecond
+     * @return {ZoneOffset}
+     * @private
+     */
+    _offsetOfEpochSecond(epochSecond) {
+        // check if using last rules
+        if (this._lastRules.length > 0 &&
+                epochSecond > this._savingsInstantTransitions[this._savingsInstantTransitions.length - 1]) {
+            var year = this._findYear(epochSecond, this._wallOffsets[this._wallOffsets.length - 1]);
+            var transArray = this._findTransitionArray(year);
+            var trans = null;
+            for (let i = 0; i < transArray.length; i++) {
+                trans = transArray[i];
+                if (epochSecond < trans.toEpochSecond()) {
+                    return trans.offsetBefore();
+                }
+            }
+            return trans.offsetAfter();
+        }
+
+        // using historic rules
+        var index = binarySearch(this._savingsInstantTransitions, epochSecond, compareNumber);
+        if (index < 0) {
+            // switch negative insert position to start of matched range
+            index = -index - 2;
+        }
+        return this._wallOffsets[index + 1];
+    }
+
+    /**
+     * Gets the standard offset for the specified instant in this zone.
+     *
+     * @param {Instant} instant - the instant to find the offset information for, not null
+     * @return {ZoneOffset} the standard offset, not null
+     */
+    standardOffset(instant) {
+        var index = binarySearch(this._standardTransitions, instant.epochSecond(), compareNumber);
+        if (index < 0) {
+            // switch negative insert position to start of matched range
+            index = -index - 2;
+        }
+        return this._standardOffsets[index + 1];
+    }
+
+    /**
+     * Gets a suitable offset for the specified local date-time in these rules.
+     * <p>
+     * In the case of a gap or an overlap, the offset before the transition is returned.
+     *
+     * @param {LocalDateTime} localDateTime - the local date-time to query, not null
+     * @return {ZoneOffset} the best available offset for the local date-time, not null
+     */
+    offsetOfLocalDateTime(localDateTime) {
+        var info = this._offsetInfo(localDateTime);
+        if (info instanceof ZoneOffsetTransition) {
+            return info.offsetBefore();
+        }
+        return info;
+    }
+
+    /**
+     * Gets the valid offsets for the specified local date-time in these rules.
+     * <p>
+     * A gap returns an empty list, an overlap returns the offsets before and after the transition.
+     *
+     * @param {LocalDateTime} localDateTime - the local date-time to query, not null
+     * @return {ZoneOffset[]} the list of valid offsets, not null
+     */
+    validOffsets(localDateTime) {
+        var info = this._offsetInfo(localDateTime);
+        if (info instanceof ZoneOffsetTransition) {
+            return info.validOffsets();
+        }
+        return [info];
+    }
+
+    /**
+     * Gets the offset transition applicable at the specified local date-time in these rules.
+     *
+     * @param {LocalDateTime} localDateTime - the local date-time to query, not null
+     * @return {ZoneOffsetTransition} the offset transition, null if the local date-time is not in transition
+     */
+    transition(localDateTime) {
+        var info = this._offsetInfo(localDateTime);
+        return (info instanceof ZoneOffsetTransition) ? info : null;
+    }
+
+    /**
+     * Checks if the offset date-time is valid for these rules.
+     * <p>
+     * To be valid, the local date-time must not be in a gap and the offset
+     * must match the valid offsets.
+     *
+     * @param {LocalDateTime} localDateTime - the date-time to check, not null
+     * @param {ZoneOffset} offset - the offset to check, null returns false
+     * @return {boolean} true if the offset date-time is valid for these rules
+     */
+    isValidOffset(localDateTime, offset) {
+        var info = this._offsetInfo(localDateTime);
+        if (info instanceof ZoneOffsetTransition) {
+            return info.isValidOffset(offset);
+        }
+        return info.equals(offset);
+    }
+
+    /**
+     * Finds the offset info for a local date-time.
+     *
+     * @param {LocalDateTime} dt - the date-time, not null
+     * @return {ZoneOffset|ZoneOffsetTransition} the offset, or the transition in case of a gap or overlap, not null
+     * @private
+     */
+    _offsetInfo(dt) {
+        // check if using last rules
+        if (this._lastRules.length > 0 &&
+                dt.isAfter(this._savingsLocalTransitions[this._savingsLocalTransitions.length - 1])) {
+            var transArray = this._findTransitionArray(dt.year());
+            var info = null;
+            for (let i = 0; i < transArray.length; i++) {
+                let trans = transArray[i];
+                info = this._findOffsetInfo(dt, trans);
+                if (info instanceof ZoneOffsetTransition || info.equals(trans.offsetBefore())) {
+                    return info;
+                }
+            }
+            return info;
+        }
+
+        // using historic rules
+        var index = binarySearch(this._savingsLocalTransitions, dt, compareLocalDateTime);
+        if (index === -1) {
+            // before first transition
+            return this._wallOffsets[0];
+        }
+        if (index < 0) {
+            // switch negative insert position to start of matched range
+            index = -index - 2;
+        } else if (index < this._savingsLocalTransitions.length - 1 &&
+                this._savingsLocalTransitions[index].equals(this._savingsLocalTransitions[index + 1])) {
+            // handle overlap immediately following gap
+            index++;
+        }
+        if ((index & 1) === 0) {
+            // gap or overlap
+            return this._createTransition(index / 2);
+        } else {
+            // normal (neither gap or overlap)
+            return this._wallOffsets[(index - 1) / 2 + 1];
+        }
+    }
+
+    /**
+     * Finds the offset info for a local date-time and transition.
+     *
+     * @param {LocalDateTime} dt - the date-time, not null
+     * @param {ZoneOffsetTransition} trans - the transition, not null
+     * @return {ZoneOffset|ZoneOffsetTransition} the offset info, not null
+     * @private
+     */
+    _findOffsetInfo(dt, trans) {
+        var localTransition = trans.dateTimeBefore();
+        if (trans.isGap()) {
+            if (dt.isBefore(localTransition)) {
+                return trans.offsetBefore();
+            }
+            if (dt.isBefore(trans.dateTimeAfter())) {
+                return trans;
+            } else {
+                return trans.offsetAfter();
+            }
+        } else {
+            if (dt.isBefore(localTransition) === false) {
+                return trans.offsetAfter();
+            }
+            if (dt.isBefore(trans.dateTimeAfter())) {
+                return trans.offsetBefore();
+            } else {
+                return trans;
+            }
+        }
+    }
+
+    /**
+     * Finds the appropriate transition array for the given year.
+     *
+     * @param {number} year - the year, not null
+     * @return {ZoneOffsetTransition[]} the transition array, not null
+     * @private
+     */
+    _findTransitionArray(year) {
+        if (this._lastRulesCache.hasOwnProperty(year)) {
+            return this._lastRulesCache[year];
+        }
+        var transArray = this._lastRules.map((rule) => rule.createTransition(year));
+        if (year < LAST_CACHED_YEAR) {
+            this._lastRulesCache[year] = transArray;
+        }
+        return transArray;
+    }
+
+    /**
+     *
+     * @param {number} epochSecond
+     * @param {ZoneOffset} offset
+     * @return {number} the year of the epoch second in the offset, {@code Year.MAX_VALUE + 1}
+     *  if the epoch second is after the last supported year, which can happen for {@code Instant.MAX}
+     * @private
+     */
+    _findYear(epochSecond, offset) {
+        var localSecond = epochSecond + offset.totalSeconds();
+        var localEpochDay = MathUtil.floorDiv(localSecond, 86400);
+        if (localEpochDay > LocalDate.MAX.toEpochDay()) {
+            return Year.MAX_VALUE + 1;
+        }
+        return LocalDate.ofEpochDay(localEpochDay).year();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the next transition after the specified instant.
+     *
+     * @param {Instant} instant - the instant to get the next transition after, not null
+     * @return {ZoneOffsetTransition} the next transition after the specified instant, null if this is after the last transition
+     */
+    nextTransition(instant) {
+        if (this._savingsInstantTransitions.length === 0) {
+            return null;
+        }
+        var epochSec = instant.epochSecond();
+
+        // check if using last rules
+        if (epochSec >= this._savingsInstantTransitions[this._savingsInstantTransitions.length - 1]) {
+            if (this._lastRules.length === 0) {
+                return null;
+            }
+            // search year the instant is in
+            var year = this._findYear(epochSec, this._wallOffsets[this._wallOffsets.length - 1]);
+            if (year > Year.MAX_VALUE) {
+                return null;
+            }
+            var transArray = this._findTransitionArray(year);
+            for (let i = 0; i < transArray.length; i++) {
+                if (epochSec < transArray[i].toEpochSecond()) {
+                    return transArray[i];
+                }
+            }
+            // use first from following year
+            if (year < Year.MAX_VALUE) {
+                transArray = this._findTransitionArray(year + 1);
+                return transArray[0];
+            }
+            return null;
+        }
+
+        // using historic rules
+        var index = binarySearch(this._savingsInstantTransitions, epochSec, compareNumber);
+        if (index < 0) {
+            // switch negative insert position to start of matched range
+            index = -index - 1;
+        } else {
+            // exact match, so need to add one to get the next
+            index++;
+        }
+        return this._createTransition(index);
+    }
+
+    /**
+     * Gets the previous transition before the specified instant.
+     *
+     * @param {Instant} instant - the instant to get the previous transition before, not null
+     * @return {ZoneOffsetTransition} the previous transition before the specified instant, null if this is before the first transition
+     */
+    previousTransition(instant) {
+        if (this._savingsInstantTransitions.length === 0) {
+            return null;
+        }
+        var epochSec = instant.epochSecond();
+        if (instant.nano() > 0 && epochSec < Instant.MAX_SECONDS) {
+            // allow rest of method to only use seconds
+            epochSec += 1;
+        }
+
+        // check if using last rules
+        var lastHistoric = this._savingsInstantTransitions[this._savingsInstantTransitions.length - 1];
+        if (this._lastRules.length > 0 && epochSec > lastHistoric) {
+            // search year the instant is in
+            var lastHistoricOffset = this._wallOffsets[this._wallOffsets.length - 1];
+            var year = Math.min(this._findYear(epochSec, lastHistoricOffset), Year.MAX_VALUE);
+            var transArray = this._findTransitionArray(year);
+            for (let i = transArray.length - 1; i >= 0; i--) {
+                if (epochSec > transArray[i].toEpochSecond()) {
+                    return transArray[i];
+                }
+            }
+            // use last from preceding year
+            var lastHistoricYear = this._findYear(lastHistoric, lastHistoricOffset);
+            if (--year > lastHistoricYear) {
+                transArray = this._findTransitionArray(year);
+                return transArray[transArray.length - 1];
+            }
+            // drop through
+        }
+
+        // using historic rules
+        var index = binarySearch(this._savingsInstantTransitions, epochSec, compareNumber);
+        if (index < 0) {
+            // switch negative insert position to start of matched range
+            index = -index - 1;
+        }
+        if (index <= 0) {
+            return null;
+        }
+        return this._createTransition(index - 1);
+    }
+
+    /**
+     * Gets the complete list of fully defined transitions.
+     * <p>
+     * The transitions after the last one are defined by the {@link StandardZoneRules.transitionRules}.
+     *
+     * @return {ZoneOffsetTransition[]} the list of transitions, not null
+     */
+    transitions() {
+        var list = [];
+        for (let i = 0; i < this._savingsInstantTransitions.length; i++) {
+            list.push(this._createTransition(i));
+        }
+        return list;
+    }
+
+    /**
+     * Gets the list of transition rules for years beyond those defined in the transition list.
+     *
+     * @return {ZoneOffsetTransitionRule[]} the list of transition rules, not null
+     */
+    transitionRules() {
+        return this._lastRules.slice();
+    }
+
+    /**
+     *
+     * @param {number} index - the index of the transition
+     * @return {ZoneOffsetTransition}
+     * @private
+     */
+    _createTransition(index) {
+        return new ZoneOffsetTransition(this._savingsInstantTransitions[index],
+            this._wallOffsets[index], this._wallOffsets[index + 1]);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     *
+     * @param {*} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        if (this === other) {
+            return true;
+        }
+        if (other instanceof StandardZoneRules) {
+            return arrayEquals(this._savingsInstantTransitions, other._savingsInstantTransitions, compareNumber) &&
+                arrayEquals(this._wallOffsets, other._wallOffsets, compareOffset) &&
+                arrayEquals(this._lastRules, other._lastRules, compareRule) &&
+                arrayEquals(this._standardTransitions, other._standardTransitions, compareNumber) &&
+                arrayEquals(this._standardOffsets, other._standardOffsets, compareOffset);
+        }
+        return false;
+    }
+
+    /**
+     *
+     * @returns {string}
+     */
+    toString() {
+        return 'StandardZoneRules[currentOffset=' + this._wallOffsets[this._wallOffsets.length - 1] + ']';
+    }
+
+}
+
+/**
+ * Searches the sorted array for the key, with the same result as java.util.Arrays.binarySearch.
+ *
+ * @param {Array} array - the sorted array to search, not null
+ * @param {*} key - the value to search for
+ * @param {function} compare - the comparator function
+ * @return {number} index of the key, if found, otherwise (-(insertion point) - 1)
+ * @private
+ */
+function binarySearch(array, key, compare) {
+    var low = 0;
+    var high = array.length - 1;
+    while (low <= high) {
+        var mid = (low + high) >>> 1;
+        var cmp = compare(array[mid], key);
+        if (cmp < 0) {
+            low = mid + 1;
+        } else if (cmp > 0) {
+            high = mid - 1;
+        } else {
+            return mid;
+        }
+    }
+    return -(low + 1);
+}
+
+function compareNumber(a, b) {
+    return a - b;
+}
+
+function compareLocalDateTime(a, b) {
+    return a.compareTo(b);
+}
+
+function compareOffset(a, b) {
+    return a.compareTo(b);
+}
+
+function compareRule(a, b) {
+    return a.equals(b) ? 0 : 1;
+}
+
+function arrayEquals(a, b, compare) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+        if (compare(a[i], b[i]) !== 0) {
+            return false;
+        }
+    }
+    return true;
+}
@@ -3,14 +3,19 @@
  * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
  */
 
-import {ZoneRules} from './ZoneRules';
 import {ZoneOffset} from '../ZoneOffset';
+import {ProbingZoneRules} from './ProbingZoneRules';
 
-export class SystemDefaultZoneRules extends ZoneRules {
-
-    isFixedOffset(){
-        return false;
-    }
+/**
+ * The rules of the system default time-zone, as implemented by Date.prototype.getTimezoneOffset.
+ * <p>
+ * The transitions of the system default zone are not known in advance, they are found by probing
+ * Date.prototype.getTimezoneOffset, see {@link ProbingZoneRules}. That detects daylight saving gaps
+ * and overlaps of a local date-time, so that {@link ZonedDateTime} resolves them like for any other
+ * region based zone, including {@link ZonedDateTime#withEarlierOffsetAtOverlap} and
+ * {@link ZonedDateTime#withLaterOffsetAtOverlap}.
+ */
+export class SystemDefaultZoneRules extends ProbingZoneRules {
 
     /**
      *
@@ -32,35 +37,14 @@ export class SystemDefaultZoneRules extends ZoneRules {
         return ZoneOffset.ofTotalMinutes(offsetInMinutes * -1);
     }
 
-    /**
-     * This implementation is NOT returning the best value in a gap or overlap situation
-     * as specified at {@link ZoneRules.offsetOfLocalDateTime}.
-     *
-     * The calculated offset depends Date.prototype.getTimezoneOffset and its not specified
-     * at the ECMA-262 specification how to handle daylight savings gaps/ overlaps.
-     *
-     * The Chrome Browser version 49 is returning the next transition offset in a gap/overlap situation,
-     * other browsers/ engines might do it in the same way.
-     *
-     * @param {LocalDateTime} localDateTime
-     * @returns {ZoneOffset}
-     */
-    offsetOfLocalDateTime(localDateTime){
-        var epochMilli = localDateTime.toEpochSecond(ZoneOffset.UTC) * 1000;
-        var offsetInMinutesBeforePossibleTransition = new Date(epochMilli).getTimezoneOffset();
-        var epochMilliSystemZone = epochMilli + offsetInMinutesBeforePossibleTransition * 60000;
-        var offsetInMinutesAfterPossibleTransition = new Date(epochMilliSystemZone).getTimezoneOffset();
-        return ZoneOffset.ofTotalMinutes(offsetInMinutesAfterPossibleTransition * -1);
-    }
-
     /**
      *
-     * @param {LocalDateTime} dateTime
-     * @param {ZoneOffset} offset
-     * @return {boolean}
+     * @param {number} epochSecond
+     * @return {ZoneOffset}
+     * @protected
      */
-    isValidOffset(dateTime, offset) {
-        return this.offsetOfLocalDateTime(dateTime).equals(offset);
+    _offsetOfEpochSecond(epochSecond) {
+        return this.offsetOfEpochMilli(epochSecond * 1000);
     }
 
     //-----------------------------------------------------------------------
@@ -0,0 +1,339 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull} from '../assert';
+import {IllegalArgumentException} from '../errors';
+
+/**
+ * The digits of the base 60 numbers of the packed format.
+ */
+var BASE60 = '0123456789abcdefghijklmnopqrstuvwxABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * The packed time definitions of the last rules.
+ */
+var TIME_DEFINITIONS = {UTC: 'u', WALL: 'w', STANDARD: 's'};
+
+/**
+ * Packs and unpacks the data of a {@link TzdbZoneRulesProvider} into a compact format
+ * that is suited to be shipped to browsers.
+ * <p>
+ * The packed data is a plain javascript object, that can be serialized as json:
+ * <pre>
+ *   {
+ *       version: '2025b',
+ *       offsets: '-4Xe -5e0 -4e0 ...',
+ *       zones: [
+ *           'America/New_York|0 1 2|0121212...|-1hPh5f 2h5PW9 ...|3.8.7.200.w.1.1.2 b.1.7.200.w.1.2.1',
+ *           ...
+ *       ],
+ *       links: [
+ *           'America/New_York|US/Eastern',
+ *           ...
+ *       ]
+ *   }
+ * </pre>
+ * All numbers are written as base 60 numbers, using the digits {@code 0-9}, {@code a-x}
+ * and {@code A-Z}, negative numbers are prefixed with {@code -}.
+ * <p>
+ * {@code offsets} is the space separated table of the total seconds of all offsets,
+ * shared by all zones.
+ * <p>
+ * Each entry of {@code zones} consists of the {@code |} separated fields:
+ * <ul>
+ * <li>the zone ID
+ * <li>the space separated table of the offsets of the zone, as indices into {@code offsets}
+ * <li>the wall offsets, one digit per offset, as indices into the offset table of the zone
+ * <li>the space separated transitions, the first one in epoch-seconds,
+ *  the following ones as the seconds since the preceding transition
+ * <li>the space separated last rules, each one as the {@code .} separated month,
+ *  day-of-month indicator, day-of-week ({@code 0} for a fixed day-of-month), second-of-day,
+ *  time definition ({@code u}, {@code w} or {@code s}) and the standard offset,
+ *  offset before and offset after as indices into the offset table of the zone
+ * <li>optionally, the standard offsets, one digit per offset, as indices into the offset table of the zone
+ * <li>optionally, the space separated standard offset transitions, in the same format as the transitions
+ * </ul>
+ * Each entry of the optional {@code links} consists of the zone ID and the space
+ * separated IDs of its aliases.
+ */
+export class TzdbPackedData {
+
+    /**
+     * Packs the data of a {@link TzdbZoneRulesProvider}.
+     *
+     * @param {Object} data - the tzdb data, not null
+     * @return {Object} the packed tzdb data, not null
+     */
+    static pack(data) {
+        requireNonNull(data, 'data');
+        requireNonNull(data.zones, 'data.zones');
+        var offsets = [];
+        var offsetIndices = {};
+        var sharedOffsetIndex = (totalSeconds) => {
+            if (offsetIndices.hasOwnProperty(totalSeconds) === false) {
+                offsetIndices[totalSeconds] = offsets.length;
+                offsets.push(totalSeconds);
+            }
+            return offsetIndices[totalSeconds];
+        };
+        var zones = Object.keys(data.zones).sort().map((zoneId) => packZone(zoneId, data.zones[zoneId], sharedOffsetIndex));
+
+        var aliases = {};
+        var links = data.links || {};
+        Object.keys(links).sort().forEach((linkId) => {
+            var zoneId = links[linkId];
+            if (aliases.hasOwnProperty(zoneId) === false) {
+                aliases[zoneId] = [];
+            }
+            aliases[zoneId].push(linkId);
+        });
+
+        var packed = {};
+        if (data.version != null) {
+            packed.version = data.version;
+        }
+        packed.offsets = offsets.map(packBase60).join(' ');
+        packed.zones = zones;
+        packed.links = Object.keys(aliases).sort().map((zoneId) => zoneId + '|' + aliases[zoneId].join(' '));
+        return packed;
+    }
+
+    /**
+     * Unpacks packed tzdb data into the data of a {@link TzdbZoneRulesProvider}.
+     *
+     * @param {Object} packed - the packed tzdb data, not null
+     * @return {Object} the tzdb data, not null
+     * @throws IllegalArgumentException if the packed data is invalid
+     */
+    static unpack(packed) {
+        requireNonNull(packed, 'packed');
+        requireNonNull(packed.offsets, 'packed.offsets');
+        requireNonNull(packed.zones, 'packed.zones');
+        var offsets = splitList(packed.offsets).map(unpackBase60);
+
+        var zones = {};
+        packed.zones.forEach((packedZone) => {
+            var fields = packedZone.split('|');
+            if (fields.length !== 5 && fields.length !== 7) {
+                throw new IllegalArgumentException('Invalid packed zone: ' + packedZone);
+            }
+            zones[fields[0]] = unpackZone(fields, offsets);
+        });
+
+        var links = {};
+        (packed.links || []).forEach((packedLink) => {
+            var fields = packedLink.split('|');
+            if (fields.length !== 2) {
+                throw new IllegalArgumentException('Invalid packed link: ' + packedLink);
+            }
+            splitList(fields[1]).forEach((linkId) => {
+                links[linkId] = fields[0];
+            });
+        });
+
+        var data = {};
+        if (packed.version != null) {
+            data.version = packed.version;
+        }
+        data.zones = zones;
+        data.links = links;
+        return data;
+    }
+}
+
+/**
+ *
+ * @param {string} zoneId
+ * @param {{transitions: number[], offsets: number[], lastRules: Object[],
+ *  standardTransitions: number[], standardOffsets: number[]}} zoneData
+ * @param {function(number): number} sharedOffsetIndex
+ * @return {string}
+ * @private
+ */
+function packZone(zoneId, zoneData, sharedOffsetIndex) {
+    var zoneOffsets = [];
+    var zoneOffsetIndex = (totalSeconds) => {
+        var index = zoneOffsets.indexOf(totalSeconds);
+        if (index < 0) {
+            index = zoneOffsets.length;
+            if (index >= BASE60.length) {
+                throw new IllegalArgumentException('Too many offsets in zone: ' + zoneId);
+            }
+            zoneOffsets.push(totalSeconds);
+        }
+        return BASE60[index];
+    };
+
+    var wallOffsets = zoneData.offsets.map(zoneOffsetIndex).join('');
+    var transitions = packTransitions(zoneData.transitions);
+    var lastRules = (zoneData.lastRules || []).map((rule) => [
+        packBase60(rule.month),
+        packBase60(rule.dayOfMonthIndicator),
+        packBase60(rule.dayOfWeek != null ? rule.dayOfWeek : 0),
+        packBase60(rule.secondOfDay),
+        TIME_DEFINITIONS[rule.timeDefinition],
+        zoneOffsetIndex(rule.standardOffset),
+        zoneOffsetIndex(rule.offsetBefore),
+        zoneOffsetIndex(rule.offsetAfter)
+    ].join('.')).join(' ');
+
+    var standard = [];
+    if (zoneData.standardOffsets != null) {
+        standard.push(zoneData.standardOffsets.map(zoneOffsetIndex).join(''));
+        standard.push(packTransitions(zoneData.standardTransitions));
+    }
+
+    var offsetTable = zoneOffsets.map((totalSeconds) => packBase60(sharedOffsetIndex(totalSeconds))).join(' ');
+    return [zoneId, offsetTable, wallOffsets, transitions, lastRules].concat(standard).join('|');
+}
+
+/**
+ *
+ * @param {number[]} transitions - the epoch-seconds of the transitions
+ * @return {string}
+ * @private
+ */
+function packTransitions(transitions) {
+    return transitions.map((epochSecond, i) =>
+        packBase60(i === 0 ? epochSecond : epochSecond - transitions[i - 1])).join(' ');
+}
+
+/**
+ *
+ * @param {string} packed
+ * @return {number[]} the epoch-seconds of the transitions
+ * @private
+ */
+function unpackTransitions(packed) {
+    var epochSecond = 0;
+    return splitList(packed).map((packedTransition) => {
+        epochSecond += unpackBase60(packedTransition);
+        return epochSecond;
+    });
+}
+
+/**
+ *
+ * @param {string[]} fields
+ * @param {number[]} offsets
+ * @return {{transitions: number[], offsets: number[], lastRules: Object[],
+ *  standardTransitions: number[], standardOffsets: number[]}}
+ * @private
+ */
+function unpackZone(fields, offsets) {
+    var zoneOffsets = splitList(fields[1]).map((index) => offsetAt(offsets, unpackBase60(index), fields[0]));
+    var zoneOffsetAt = (digit) => offsetAt(zoneOffsets, unpackBase60(digit), fields[0]);
+
+    var transitions = unpackTransitions(fields[3]);
+    var lastRules = splitList(fields[4]).map((packedRule) => {
+        var ruleFields = packedRule.split('.');
+        if (ruleFields.length !== 8) {
+            throw new IllegalArgumentException('Invalid packed rule in zone ' + fields[0] + ': ' + packedRule);
+        }
+        var dayOfWeek = unpackBase60(ruleFields[2]);
+        return {
+            month: unpackBase60(ruleFields[0]),
+            dayOfMonthIndicator: unpackBase60(ruleFields[1]),
+            dayOfWeek: dayOfWeek === 0 ? null : dayOfWeek,
+            secondOfDay: unpackBase60(ruleFields[3]),
+            timeDefinition: unpackTimeDefinition(ruleFields[4], fields[0]),
+            standardOffset: zoneOffsetAt(ruleFields[5]),
+            offsetBefore: zoneOffsetAt(ruleFields[6]),
+            offsetAfter: zoneOffsetAt(ruleFields[7])
+        };
+    });
+    var zoneData = {
+        transitions: transitions,
+        offsets: fields[2].split('').map(zoneOffsetAt),
+        lastRules: lastRules
+    };
+    if (fields.length === 7) {
+        zoneData.standardTransitions = unpackTransitions(fields[6]);
+        zoneData.standardOffsets = fields[5].split('').map(zoneOffsetAt);
+    }
+    return zoneData;
+}
+
+/**
+ *
+ * @param {number[]} offsets
+ * @param {number} index
+ * @param {string} zoneId
+ * @return {number}
+ * @private
+ */
+function offsetAt(offsets, index, zoneId) {
+    if (index < 0 || index >= offsets.length) {
+        throw new IllegalArgumentException('Invalid offset index in zone ' + zoneId + ': ' + index);
+    }
+    return offsets[index];
+}
+
+/**
+ *
+ * @param {string} packed
+ * @param {string} zoneId
+ * @return {string}
+ * @private
+ */
+function unpackTimeDefinition(packed, zoneId) {
+    for (var name in TIME_DEFINITIONS) {
+        if (TIME_DEFINITIONS.hasOwnProperty(name) && TIME_DEFINITIONS[name] === packed) {
+            return name;
+        }
+    }
+    throw new IllegalArgumentException('Invalid time definition in zone ' + zoneId + ': ' + packed);
+}
+
+/**
+ *
+ * @param {string} list
+ * @return {string[]}
+ * @private
+ */
+function splitList(list) {
+    return list === '' ? [] : list.split(' ');
+}
+
+/**
+ *
+ * @param {number} value
+ * @return {string}
+ * @private
+ */
+function packBase60(value) {
+    if (value < 0) {
+        return '-' + packBase60(-value);
+    }
+    var packed = '';
+    do {
+        packed = BASE60[value % 60] + packed;
+        value = Math.floor(value / 60);
+    } while (value > 0);
+    return packed;
+}
+
+/**
+ *
+ * @param {string} packed
+ * @return {number}
+ * @private
+ */
+function unpackBase60(packed) {
+    var negative = packed.charAt(0) === '-';
+    var start = negative ? 1 : 0;
+    if (packed.length === start) {
+        throw new IllegalArgumentException('Invalid base 60 number: ' + packed);
+    }
+    var value = 0;
+    for (var i = start; i < packed.length; i++) {
+        var digit = BASE60.indexOf(packed.charAt(i));
+        if (digit < 0) {
+            throw new IllegalArgumentException('Invalid base 60 number: ' + packed);
+        }
+        value = value * 60 + digit;
+    }
+    return negative ? -value : value;
+}
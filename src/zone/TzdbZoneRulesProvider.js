@@ -0,0 +1,356 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull} from '../assert';
+import {ZoneRulesException} from '../errors';
+
+import {DayOfWeek} from '../DayOfWeek';
+import {LocalTime} from '../LocalTime';
+import {Month} from '../Month';
+import {ZoneOffset} from '../ZoneOffset';
+import {StandardZoneRules} from './StandardZoneRules';
+import {TzdbPackedData} from './TzdbPackedData';
+import {ZoneOffsetTransitionRule} from './ZoneOffsetTransitionRule';
+import {ZoneRulesProvider} from './ZoneRulesProvider';
+
+/**
+ * Loads time-zone rules for 'TZDB'.
+ * <p>
+ * The provider is created from the transitions of the IANA Time Zone Database (TZDB),
+ * in the form of a plain javascript object:
+ * <pre>
+ *   {
+ *       version: '2016f',
+ *       zones: {
+ *           'Europe/Berlin': {
+ *               transitions: [-2422054408, -1693706400, ...],
+ *               offsets: [3208, 3600, 7200, ...],
+ *               lastRules: [
+ *                   {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 7200,
+ *                       timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+ *                   ...
+ *               ],
+ *               standardTransitions: [-2422054408, -1017820800, ...],
+ *               standardOffsets: [3208, 3600, 7200, ...]
+ *           },
+ *           ...
+ *       },
+ *       links: {
+ *           'Europe/Busingen': 'Europe/Zurich',
+ *           ...
+ *       }
+ *   }
+ * </pre>
+ * {@code transitions} contains the epoch-seconds at which the wall offset changes, ascending.
+ * {@code offsets} contains the wall offsets in seconds, the first entry is the offset before
+ * the first transition, the following entries are the offsets after each transition.
+ * {@code lastRules} is optional and contains the recurring rules that define the transitions
+ * of every year after the last transition, see {@link ZoneOffsetTransitionRule}.
+ * {@code dayOfWeek} is null for rules on a fixed day of month, {@code secondOfDay} is 86400
+ * for rules at midnight at the end of the day, {@code timeDefinition} is one of
+ * 'UTC', 'WALL' or 'STANDARD'.
+ * <p>
+ * {@code standardTransitions} and {@code standardOffsets} are optional and define the standard
+ * offsets, the offsets without daylight savings, in the same way as {@code transitions} and
+ * {@code offsets} define the wall offsets. Without them, the standard offsets are the wall offsets.
+ * <p>
+ * {@code links} is optional and maps zone IDs that are aliases to the zone ID
+ * that defines their rules. An alias provides the same rules as its zone.
+ * <p>
+ * {@code version} is optional and names the version of the TZDB the data was created from.
+ * Newer versions of the data are registered at runtime by {@link TzdbZoneRulesProvider#registerVersion}
+ * and applied by {@link ZoneRulesProvider.refresh}, without restarting the application:
+ * <pre>
+ *   import {TzdbPackedData, ZoneRulesProvider} from 'js-joda';
+ *
+ *   provider.registerVersion(TzdbPackedData.unpack(packedTzdbData2016g));
+ *   ZoneRulesProvider.refresh();
+ * </pre>
+ * The rules of a zone are those of the latest version that contains the zone,
+ * the rules of the older versions remain available by {@link ZoneRulesProvider.getVersions}.
+ * <p>
+ * The rules of a zone are created lazily, on first request. They are not cached by
+ * {@link ZoneRegion}, so that zone regions use the latest version after a refresh.
+ * <p>
+ * Packed data, see {@link TzdbPackedData}, is loaded by {@link TzdbZoneRulesProvider.loadPacked}.
+ */
+export class TzdbZoneRulesProvider extends ZoneRulesProvider {
+
+    /**
+     * Unpacks packed tzdb data and registers a provider of its zones.
+     * <pre>
+     *   TzdbZoneRulesProvider.loadPacked(packedTzdbData);
+     *   ZoneId.of('Europe/Berlin');
+     * </pre>
+     *
+     * @param {Object} packed - the packed tzdb data, see {@link TzdbPackedData}, not null
+     * @return {TzdbZoneRulesProvider} the registered provider, not null
+     * @throws IllegalArgumentException if the packed data is invalid
+     * @throws ZoneRulesException if a zone ID of the data is already registered
+     */
+    static loadPacked(packed) {
+        var provider = new TzdbZoneRulesProvider(TzdbPackedData.unpack(packed));
+        ZoneRulesProvider.registerProvider(provider);
+        return provider;
+    }
+
+    /**
+     *
+     * @param {Object} data - the tzdb data, not null
+     */
+    constructor(data) {
+        super();
+        requireNonNull(data, 'data');
+        this._versions = [];
+        this._pendingVersions = [];
+        this._regionIds = [];
+        this._regionIdLookup = {};
+        this._addVersion(data);
+    }
+
+    /**
+     * Gets the latest version of the data of this provider.
+     *
+     * @return {string} the version, null if the data has no version
+     */
+    version() {
+        return this._versions[this._versions.length - 1].version;
+    }
+
+    /**
+     * Registers a newer version of the tzdb data.
+     * <p>
+     * The version is applied by the next {@link ZoneRulesProvider.refresh}, or by
+     * {@link TzdbZoneRulesProvider#provideRefresh} if the provider is not registered.
+     * Until then, the provider keeps providing the rules of the current version.
+     *
+     * @param {Object} data - the tzdb data with its version, in the format of the constructor, not null
+     * @throws ZoneRulesException if the version is not newer than the latest registered version
+     */
+    registerVersion(data) {
+        requireNonNull(data, 'data');
+        requireNonNull(data.version, 'data.version');
+        requireNonNull(data.zones, 'data.zones');
+        var latest = this._pendingVersions.length > 0 ?
+            this._pendingVersions[this._pendingVersions.length - 1].version : this.version();
+        if (latest != null && data.version <= latest) {
+            throw new ZoneRulesException('Version ' + data.version + ' is not newer than the registered version ' + latest);
+        }
+        this._pendingVersions.push(data);
+    }
+
+    /**
+     * Discards the versions registered by {@link TzdbZoneRulesProvider#registerVersion} that are not applied yet,
+     * e.g. after {@link ZoneRulesProvider.refresh} failed on a zone ID they add.
+     */
+    discardPendingVersions() {
+        this._pendingVersions = [];
+    }
+
+    /**
+     *
+     * @return {string[]}
+     */
+    provideZoneIds() {
+        return this._regionIds.slice();
+    }
+
+    /**
+     * The rules are not provided for caching, they may change by a refresh.
+     *
+     * @param {string} regionId
+     * @param {boolean} forCaching
+     * @return {ZoneRules}
+     */
+    provideRules(regionId, forCaching) {
+        requireNonNull(regionId, 'regionId');
+        var version = this._latestVersionOf(regionId);
+        if (forCaching) {
+            return null;
+        }
+        return TzdbZoneRulesProvider._rulesOf(version, regionId);
+    }
+
+    /**
+     *
+     * @param {string} regionId
+     * @return {string}
+     */
+    provideCanonicalId(regionId) {
+        requireNonNull(regionId, 'regionId');
+        if (this._regionIdLookup.hasOwnProperty(regionId) === false) {
+            return regionId;
+        }
+        var links = this._latestVersionOf(regionId).links;
+        return links.hasOwnProperty(regionId) ? links[regionId] : regionId;
+    }
+
+    /**
+     * The versions without a version string are not listed.
+     *
+     * @param {string} regionId
+     * @return {Object}
+     */
+    provideVersions(regionId) {
+        requireNonNull(regionId, 'regionId');
+        this._latestVersionOf(regionId);
+        var result = {};
+        this._versions.forEach((version) => {
+            if (version.version != null && TzdbZoneRulesProvider._containsRegion(version, regionId)) {
+                result[version.version] = TzdbZoneRulesProvider._rulesOf(version, regionId);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * The zones and links of the pending versions that are not provided yet.
+     *
+     * @return {string[]}
+     */
+    providePendingZoneIds() {
+        var result = [];
+        this._pendingVersions.forEach((data) => {
+            Object.keys(data.zones).concat(Object.keys(data.links || {})).forEach((regionId) => {
+                if (this._regionIdLookup.hasOwnProperty(regionId) === false && result.indexOf(regionId) < 0) {
+                    result.push(regionId);
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Applies the versions registered by {@link TzdbZoneRulesProvider#registerVersion}.
+     *
+     * @return {boolean}
+     */
+    provideRefresh() {
+        if (this._pendingVersions.length === 0) {
+            return false;
+        }
+        this._pendingVersions.forEach((data) => this._addVersion(data));
+        this._pendingVersions = [];
+        return true;
+    }
+
+    /**
+     *
+     * @param {Object} data - the tzdb data, not null
+     * @private
+     */
+    _addVersion(data) {
+        requireNonNull(data.zones, 'data.zones');
+        var version = {
+            version: data.version != null ? data.version : null,
+            zones: data.zones,
+            links: data.links || {},
+            rulesCache: {}
+        };
+        this._versions.push(version);
+        Object.keys(version.zones).concat(Object.keys(version.links)).forEach((regionId) => {
+            if (this._regionIdLookup.hasOwnProperty(regionId) === false) {
+                this._regionIdLookup[regionId] = true;
+                this._regionIds.push(regionId);
+            }
+        });
+    }
+
+    /**
+     *
+     * @param {string} regionId
+     * @return {Object} the latest version that contains the region ID
+     * @throws ZoneRulesException if no version contains the region ID
+     * @private
+     */
+    _latestVersionOf(regionId) {
+        for (let i = this._versions.length - 1; i >= 0; i--) {
+            if (TzdbZoneRulesProvider._containsRegion(this._versions[i], regionId)) {
+                return this._versions[i];
+            }
+        }
+        throw new ZoneRulesException('Unknown time-zone ID: ' + regionId);
+    }
+
+    /**
+     *
+     * @param {Object} version
+     * @param {string} regionId
+     * @return {boolean}
+     * @private
+     */
+    static _containsRegion(version, regionId) {
+        return version.zones.hasOwnProperty(regionId) || version.links.hasOwnProperty(regionId);
+    }
+
+    /**
+     *
+     * @param {Object} version
+     * @param {string} regionId
+     * @return {StandardZoneRules}
+     * @private
+     */
+    static _rulesOf(version, regionId) {
+        if (version.links.hasOwnProperty(regionId)) {
+            regionId = version.links[regionId];
+        }
+        if (version.rulesCache.hasOwnProperty(regionId)) {
+            return version.rulesCache[regionId];
+        }
+        if (version.zones.hasOwnProperty(regionId) === false) {
+            throw new ZoneRulesException('Unknown time-zone ID: ' + regionId);
+        }
+        var rules = TzdbZoneRulesProvider._createRules(version.zones[regionId]);
+        version.rulesCache[regionId] = rules;
+        return rules;
+    }
+
+    /**
+     *
+     * @param {{transitions: number[], offsets: number[], lastRules: Object[],
+     *  standardTransitions: number[], standardOffsets: number[]}} zoneData
+     * @return {StandardZoneRules}
+     * @private
+     */
+    static _createRules(zoneData) {
+        var toOffset = (totalSeconds) => ZoneOffset.ofTotalSeconds(totalSeconds);
+        var offsets = zoneData.offsets.map(toOffset);
+        var lastRules = (zoneData.lastRules || []).map(TzdbZoneRulesProvider._createTransitionRule);
+        if (zoneData.standardOffsets == null) {
+            return StandardZoneRules.of(zoneData.transitions, offsets, lastRules);
+        }
+        return StandardZoneRules.of(zoneData.transitions, offsets, lastRules,
+            zoneData.standardTransitions, zoneData.standardOffsets.map(toOffset));
+    }
+
+    /**
+     *
+     * @param {Object} ruleData
+     * @return {ZoneOffsetTransitionRule}
+     * @private
+     */
+    static _createTransitionRule(ruleData) {
+        var timeEndOfDay = ruleData.secondOfDay === 86400;
+        return ZoneOffsetTransitionRule.of(
+            Month.of(ruleData.month),
+            ruleData.dayOfMonthIndicator,
+            ruleData.dayOfWeek != null ? DayOfWeek.of(ruleData.dayOfWeek) : null,
+            timeEndOfDay ? LocalTime.MIDNIGHT : LocalTime.ofSecondOfDay(ruleData.secondOfDay),
+            timeEndOfDay,
+            ZoneOffsetTransitionRule.TimeDefinition[ruleData.timeDefinition],
+            ZoneOffset.ofTotalSeconds(ruleData.standardOffset),
+            ZoneOffset.ofTotalSeconds(ruleData.offsetBefore),
+            ZoneOffset.ofTotalSeconds(ruleData.offsetAfter));
+    }
+
+    /**
+     *
+     * @return {string}
+     */
+    toString() {
+        var version = this.version();
+        return version != null ? 'TZDB[' + version + ']' : 'TZDB';
+    }
+}
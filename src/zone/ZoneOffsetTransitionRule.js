@@ -0,0 +1,409 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull} from '../assert';
+import {IllegalArgumentException} from '../errors';
+import {Enum} from '../Enum';
+
+import {IsoChronology} from '../chrono/IsoChronology';
+import {TemporalAdjusters} from '../temporal/TemporalAdjusters';
+
+import {LocalDate} from '../LocalDate';
+import {LocalDateTime} from '../LocalDateTime';
+import {LocalTime} from '../LocalTime';
+import {ZoneOffset} from '../ZoneOffset';
+import {ZoneOffsetTransition} from './ZoneOffsetTransition';
+
+/**
+ * A rule expressing how to create a transition.
+ * <p>
+ * This class allows rules for identifying future transitions to be expressed.
+ * A rule might be written in many forms:
+ * <p><ul>
+ * <li>the 16th March
+ * <li>the Sunday on or after the 16th March
+ * <li>the Sunday on or before the 16th March
+ * <li>the last Sunday in February
+ * </ul><p>
+ * These different rule types can be expressed and queried.
+ *
+ * <h3>Specification for implementors</h3>
+ * This class is immutable and thread-safe.
+ */
+export class ZoneOffsetTransitionRule {
+
+    /**
+     * Obtains an instance defining the yearly rule to create transitions between two offsets.
+     * <p>
+     * Applications should normally obtain an instance from {@link ZoneRules}.
+     * This factory is only intended for use when creating {@link ZoneRules}.
+     *
+     * @param {Month} month - the month of the month-day of the first day of the cutover week, not null
+     * @param {number} dayOfMonthIndicator - the day of the month-day of the cutover week, positive if the week is that
+     *  day or later, negative if the week is that day or earlier, counting from the last day of the month,
+     *  from -28 to 31 excluding 0
+     * @param {DayOfWeek} dayOfWeek - the required day-of-week, null if the month-day should not be changed
+     * @param {LocalTime} time - the cutover time in the 'before' offset, not null
+     * @param {boolean} timeEndOfDay - whether the time is midnight at the end of day
+     * @param {TimeDefinition} timeDefinition - how to interpret the cutover
+     * @param {ZoneOffset} standardOffset - the standard offset in force at the cutover, not null
+     * @param {ZoneOffset} offsetBefore - the offset before the cutover, not null
+     * @param {ZoneOffset} offsetAfter - the offset after the cutover, not null
+     * @return {ZoneOffsetTransitionRule} the rule, not null
+     * @throws IllegalArgumentException if the day of month indicator is invalid
+     * @throws IllegalArgumentException if the end of day flag is true when the time is not midnight
+     */
+    static of(
+            month,
+            dayOfMonthIndicator,
+            dayOfWeek,
+            time,
+            timeEndOfDay,
+            timeDefinition,
+            standardOffset,
+            offsetBefore,
+            offsetAfter) {
+        requireNonNull(month, 'month');
+        requireNonNull(time, 'time');
+        requireNonNull(timeDefinition, 'timeDefinition');
+        requireNonNull(standardOffset, 'standardOffset');
+        requireNonNull(offsetBefore, 'offsetBefore');
+        requireNonNull(offsetAfter, 'offsetAfter');
+        if (dayOfMonthIndicator < -28 || dayOfMonthIndicator > 31 || dayOfMonthIndicator === 0) {
+            throw new IllegalArgumentException('Day of month indicator must be between -28 and 31 inclusive excluding zero');
+        }
+        if (timeEndOfDay && time.equals(LocalTime.MIDNIGHT) === false) {
+            throw new IllegalArgumentException('Time must be midnight when end of day flag is true');
+        }
+        return new ZoneOffsetTransitionRule(month, dayOfMonthIndicator, dayOfWeek, time, timeEndOfDay, timeDefinition, standardOffset, offsetBefore, offsetAfter);
+    }
+
+    /**
+     * Creates an instance defining the yearly rule to create transitions between two offsets.
+     *
+     * @param {Month} month - the month of the month-day of the first day of the cutover week, not null
+     * @param {number} dayOfMonthIndicator - the day of the month-day of the cutover week, positive if the week is that
+     *  day or later, negative if the week is that day or earlier, counting from the last day of the month,
+     *  from -28 to 31 excluding 0
+     * @param {DayOfWeek} dayOfWeek - the required day-of-week, null if the month-day should not be changed
+     * @param {LocalTime} time - the cutover time in the 'before' offset, not null
+     * @param {boolean} timeEndOfDay - whether the time is midnight at the end of day
+     * @param {TimeDefinition} timeDefinition - how to interpret the cutover
+     * @param {ZoneOffset} standardOffset - the standard offset in force at the cutover, not null
+     * @param {ZoneOffset} offsetBefore - the offset before the cutover, not null
+     * @param {ZoneOffset} offsetAfter - the offset after the cutover, not null
+     * @private
+     */
+    constructor(month, dayOfMonthIndicator, dayOfWeek, time, timeEndOfDay, timeDefinition, standardOffset, offsetBefore, offsetAfter) {
+        this._month = month;
+        this._dom = dayOfMonthIndicator;
+        this._dow = dayOfWeek;
+        this._time = time;
+        this._timeEndOfDay = timeEndOfDay;
+        this._timeDefinition = timeDefinition;
+        this._standardOffset = standardOffset;
+        this._offsetBefore = offsetBefore;
+        this._offsetAfter = offsetAfter;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the month of the transition.
+     * <p>
+     * If the rule defines an exact date then the month is the month of that date.
+     * <p>
+     * If the rule defines a week where the transition might occur, then the month
+     * if the month of either the earliest or latest possible date of the cutover.
+     *
+     * @return {Month} the month of the transition, not null
+     */
+    month() {
+        return this._month;
+    }
+
+    /**
+     * Gets the indicator of the day-of-month of the transition.
+     * <p>
+     * If the rule defines an exact date then the day is the month of that date.
+     * <p>
+     * If the rule defines a week where the transition might occur, then the day
+     * defines either the start of the end of the transition week.
+     * <p>
+     * If the value is positive, then it represents a normal day-of-month, and is the
+     * earliest possible date that the transition can be.
+     * The date may refer to 29th February which should be treated as 1st March in non-leap years.
+     * <p>
+     * If the value is negative, then it represents the number of days back from the
+     * end of the month where {@code -1} is the last day of the month.
+     * In this case, the day identified is the latest possible date that the transition can be.
+     *
+     * @return {number} the day-of-month indicator, from -28 to 31 excluding 0
+     */
+    dayOfMonthIndicator() {
+        return this._dom;
+    }
+
+    /**
+     * Gets the day-of-week of the transition.
+     * <p>
+     * If the rule defines an exact date then this returns null.
+     * <p>
+     * If the rule defines a week where the cutover might occur, then this method
+     * returns the day-of-week that the month-day will be adjusted to.
+     * If the day is positive then the adjustment is later.
+     * If the day is negative then the adjustment is earlier.
+     *
+     * @return {DayOfWeek} the day-of-week that the transition occurs, null if the rule defines an exact date
+     */
+    dayOfWeek() {
+        return this._dow;
+    }
+
+    /**
+     * Gets the local time of day of the transition which must be checked with
+     * {@link #isMidnightEndOfDay()}.
+     * <p>
+     * The time is converted into an instant using the time definition.
+     *
+     * @return {LocalTime} the local time of day of the transition, not null
+     */
+    localTime() {
+        return this._time;
+    }
+
+    /**
+     * Is the transition local time midnight at the end of day.
+     * <p>
+     * The transition may be represented as occurring at 24:00.
+     *
+     * @return {boolean} whether a local time of midnight is at the start or end of the day
+     */
+    isMidnightEndOfDay() {
+        return this._timeEndOfDay;
+    }
+
+    /**
+     * Gets the time definition, specifying how to convert the time to an instant.
+     * <p>
+     * The local time can be converted to an instant using the standard offset,
+     * the wall offset or UTC.
+     *
+     * @return {TimeDefinition} the time definition, not null
+     */
+    timeDefinition() {
+        return this._timeDefinition;
+    }
+
+    /**
+     * Gets the standard offset in force at the transition.
+     *
+     * @return {ZoneOffset} the standard offset, not null
+     */
+    standardOffset() {
+        return this._standardOffset;
+    }
+
+    /**
+     * Gets the offset before the transition.
+     *
+     * @return {ZoneOffset} the offset before, not null
+     */
+    offsetBefore() {
+        return this._offsetBefore;
+    }
+
+    /**
+     * Gets the offset after the transition.
+     *
+     * @return {ZoneOffset} the offset after, not null
+     */
+    offsetAfter() {
+        return this._offsetAfter;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Creates a transition instance for the specified year.
+     * <p>
+     * Calculations are performed using the ISO-8601 chronology.
+     *
+     * @param {number} year - the year to create a transition for, not null
+     * @return {ZoneOffsetTransition} the transition instance, not null
+     */
+    createTransition(year) {
+        var date;
+        if (this._dom < 0) {
+            date = LocalDate.of(year, this._month, this._month.length(IsoChronology.isLeapYear(year)) + 1 + this._dom);
+            if (this._dow != null) {
+                date = date.with(TemporalAdjusters.previousOrSame(this._dow));
+            }
+        } else {
+            date = LocalDate.of(year, this._month, this._dom);
+            if (this._dow != null) {
+                date = date.with(TemporalAdjusters.nextOrSame(this._dow));
+            }
+        }
+        if (this._timeEndOfDay) {
+            date = date.plusDays(1);
+        }
+        var localDT = LocalDateTime.of(date, this._time);
+        var transition = this._timeDefinition.createDateTime(localDT, this._standardOffset, this._offsetBefore);
+        return new ZoneOffsetTransition(transition, this._offsetBefore, this._offsetAfter);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Checks if this object equals another.
+     * <p>
+     * The entire state of the object is compared.
+     *
+     * @param {*} other - the other object to compare to, null returns false
+     * @return {boolean} true if equal
+     */
+    equals(other) {
+        if (other === this) {
+            return true;
+        }
+        if (other instanceof ZoneOffsetTransitionRule) {
+            return this._month === other._month && this._dom === other._dom &&
+                this._dow === other._dow &&
+                this._timeDefinition === other._timeDefinition &&
+                this._time.equals(other._time) &&
+                this._timeEndOfDay === other._timeEndOfDay &&
+                this._standardOffset.equals(other._standardOffset) &&
+                this._offsetBefore.equals(other._offsetBefore) &&
+                this._offsetAfter.equals(other._offsetAfter);
+        }
+        return false;
+    }
+
+    /**
+     * Returns a suitable hash code.
+     *
+     * @return {number} the hash code
+     */
+    hashCode() {
+        var hash = ((this._time.toSecondOfDay() + (this._timeEndOfDay ? 1 : 0)) << 15) +
+            ((this._month.value() - 1) << 11) + ((this._dom + 32) << 5) +
+            ((this._dow == null ? 7 : this._dow.ordinal()) << 2) + (this._timeDefinition.ordinal());
+        return hash ^ this._standardOffset.hashCode() ^
+            this._offsetBefore.hashCode() ^ this._offsetAfter.hashCode();
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Returns a string describing this object.
+     *
+     * @return {string} a string for debugging, not null
+     */
+    toString() {
+        var buf = 'TransitionRule[' +
+            (this._offsetBefore.compareTo(this._offsetAfter) > 0 ? 'Gap ' : 'Overlap ') +
+            this._offsetBefore.toString() + ' to ' + this._offsetAfter.toString() + ', ';
+        if (this._dow != null) {
+            if (this._dom === -1) {
+                buf += this._dow.name() + ' on or before last day of ' + this._month.toString();
+            } else if (this._dom < 0) {
+                buf += this._dow.name() + ' on or before last day minus ' + (-this._dom - 1) + ' of ' + this._month.toString();
+            } else {
+                buf += this._dow.name() + ' on or after ' + this._month.toString() + ' ' + this._dom;
+            }
+        } else {
+            buf += this._month.toString() + ' ' + this._dom;
+        }
+        buf += ' at ' + (this._timeEndOfDay ? '24:00' : this._time.toString()) +
+            ' ' + this._timeDefinition.toString() +
+            ', standard offset ' + this._standardOffset.toString() +
+            ']';
+        return buf;
+    }
+
+}
+
+/**
+ * A definition of the way a local time can be converted to the actual
+ * transition date-time.
+ * <p>
+ * Time zone rules are expressed in one of three ways:
+ * <p><ul>
+ * <li>Relative to UTC</li>
+ * <li>Relative to the standard offset in force</li>
+ * <li>Relative to the wall offset (what you would see on a clock on the wall)</li>
+ * </ul><p>
+ *
+ * <h3>Static properties of Class {@link TimeDefinition}</h3>
+ *
+ * TimeDefinition.UTC = new TimeDefinition('UTC', 0);
+ *
+ * The local date-time is expressed in terms of the UTC offset.
+ *
+ * TimeDefinition.WALL = new TimeDefinition('WALL', 1);
+ *
+ * The local date-time is expressed in terms of the wall offset.
+ *
+ * TimeDefinition.STANDARD = new TimeDefinition('STANDARD', 2);
+ *
+ * The local date-time is expressed in terms of the standard offset.
+ */
+export class TimeDefinition extends Enum {
+
+    /**
+     *
+     * @param {string} name
+     * @param {number} ordinal
+     * @private
+     */
+    constructor(name, ordinal) {
+        super(name);
+        this._ordinal = ordinal;
+    }
+
+    /**
+     *
+     * @return {number}
+     */
+    ordinal() {
+        return this._ordinal;
+    }
+
+    /**
+     * Converts the specified local date-time to the local date-time actually
+     * seen on a wall clock.
+     * <p>
+     * This method converts using the type of this enum.
+     * The output is defined relative to the 'before' offset of the transition.
+     * <p>
+     * The UTC type uses the UTC offset.
+     * The STANDARD type uses the standard offset.
+     * The WALL type returns the input date-time.
+     * The result is intended for use with the wall-offset.
+     *
+     * @param {LocalDateTime} dateTime - the local date-time, not null
+     * @param {ZoneOffset} standardOffset - the standard offset, not null
+     * @param {ZoneOffset} wallOffset - the wall offset, not null
+     * @return {LocalDateTime} the date-time relative to the wall/before offset, not null
+     */
+    createDateTime(dateTime, standardOffset, wallOffset) {
+        switch (this) {
+            case TimeDefinition.UTC: {
+                let difference = wallOffset.totalSeconds() - ZoneOffset.UTC.totalSeconds();
+                return dateTime.plusSeconds(difference);
+            }
+            case TimeDefinition.STANDARD: {
+                let difference = wallOffset.totalSeconds() - standardOffset.totalSeconds();
+                return dateTime.plusSeconds(difference);
+            }
+            default:  // WALL
+                return dateTime;
+        }
+    }
+}
+
+TimeDefinition.UTC = new TimeDefinition('UTC', 0);
+TimeDefinition.WALL = new TimeDefinition('WALL', 1);
+TimeDefinition.STANDARD = new TimeDefinition('STANDARD', 2);
+
+ZoneOffsetTransitionRule.TimeDefinition = TimeDefinition;
@@ -6,6 +6,7 @@
 
 import {requireNonNull, abstractMethodFail} from '../assert';
 
+import {Duration} from '../Duration';
 import {Instant} from '../Instant';
 
 export class ZoneRules {
@@ -125,6 +126,208 @@ export class ZoneRules {
         abstractMethodFail('ZoneRules.isValidOffset');
     }
 
+    /**
+     * Gets the offset applicable at the specified local date-time in these rules.
+     * <p>
+     * The mapping from a local date-time to an offset is not straightforward.
+     * There are three cases:
+     * <p><ul>
+     * <li>Normal, with one valid offset. For the vast majority of the year, the normal
+     *  case applies, where there is a single valid offset for the local date-time.</li>
+     * <li>Gap, with zero valid offsets. This is when clocks jump forward typically
+     *  due to the spring daylight savings change from "winter" to "summer".
+     *  In a gap there are local date-time values with no valid offset.</li>
+     * <li>Overlap, with two valid offsets. This is when clocks are set back typically
+     *  due to the autumn daylight savings change from "summer" to "winter".
+     *  In an overlap there are local date-time values with two valid offsets.</li>
+     * </ul><p>
+     * Thus, for any given local date-time there can be zero, one or two valid offsets.
+     * This method returns that list of valid offsets, which is a list of size 0, 1 or 2.
+     * In the case where there are two offsets, the earlier offset is returned at index 0
+     * and the later offset at index 1.
+     * <p>
+     * There are various ways to handle the conversion from a {@code LocalDateTime}.
+     * One technique, using this method, would be:
+     * <pre>
+     *  var validOffsets = rules.validOffsets(localDT);
+     *  if (validOffsets.length === 1) {
+     *    // Normal case: only one valid offset
+     *    zoneOffset = validOffsets[0];
+     *  } else {
+     *    // Gap or Overlap: determine what to do from transition (which will be non-null)
+     *    var trans = rules.transition(localDT);
+     *  }
+     * </pre>
+     * <p>
+     * In theory, it is possible for there to be more than two valid offsets.
+     * This would happen if clocks to be put back more than once in quick succession.
+     * This has never happened in the history of time-zones and thus has no special handling.
+     * However, if it were to happen, then the list would return more than 2 entries.
+     *
+     * @param {LocalDateTime} localDateTime - the local date-time to query for valid offsets, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {ZoneOffset[]} the list of valid offsets, may be immutable, not null
+     */
+    validOffsets(){
+        abstractMethodFail('ZoneRules.validOffsets');
+    }
+
+    /**
+     * Gets the offset transition applicable at the specified local date-time in these rules.
+     * <p>
+     * The mapping from a local date-time to an offset is not straightforward.
+     * There are three cases:
+     * <p><ul>
+     * <li>Normal, with one valid offset. For the vast majority of the year, the normal
+     *  case applies, where there is a single valid offset for the local date-time.</li>
+     * <li>Gap, with zero valid offsets. This is when clocks jump forward typically
+     *  due to the spring daylight savings change from "winter" to "summer".
+     *  In a gap there are local date-time values with no valid offset.</li>
+     * <li>Overlap, with two valid offsets. This is when clocks are set back typically
+     *  due to the autumn daylight savings change from "summer" to "winter".
+     *  In an overlap there are local date-time values with two valid offsets.</li>
+     * </ul><p>
+     * A transition is used to model the cases of a Gap or Overlap.
+     * The Normal case will return null.
+     * <p>
+     * There are various ways to handle the conversion from a {@code LocalDateTime}.
+     * One technique, using this method, would be:
+     * <pre>
+     *  var trans = rules.transition(localDT);
+     *  if (trans != null) {
+     *    // Gap or Overlap: determine what to do from transition
+     *  } else {
+     *    // Normal case: only one valid offset
+     *    zoneOffset = rule.offset(localDT);
+     *  }
+     * </pre>
+     *
+     * @param {LocalDateTime} localDateTime - the local date-time to query for offset transition, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {ZoneOffsetTransition} the offset transition, null if the local date-time is not in transition
+     */
+    transition(){
+        abstractMethodFail('ZoneRules.transition');
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the standard offset for the specified instant in this zone.
+     * <p>
+     * This provides access to historic information on how the standard offset
+     * has changed over time.
+     * The standard offset is the offset before any daylight saving time is applied.
+     * This is typically the offset applicable during winter.
+     *
+     * @param {Instant} instant - the instant to find the offset information for, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {ZoneOffset} the standard offset, not null
+     */
+    standardOffset(){
+        abstractMethodFail('ZoneRules.standardOffset');
+    }
+
+    /**
+     * Gets the amount of daylight savings in use for the specified instant in this zone.
+     * <p>
+     * This provides access to historic information on how the amount of daylight
+     * savings has changed over time.
+     * This is the difference between the standard offset and the actual offset.
+     * Typically the amount is zero during winter and one hour during summer.
+     * Time-zones are second-based, so the nanosecond part of the duration will be zero.
+     *
+     * @param {Instant} instant - the instant to find the daylight savings for, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {Duration} the difference between the standard and actual offset, not null
+     */
+    daylightSavings(instant){
+        var standardOffset = this.standardOffset(instant);
+        var actualOffset = this.offsetOfInstant(instant);
+        return Duration.ofSeconds(actualOffset.totalSeconds() - standardOffset.totalSeconds());
+    }
+
+    /**
+     * Checks if the specified instant is in daylight savings.
+     * <p>
+     * This checks if the standard offset and the actual offset differ at the specified instant.
+     *
+     * @param {Instant} instant - the instant to find the offset information for, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {boolean} true if the actual offset differs from the standard offset
+     */
+    isDaylightSavings(instant){
+        return this.standardOffset(instant).equals(this.offsetOfInstant(instant)) === false;
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the next transition after the specified instant.
+     * <p>
+     * This returns details of the next transition after the specified instant.
+     * For example, if the instant represents a point where "Summer" daylight savings time
+     * applies, then the method will return the transition to the next "Winter" time.
+     *
+     * @param {Instant} instant - the instant to get the next transition after, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {ZoneOffsetTransition} the next transition after the specified instant, null if this is after the last transition
+     */
+    nextTransition(){
+        abstractMethodFail('ZoneRules.nextTransition');
+    }
+
+    /**
+     * Gets the previous transition before the specified instant.
+     * <p>
+     * This returns details of the previous transition after the specified instant.
+     * For example, if the instant represents a point where "summer" daylight saving time
+     * applies, then the method will return the transition from the previous "winter" time.
+     *
+     * @param {Instant} instant - the instant to get the previous transition after, not null, but null
+     *  may be ignored if the rules have a single offset for all instants
+     * @return {ZoneOffsetTransition} the previous transition after the specified instant, null if this is before the first transition
+     */
+    previousTransition(){
+        abstractMethodFail('ZoneRules.previousTransition');
+    }
+
+    /**
+     * Gets the complete list of fully defined transitions.
+     * <p>
+     * The complete set of transitions for this rules instance is defined by this method.
+     * The list will be empty for fixed offset rules and for any time-zone where there has
+     * only ever been a single offset.
+     *
+     * @return {ZoneOffsetTransition[]} an immutable list of fully defined transitions, not null
+     */
+    transitions(){
+        abstractMethodFail('ZoneRules.transitions');
+    }
+
+    /**
+     * Gets the list of transition rules for years beyond those defined in the transition list.
+     * <p>
+     * The complete set of transitions for this rules instance is defined by this method
+     * and {@link #transitions()}. This method returns instances of {@link ZoneOffsetTransitionRule}
+     * that define an algorithm for when transitions will occur.
+     * <p>
+     * For any given {@code ZoneRules}, this list contains the transition rules for years
+     * beyond those years that have been fully defined. These rules typically refer to future
+     * daylight saving time rule changes.
+     * <p>
+     * If the zone defines daylight savings into the future, then the list will normally
+     * be of size two and hold information about entering and exiting daylight savings.
+     * If the zone does not have daylight savings, or information about future changes
+     * is uncertain, then the list will be empty.
+     * <p>
+     * The list will be empty for fixed offset rules and for any time-zone where there is no
+     * daylight saving time. The list will also be empty if the transition rules are unknown.
+     *
+     * @return {ZoneOffsetTransitionRule[]} an immutable list of transition rules, not null
+     */
+    transitionRules(){
+        abstractMethodFail('ZoneRules.transitionRules');
+    }
+
 }
 
 
@@ -164,6 +367,34 @@ class Fixed extends ZoneRules{
         return this._offset.equals(offset);
     }
 
+    validOffsets(){
+        return [this._offset];
+    }
+
+    transition(){
+        return null;
+    }
+
+    standardOffset(){
+        return this._offset;
+    }
+
+    nextTransition(){
+        return null;
+    }
+
+    previousTransition(){
+        return null;
+    }
+
+    transitions(){
+        return [];
+    }
+
+    transitionRules(){
+        return [];
+    }
+
     //-----------------------------------------------------------------------
     /**
      *
@@ -0,0 +1,164 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireInstance, requireNonNull} from '../assert';
+import {IllegalArgumentException, IllegalStateException} from '../errors';
+
+import {Instant} from '../Instant';
+import {LocalDateTime} from '../LocalDateTime';
+import {ZoneOffset} from '../ZoneOffset';
+import {ZoneRegion} from '../ZoneRegion';
+import {StandardZoneRules} from './StandardZoneRules';
+import {ZoneOffsetTransitionRule} from './ZoneOffsetTransitionRule';
+
+/**
+ * A builder of synthetic time-zone rules, for example to test daylight saving gaps and overlaps
+ * independently of the tzdb and of the time-zone of the javascript runtime.
+ * <p>
+ * The rules start with an initial offset and change it at each declared transition.
+ * After the last transition, the transitions of every year are created from the
+ * recurring transition rules, if there are any:
+ * <pre>
+ *   var zone = new ZoneRulesBuilder(ZoneOffset.ofHours(1))
+ *       .addTransition(LocalDateTime.of(2016, 3, 27, 2, 0), ZoneOffset.ofHours(2))
+ *       .addTransition(LocalDateTime.of(2016, 10, 30, 3, 0), ZoneOffset.ofHours(1))
+ *       .toZoneRegion('Test/Zone');
+ * </pre>
+ * The zone regions created by the builder are not registered, {@link ZoneId.of} does not know them.
+ * <p>
+ * The builder is not immutable, each call to {@link ZoneRulesBuilder#toRules} creates new rules
+ * from the transitions declared so far.
+ */
+export class ZoneRulesBuilder {
+
+    /**
+     *
+     * @param {ZoneOffset} initialOffset - the wall offset before the first transition, not null
+     * @param {ZoneOffset} [initialStandardOffset=initialOffset] - the standard offset before the first transition, not null
+     */
+    constructor(initialOffset, initialStandardOffset = initialOffset) {
+        requireNonNull(initialOffset, 'initialOffset');
+        requireInstance(initialOffset, ZoneOffset, 'initialOffset');
+        requireNonNull(initialStandardOffset, 'initialStandardOffset');
+        requireInstance(initialStandardOffset, ZoneOffset, 'initialStandardOffset');
+        this._transitions = [];
+        this._wallOffsets = [initialOffset];
+        this._standardTransitions = [];
+        this._standardOffsets = [initialStandardOffset];
+        this._lastRules = [];
+    }
+
+    /**
+     * Adds a transition of the wall offset, the standard offset or both.
+     * <p>
+     * The transition is either an instant, or a local date-time in the wall offset before the
+     * transition, like {@link ZoneOffsetTransition#dateTimeBefore}. A transition to a larger
+     * offset creates a gap, a transition to a smaller offset an overlap.
+     *
+     * @param {LocalDateTime|Instant} transition - the local date-time or the instant of the transition, not null
+     * @param {ZoneOffset} offsetAfter - the wall offset after the transition, not null
+     * @param {ZoneOffset} [standardOffsetAfter] - the standard offset after the transition, defaults to
+     *  the standard offset before the transition
+     * @return {ZoneRulesBuilder} this, for chaining
+     * @throws IllegalArgumentException if the transition is not after the previous one, has nanoseconds,
+     *  or changes neither offset
+     * @throws IllegalStateException if transition rules were already added
+     */
+    addTransition(transition, offsetAfter, standardOffsetAfter) {
+        requireNonNull(transition, 'transition');
+        requireNonNull(offsetAfter, 'offsetAfter');
+        requireInstance(offsetAfter, ZoneOffset, 'offsetAfter');
+        if (this._lastRules.length > 0) {
+            throw new IllegalStateException('Transitions must be added before the transition rules');
+        }
+        var offsetBefore = this._wallOffsets[this._wallOffsets.length - 1];
+        var standardOffsetBefore = this._standardOffsets[this._standardOffsets.length - 1];
+        if (standardOffsetAfter == null) {
+            standardOffsetAfter = standardOffsetBefore;
+        }
+        requireInstance(standardOffsetAfter, ZoneOffset, 'standardOffsetAfter');
+
+        var epochSecond;
+        if (transition instanceof LocalDateTime) {
+            epochSecond = transition.toEpochSecond(offsetBefore);
+        } else {
+            requireInstance(transition, Instant, 'transition');
+            epochSecond = transition.epochSecond();
+        }
+        if (transition.nano() !== 0) {
+            throw new IllegalArgumentException('Transition must not have nanoseconds: ' + transition);
+        }
+        var previous = Math.max(lastOf(this._transitions), lastOf(this._standardTransitions));
+        if (epochSecond <= previous) {
+            throw new IllegalArgumentException('Transition must be after the previous transition: ' + transition);
+        }
+        var wallChanged = offsetAfter.equals(offsetBefore) === false;
+        var standardChanged = standardOffsetAfter.equals(standardOffsetBefore) === false;
+        if (wallChanged === false && standardChanged === false) {
+            throw new IllegalArgumentException('Transition must change the wall offset or the standard offset: ' + transition);
+        }
+        if (wallChanged) {
+            this._transitions.push(epochSecond);
+            this._wallOffsets.push(offsetAfter);
+        }
+        if (standardChanged) {
+            this._standardTransitions.push(epochSecond);
+            this._standardOffsets.push(standardOffsetAfter);
+        }
+        return this;
+    }
+
+    /**
+     * Adds a recurring transition rule, applying after the last transition.
+     * <p>
+     * The rules of a year are added in the order of their transitions within the year.
+     * At least one transition has to be added before, which defines the start of the rules.
+     *
+     * @param {ZoneOffsetTransitionRule} rule - the transition rule, not null
+     * @return {ZoneRulesBuilder} this, for chaining
+     * @throws IllegalStateException if no transition was added before
+     */
+    addTransitionRule(rule) {
+        requireNonNull(rule, 'rule');
+        requireInstance(rule, ZoneOffsetTransitionRule, 'rule');
+        if (this._transitions.length === 0) {
+            throw new IllegalStateException('Transition rules require at least one transition of the wall offset');
+        }
+        this._lastRules.push(rule);
+        return this;
+    }
+
+    /**
+     * Creates the rules of the transitions declared so far.
+     *
+     * @return {ZoneRules} the zone rules, not null
+     */
+    toRules() {
+        return StandardZoneRules.of(this._transitions.slice(), this._wallOffsets.slice(), this._lastRules.slice(),
+            this._standardTransitions.slice(), this._standardOffsets.slice());
+    }
+
+    /**
+     * Creates a zone region with the rules of the transitions declared so far.
+     *
+     * @param {string} zoneId - the time-zone ID, not null
+     * @return {ZoneRegion} the zone region, not null
+     */
+    toZoneRegion(zoneId) {
+        requireNonNull(zoneId, 'zoneId');
+        return new ZoneRegion(zoneId, this.toRules());
+    }
+
+}
+
+/**
+ *
+ * @param {number[]} transitions
+ * @return {number} the last transition, -Infinity if there is none
+ * @private
+ */
+function lastOf(transitions) {
+    return transitions.length > 0 ? transitions[transitions.length - 1] : -Infinity;
+}
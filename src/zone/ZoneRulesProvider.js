@@ -0,0 +1,369 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {requireNonNull, abstractMethodFail} from '../assert';
+import {ZoneRulesException} from '../errors';
+
+/**
+ * The registered providers, in order of registration.
+ */
+var PROVIDERS = [];
+
+/**
+ * The lookup from zone region ID to provider.
+ */
+var ZONES = {};
+
+/**
+ * Provider of time-zone rules to the system.
+ * <p>
+ * This class manages the configuration of time-zone rules.
+ * The static methods provide the public API that can be used to manage the providers.
+ * The abstract methods provide the SPI that allows rules to be provided.
+ * <p>
+ * Rules are looked up primarily by zone ID, as used by {@link ZoneId}.
+ * Only zone region IDs may be used, zone offset IDs are not used here.
+ * <p>
+ * In contrast to the jdk, no provider is registered by default. The time-zone data is
+ * not part of the library, it has to be registered by the application, for example by
+ * registering a {@link TzdbZoneRulesProvider}:
+ * <pre>
+ *   ZoneRulesProvider.registerProvider(new TzdbZoneRulesProvider(tzdbData));
+ * </pre>
+ *
+ * Providers may provide several versions of the rules of a zone, like the versions of the TZDB.
+ * The latest version is used, newer versions may be added at runtime and applied by
+ * {@link ZoneRulesProvider.refresh}. Zone regions look up their rules lazily, so that they
+ * use the latest version after a refresh.
+ *
+ * <h3>Specification for implementors</h3>
+ * The returned rules must never change once they are returned to the user.
+ * <p>
+ * Each provider must provide the rules of the zone IDs it announces via
+ * {@link ZoneRulesProvider#provideZoneIds}. A zone ID may only be provided
+ * by one registered provider.
+ */
+export class ZoneRulesProvider {
+
+    //-----------------------------------------------------------------------
+    /**
+     * Gets the set of available zone IDs.
+     * <p>
+     * These zone IDs are loaded and available for use by {@code ZoneId}.
+     *
+     * @return {string[]} a new array of the zone IDs, not null
+     */
+    static getAvailableZoneIds() {
+        return Object.keys(ZONES);
+    }
+
+    /**
+     * Gets the rules for the zone ID.
+     * <p>
+     * This returns the latest available rules for the zone ID.
+     * <p>
+     * This method relies on time-zone data provider files that are configured.
+     *
+     * @param {string} zoneId - the zone region ID as used by {@code ZoneId}, not null
+     * @param {boolean} [forCaching=false] - whether the rules are being queried for caching
+     * @return {ZoneRules} the rules for the ID, not null
+     * @throws ZoneRulesException if the zone ID is unknown
+     */
+    static getRules(zoneId, forCaching=false) {
+        requireNonNull(zoneId, 'zoneId');
+        return ZoneRulesProvider._getProvider(zoneId).provideRules(zoneId, forCaching);
+    }
+
+    /**
+     * Gets the canonical zone ID of the zone ID.
+     * <p>
+     * A zone ID that is an alias of another zone, like 'US/Eastern' or 'Asia/Calcutta'
+     * in the TZDB, resolves to the ID of that zone, like 'America/New_York' or 'Asia/Kolkata'.
+     * Any other zone ID is canonical itself.
+     *
+     * @param {string} zoneId - the zone region ID as used by {@code ZoneId}, not null
+     * @return {string} the canonical zone ID, not null
+     * @throws ZoneRulesException if the zone ID is unknown
+     */
+    static getCanonicalId(zoneId) {
+        requireNonNull(zoneId, 'zoneId');
+        return ZoneRulesProvider._getProvider(zoneId).provideCanonicalId(zoneId);
+    }
+
+    /**
+     * Gets the history of rules for the zone ID.
+     * <p>
+     * Time-zones are defined by governments and change frequently. This method
+     * allows applications to find the history of changes to the rules for a
+     * single zone ID. The object is keyed by the version string, ascending,
+     * and contains the rules of the zone in each version.
+     * <p>
+     * Providers without versions return an empty object.
+     *
+     * @param {string} zoneId - the zone region ID as used by {@code ZoneId}, not null
+     * @return {Object} a new object of the version strings to the rules, not null
+     * @throws ZoneRulesException if the zone ID is unknown
+     */
+    static getVersions(zoneId) {
+        requireNonNull(zoneId, 'zoneId');
+        return ZoneRulesProvider._getProvider(zoneId).provideVersions(zoneId);
+    }
+
+    /**
+     * Gets the latest version of the rules for the zone ID that produces the offset at the instant.
+     * <p>
+     * This allows applications to find out if an offset, like the offset of a {@link ZonedDateTime}
+     * created before a refresh, was produced by the latest version of the rules or by an outdated one:
+     * <pre>
+     *   ZoneRulesProvider.getVersionOfOffset(zdt.zone().id(), zdt.toInstant(), zdt.offset());
+     * </pre>
+     *
+     * @param {string} zoneId - the zone region ID as used by {@code ZoneId}, not null
+     * @param {Instant} instant - the instant, not null
+     * @param {ZoneOffset} offset - the offset, not null
+     * @return {string} the latest version whose rules produce the offset, null if there is none
+     * @throws ZoneRulesException if the zone ID is unknown
+     */
+    static getVersionOfOffset(zoneId, instant, offset) {
+        requireNonNull(instant, 'instant');
+        requireNonNull(offset, 'offset');
+        var versions = ZoneRulesProvider.getVersions(zoneId);
+        var result = null;
+        Object.keys(versions).forEach((version) => {
+            if (versions[version].offset(instant).equals(offset)) {
+                result = version;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Gets the provider for the zone ID.
+     * <p>
+     * A zone ID that is not registered is looked up in the providers, in order of registration,
+     * see {@link ZoneRulesProvider#provideSupportsZoneId}.
+     *
+     * @param {string} zoneId - the zone region ID as used by {@code ZoneId}, not null
+     * @return {ZoneRulesProvider} the provider, not null
+     * @throws ZoneRulesException if the zone ID is unknown
+     * @private
+     */
+    static _getProvider(zoneId) {
+        if (ZONES.hasOwnProperty(zoneId)) {
+            return ZONES[zoneId];
+        }
+        if (PROVIDERS.length === 0) {
+            throw new ZoneRulesException('No time-zone data files registered');
+        }
+        for (let i = 0; i < PROVIDERS.length; i++) {
+            if (PROVIDERS[i].provideSupportsZoneId(zoneId)) {
+                return PROVIDERS[i];
+            }
+        }
+        throw new ZoneRulesException('Unknown time-zone ID: ' + zoneId);
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * Registers a zone rules provider.
+     * <p>
+     * This adds a new provider to those currently available.
+     * A provider supplies rules for one or more zone IDs.
+     * A provider cannot be registered if it supplies a zone ID that has already been
+     * registered.
+     *
+     * @param {ZoneRulesProvider} provider - the provider to register, not null
+     * @throws ZoneRulesException if a region is already registered
+     */
+    static registerProvider(provider) {
+        requireNonNull(provider, 'provider');
+        ZoneRulesProvider._registerProvider0(provider);
+        PROVIDERS.push(provider);
+    }
+
+    /**
+     * Refreshes the rules from the underlying data provider.
+     * <p>
+     * This method allows an application to request that the providers check
+     * for any updates to the provided rules, like a newer version registered by
+     * {@link TzdbZoneRulesProvider#registerVersion}. After calling this method,
+     * the offset stored in any {@link ZonedDateTime} may be invalid for the zone ID.
+     * <p>
+     * Zone IDs added by the newer rules are registered. They are checked before any provider
+     * applies its newer rules, so that a refresh that fails on a zone ID registered by another
+     * provider does not change any rules, the newer rules remain pending.
+     *
+     * @return {boolean} true if the rules were updated
+     * @throws ZoneRulesException if an error occurs during the refresh, or a zone ID added by the
+     *  newer rules is already registered by another provider
+     */
+    static refresh() {
+        var zones = {};
+        Object.keys(ZONES).forEach((zoneId) => {
+            zones[zoneId] = ZONES[zoneId];
+        });
+        PROVIDERS.forEach((provider) => {
+            ZoneRulesProvider._checkZoneIds(provider, provider.providePendingZoneIds(), zones);
+        });
+        var changed = false;
+        PROVIDERS.forEach((provider) => {
+            if (provider.provideRefresh()) {
+                ZoneRulesProvider._registerProvider0(provider);
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Registers the provider.
+     *
+     * @param {ZoneRulesProvider} provider - the provider to register, not null
+     * @throws ZoneRulesException if unable to complete the registration
+     * @private
+     */
+    static _registerProvider0(provider) {
+        ZoneRulesProvider._checkZoneIds(provider, provider.provideZoneIds(), ZONES);
+    }
+
+    /**
+     * Checks that the zone IDs are not registered by another provider, and registers them for the provider.
+     *
+     * @param {ZoneRulesProvider} provider - the provider of the zone IDs, not null
+     * @param {string[]} zoneIds - the zone IDs, not null
+     * @param {Object} zones - the providers keyed by their zone IDs, to register the zone IDs in, not null
+     * @throws ZoneRulesException if a zone ID is already registered by another provider
+     * @private
+     */
+    static _checkZoneIds(provider, zoneIds, zones) {
+        zoneIds.forEach((zoneId) => {
+            requireNonNull(zoneId, 'zoneId');
+            if (zones.hasOwnProperty(zoneId) && zones[zoneId] !== provider) {
+                throw new ZoneRulesException('Unable to register zone as one already registered with that ID: ' + zoneId +
+                    ', currently loading from provider: ' + provider);
+            }
+        });
+        zoneIds.forEach((zoneId) => {
+            zones[zoneId] = provider;
+        });
+    }
+
+    //-----------------------------------------------------------------------
+    /**
+     * SPI method to get the available zone IDs.
+     * <p>
+     * This obtains the IDs that this {@code ZoneRulesProvider} provides.
+     * A provider should provide data for at least one region.
+     * <p>
+     * The returned regions remain available and valid for the lifetime of the application.
+     * A dynamic provider may increase the set of regions as more data becomes available.
+     *
+     * @return {string[]} the zone region IDs being provided, not null
+     * @protected
+     */
+    provideZoneIds() {
+        abstractMethodFail('ZoneRulesProvider.provideZoneIds');
+    }
+
+    /**
+     * SPI method to check if the provider supports a zone ID that it does not list.
+     * <p>
+     * This allows providers, like providers of the time-zones of the javascript runtime,
+     * to support zone IDs that are not known in advance, like aliases.
+     * A zone ID is only looked up this way if no provider lists it by {@link ZoneRulesProvider#provideZoneIds}.
+     * The default implementation returns false.
+     *
+     * @param {string} regionId - the time-zone region ID, not null
+     * @return {boolean} true if {@link ZoneRulesProvider#provideRules} provides the rules of the zone ID
+     * @protected
+     */
+    provideSupportsZoneId() {
+        return false;
+    }
+
+    /**
+     * SPI method to get the rules for the zone ID.
+     * <p>
+     * This loads the rules for the specified region.
+     * <p>
+     * If {@code forCaching} is true, the rules are going to be kept by a {@link ZoneRegion}.
+     * Providers whose rules may change by a refresh return null instead, so that the
+     * region looks the rules up each time.
+     *
+     * @param {string} regionId - the time-zone region ID, not null
+     * @param {boolean} forCaching - whether the rules are being queried for caching
+     * @return {ZoneRules} the rules, null if {@code forCaching} is true and the rules must not be cached
+     * @throws ZoneRulesException if rules cannot be obtained
+     * @protected
+     */
+    provideRules() {
+        abstractMethodFail('ZoneRulesProvider.provideRules');
+    }
+
+    /**
+     * SPI method to get the canonical zone ID of the zone ID.
+     * <p>
+     * Providers that provide aliases of their zones return the ID of the zone
+     * the alias refers to. The default implementation returns the zone ID itself.
+     *
+     * @param {string} regionId - the time-zone region ID, not null
+     * @return {string} the canonical zone region ID, not null
+     * @protected
+     */
+    provideCanonicalId(regionId) {
+        return regionId;
+    }
+
+    /**
+     * SPI method to get the history of rules for the zone ID.
+     * <p>
+     * This returns an object of the version strings to the rules of the zone ID in that version,
+     * ascending by version. The default implementation returns an empty object,
+     * for providers that do not know versions of their rules.
+     *
+     * @param {string} regionId - the time-zone region ID, not null
+     * @return {Object} a new object of the version strings to the rules, not null
+     * @throws ZoneRulesException if the zone ID is unknown
+     * @protected
+     */
+    provideVersions() {
+        return {};
+    }
+
+    /**
+     * SPI method to get the zone IDs added by the next refresh.
+     * <p>
+     * This allows {@link ZoneRulesProvider.refresh} to check the zone IDs before the
+     * newer rules are applied by {@link ZoneRulesProvider#provideRefresh}.
+     * The default implementation returns an empty array.
+     *
+     * @return {string[]} the zone region IDs that the next refresh adds, not null
+     * @protected
+     */
+    providePendingZoneIds() {
+        return [];
+    }
+
+    /**
+     * SPI method to refresh the rules from the underlying data provider.
+     * <p>
+     * This method provides the opportunity for a provider to dynamically
+     * recheck the underlying data provider to find the latest rules.
+     * This could be used to load new rules without stopping the application.
+     * <p>
+     * A provider may add zone IDs by a refresh, but must not remove any. The zone IDs
+     * it adds must be returned by {@link ZoneRulesProvider#providePendingZoneIds} before.
+     * The default implementation returns false.
+     *
+     * @return {boolean} true if the rules were updated
+     * @throws ZoneRulesException if an error occurs during the refresh
+     * @protected
+     */
+    provideRefresh() {
+        return false;
+    }
+
+}
@@ -10,10 +10,12 @@ import './_init';
 
 import {ChronoField} from '../src/temporal/ChronoField';
 import {DayOfWeek} from '../src/DayOfWeek';
-import {IllegalArgumentException, UnsupportedTemporalTypeException} from '../src/errors';
+import {NullPointerException, UnsupportedTemporalTypeException} from '../src/errors';
 import {TemporalAccessor} from '../src/temporal/TemporalAccessor';
 import {TemporalField} from '../src/temporal/TemporalField';
 import {TemporalQuery} from '../src/temporal/TemporalQuery';
+import {Locale} from '../src/format/Locale';
+import {TextStyle} from '../src/format/TextStyle';
 import {ValueRange} from '../src/temporal/ValueRange';
 
 /* these are not covered by the threetenbp ported tests */
@@ -39,10 +41,19 @@ describe('js-joda DayOfWeek', () => {
     
     describe('getDisplayName', () => {
         
-        it('should throw an IllegalArgumentException', () => {
+        it('should return the text of the style', () => {
+            assertEquals(DayOfWeek.MONDAY.getDisplayName(TextStyle.FULL, Locale.ENGLISH), 'Monday');
+            assertEquals(DayOfWeek.SATURDAY.getDisplayName(TextStyle.SHORT, Locale.ENGLISH), 'Sat');
+            assertEquals(DayOfWeek.SUNDAY.getDisplayName(TextStyle.NARROW_STANDALONE, Locale.ENGLISH), 'S');
+        });
+
+        it('should throw a NullPointerException without style or locale', () => {
             expect(() => {
                 DayOfWeek.MONDAY.getDisplayName();
-            }).to.throw(IllegalArgumentException);
+            }).to.throw(NullPointerException);
+            expect(() => {
+                DayOfWeek.MONDAY.getDisplayName(TextStyle.FULL);
+            }).to.throw(NullPointerException);
         });
         
     });
@@ -11,13 +11,20 @@ import './_init';
 import {ChronoField} from '../src/temporal/ChronoField';
 import {ChronoUnit} from '../src/temporal/ChronoUnit';
 import {Instant} from '../src/Instant';
+import {LocalDateTime} from '../src/LocalDateTime';
 import {LocalTime} from '../src/LocalTime';
 import {MathUtil} from '../src/MathUtil';
+import {OffsetDateTime} from '../src/OffsetDateTime';
+import {OffsetTime} from '../src/OffsetTime';
+import {ZonedDateTime} from '../src/ZonedDateTime';
+import {ZoneId} from '../src/ZoneId';
+import {ZoneOffset} from '../src/ZoneOffset';
+import {DateTimeFormatter} from '../src/format/DateTimeFormatter';
 import {TemporalAccessor} from '../src/temporal/TemporalAccessor';
 import {TemporalField} from '../src/temporal/TemporalField';
 import {TemporalQuery} from '../src/temporal/TemporalQuery';
 import {TemporalUnit} from '../src/temporal/TemporalUnit';
-import {DateTimeException, NullPointerException, UnsupportedTemporalTypeException} from '../src/errors';
+import {DateTimeException, IllegalArgumentException, NullPointerException, UnsupportedTemporalTypeException} from '../src/errors';
 
 /* these are not covered by the threetenbp ported tests */
 describe('js-joda Instant', () => {
@@ -37,9 +44,83 @@ describe('js-joda Instant', () => {
                 Instant.from(temporalAccessor);
             }).to.throw(DateTimeException);
         });
+
+        it('should obtain the instant of the temporals with an offset', () => {
+            let expected = Instant.parse('2016-03-18T09:15:30Z');
+            assertEquals(Instant.from(OffsetDateTime.parse('2016-03-18T10:15:30+01:00')), expected);
+            assertEquals(Instant.from(ZonedDateTime.parse('2016-03-18T10:15:30+01:00[Europe/Paris]')), expected);
+            assertEquals(Instant.from(DateTimeFormatter.ISO_OFFSET_DATE_TIME.parse('2016-03-18T10:15:30+01:00')), expected);
+            assertEquals(Instant.from(DateTimeFormatter.ISO_ZONED_DATE_TIME.parse('2016-03-18T10:15:30+01:00[Europe/Paris]')), expected);
+            assertEquals(Instant.from(DateTimeFormatter.ISO_LOCAL_DATE_TIME.withZone(ZoneId.of('Europe/Paris')).parse('2016-03-18T10:15:30')), expected);
+        });
+
+        it('should prefer the parsed offset to the zone in an overlap', () => {
+            let parsed = DateTimeFormatter.ISO_ZONED_DATE_TIME.parse('2016-10-30T02:30+01:00[Europe/Paris]');
+            assertEquals(Instant.from(parsed), Instant.parse('2016-10-30T01:30:00Z'));
+        });
+
+        it('should fail for temporals without a date-time or offset', () => {
+            expect(() => {
+                Instant.from(OffsetTime.parse('10:15:30+01:00'));
+            }).to.throw(DateTimeException);
+            expect(() => {
+                Instant.from(LocalDateTime.parse('2016-03-18T10:15:30'));
+            }).to.throw(DateTimeException);
+            expect(() => {
+                Instant.from(DateTimeFormatter.ISO_LOCAL_DATE_TIME.parse('2016-03-18T10:15:30'));
+            }).to.throw(DateTimeException);
+        });
+
+        it('should fail for null', () => {
+            expect(() => {
+                Instant.from(null);
+            }).to.throw(NullPointerException);
+        });
         
     });
 
+    describe('atOffset() and atZone()', () => {
+        const instant = Instant.parse('2016-03-18T09:15:30Z');
+
+        it('should combine the instant with the offset', () => {
+            assertEquals(instant.atOffset(ZoneOffset.ofHours(1)), OffsetDateTime.parse('2016-03-18T10:15:30+01:00'));
+            assertEquals(instant.atOffset(ZoneOffset.UTC).toInstant(), instant);
+        });
+
+        it('should combine the instant with the zone', () => {
+            assertEquals(instant.atZone(ZoneId.of('Europe/Paris')), ZonedDateTime.parse('2016-03-18T10:15:30+01:00[Europe/Paris]'));
+            assertEquals(instant.atZone(ZoneId.of('America/New_York')).toLocalDateTime(), LocalDateTime.parse('2016-03-18T05:15:30'));
+            assertEquals(instant.atZone(ZoneOffset.ofHours(-2)).toLocalDateTime(), LocalDateTime.parse('2016-03-18T07:15:30'));
+        });
+
+        it('should resolve the instant in a daylight saving overlap to its offset', () => {
+            assertEquals(Instant.parse('2016-10-30T00:30:00Z').atZone(ZoneId.of('Europe/Paris')).offset(), ZoneOffset.ofHours(2));
+            assertEquals(Instant.parse('2016-10-30T01:30:00Z').atZone(ZoneId.of('Europe/Paris')).offset(), ZoneOffset.ofHours(1));
+        });
+
+        it('should fail for null or a region based zone as offset', () => {
+            expect(() => {
+                instant.atOffset(null);
+            }).to.throw(NullPointerException);
+            expect(() => {
+                instant.atOffset(ZoneId.of('Europe/Paris'));
+            }).to.throw(IllegalArgumentException);
+            expect(() => {
+                instant.atZone(null);
+            }).to.throw(NullPointerException);
+        });
+
+        it('should fail if the result exceeds the supported range', () => {
+            expect(() => {
+                Instant.MAX.atOffset(ZoneOffset.MAX);
+            }).to.throw(DateTimeException);
+            expect(() => {
+                Instant.MIN.atZone(ZoneOffset.MIN);
+            }).to.throw(DateTimeException);
+        });
+
+    });
+
     describe('constructor(seconds, nanos)', () => {
     
         it('should fail for unsupported values, nanos overflow', () => {
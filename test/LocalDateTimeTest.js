@@ -0,0 +1,70 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals} from './testUtils';
+
+import './_init';
+
+import {DateTimeException, IllegalArgumentException, NullPointerException} from '../src/errors';
+import {Instant} from '../src/Instant';
+import {LocalDateTime} from '../src/LocalDateTime';
+import {ZoneId} from '../src/ZoneId';
+import {ZoneOffset} from '../src/ZoneOffset';
+
+/* these are not covered by the threetenbp ported tests */
+describe('js-joda LocalDateTime', () => {
+    const PARIS = ZoneId.of('Europe/Paris');
+    const INSTANT = Instant.parse('2016-03-18T09:15:30.000000500Z');
+
+    describe('ofEpochSecond()', () => {
+
+        it('should obtain the local date-time at the offset of a region based zone', () => {
+            assertEquals(LocalDateTime.ofEpochSecond(INSTANT.epochSecond(), 500, PARIS), LocalDateTime.of(2016, 3, 18, 10, 15, 30, 500));
+            assertEquals(LocalDateTime.ofEpochSecond(INSTANT.epochSecond(), PARIS), LocalDateTime.of(2016, 3, 18, 10, 15, 30));
+            assertEquals(LocalDateTime.ofEpochSecond(INSTANT.epochSecond(), ZoneOffset.ofHours(1)), LocalDateTime.of(2016, 3, 18, 10, 15, 30));
+        });
+
+        it('should use the offset valid at the instant in a daylight saving overlap', () => {
+            var first = Instant.parse('2016-10-30T00:30:00Z').epochSecond();
+            assertEquals(LocalDateTime.ofEpochSecond(first, PARIS), LocalDateTime.of(2016, 10, 30, 2, 30));
+            assertEquals(LocalDateTime.ofEpochSecond(first + 3600, PARIS), LocalDateTime.of(2016, 10, 30, 2, 30));
+        });
+
+        it('should fail for null or a value that is no zone', () => {
+            expect(() => {
+                LocalDateTime.ofEpochSecond(0, 0, null);
+            }).to.throw(NullPointerException);
+            expect(() => {
+                LocalDateTime.ofEpochSecond(0, 0, 'Europe/Paris');
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('should fail if the instant exceeds the supported range of a region based zone', () => {
+            expect(() => {
+                LocalDateTime.ofEpochSecond(Instant.MAX_SECONDS + 1, PARIS);
+            }).to.throw(DateTimeException);
+        });
+
+    });
+
+    describe('ofInstant()', () => {
+
+        it('should obtain the local date-time of the instant in the zone or at the offset', () => {
+            assertEquals(LocalDateTime.ofInstant(INSTANT, PARIS), LocalDateTime.of(2016, 3, 18, 10, 15, 30, 500));
+            assertEquals(LocalDateTime.ofInstant(INSTANT, ZoneId.of('America/New_York')), LocalDateTime.of(2016, 3, 18, 5, 15, 30, 500));
+            assertEquals(LocalDateTime.ofInstant(INSTANT, ZoneOffset.UTC), LocalDateTime.of(2016, 3, 18, 9, 15, 30, 500));
+            assertEquals(LocalDateTime.ofInstant(INSTANT, PARIS), INSTANT.atZone(PARIS).toLocalDateTime());
+        });
+
+        it('should fail for a value that is no zone', () => {
+            expect(() => {
+                LocalDateTime.ofInstant(INSTANT, 'Europe/Paris');
+            }).to.throw(IllegalArgumentException);
+        });
+
+    });
+
+});
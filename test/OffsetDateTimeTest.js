@@ -0,0 +1,258 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals} from './testUtils';
+
+import './_init';
+
+import {DateTimeException, DateTimeParseException, NullPointerException} from '../src/errors';
+import {Clock} from '../src/Clock';
+import {Duration} from '../src/Duration';
+import {Instant} from '../src/Instant';
+import {LocalDate} from '../src/LocalDate';
+import {LocalDateTime} from '../src/LocalDateTime';
+import {LocalTime} from '../src/LocalTime';
+import {OffsetDateTime} from '../src/OffsetDateTime';
+import {Period} from '../src/Period';
+import {ZonedDateTime} from '../src/ZonedDateTime';
+import {ZoneId} from '../src/ZoneId';
+import {ZoneOffset} from '../src/ZoneOffset';
+import {DateTimeFormatter} from '../src/format/DateTimeFormatter';
+import {ChronoField} from '../src/temporal/ChronoField';
+import {ChronoUnit} from '../src/temporal/ChronoUnit';
+import {TemporalAdjusters} from '../src/temporal/TemporalAdjusters';
+import {TemporalQueries} from '../src/temporal/TemporalQueries';
+
+describe('js-joda OffsetDateTimeTest', () => {
+    const OFFSET_PONE = ZoneOffset.ofHours(1);
+    const OFFSET_PTWO = ZoneOffset.ofHours(2);
+    const DATE_TIME = LocalDateTime.of(2008, 6, 30, 11, 30, 59, 500);
+    const TEST = OffsetDateTime.of(DATE_TIME, OFFSET_PONE);
+
+    describe('factories', () => {
+
+        it('should create the offset date-time of the fields, date and time or date-time', () => {
+            assertEquals(OffsetDateTime.of(2008, 6, 30, 11, 30, 59, 500, OFFSET_PONE), TEST);
+            assertEquals(OffsetDateTime.of(DATE_TIME.toLocalDate(), DATE_TIME.toLocalTime(), OFFSET_PONE), TEST);
+            assertEquals(TEST.toLocalDateTime(), DATE_TIME);
+            assertEquals(TEST.offset(), OFFSET_PONE);
+            assertEquals(DATE_TIME.atOffset(OFFSET_PONE), TEST);
+        });
+
+        it('should fail for null or wrong arguments', () => {
+            expect(() => OffsetDateTime.of(null, OFFSET_PONE)).to.throw(NullPointerException);
+            expect(() => OffsetDateTime.of(DATE_TIME, null)).to.throw(NullPointerException);
+            expect(() => OffsetDateTime.of(DATE_TIME, ZoneId.of('Europe/Paris'))).to.throw(Error);
+        });
+
+        it('should create the offset date-time of an instant', () => {
+            var instant = Instant.parse('2008-06-30T10:30:59.000000500Z');
+            assertEquals(OffsetDateTime.ofInstant(instant, OFFSET_PONE), TEST);
+            assertEquals(OffsetDateTime.ofInstant(instant, ZoneId.of('Europe/Paris')), OffsetDateTime.of(DATE_TIME.plusHours(1), OFFSET_PTWO));
+        });
+
+        it('should obtain the current date-time of the clock or zone', () => {
+            var clock = Clock.fixed(Instant.parse('2008-06-30T10:30:59Z'), OFFSET_PTWO);
+            assertEquals(OffsetDateTime.now(clock), OffsetDateTime.of(2008, 6, 30, 12, 30, 59, 0, OFFSET_PTWO));
+            assertEquals(OffsetDateTime.now(ZoneOffset.UTC).offset(), ZoneOffset.UTC);
+        });
+
+        it('should convert a temporal with an offset', () => {
+            assertEquals(OffsetDateTime.from(TEST), TEST);
+            assertEquals(OffsetDateTime.from(ZonedDateTime.of(DATE_TIME, ZoneId.of('Europe/Paris'))), OffsetDateTime.of(DATE_TIME, OFFSET_PTWO));
+            assertEquals(OffsetDateTime.from(DateTimeFormatter.ISO_OFFSET_DATE_TIME.parse('2008-06-30T11:30:59.0000005+01:00')), TEST);
+            expect(() => OffsetDateTime.from(DATE_TIME)).to.throw(DateTimeException);
+            expect(() => OffsetDateTime.from(Instant.EPOCH)).to.throw(DateTimeException);
+        });
+
+        it('should have the MIN and MAX date-times', () => {
+            assertEquals(OffsetDateTime.MIN, OffsetDateTime.of(LocalDateTime.MIN, ZoneOffset.MAX));
+            assertEquals(OffsetDateTime.MAX, OffsetDateTime.of(LocalDateTime.MAX, ZoneOffset.MIN));
+        });
+
+    });
+
+    describe('parse and format', () => {
+
+        it('should parse RFC 3339 timestamps', () => {
+            assertEquals(OffsetDateTime.parse('2008-06-30T11:30:59.0000005+01:00'), TEST);
+            assertEquals(OffsetDateTime.parse('2008-06-30T09:30:59Z'), OffsetDateTime.of(2008, 6, 30, 9, 30, 59, 0, ZoneOffset.UTC));
+            assertEquals(OffsetDateTime.parse('2008-06-30T11:30-05:30').offset(), ZoneOffset.ofHoursMinutes(-5, -30));
+        });
+
+        it('should parse with a formatter', () => {
+            var formatter = DateTimeFormatter.ofPattern('dd.MM.uuuu HH:mm XXX');
+            assertEquals(OffsetDateTime.parse('30.06.2008 11:30 +01:00', formatter), OffsetDateTime.of(2008, 6, 30, 11, 30, 0, 0, OFFSET_PONE));
+            assertEquals(OffsetDateTime.parse('2008-06-30T11:30+01:00[Europe/Paris]', DateTimeFormatter.ISO_ZONED_DATE_TIME).offset(), OFFSET_PONE);
+        });
+
+        it('should fail to parse text without an offset', () => {
+            expect(() => OffsetDateTime.parse('2008-06-30T11:30:59')).to.throw(DateTimeParseException);
+            expect(() => OffsetDateTime.parse('2008-06-30T11:30:59', DateTimeFormatter.ISO_LOCAL_DATE_TIME)).to.throw(DateTimeParseException);
+        });
+
+        it('should print the local date-time and the offset', () => {
+            assertEquals(TEST.toString(), '2008-06-30T11:30:59.000000500+01:00');
+            assertEquals(OffsetDateTime.of(2008, 6, 30, 11, 30, 0, 0, ZoneOffset.UTC).toString(), '2008-06-30T11:30Z');
+            assertEquals(JSON.stringify({time: TEST}), '{"time":"2008-06-30T11:30:59.000000500+01:00"}');
+            assertEquals(TEST.format(DateTimeFormatter.ISO_OFFSET_DATE_TIME), '2008-06-30T11:30:59.0000005+01:00');
+            assertEquals(TEST.format(DateTimeFormatter.ofPattern('HH:mm xx')), '11:30 +0100');
+        });
+
+    });
+
+    describe('fields and queries', () => {
+
+        it('should get the fields', () => {
+            assertEquals(TEST.year(), 2008);
+            assertEquals(TEST.monthValue(), 6);
+            assertEquals(TEST.dayOfMonth(), 30);
+            assertEquals(TEST.hour(), 11);
+            assertEquals(TEST.nano(), 500);
+            assertEquals(TEST.get(ChronoField.OFFSET_SECONDS), 3600);
+            assertEquals(TEST.getLong(ChronoField.INSTANT_SECONDS), TEST.toEpochSecond());
+            assertEquals(TEST.toEpochSecond(), Instant.parse('2008-06-30T10:30:59Z').epochSecond());
+            assertEquals(TEST.isSupported(ChronoField.INSTANT_SECONDS), true);
+            assertEquals(TEST.isSupported(ChronoUnit.DAYS), true);
+            assertEquals(TEST.isSupported(ChronoUnit.FOREVER), false);
+        });
+
+        it('should answer the queries', () => {
+            assertEquals(TEST.query(TemporalQueries.offset()), OFFSET_PONE);
+            assertEquals(TEST.query(TemporalQueries.zone()), OFFSET_PONE);
+            assertEquals(TEST.query(TemporalQueries.zoneId()), null);
+            assertEquals(TEST.query(TemporalQueries.localDate()), DATE_TIME.toLocalDate());
+            assertEquals(TEST.query(TemporalQueries.localTime()), DATE_TIME.toLocalTime());
+            assertEquals(TEST.query(TemporalQueries.precision()), ChronoUnit.NANOS);
+        });
+
+    });
+
+    describe('with, plus and minus', () => {
+
+        it('should change the local date-time and keep the offset', () => {
+            assertEquals(TEST.withYear(2009), OffsetDateTime.of(DATE_TIME.withYear(2009), OFFSET_PONE));
+            assertEquals(TEST.withDayOfMonth(1).withHour(0), OffsetDateTime.of(DATE_TIME.withDayOfMonth(1).withHour(0), OFFSET_PONE));
+            assertEquals(TEST.with(LocalTime.NOON), OffsetDateTime.of(DATE_TIME.toLocalDate(), LocalTime.NOON, OFFSET_PONE));
+            assertEquals(TEST.with(LocalDate.of(2010, 1, 1)), OffsetDateTime.of(LocalDate.of(2010, 1, 1), DATE_TIME.toLocalTime(), OFFSET_PONE));
+            assertEquals(TEST.with(TemporalAdjusters.firstDayOfMonth()), OffsetDateTime.of(DATE_TIME.withDayOfMonth(1), OFFSET_PONE));
+            assertEquals(TEST.with(ChronoField.HOUR_OF_DAY, 5), OffsetDateTime.of(DATE_TIME.withHour(5), OFFSET_PONE));
+            assertEquals(TEST.truncatedTo(ChronoUnit.HOURS), OffsetDateTime.of(2008, 6, 30, 11, 0, 0, 0, OFFSET_PONE));
+        });
+
+        it('should change the offset', () => {
+            assertEquals(TEST.with(OFFSET_PTWO), OffsetDateTime.of(DATE_TIME, OFFSET_PTWO));
+            assertEquals(TEST.with(ChronoField.OFFSET_SECONDS, 7200), OffsetDateTime.of(DATE_TIME, OFFSET_PTWO));
+            assertEquals(TEST.withOffsetSameLocal(OFFSET_PTWO), OffsetDateTime.of(DATE_TIME, OFFSET_PTWO));
+            assertEquals(TEST.withOffsetSameInstant(OFFSET_PTWO), OffsetDateTime.of(DATE_TIME.plusHours(1), OFFSET_PTWO));
+            expect(TEST.withOffsetSameInstant(OFFSET_PONE)).to.equal(TEST);
+        });
+
+        it('should change the instant and keep the offset', () => {
+            var instant = Instant.parse('2010-01-01T00:00:00Z');
+            assertEquals(TEST.with(instant), OffsetDateTime.of(2010, 1, 1, 1, 0, 0, 0, OFFSET_PONE));
+            assertEquals(TEST.with(ChronoField.INSTANT_SECONDS, instant.epochSecond()), OffsetDateTime.of(2010, 1, 1, 1, 0, 0, 500, OFFSET_PONE));
+        });
+
+        it('should add and subtract on the local date-time', () => {
+            assertEquals(TEST.plusDays(1), OffsetDateTime.of(DATE_TIME.plusDays(1), OFFSET_PONE));
+            assertEquals(TEST.plusMonths(8).minusWeeks(1), OffsetDateTime.of(DATE_TIME.plusMonths(8).minusWeeks(1), OFFSET_PONE));
+            assertEquals(TEST.plus(Period.ofYears(1)), OffsetDateTime.of(DATE_TIME.plusYears(1), OFFSET_PONE));
+            assertEquals(TEST.plus(Duration.ofHours(13)), OffsetDateTime.of(DATE_TIME.plusHours(13), OFFSET_PONE));
+            assertEquals(TEST.minus(90, ChronoUnit.MINUTES), OffsetDateTime.of(DATE_TIME.minusMinutes(90), OFFSET_PONE));
+            assertEquals(TEST.minusNanos(500).minusSeconds(59), OffsetDateTime.of(2008, 6, 30, 11, 30, 0, 0, OFFSET_PONE));
+        });
+
+    });
+
+    describe('until', () => {
+
+        it('should normalize the end to the offset', () => {
+            var end = OffsetDateTime.of(DATE_TIME.plusHours(3), OFFSET_PTWO);
+            assertEquals(TEST.until(end, ChronoUnit.HOURS), 2);
+            assertEquals(TEST.until(end, ChronoUnit.MINUTES), 120);
+            assertEquals(TEST.until(end.plusDays(30), ChronoUnit.MONTHS), 1);
+            assertEquals(ChronoUnit.HOURS.between(TEST, end), 2);
+        });
+
+        it('should count the time units of zoned date-times on the instant time-line', () => {
+            var berlin = ZoneId.of('Europe/Berlin');
+            var start = ZonedDateTime.of(LocalDateTime.of(2016, 3, 27, 0, 0), berlin);
+            var end = ZonedDateTime.of(LocalDateTime.of(2016, 3, 28, 0, 0), berlin);
+            assertEquals(start.until(end, ChronoUnit.HOURS), 23);
+            assertEquals(start.until(end, ChronoUnit.DAYS), 1);
+        });
+
+    });
+
+    describe('conversions', () => {
+
+        it('should convert to a zoned date-time', () => {
+            var paris = ZoneId.of('Europe/Paris');
+            assertEquals(TEST.atZoneSameInstant(paris), ZonedDateTime.of(DATE_TIME.plusHours(1), paris));
+            assertEquals(TEST.atZoneSimilarLocal(paris), ZonedDateTime.of(DATE_TIME, paris));
+            assertEquals(TEST.toZonedDateTime(), ZonedDateTime.of(DATE_TIME, OFFSET_PONE));
+            assertEquals(ZonedDateTime.of(DATE_TIME, paris).toOffsetDateTime(), OffsetDateTime.of(DATE_TIME, OFFSET_PTWO));
+        });
+
+        it('should convert to the instant and the local types', () => {
+            assertEquals(TEST.toInstant(), Instant.parse('2008-06-30T10:30:59.000000500Z'));
+            assertEquals(Instant.from(TEST), TEST.toInstant());
+            assertEquals(LocalDateTime.from(TEST), DATE_TIME);
+            assertEquals(TEST.toLocalDate(), DATE_TIME.toLocalDate());
+            assertEquals(TEST.toLocalTime(), DATE_TIME.toLocalTime());
+        });
+
+        it('should adjust another temporal to the date, time and offset', () => {
+            var zdt = ZonedDateTime.of(LocalDateTime.of(2000, 1, 1, 0, 0), OFFSET_PTWO);
+            // the offset of a zoned date-time is controlled by its zone
+            assertEquals(TEST.adjustInto(zdt), ZonedDateTime.of(DATE_TIME, OFFSET_PTWO));
+            assertEquals(OffsetDateTime.of(LocalDateTime.of(2000, 1, 1, 0, 0), OFFSET_PTWO).with(TEST), TEST);
+        });
+
+    });
+
+    describe('comparison', () => {
+        const A = OffsetDateTime.of(2008, 12, 3, 11, 0, 0, 0, OFFSET_PONE);
+        const B = OffsetDateTime.of(2008, 12, 3, 12, 0, 0, 0, OFFSET_PTWO);
+        const C = OffsetDateTime.of(2008, 12, 3, 11, 30, 0, 0, OFFSET_PONE);
+
+        it('should compare by the instant, then by the local date-time', () => {
+            expect(A.compareTo(B)).to.be.below(0);
+            expect(B.compareTo(C)).to.be.below(0);
+            expect(C.compareTo(A)).to.be.above(0);
+            assertEquals(A.compareTo(A), 0);
+            expect(() => A.compareTo(null)).to.throw(NullPointerException);
+        });
+
+        it('should compare the instants', () => {
+            assertEquals(A.isEqual(B), true);
+            assertEquals(A.equals(B), false);
+            assertEquals(A.isBefore(C), true);
+            assertEquals(B.isBefore(C), true);
+            assertEquals(C.isAfter(B), true);
+            assertEquals(A.isAfter(B), false);
+            assertEquals(A.isBefore(B), false);
+        });
+
+        it('should order on the time-line', () => {
+            var comparator = OffsetDateTime.timeLineOrder();
+            assertEquals(comparator(A, B), 0);
+            expect(comparator(A, C)).to.be.below(0);
+            expect(comparator(C, B)).to.be.above(0);
+            assertEquals([C, B, A].sort(comparator)[2], C);
+        });
+
+        it('should be equal for the same local date-time and offset', () => {
+            assertEquals(A.equals(OffsetDateTime.of(2008, 12, 3, 11, 0, 0, 0, OFFSET_PONE)), true);
+            assertEquals(A.hashCode(), OffsetDateTime.of(2008, 12, 3, 11, 0, 0, 0, OFFSET_PONE).hashCode());
+            assertEquals(A.equals(A.toZonedDateTime()), false);
+            assertEquals(A.equals(null), false);
+        });
+
+    });
+
+});
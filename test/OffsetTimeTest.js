@@ -0,0 +1,211 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals} from './testUtils';
+
+import './_init';
+
+import {DateTimeException, DateTimeParseException, NullPointerException, UnsupportedTemporalTypeException} from '../src/errors';
+import {Clock} from '../src/Clock';
+import {Duration} from '../src/Duration';
+import {Instant} from '../src/Instant';
+import {LocalDate} from '../src/LocalDate';
+import {LocalDateTime} from '../src/LocalDateTime';
+import {LocalTime} from '../src/LocalTime';
+import {OffsetDateTime} from '../src/OffsetDateTime';
+import {OffsetTime} from '../src/OffsetTime';
+import {ZonedDateTime} from '../src/ZonedDateTime';
+import {ZoneId} from '../src/ZoneId';
+import {ZoneOffset} from '../src/ZoneOffset';
+import {DateTimeFormatter} from '../src/format/DateTimeFormatter';
+import {ChronoField} from '../src/temporal/ChronoField';
+import {ChronoUnit} from '../src/temporal/ChronoUnit';
+import {TemporalQueries} from '../src/temporal/TemporalQueries';
+
+describe('js-joda OffsetTimeTest', () => {
+    const OFFSET_PONE = ZoneOffset.ofHours(1);
+    const OFFSET_PTWO = ZoneOffset.ofHours(2);
+    const TIME = LocalTime.of(11, 30, 59, 500);
+    const TEST = OffsetTime.of(TIME, OFFSET_PONE);
+
+    describe('factories', () => {
+
+        it('should create the offset time of the fields or a local time', () => {
+            assertEquals(OffsetTime.of(11, 30, 59, 500, OFFSET_PONE), TEST);
+            assertEquals(TIME.atOffset(OFFSET_PONE), TEST);
+            assertEquals(TEST.toLocalTime(), TIME);
+            assertEquals(TEST.offset(), OFFSET_PONE);
+            expect(() => OffsetTime.of(null, OFFSET_PONE)).to.throw(NullPointerException);
+            expect(() => OffsetTime.of(TIME, null)).to.throw(NullPointerException);
+        });
+
+        it('should create the offset time of an instant', () => {
+            assertEquals(OffsetTime.ofInstant(Instant.parse('2008-06-30T10:30:59.000000500Z'), OFFSET_PONE), TEST);
+            assertEquals(OffsetTime.ofInstant(Instant.parse('2008-06-30T23:30:00Z'), OFFSET_PTWO), OffsetTime.of(1, 30, 0, 0, OFFSET_PTWO));
+            assertEquals(OffsetTime.ofInstant(Instant.parse('1960-06-30T00:30:00Z'), ZoneOffset.ofHours(-1)), OffsetTime.of(23, 30, 0, 0, ZoneOffset.ofHours(-1)));
+            assertEquals(OffsetTime.ofInstant(Instant.parse('2008-06-30T10:30:00Z'), ZoneId.of('Europe/Paris')), OffsetTime.of(12, 30, 0, 0, OFFSET_PTWO));
+        });
+
+        it('should obtain the current time of the clock or zone', () => {
+            var clock = Clock.fixed(Instant.parse('2008-06-30T10:30:59Z'), OFFSET_PTWO);
+            assertEquals(OffsetTime.now(clock), OffsetTime.of(12, 30, 59, 0, OFFSET_PTWO));
+            assertEquals(OffsetTime.now(ZoneOffset.UTC).offset(), ZoneOffset.UTC);
+        });
+
+        it('should convert a temporal with a time and an offset', () => {
+            assertEquals(OffsetTime.from(TEST), TEST);
+            assertEquals(OffsetTime.from(OffsetDateTime.of(LocalDate.of(2008, 6, 30), TIME, OFFSET_PONE)), TEST);
+            assertEquals(OffsetTime.from(ZonedDateTime.of(LocalDateTime.of(2008, 6, 30, 11, 30), ZoneId.of('Europe/Paris'))),
+                OffsetTime.of(11, 30, 0, 0, OFFSET_PTWO));
+            expect(() => OffsetTime.from(TIME)).to.throw(DateTimeException);
+            expect(() => OffsetTime.from(Instant.EPOCH)).to.throw(DateTimeException);
+        });
+
+        it('should have the MIN and MAX times', () => {
+            assertEquals(OffsetTime.MIN, OffsetTime.of(LocalTime.MIN, ZoneOffset.MAX));
+            assertEquals(OffsetTime.MAX, OffsetTime.of(LocalTime.MAX, ZoneOffset.MIN));
+        });
+
+    });
+
+    describe('parse and format', () => {
+
+        it('should parse with ISO_OFFSET_TIME', () => {
+            assertEquals(OffsetTime.parse('11:30:59.0000005+01:00'), TEST);
+            assertEquals(OffsetTime.parse('09:00Z'), OffsetTime.of(9, 0, 0, 0, ZoneOffset.UTC));
+            assertEquals(OffsetTime.parse('09:00 -0530', DateTimeFormatter.ofPattern('HH:mm xx')), OffsetTime.of(9, 0, 0, 0, ZoneOffset.ofHoursMinutes(-5, -30)));
+            expect(() => OffsetTime.parse('11:30')).to.throw(DateTimeParseException);
+        });
+
+        it('should print the local time and the offset', () => {
+            assertEquals(TEST.toString(), '11:30:59.000000500+01:00');
+            assertEquals(OffsetTime.of(9, 0, 0, 0, ZoneOffset.UTC).toString(), '09:00Z');
+            assertEquals(JSON.stringify({opens: OffsetTime.of(9, 0, 0, 0, OFFSET_PTWO)}), '{"opens":"09:00+02:00"}');
+            assertEquals(TEST.format(DateTimeFormatter.ISO_OFFSET_TIME), '11:30:59.0000005+01:00');
+            expect(() => TEST.format(DateTimeFormatter.ISO_DATE)).to.throw(DateTimeException);
+        });
+
+    });
+
+    describe('fields and queries', () => {
+
+        it('should support the time fields and the offset', () => {
+            assertEquals(TEST.hour(), 11);
+            assertEquals(TEST.minute(), 30);
+            assertEquals(TEST.second(), 59);
+            assertEquals(TEST.nano(), 500);
+            assertEquals(TEST.get(ChronoField.OFFSET_SECONDS), 3600);
+            assertEquals(TEST.getLong(ChronoField.MINUTE_OF_DAY), 690);
+            assertEquals(TEST.isSupported(ChronoField.OFFSET_SECONDS), true);
+            assertEquals(TEST.isSupported(ChronoField.DAY_OF_MONTH), false);
+            assertEquals(TEST.isSupported(ChronoField.INSTANT_SECONDS), false);
+            assertEquals(TEST.isSupported(ChronoUnit.HOURS), true);
+            assertEquals(TEST.isSupported(ChronoUnit.DAYS), false);
+            expect(() => TEST.get(ChronoField.DAY_OF_MONTH)).to.throw(UnsupportedTemporalTypeException);
+        });
+
+        it('should answer the queries', () => {
+            assertEquals(TEST.query(TemporalQueries.offset()), OFFSET_PONE);
+            assertEquals(TEST.query(TemporalQueries.zone()), OFFSET_PONE);
+            assertEquals(TEST.query(TemporalQueries.localTime()), TIME);
+            assertEquals(TEST.query(TemporalQueries.precision()), ChronoUnit.NANOS);
+            assertEquals(TEST.query(TemporalQueries.localDate()), null);
+            assertEquals(TEST.query(TemporalQueries.chronology()), null);
+            assertEquals(TEST.query(TemporalQueries.zoneId()), null);
+        });
+
+    });
+
+    describe('with, plus and minus', () => {
+
+        it('should change the local time and keep the offset', () => {
+            assertEquals(TEST.withHour(9).withMinute(0), OffsetTime.of(TIME.withHour(9).withMinute(0), OFFSET_PONE));
+            assertEquals(TEST.with(LocalTime.NOON), OffsetTime.of(LocalTime.NOON, OFFSET_PONE));
+            assertEquals(TEST.with(ChronoField.SECOND_OF_MINUTE, 0), OffsetTime.of(TIME.withSecond(0), OFFSET_PONE));
+            assertEquals(TEST.truncatedTo(ChronoUnit.MINUTES), OffsetTime.of(11, 30, 0, 0, OFFSET_PONE));
+        });
+
+        it('should change the offset', () => {
+            assertEquals(TEST.with(OFFSET_PTWO), OffsetTime.of(TIME, OFFSET_PTWO));
+            assertEquals(TEST.with(ChronoField.OFFSET_SECONDS, 7200), OffsetTime.of(TIME, OFFSET_PTWO));
+            assertEquals(TEST.withOffsetSameLocal(OFFSET_PTWO), OffsetTime.of(TIME, OFFSET_PTWO));
+            assertEquals(TEST.withOffsetSameInstant(OFFSET_PTWO), OffsetTime.of(TIME.plusHours(1), OFFSET_PTWO));
+            assertEquals(OffsetTime.of(23, 30, 0, 0, OFFSET_PONE).withOffsetSameInstant(OFFSET_PTWO), OffsetTime.of(0, 30, 0, 0, OFFSET_PTWO));
+        });
+
+        it('should add and subtract wrapping around midnight', () => {
+            assertEquals(TEST.plusHours(13), OffsetTime.of(TIME.plusHours(13), OFFSET_PONE));
+            assertEquals(TEST.plus(Duration.ofMinutes(30)), OffsetTime.of(12, 0, 59, 500, OFFSET_PONE));
+            assertEquals(TEST.minus(12, ChronoUnit.HOURS), OffsetTime.of(23, 30, 59, 500, OFFSET_PONE));
+            assertEquals(TEST.minusNanos(500).minusSeconds(59), OffsetTime.of(11, 30, 0, 0, OFFSET_PONE));
+            expect(() => TEST.plus(1, ChronoUnit.DAYS)).to.throw(UnsupportedTemporalTypeException);
+        });
+
+    });
+
+    describe('until', () => {
+
+        it('should normalize the end to the offset', () => {
+            var end = OffsetTime.of(14, 30, 59, 500, OFFSET_PTWO);
+            assertEquals(TEST.until(end, ChronoUnit.HOURS), 2);
+            assertEquals(TEST.until(end, ChronoUnit.MINUTES), 120);
+            assertEquals(end.until(TEST, ChronoUnit.MINUTES), -120);
+            assertEquals(ChronoUnit.SECONDS.between(TEST, end), 7200);
+            expect(() => TEST.until(end, ChronoUnit.DAYS)).to.throw(UnsupportedTemporalTypeException);
+        });
+
+    });
+
+    describe('conversions', () => {
+
+        it('should combine with a date', () => {
+            var date = LocalDate.of(2008, 6, 30);
+            assertEquals(TEST.atDate(date), OffsetDateTime.of(date, TIME, OFFSET_PONE));
+            assertEquals(date.atTime(TEST), OffsetDateTime.of(date, TIME, OFFSET_PONE));
+            assertEquals(date.atTime(TIME), LocalDateTime.of(date, TIME));
+            assertEquals(OffsetDateTime.of(date, TIME, OFFSET_PONE).toOffsetTime(), TEST);
+        });
+
+        it('should adjust another temporal to the time and offset', () => {
+            var odt = OffsetDateTime.of(LocalDate.of(2008, 6, 30), LocalTime.MIDNIGHT, OFFSET_PTWO);
+            assertEquals(odt.with(TEST), OffsetDateTime.of(LocalDate.of(2008, 6, 30), TIME, OFFSET_PONE));
+        });
+
+    });
+
+    describe('comparison', () => {
+        const A = OffsetTime.of(11, 0, 0, 0, OFFSET_PONE);
+        const B = OffsetTime.of(12, 0, 0, 0, OFFSET_PTWO);
+        const C = OffsetTime.of(11, 30, 0, 0, OFFSET_PONE);
+
+        it('should compare by the instant, then by the local time', () => {
+            expect(A.compareTo(B)).to.be.below(0);
+            expect(B.compareTo(C)).to.be.below(0);
+            expect(C.compareTo(A)).to.be.above(0);
+            assertEquals(A.compareTo(A), 0);
+            assertEquals([C, B, A].sort((a, b) => a.compareTo(b)).join(','), '11:00+01:00,12:00+02:00,11:30+01:00');
+            expect(() => A.compareTo(null)).to.throw(NullPointerException);
+        });
+
+        it('should compare the instants', () => {
+            assertEquals(A.isEqual(B), true);
+            assertEquals(A.equals(B), false);
+            assertEquals(B.isBefore(C), true);
+            assertEquals(C.isAfter(B), true);
+            assertEquals(A.isAfter(B), false);
+            assertEquals(A.isBefore(B), false);
+        });
+
+        it('should be equal for the same local time and offset', () => {
+            assertEquals(A.equals(OffsetTime.of(11, 0, 0, 0, OFFSET_PONE)), true);
+            assertEquals(A.hashCode(), OffsetTime.of(11, 0, 0, 0, OFFSET_PONE).hashCode());
+            assertEquals(A.equals(A.toLocalTime()), false);
+            assertEquals(A.equals(null), false);
+        });
+
+    });
+
+});
@@ -5,6 +5,9 @@
 
 import '../src/_init';
 
-import {_init as CurrentCESTZoneInit} from './zone/CurrentCESTZone';
+import {ZoneRulesProvider} from '../src/zone/ZoneRulesProvider';
+import {TzdbZoneRulesProvider} from '../src/zone/TzdbZoneRulesProvider';
 
-CurrentCESTZoneInit();
\ No newline at end of file
+import {TZDB_TEST_DATA} from './zone/TzdbTestData';
+
+ZoneRulesProvider.registerProvider(new TzdbZoneRulesProvider(TZDB_TEST_DATA));
@@ -7,8 +7,13 @@ import {assertEquals, dataProviderTest} from '../testUtils';
 
 import '../_init';
 
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
 import {DateTimeFormatterBuilder} from '../../src/format/DateTimeFormatterBuilder';
-import {IllegalArgumentException} from '../../src/errors';
+import {ResolverStyle} from '../../src/format/ResolverStyle';
+import {DateTimeParseException, IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {ChronoField} from '../../src/temporal/ChronoField';
 
 /* these tests are not copied from threetenbp, but js-joda tests to increase coverage */
 
@@ -22,59 +27,10 @@ describe('js-joda DateTimeFormatterBuilderTest', () => {
     
     describe('appendPattern notImplemented', () => {
         let dataNotImplemented = [
-            ['G'],
-            ['GG'],
-            ['GGG'],
-            ['GGGG'],
-            ['GGGGG'],
-            
             ['O'],
             ['OOOO'],
             
-            ['Y'],
-            ['YY'],
-            ['YYY'],
-            ['YYYY'],
-            ['YYYYY'],
-            
-            ['ZZZZ'],
-            
-            ['MMM'],
-            ['MMMM'],
-            ['MMMMM'],
-            
-            ['w'],
-            ['ww'],
-            ['www'],
-            
-            ['c'],
-            ['cc'],
-            ['ccc'],
-            ['cccc'],
-            ['ccccc'],
-            
-            ['e'],
-            ['ee'],
-            ['eee'],
-            ['eeee'],
-            ['eeeee'],
-            
-            ['E'],
-            ['EE'],
-            ['EEE'],
-            ['EEEE'],
-            ['EEEEE'],
-            
-            ['a'],
-            
-            ['qqq'],
-            ['qqqq'],
-            ['qqqqq'],
-            
-            ['z'],
-            ['zz'],
-            ['zzz'],
-            ['zzzz']
+            ['ZZZZ']
         ];
         
         it('test_appendPattern_not implemented', () => {
@@ -88,5 +44,65 @@ describe('js-joda DateTimeFormatterBuilderTest', () => {
         });
         
     });
+
+    describe('parseDefaulting', () => {
+
+        it('should default the day of a year-month to a date', () => {
+            var formatter = builder.appendPattern('uuuu-MM').parseDefaulting(ChronoField.DAY_OF_MONTH, 1).toFormatter();
+            assertEquals(LocalDate.parse('2016-07', formatter), LocalDate.of(2016, 7, 1));
+        });
+
+        it('should default the time of a date to midnight', () => {
+            var formatter = builder.append(DateTimeFormatter.ISO_LOCAL_DATE).parseDefaulting(ChronoField.HOUR_OF_DAY, 0).toFormatter();
+            assertEquals(LocalDateTime.parse('2016-07-01', formatter), LocalDateTime.of(2016, 7, 1, 0, 0));
+        });
+
+        it('should only default the fields missing in the text', () => {
+            var formatter = builder.appendPattern('uuuu[-MM[-dd]]')
+                .parseDefaulting(ChronoField.MONTH_OF_YEAR, 1)
+                .parseDefaulting(ChronoField.DAY_OF_MONTH, 1)
+                .toFormatter();
+            assertEquals(LocalDate.parse('2016', formatter), LocalDate.of(2016, 1, 1));
+            assertEquals(LocalDate.parse('2016-05', formatter), LocalDate.of(2016, 5, 1));
+            assertEquals(LocalDate.parse('2016-05-05', formatter), LocalDate.of(2016, 5, 5));
+        });
+
+        it('should resolve the defaulted values', () => {
+            var formatter = builder.appendPattern('uuuu-MM').parseDefaulting(ChronoField.DAY_OF_MONTH, 31).toFormatter();
+            assertEquals(LocalDate.parse('2016-06', formatter), LocalDate.of(2016, 6, 30));
+            expect(() => LocalDate.parse('2016-06', formatter.withResolverStyle(ResolverStyle.STRICT))).to.throw(DateTimeParseException);
+        });
+
+        it('should not affect printing', () => {
+            var formatter = builder.appendPattern('uuuu-MM').parseDefaulting(ChronoField.DAY_OF_MONTH, 1).toFormatter();
+            assertEquals(formatter.format(LocalDate.of(2016, 7, 5)), '2016-07');
+            assertEquals(formatter.toString(), 'Value(Year,4,15,EXCEEDS_PAD)\'-\'Value(MonthOfYear,2)Default(DayOfMonth,1)');
+        });
+
+        it('should fail for a null field or value', () => {
+            expect(() => builder.parseDefaulting(null, 1)).to.throw(NullPointerException);
+            expect(() => builder.parseDefaulting(ChronoField.DAY_OF_MONTH, null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('appendValueReduced', () => {
+
+        it('should print and parse the values of a base date', () => {
+            var formatter = builder.appendValueReduced(ChronoField.YEAR, 2, 2, LocalDate.of(1950, 1, 1))
+                .appendLiteral('-').appendValue(ChronoField.MONTH_OF_YEAR, 2).toFormatter();
+            assertEquals(formatter.format(LocalDate.of(1960, 7, 1)), '60-07');
+            assertEquals(formatter.format(LocalDate.of(2049, 7, 1)), '49-07');
+            assertEquals(formatter.parse('50-07').getLong(ChronoField.YEAR), 1950);
+            assertEquals(formatter.parse('49-07').getLong(ChronoField.YEAR), 2049);
+        });
+
+        it('should parse the full value exceeding the width', () => {
+            var formatter = builder.appendValueReduced(ChronoField.YEAR, 2, 4, LocalDate.of(1950, 1, 1)).toFormatter();
+            assertEquals(formatter.parse('99').getLong(ChronoField.YEAR), 1999);
+            assertEquals(formatter.parse('1812').getLong(ChronoField.YEAR), 1812);
+        });
+
+    });
 })
 ;
\ No newline at end of file
@@ -0,0 +1,115 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeException, DateTimeParseException, IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {LocalTime} from '../../src/LocalTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DateTimeFormatterBuilder} from '../../src/format/DateTimeFormatterBuilder';
+import {Locale} from '../../src/format/Locale';
+import {LocaleData} from '../../src/format/locale/LocaleData';
+import {LocaleDataProvider} from '../../src/format/LocaleDataProvider';
+
+describe('js-joda FirstOfFormatterTest', () => {
+    const DATE = LocalDate.of(2024, 3, 1);
+
+    before(() => {
+        LocaleDataProvider.register(LocaleData.de);
+    });
+
+    describe('appendFirstOf', () => {
+
+        it('should parse with the first formatter that matches', () => {
+            var formatter = new DateTimeFormatterBuilder().appendFirstOf(
+                DateTimeFormatter.ISO_LOCAL_DATE,
+                DateTimeFormatter.ofPattern('dd.MM.uuuu'),
+                DateTimeFormatter.ofPattern('M/d/uuuu')).toFormatter();
+            ['2024-03-01', '01.03.2024', '3/1/2024'].forEach((text) => {
+                assertEquals(LocalDate.parse(text, formatter), DATE);
+            });
+        });
+
+        it('should discard the fields of the formatters that do not match', () => {
+            var formatter = new DateTimeFormatterBuilder().appendFirstOf([
+                DateTimeFormatter.ofPattern('dd.MM.uuuu HH:mm'),
+                DateTimeFormatter.ofPattern('dd.MM.uuuu')]).toFormatter();
+            assertEquals(LocalDateTime.parse('01.03.2024 10:15', formatter), LocalDateTime.of(2024, 3, 1, 10, 15));
+            assertEquals(LocalDate.parse('01.03.2024', formatter), DATE);
+            expect(() => LocalDateTime.parse('01.03.2024', formatter)).to.throw(DateTimeParseException);
+        });
+
+        it('should continue parsing after the matching formatter', () => {
+            var formatter = new DateTimeFormatterBuilder()
+                .appendFirstOf(DateTimeFormatter.ofPattern('uuuu-MM-dd'), DateTimeFormatter.ofPattern('dd.MM.uuuu'))
+                .appendLiteral(' ')
+                .append(DateTimeFormatter.ISO_LOCAL_TIME)
+                .toFormatter();
+            assertEquals(LocalDateTime.parse('01.03.2024 10:15', formatter), LocalDateTime.of(2024, 3, 1, 10, 15));
+            assertEquals(LocalTime.parse('2024-03-01 10:15', formatter), LocalTime.of(10, 15));
+        });
+
+        it('should fail at the furthest error index if no formatter matches', () => {
+            var formatter = new DateTimeFormatterBuilder().appendFirstOf(
+                DateTimeFormatter.ISO_LOCAL_DATE, DateTimeFormatter.ofPattern('dd.MM.uuuu')).toFormatter();
+            expect(() => LocalDate.parse('01.03.24', formatter)).to.throw(DateTimeParseException, 'could not be parsed at index 6');
+            expect(() => LocalDate.parse('2024-03-01x', formatter)).to.throw(DateTimeParseException, 'unparsed text found at index 10');
+        });
+
+        it('should print with the first formatter able to print the temporal', () => {
+            var formatter = new DateTimeFormatterBuilder().appendFirstOf(
+                DateTimeFormatter.ISO_OFFSET_DATE_TIME, DateTimeFormatter.ISO_LOCAL_DATE_TIME).toFormatter();
+            var dateTime = LocalDateTime.of(2024, 3, 1, 10, 15);
+            assertEquals(formatter.format(ZonedDateTime.of(dateTime, ZoneOffset.UTC)), '2024-03-01T10:15:00Z');
+            assertEquals(formatter.format(dateTime), '2024-03-01T10:15:00');
+            expect(() => formatter.format(DATE)).to.throw(DateTimeException);
+        });
+
+        it('should fail for no or null formatters', () => {
+            expect(() => new DateTimeFormatterBuilder().appendFirstOf()).to.throw(IllegalArgumentException);
+            expect(() => new DateTimeFormatterBuilder().appendFirstOf([])).to.throw(IllegalArgumentException);
+            expect(() => new DateTimeFormatterBuilder().appendFirstOf(DateTimeFormatter.ISO_LOCAL_DATE, null)).to.throw(NullPointerException);
+        });
+
+        it('should print the alternatives in toString', () => {
+            var formatter = new DateTimeFormatterBuilder().appendFirstOf(
+                DateTimeFormatter.ofPattern('MM'), DateTimeFormatter.ofPattern('dd')).toFormatter();
+            assertEquals(formatter.toString(), 'FirstOf((Value(MonthOfYear,2)),(Value(DayOfMonth,2)))');
+        });
+
+    });
+
+    describe('ofPatterns', () => {
+
+        it('should parse any of the patterns', () => {
+            var formatter = DateTimeFormatter.ofPatterns(['uuuu-MM-dd', 'dd.MM.uuuu', 'M/d/uuuu']);
+            ['2024-03-01', '01.03.2024', '3/1/2024'].forEach((text) => {
+                assertEquals(LocalDate.parse(text, formatter), DATE);
+            });
+            assertEquals(DATE.format(formatter), '2024-03-01');
+        });
+
+        it('should use the locale for all patterns', () => {
+            var formatter = DateTimeFormatter.ofPatterns(['d. MMMM uuuu', 'dd.MM.uuuu'], Locale.GERMAN);
+            assertEquals(LocalDate.parse('1. März 2024', formatter), DATE);
+            assertEquals(LocalDate.parse('01.03.2024', formatter), DATE);
+            assertEquals(DATE.format(formatter), '1. März 2024');
+        });
+
+        it('should fail for invalid patterns', () => {
+            expect(() => DateTimeFormatter.ofPatterns(['uuuu-MM-dd', 'ZZZZZZ'])).to.throw(IllegalArgumentException);
+            expect(() => DateTimeFormatter.ofPatterns([])).to.throw(IllegalArgumentException);
+            expect(() => DateTimeFormatter.ofPatterns(null)).to.throw(NullPointerException);
+        });
+
+    });
+
+});
@@ -0,0 +1,143 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeException, DateTimeParseException, NullPointerException} from '../../src/errors';
+import {Instant} from '../../src/Instant';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {OffsetDateTime} from '../../src/OffsetDateTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DecimalStyle} from '../../src/format/DecimalStyle';
+import {ResolverStyle} from '../../src/format/ResolverStyle';
+import {ChronoField} from '../../src/temporal/ChronoField';
+import {TemporalQueries} from '../../src/temporal/TemporalQueries';
+
+describe('js-joda FormatterOverridesTest', () => {
+    const PARIS = ZoneId.of('Europe/Paris');
+    const INSTANT = Instant.parse('2016-07-01T10:30:00Z');
+    const DATE_TIME = LocalDateTime.of(2016, 7, 1, 12, 30);
+
+    describe('withZone', () => {
+
+        it('should print an instant in the override zone', () => {
+            assertEquals(DateTimeFormatter.ISO_LOCAL_DATE_TIME.withZone(PARIS).format(INSTANT), '2016-07-01T12:30:00');
+            assertEquals(DateTimeFormatter.ISO_ZONED_DATE_TIME.withZone(PARIS).format(INSTANT), '2016-07-01T12:30:00+02:00[Europe/Paris]');
+            assertEquals(DateTimeFormatter.ofPattern('dd.MM.yyyy HH:mm z').withZone(PARIS).format(INSTANT), '01.07.2016 12:30 CEST');
+            assertEquals(DateTimeFormatter.ISO_LOCAL_TIME.withZone(ZoneOffset.ofHours(-4)).format(INSTANT), '06:30:00');
+        });
+
+        it('should convert a zoned date-time to the override zone', () => {
+            var zdt = ZonedDateTime.of(DATE_TIME, ZoneId.of('America/New_York'));
+            assertEquals(DateTimeFormatter.ISO_OFFSET_DATE_TIME.withZone(PARIS).format(zdt), '2016-07-01T18:30:00+02:00');
+            assertEquals(DateTimeFormatter.ISO_OFFSET_DATE_TIME.withZone(zdt.zone()).format(zdt), '2016-07-01T12:30:00-04:00');
+        });
+
+        it('should report the override zone of a temporal without an instant', () => {
+            assertEquals(DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm VV').withZone(PARIS).format(DATE_TIME), '2016-07-01 12:30 Europe/Paris');
+            assertEquals(DateTimeFormatter.ISO_LOCAL_DATE.withZone(PARIS).format(DATE_TIME), '2016-07-01');
+        });
+
+        it('should fail to print an instant without the override zone', () => {
+            expect(() => DateTimeFormatter.ISO_LOCAL_DATE_TIME.format(INSTANT)).to.throw(DateTimeException);
+        });
+
+        it('should attach the override zone when parsing', () => {
+            var formatter = DateTimeFormatter.ISO_LOCAL_DATE_TIME.withZone(PARIS);
+            assertEquals(ZonedDateTime.parse('2016-07-01T12:30', formatter), ZonedDateTime.of(DATE_TIME, PARIS));
+            assertEquals(formatter.parse('2016-07-01T12:30').query(TemporalQueries.zoneId()), PARIS);
+            assertEquals(LocalDateTime.parse('2016-07-01T12:30', formatter), DATE_TIME);
+        });
+
+        it('should prefer the parsed zone to the override zone', () => {
+            var formatter = DateTimeFormatter.ISO_ZONED_DATE_TIME.withZone(PARIS);
+            assertEquals(ZonedDateTime.parse('2016-07-01T12:30+01:00[Europe/London]', formatter),
+                ZonedDateTime.of(DATE_TIME, ZoneId.of('Europe/London')));
+        });
+
+        it('should resolve the instant of the parsed offset and convert it to the override zone', () => {
+            var formatter = DateTimeFormatter.ISO_OFFSET_DATE_TIME.withZone(ZoneId.of('America/New_York'));
+            var expected = Instant.parse('2016-07-01T05:15:00Z');
+            assertEquals(ZonedDateTime.parse('2016-07-01T10:15+05:00', formatter), ZonedDateTime.ofInstant(expected, ZoneId.of('America/New_York')));
+            assertEquals(Instant.from(formatter.parse('2016-07-01T10:15+05:00')), expected);
+            assertEquals(OffsetDateTime.from(formatter.parse('2016-07-01T10:15+05:00')), OffsetDateTime.parse('2016-07-01T10:15+05:00'));
+        });
+
+        it('should return the same formatter for the same zone and remove the override with null', () => {
+            var formatter = DateTimeFormatter.ISO_LOCAL_DATE_TIME.withZone(PARIS);
+            assertEquals(formatter.zone(), PARIS);
+            expect(formatter.withZone(ZoneId.of('Europe/Paris'))).to.equal(formatter);
+            assertEquals(formatter.withZone(null).zone(), null);
+            expect(DateTimeFormatter.ISO_LOCAL_DATE_TIME.withZone(null)).to.equal(DateTimeFormatter.ISO_LOCAL_DATE_TIME);
+        });
+
+    });
+
+    describe('withResolverStyle', () => {
+
+        it('should resolve with the resolver style', () => {
+            var formatter = DateTimeFormatter.ofPattern('uuuu-MM-dd');
+            assertEquals(formatter.resolverStyle(), ResolverStyle.SMART);
+            assertEquals(LocalDate.parse('2016-02-30', formatter), LocalDate.of(2016, 2, 29));
+            expect(() => LocalDate.parse('2016-02-30', formatter.withResolverStyle(ResolverStyle.STRICT))).to.throw(DateTimeParseException);
+            assertEquals(LocalDate.parse('2016-02-31', formatter.withResolverStyle(ResolverStyle.LENIENT)), LocalDate.of(2016, 3, 2));
+        });
+
+        it('should return the same formatter for the same resolver style', () => {
+            expect(DateTimeFormatter.ISO_LOCAL_DATE.withResolverStyle(ResolverStyle.STRICT)).to.equal(DateTimeFormatter.ISO_LOCAL_DATE);
+            expect(() => DateTimeFormatter.ISO_LOCAL_DATE.withResolverStyle(null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('withResolverFields', () => {
+        const FORMATTER = DateTimeFormatter.ofPattern('uuuu-MM-dd DDD');
+
+        it('should only resolve the resolver fields', () => {
+            assertEquals(LocalDate.parse('2016-01-01 032', FORMATTER.withResolverFields(ChronoField.YEAR, ChronoField.DAY_OF_YEAR)),
+                LocalDate.of(2016, 2, 1));
+            assertEquals(LocalDate.parse('2016-01-01 032', FORMATTER.withResolverFields(
+                [ChronoField.YEAR, ChronoField.MONTH_OF_YEAR, ChronoField.DAY_OF_MONTH])), LocalDate.of(2016, 1, 1));
+            expect(() => LocalDate.parse('2016-01-01 032', FORMATTER)).to.throw(DateTimeParseException);
+        });
+
+        it('should resolve all fields again with null', () => {
+            var formatter = FORMATTER.withResolverFields(ChronoField.YEAR, ChronoField.DAY_OF_YEAR);
+            assertEquals(formatter.resolverFields().length, 2);
+            assertEquals(formatter.withResolverFields(null).resolverFields(), null);
+            assertEquals(LocalDate.parse('2016-02-01 032', formatter.withResolverFields(null)), LocalDate.of(2016, 2, 1));
+        });
+
+        it('should return the same formatter for the same resolver fields', () => {
+            var formatter = FORMATTER.withResolverFields(ChronoField.YEAR, ChronoField.DAY_OF_YEAR);
+            expect(formatter.withResolverFields(ChronoField.DAY_OF_YEAR, ChronoField.YEAR, ChronoField.YEAR)).to.equal(formatter);
+            expect(FORMATTER.withResolverFields(null)).to.equal(FORMATTER);
+            expect(() => FORMATTER.withResolverFields(ChronoField.YEAR, null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('withDecimalStyle', () => {
+
+        it('should print and parse with the decimal style', () => {
+            var formatter = DateTimeFormatter.ISO_LOCAL_DATE.withDecimalStyle(DecimalStyle.STANDARD.withZeroDigit('a'));
+            assertEquals(formatter.format(LocalDate.of(2016, 7, 1)), 'cabg-ah-ab');
+            assertEquals(LocalDate.parse('cabg-ah-ab', formatter), LocalDate.of(2016, 7, 1));
+        });
+
+        it('should return the same formatter for the same decimal style', () => {
+            expect(DateTimeFormatter.ISO_LOCAL_DATE.withDecimalStyle(DecimalStyle.STANDARD)).to.equal(DateTimeFormatter.ISO_LOCAL_DATE);
+            expect(() => DateTimeFormatter.ISO_LOCAL_DATE.withDecimalStyle(null)).to.throw(NullPointerException);
+        });
+
+    });
+
+});
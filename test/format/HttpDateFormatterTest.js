@@ -0,0 +1,123 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals, dataProviderTest} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeException, DateTimeParseException} from '../../src/errors';
+import {Instant} from '../../src/Instant';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DateTimeFormatterBuilder} from '../../src/format/DateTimeFormatterBuilder';
+import {Locale} from '../../src/format/Locale';
+import {LocaleData} from '../../src/format/locale/LocaleData';
+import {LocaleDataProvider} from '../../src/format/LocaleDataProvider';
+
+describe('js-joda HttpDateFormatterTest', () => {
+    const INSTANT = Instant.parse('1994-11-06T08:49:37Z');
+    const GMT = ZonedDateTime.of(LocalDateTime.of(1994, 11, 6, 8, 49, 37), ZoneOffset.UTC);
+
+    before(() => {
+        LocaleDataProvider.register(LocaleData.de);
+    });
+
+    describe('RFC_1123_DATE_TIME', () => {
+
+        function data_rfc() {
+            return [
+                [LocalDateTime.of(2008, 6, 3, 11, 5, 30), 'Z', 'Tue, 3 Jun 2008 11:05:30 GMT'],
+                [LocalDateTime.of(2008, 6, 30, 11, 5, 30), 'Z', 'Mon, 30 Jun 2008 11:05:30 GMT'],
+                [LocalDateTime.of(2008, 6, 3, 11, 5, 30), '+02:00', 'Tue, 3 Jun 2008 11:05:30 +0200'],
+                [LocalDateTime.of(2008, 6, 30, 11, 5, 30), '-03:00', 'Mon, 30 Jun 2008 11:05:30 -0300']
+            ];
+        }
+
+        it('test_print_rfc1123', () => {
+            dataProviderTest(data_rfc, (base, offsetId, expected) => {
+                var test = ZonedDateTime.of(base, ZoneOffset.of(offsetId));
+                assertEquals(DateTimeFormatter.RFC_1123_DATE_TIME.format(test), expected);
+            });
+        });
+
+        it('test_parse_rfc1123', () => {
+            dataProviderTest(data_rfc, (base, offsetId, text) => {
+                assertEquals(ZonedDateTime.parse(text, DateTimeFormatter.RFC_1123_DATE_TIME), ZonedDateTime.of(base, ZoneOffset.of(offsetId)));
+            });
+        });
+
+        it('should print the english names independent of the locale', () => {
+            var test = ZonedDateTime.of(LocalDateTime.of(2008, 3, 4, 11, 5, 30), ZoneOffset.UTC);
+            assertEquals(DateTimeFormatter.RFC_1123_DATE_TIME.withLocale(Locale.GERMAN).format(test), 'Tue, 4 Mar 2008 11:05:30 GMT');
+        });
+
+        it('should parse without the day of week and the seconds', () => {
+            assertEquals(ZonedDateTime.parse('3 jun 2008 11:05 GMT', DateTimeFormatter.RFC_1123_DATE_TIME),
+                ZonedDateTime.of(LocalDateTime.of(2008, 6, 3, 11, 5), ZoneOffset.UTC));
+        });
+
+        it('test_print_rfc1123_missingField', () => {
+            expect(() => DateTimeFormatter.RFC_1123_DATE_TIME.format(LocalDate.of(2008, 6, 3))).to.throw(DateTimeException);
+        });
+
+        it('should print an instant only with an override zone', () => {
+            expect(() => DateTimeFormatter.RFC_1123_DATE_TIME.format(INSTANT)).to.throw(DateTimeException);
+            assertEquals(DateTimeFormatter.RFC_1123_DATE_TIME.withZone(ZoneOffset.UTC).format(INSTANT), 'Sun, 6 Nov 1994 08:49:37 GMT');
+        });
+
+        it('should not parse two digit years and obsolete zone names', () => {
+            expect(() => ZonedDateTime.parse('Sun, 6 Nov 94 08:49:37 GMT', DateTimeFormatter.RFC_1123_DATE_TIME)).to.throw(DateTimeParseException);
+            expect(() => ZonedDateTime.parse('Sun, 6 Nov 1994 08:49:37 EST', DateTimeFormatter.RFC_1123_DATE_TIME)).to.throw(DateTimeParseException);
+        });
+
+    });
+
+    describe('HTTP_DATE', () => {
+
+        it('should print the instant in GMT', () => {
+            assertEquals(DateTimeFormatter.HTTP_DATE.format(INSTANT), 'Sun, 06 Nov 1994 08:49:37 GMT');
+            assertEquals(DateTimeFormatter.HTTP_DATE.format(GMT.withZoneSameInstant(ZoneId.of('Europe/Paris'))), 'Sun, 06 Nov 1994 08:49:37 GMT');
+            assertEquals(DateTimeFormatter.HTTP_DATE.withLocale(Locale.GERMAN).format(INSTANT), 'Sun, 06 Nov 1994 08:49:37 GMT');
+        });
+
+        it('should fail to print without an instant', () => {
+            expect(() => DateTimeFormatter.HTTP_DATE.format(LocalDateTime.of(1994, 11, 6, 8, 49, 37))).to.throw(DateTimeException);
+        });
+
+        it('should parse the IMF-fixdate, RFC 850 and asctime formats to GMT', () => {
+            ['Sun, 06 Nov 1994 08:49:37 GMT', 'Sunday, 06-Nov-94 08:49:37 GMT', 'Sun Nov  6 08:49:37 1994'].forEach((text) => {
+                assertEquals(ZonedDateTime.parse(text, DateTimeFormatter.HTTP_DATE), GMT);
+                assertEquals(Instant.from(DateTimeFormatter.HTTP_DATE.parse(text)), INSTANT);
+                assertEquals(LocalDateTime.parse(text, DateTimeFormatter.HTTP_DATE), GMT.toLocalDateTime());
+            });
+            assertEquals(ZonedDateTime.parse('Thu Nov 17 08:49:37 1994', DateTimeFormatter.HTTP_DATE), GMT.plusDays(11));
+        });
+
+        it('should interpret the two digit year as at most 50 years in the future', () => {
+            var currentYear = LocalDate.now(ZoneOffset.UTC).year();
+            [currentYear - 49, currentYear - 10, currentYear + 10, currentYear + 50].forEach((year) => {
+                var date = LocalDate.of(year, 11, 6);
+                var text = DateTimeFormatter.ofPattern('EEEE, dd-MMM-yy').format(date) + ' 08:49:37 GMT';
+                assertEquals(LocalDate.parse(text, DateTimeFormatter.HTTP_DATE), date);
+            });
+        });
+
+        it('should fail to parse a wrong day of the week or an invalid date', () => {
+            expect(() => ZonedDateTime.parse('Mon, 06 Nov 1994 08:49:37 GMT', DateTimeFormatter.HTTP_DATE)).to.throw(DateTimeParseException);
+            expect(() => ZonedDateTime.parse('Sun, 31 Nov 1994 08:49:37 GMT', DateTimeFormatter.HTTP_DATE)).to.throw(DateTimeParseException);
+            expect(() => ZonedDateTime.parse('Sun, 06 Nov 1994 08:49:37 +0100', DateTimeFormatter.HTTP_DATE)).to.throw(DateTimeParseException);
+        });
+
+        it('should append the http date', () => {
+            assertEquals(new DateTimeFormatterBuilder().appendHttpDate().toFormatter().toString(), 'HttpDate()');
+        });
+
+    });
+
+});
@@ -0,0 +1,126 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeException, DateTimeParseException} from '../../src/errors';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {LocalTime} from '../../src/LocalTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {ChronoField} from '../../src/temporal/ChronoField';
+import {TemporalQueries} from '../../src/temporal/TemporalQueries';
+
+describe('js-joda IsoFormattersTest', () => {
+    const DATE = LocalDate.of(2012, 12, 1);
+    const DATE_TIME = LocalDateTime.of(2012, 12, 1, 10, 15, 30);
+    const PARIS = ZonedDateTime.of(DATE_TIME, ZoneId.of('Europe/Paris'));
+    const OFFSET = ZonedDateTime.of(DATE_TIME, ZoneOffset.ofHours(1));
+
+    describe('ISO_OFFSET_DATE and ISO_DATE', () => {
+
+        it('should print the date with the offset', () => {
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_OFFSET_DATE), '2012-12-01+01:00');
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_DATE), '2012-12-01+01:00');
+            assertEquals(DATE.format(DateTimeFormatter.ISO_DATE), '2012-12-01');
+            expect(() => DATE.format(DateTimeFormatter.ISO_OFFSET_DATE)).to.throw(DateTimeException);
+        });
+
+        it('should parse the date with the offset', () => {
+            assertEquals(LocalDate.parse('2012-12-01+01:00', DateTimeFormatter.ISO_OFFSET_DATE), DATE);
+            assertEquals(LocalDate.parse('2012-12-01z', DateTimeFormatter.ISO_OFFSET_DATE), DATE);
+            assertEquals(LocalDate.parse('2012-12-01', DateTimeFormatter.ISO_DATE), DATE);
+            var parsed = DateTimeFormatter.ISO_DATE.parse('2012-12-01-05:00');
+            assertEquals(parsed.query(TemporalQueries.offset()), ZoneOffset.ofHours(-5));
+            expect(() => LocalDate.parse('2012-12-01', DateTimeFormatter.ISO_OFFSET_DATE)).to.throw(DateTimeParseException);
+        });
+
+    });
+
+    describe('ISO_OFFSET_TIME and ISO_TIME', () => {
+
+        it('should print the time with the offset', () => {
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_OFFSET_TIME), '10:15:30+01:00');
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_TIME), '10:15:30+01:00');
+            assertEquals(LocalTime.of(10, 15).format(DateTimeFormatter.ISO_TIME), '10:15:00');
+        });
+
+        it('should parse the time with the offset', () => {
+            assertEquals(LocalTime.parse('10:15+01:00', DateTimeFormatter.ISO_OFFSET_TIME), LocalTime.of(10, 15));
+            assertEquals(LocalTime.parse('10:15:30.5', DateTimeFormatter.ISO_TIME), LocalTime.of(10, 15, 30, 500000000));
+            expect(() => LocalTime.parse('10:15', DateTimeFormatter.ISO_OFFSET_TIME)).to.throw(DateTimeParseException);
+        });
+
+    });
+
+    describe('ISO_DATE_TIME', () => {
+
+        it('should print the offset and the zone if available', () => {
+            assertEquals(DATE_TIME.format(DateTimeFormatter.ISO_DATE_TIME), '2012-12-01T10:15:30');
+            assertEquals(OFFSET.format(DateTimeFormatter.ISO_DATE_TIME), '2012-12-01T10:15:30+01:00');
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_DATE_TIME), '2012-12-01T10:15:30+01:00[Europe/Paris]');
+        });
+
+        it('should parse to the most specific type available', () => {
+            assertEquals(LocalDateTime.parse('2012-12-01T10:15:30', DateTimeFormatter.ISO_DATE_TIME), DATE_TIME);
+            assertEquals(ZonedDateTime.parse('2012-12-01T10:15:30+01:00', DateTimeFormatter.ISO_DATE_TIME), OFFSET);
+            assertEquals(ZonedDateTime.parse('2012-12-01T10:15:30+01:00[Europe/Paris]', DateTimeFormatter.ISO_DATE_TIME), PARIS);
+            expect(() => ZonedDateTime.parse('2012-12-01T10:15:30', DateTimeFormatter.ISO_DATE_TIME)).to.throw(DateTimeParseException);
+        });
+
+    });
+
+    describe('ISO_ORDINAL_DATE', () => {
+
+        it('should print and parse the day of year', () => {
+            assertEquals(DATE.format(DateTimeFormatter.ISO_ORDINAL_DATE), '2012-336');
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_ORDINAL_DATE), '2012-336+01:00');
+            assertEquals(LocalDate.parse('2012-336', DateTimeFormatter.ISO_ORDINAL_DATE), DATE);
+            assertEquals(LocalDate.parse('2012-005Z', DateTimeFormatter.ISO_ORDINAL_DATE), LocalDate.of(2012, 1, 5));
+            expect(() => LocalDate.parse('2011-366', DateTimeFormatter.ISO_ORDINAL_DATE)).to.throw(DateTimeParseException);
+        });
+
+    });
+
+    describe('ISO_WEEK_DATE', () => {
+
+        it('should print the week based date', () => {
+            assertEquals(DATE.format(DateTimeFormatter.ISO_WEEK_DATE), '2012-W48-6');
+            assertEquals(LocalDate.of(2016, 1, 3).format(DateTimeFormatter.ISO_WEEK_DATE), '2015-W53-7');
+            assertEquals(PARIS.format(DateTimeFormatter.ISO_WEEK_DATE), '2012-W48-6+01:00');
+        });
+
+        it('should parse the week based date', () => {
+            assertEquals(LocalDate.parse('2012-W48-6', DateTimeFormatter.ISO_WEEK_DATE), DATE);
+            assertEquals(LocalDate.parse('2015-w53-7Z', DateTimeFormatter.ISO_WEEK_DATE), LocalDate.of(2016, 1, 3));
+            assertEquals(LocalDate.parse('2009-W01-1', DateTimeFormatter.ISO_WEEK_DATE), LocalDate.of(2008, 12, 29));
+        });
+
+    });
+
+    describe('BASIC_ISO_DATE', () => {
+
+        it('should print the basic date', () => {
+            assertEquals(DATE.format(DateTimeFormatter.BASIC_ISO_DATE), '20121201');
+            assertEquals(PARIS.format(DateTimeFormatter.BASIC_ISO_DATE), '20121201+0100');
+            assertEquals(ZonedDateTime.of(DATE_TIME, ZoneOffset.UTC).format(DateTimeFormatter.BASIC_ISO_DATE), '20121201Z');
+        });
+
+        it('should parse the basic date', () => {
+            assertEquals(LocalDate.parse('20121201', DateTimeFormatter.BASIC_ISO_DATE), DATE);
+            var parsed = DateTimeFormatter.BASIC_ISO_DATE.parse('20121201-0530');
+            assertEquals(LocalDate.from(parsed), DATE);
+            assertEquals(parsed.getLong(ChronoField.OFFSET_SECONDS), -19800);
+            expect(() => LocalDate.parse('2012-12-01', DateTimeFormatter.BASIC_ISO_DATE)).to.throw(DateTimeParseException);
+        });
+
+    });
+
+});
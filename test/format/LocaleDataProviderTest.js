@@ -0,0 +1,131 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {Month} from '../../src/Month';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DecimalStyle} from '../../src/format/DecimalStyle';
+import {Locale} from '../../src/format/Locale';
+import {LocaleData} from '../../src/format/locale/LocaleData';
+import {LocaleDataProvider} from '../../src/format/LocaleDataProvider';
+import {TextStyle} from '../../src/format/TextStyle';
+
+describe('js-joda LocaleDataProviderTest', () => {
+
+    before(() => {
+        LocaleDataProvider.register(LocaleData.de);
+        LocaleDataProvider.register(LocaleData.fr);
+    });
+
+    describe('getData', () => {
+
+        it('should return the data of the locale', () => {
+            assertEquals(LocaleDataProvider.getData(Locale.GERMAN, 'months').FULL[2], 'März');
+            assertEquals(LocaleDataProvider.getData(Locale.FRENCH, 'firstDayOfWeek'), 1);
+        });
+
+        it('should fall back to the data of the language and to english', () => {
+            assertEquals(LocaleDataProvider.getData(Locale.GERMANY, 'months').FULL[0], 'Januar');
+            assertEquals(LocaleDataProvider.getData(new Locale('it'), 'months').FULL[0], 'January');
+            assertEquals(LocaleDataProvider.getData(Locale.UK, 'months').FULL[0], 'January');
+            assertEquals(LocaleDataProvider.getData(Locale.UK, 'firstDayOfWeek'), 1);
+            assertEquals(LocaleDataProvider.getData(Locale.US, 'firstDayOfWeek'), 7);
+            assertEquals(LocaleDataProvider.getData(Locale.US, 'unknown'), null);
+        });
+
+        it('should use the default locale for a null locale', () => {
+            assertEquals(LocaleDataProvider.getData(null, 'minimalDaysInFirstWeek'), 1);
+        });
+
+    });
+
+    describe('register', () => {
+
+        it('should register the data of a locale with a country', () => {
+            LocaleDataProvider.register({locale: 'de-AT', months: {FULL: ['Jänner', 'Februar', 'März', 'April', 'Mai',
+                'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember']}});
+            var formatter = DateTimeFormatter.ofPattern('d. MMMM uuuu, EEEE', new Locale('de', 'AT'));
+            assertEquals(LocalDate.of(2016, 1, 4).format(formatter), '4. Jänner 2016, Montag');
+            expect(LocaleDataProvider.getAvailableLocales().map((locale) => locale.toString())).to.include.members(['en', 'en_GB', 'de', 'fr', 'de_AT']);
+        });
+
+        it('should fail for data without locale', () => {
+            expect(() => {
+                LocaleDataProvider.register({months: {}});
+            }).to.throw(IllegalArgumentException);
+            expect(() => {
+                LocaleDataProvider.register(null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('formatting and parsing', () => {
+
+        it('should print and parse german text', () => {
+            var formatter = DateTimeFormatter.ofPattern('d MMMM uuuu').withLocale(Locale.GERMAN);
+            assertEquals(LocalDate.of(2016, 3, 1).format(formatter), '1 März 2016');
+            assertEquals(LocalDate.parse('1 März 2016', formatter), LocalDate.of(2016, 3, 1));
+            assertEquals(LocalDate.of(2016, 3, 1).format(formatter.withLocale(Locale.ENGLISH)), '1 March 2016');
+        });
+
+        it('should print and parse french text', () => {
+            var formatter = DateTimeFormatter.ofPattern('EEEE d MMM uuuu, QQQQ, G', Locale.FRANCE);
+            assertEquals(LocalDate.of(2016, 2, 8).format(formatter), 'lundi 8 févr. 2016, 1er trimestre, ap. J.-C.');
+            assertEquals(LocalDate.parse('lundi 8 févr. 2016, 1er trimestre, ap. J.-C.', formatter), LocalDate.of(2016, 2, 8));
+        });
+
+        it('should print the standalone text of a locale', () => {
+            assertEquals(Month.MARCH.getDisplayName(TextStyle.SHORT, Locale.GERMAN), 'März');
+            assertEquals(Month.MARCH.getDisplayName(TextStyle.SHORT_STANDALONE, Locale.GERMAN), 'Mär');
+            assertEquals(Month.MARCH.getDisplayName(TextStyle.FULL_STANDALONE, Locale.GERMAN), 'März');
+        });
+
+        it('should use the default locale', () => {
+            try {
+                Locale.setDefault(Locale.GERMANY);
+                assertEquals(LocalDateTime.of(2016, 12, 24, 18, 0).format(DateTimeFormatter.ofPattern('EEE, d. MMM')), 'Sa., 24. Dez.');
+            } finally {
+                Locale.setDefault(Locale.US);
+            }
+        });
+
+    });
+
+    describe('DecimalStyle', () => {
+
+        it('should return the decimal style of a locale', () => {
+            assertEquals(DecimalStyle.of(Locale.GERMAN).decimalSeparator(), ',');
+            assertEquals(DecimalStyle.of(Locale.US), DecimalStyle.STANDARD);
+            expect(DecimalStyle.availableLocales().some((locale) => locale.equals(Locale.GERMAN))).to.be.true;
+        });
+
+    });
+
+    describe('withLocale', () => {
+
+        it('should return the same formatter for the same locale', () => {
+            var formatter = DateTimeFormatter.ofPattern('MMMM', Locale.GERMAN);
+            assertEquals(formatter.locale(), Locale.GERMAN);
+            expect(formatter.withLocale(Locale.GERMAN)).to.equal(formatter);
+            assertEquals(formatter.withLocale(Locale.FRENCH).locale(), Locale.FRENCH);
+            assertEquals(DateTimeFormatter.ofPattern('MMMM').locale(), Locale.US);
+        });
+
+        it('should fail for a null locale', () => {
+            expect(() => {
+                DateTimeFormatter.ofPattern('MMMM').withLocale(null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+});
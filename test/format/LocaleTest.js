@@ -0,0 +1,104 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals, dataProviderTest} from '../testUtils';
+
+import '../_init';
+
+import {IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {Locale} from '../../src/format/Locale';
+
+describe('js-joda LocaleTest', () => {
+
+    describe('constructor', () => {
+
+        it('should normalize the case of the language and the country', () => {
+            var locale = new Locale('DE', 'at');
+            assertEquals(locale.language(), 'de');
+            assertEquals(locale.country(), 'AT');
+            assertEquals(locale.toString(), 'de_AT');
+            assertEquals(locale.toLanguageTag(), 'de-AT');
+        });
+
+        it('should create a locale without country', () => {
+            assertEquals(new Locale('fr').country(), '');
+            assertEquals(new Locale('fr').toString(), 'fr');
+            assertEquals(Locale.ROOT.toLanguageTag(), 'und');
+        });
+
+        it('should fail for a null language', () => {
+            expect(() => {
+                new Locale(null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('forLanguageTag', () => {
+
+        it('should parse a language tag', () => {
+            dataProviderTest([
+                ['en', Locale.ENGLISH],
+                ['en-US', Locale.US],
+                ['en_GB', Locale.UK],
+                ['de-de', Locale.GERMANY],
+                ['es-419', new Locale('es', '419')],
+                ['', Locale.ROOT]
+            ], (tag, expected) => {
+                assertEquals(Locale.forLanguageTag(tag), expected);
+            });
+        });
+
+        it('should fail for an invalid language tag', () => {
+            dataProviderTest([
+                ['en-US-POSIX'],
+                ['e1'],
+                ['en-USA']
+            ], (tag) => {
+                expect(() => {
+                    Locale.forLanguageTag(tag);
+                }).to.throw(IllegalArgumentException);
+            });
+        });
+
+    });
+
+    describe('equals and hashCode', () => {
+
+        it('should compare the language and the country', () => {
+            assertEquals(new Locale('en', 'US').equals(Locale.US), true);
+            assertEquals(new Locale('en', 'US').hashCode(), Locale.US.hashCode());
+            assertEquals(Locale.ENGLISH.equals(Locale.US), false);
+            assertEquals(Locale.US.equals(Locale.UK), false);
+            assertEquals(Locale.US.equals(null), false);
+            assertEquals(Locale.US.equals('en_US'), false);
+        });
+
+    });
+
+    describe('getDefault and setDefault', () => {
+
+        afterEach(() => {
+            Locale.setDefault(Locale.US);
+        });
+
+        it('should return US english by default', () => {
+            assertEquals(Locale.getDefault(), Locale.US);
+        });
+
+        it('should set the default locale', () => {
+            Locale.setDefault(Locale.GERMANY);
+            assertEquals(Locale.getDefault(), Locale.GERMANY);
+        });
+
+        it('should fail for a null locale', () => {
+            expect(() => {
+                Locale.setDefault(null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+});
@@ -0,0 +1,148 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeException, IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {LocalTime} from '../../src/LocalTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DateTimeFormatterBuilder} from '../../src/format/DateTimeFormatterBuilder';
+import {FormatStyle} from '../../src/format/FormatStyle';
+import {Locale} from '../../src/format/Locale';
+import {LocaleData} from '../../src/format/locale/LocaleData';
+import {LocaleDataProvider} from '../../src/format/LocaleDataProvider';
+import {IsoChronology} from '../../src/chrono/IsoChronology';
+
+describe('js-joda LocalizedFormatterTest', () => {
+    const DATE = LocalDate.of(2016, 3, 1);
+    const DATE_TIME = LocalDateTime.of(2016, 3, 1, 13, 5, 9);
+
+    before(() => {
+        LocaleDataProvider.register(LocaleData.de);
+        LocaleDataProvider.register(LocaleData.fr);
+    });
+
+    describe('ofLocalizedDate', () => {
+
+        it('should format the date in the styles of the default locale', () => {
+            assertEquals(DATE.format(DateTimeFormatter.ofLocalizedDate(FormatStyle.FULL)), 'Tuesday, March 1, 2016');
+            assertEquals(DATE.format(DateTimeFormatter.ofLocalizedDate(FormatStyle.LONG)), 'March 1, 2016');
+            assertEquals(DATE.format(DateTimeFormatter.ofLocalizedDate(FormatStyle.MEDIUM)), 'Mar 1, 2016');
+            assertEquals(DATE.format(DateTimeFormatter.ofLocalizedDate(FormatStyle.SHORT)), '3/1/16');
+        });
+
+        it('should parse the date it formats', () => {
+            [FormatStyle.FULL, FormatStyle.LONG, FormatStyle.MEDIUM, FormatStyle.SHORT].forEach((style) => {
+                var formatter = DateTimeFormatter.ofLocalizedDate(style);
+                assertEquals(LocalDate.parse(DATE.format(formatter), formatter), DATE);
+            });
+        });
+
+        it('should format the date in the styles of other locales', () => {
+            var formatter = DateTimeFormatter.ofLocalizedDate(FormatStyle.FULL);
+            assertEquals(DATE.format(formatter.withLocale(Locale.GERMAN)), 'Dienstag, 1. März 2016');
+            assertEquals(DATE.format(formatter.withLocale(Locale.FRANCE)), 'mardi 1 mars 2016');
+            assertEquals(DATE.format(formatter.withLocale(Locale.UK)), 'Tuesday, 1 March 2016');
+            assertEquals(DATE.format(DateTimeFormatter.ofLocalizedDate(FormatStyle.SHORT).withLocale(Locale.GERMANY)), '01.03.16');
+        });
+
+        it('should look up the pattern when the locale is applied', () => {
+            var formatter = DateTimeFormatter.ofLocalizedDate(FormatStyle.MEDIUM);
+            assertEquals(DATE.format(formatter), 'Mar 1, 2016');
+            assertEquals(DATE.format(formatter.withLocale(Locale.GERMAN)), '01.03.2016');
+            assertEquals(DATE.format(formatter), 'Mar 1, 2016');
+        });
+
+        it('should use the iso chronology', () => {
+            assertEquals(DateTimeFormatter.ofLocalizedDate(FormatStyle.SHORT).chronology(), IsoChronology.INSTANCE);
+        });
+
+        it('should fail for a null style', () => {
+            expect(() => DateTimeFormatter.ofLocalizedDate(null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('ofLocalizedTime', () => {
+
+        it('should format and parse the time', () => {
+            var formatter = DateTimeFormatter.ofLocalizedTime(FormatStyle.SHORT);
+            assertEquals(LocalTime.of(13, 5).format(formatter), '1:05 PM');
+            assertEquals(LocalTime.parse('1:05 PM', formatter), LocalTime.of(13, 5));
+            assertEquals(LocalTime.of(13, 5, 9).format(formatter.withLocale(Locale.GERMAN)), '13:05');
+        });
+
+        it('should fail to format a date', () => {
+            expect(() => DATE.format(DateTimeFormatter.ofLocalizedTime(FormatStyle.SHORT))).to.throw(DateTimeException);
+        });
+
+        it('should fail for a null style', () => {
+            expect(() => DateTimeFormatter.ofLocalizedTime(null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('ofLocalizedDateTime', () => {
+
+        it('should use the same style for the date and the time', () => {
+            var formatter = DateTimeFormatter.ofLocalizedDateTime(FormatStyle.MEDIUM);
+            assertEquals(DATE_TIME.format(formatter), 'Mar 1, 2016, 1:05:09 PM');
+            assertEquals(LocalDateTime.parse('Mar 1, 2016, 1:05:09 PM', formatter), DATE_TIME);
+            assertEquals(DATE_TIME.format(formatter.withLocale(Locale.GERMANY)), '01.03.2016, 13:05:09');
+        });
+
+        it('should combine the date and the time style', () => {
+            var formatter = DateTimeFormatter.ofLocalizedDateTime(FormatStyle.LONG, FormatStyle.SHORT);
+            assertEquals(DATE_TIME.format(formatter), 'March 1, 2016 at 1:05 PM');
+            assertEquals(DATE_TIME.format(formatter.withLocale(Locale.GERMAN)), '1. März 2016 um 13:05');
+            assertEquals(DATE_TIME.format(formatter.withLocale(Locale.FRENCH)), '1 mars 2016 à 13:05');
+        });
+
+        it('should format the zone of the full style', () => {
+            var zdt = ZonedDateTime.of(DATE_TIME, ZoneOffset.ofHours(1));
+            assertEquals(zdt.format(DateTimeFormatter.ofLocalizedDateTime(FormatStyle.FULL)), 'Tuesday, March 1, 2016 at 1:05:09 PM +01:00');
+        });
+
+        it('should fail for a null style', () => {
+            expect(() => DateTimeFormatter.ofLocalizedDateTime(null)).to.throw(NullPointerException);
+            expect(() => DateTimeFormatter.ofLocalizedDateTime(FormatStyle.SHORT, null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('DateTimeFormatterBuilder', () => {
+
+        it('should append a localized printer parser', () => {
+            assertEquals(new DateTimeFormatterBuilder().appendLocalized(FormatStyle.SHORT, null).toFormatter().toString(), 'Localized(SHORT,)');
+            assertEquals(new DateTimeFormatterBuilder().appendLocalized(null, FormatStyle.FULL).toFormatter().toString(), 'Localized(,FULL)');
+        });
+
+        it('should fail to append a localized printer parser without a style', () => {
+            expect(() => new DateTimeFormatterBuilder().appendLocalized(null, null)).to.throw(IllegalArgumentException);
+        });
+
+        it('should get the localized pattern', () => {
+            assertEquals(DateTimeFormatterBuilder.getLocalizedDateTimePattern(FormatStyle.SHORT, FormatStyle.SHORT,
+                IsoChronology.INSTANCE, Locale.US), 'M/d/yy, h:mm a');
+            assertEquals(DateTimeFormatterBuilder.getLocalizedDateTimePattern(FormatStyle.MEDIUM, null,
+                IsoChronology.INSTANCE, Locale.GERMAN), 'dd.MM.y');
+        });
+
+        it('should print and parse a reduced year', () => {
+            var formatter = DateTimeFormatter.ofPattern('dd.MM.yy');
+            assertEquals(LocalDate.of(2016, 3, 1).format(formatter), '01.03.16');
+            assertEquals(LocalDate.of(1999, 3, 1).format(formatter), '01.03.99');
+            assertEquals(LocalDate.parse('01.03.99', formatter), LocalDate.of(2099, 3, 1));
+        });
+
+    });
+
+});
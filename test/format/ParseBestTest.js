@@ -0,0 +1,64 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeParseException, IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+
+describe('js-joda ParseBestTest', () => {
+    const DATE_TIME = LocalDateTime.of(2016, 7, 1, 12, 30);
+
+    it('should return the first type that resolves', () => {
+        var formatter = DateTimeFormatter.ISO_DATE_TIME;
+        var zoned = formatter.parseBest('2016-07-01T12:30+02:00[Europe/Paris]', ZonedDateTime.FROM, LocalDateTime.FROM);
+        expect(zoned).to.be.an.instanceof(ZonedDateTime);
+        assertEquals(zoned, ZonedDateTime.of(DATE_TIME, ZoneId.of('Europe/Paris')));
+        assertEquals(formatter.parseBest('2016-07-01T12:30+02:00', ZonedDateTime.FROM, LocalDateTime.FROM),
+            ZonedDateTime.of(DATE_TIME, ZoneOffset.ofHours(2)));
+        var local = formatter.parseBest('2016-07-01T12:30', ZonedDateTime.FROM, LocalDateTime.FROM);
+        expect(local).to.be.an.instanceof(LocalDateTime);
+        assertEquals(local, DATE_TIME);
+    });
+
+    it('should parse optional sections of a pattern', () => {
+        var formatter = DateTimeFormatter.ofPattern('uuuu-MM-dd[ HH:mm[ VV]]');
+        var types = [ZonedDateTime.FROM, LocalDateTime.FROM, LocalDate.FROM];
+        assertEquals(formatter.parseBest('2016-07-01 12:30 Europe/Paris', types), ZonedDateTime.of(DATE_TIME, ZoneId.of('Europe/Paris')));
+        assertEquals(formatter.parseBest('2016-07-01 12:30', types), DATE_TIME);
+        assertEquals(formatter.parseBest('2016-07-01', types), DATE_TIME.toLocalDate());
+    });
+
+    it('should accept the types as arguments or as an array of queries or classes', () => {
+        var formatter = DateTimeFormatter.ISO_DATE;
+        assertEquals(formatter.parseBest('2016-07-01', ZonedDateTime, LocalDate), DATE_TIME.toLocalDate());
+        assertEquals(formatter.parseBest('2016-07-01', [LocalDateTime.FROM, LocalDate]), DATE_TIME.toLocalDate());
+    });
+
+    it('should fail if no type resolves', () => {
+        expect(() => DateTimeFormatter.ISO_DATE.parseBest('2016-07-01', ZonedDateTime.FROM, LocalDateTime.FROM))
+            .to.throw(DateTimeParseException, 'Unable to convert parsed text to any specified type');
+    });
+
+    it('should fail if the text can not be parsed', () => {
+        expect(() => DateTimeFormatter.ISO_DATE.parseBest('2016-07-xx', ZonedDateTime.FROM, LocalDate.FROM))
+            .to.throw(DateTimeParseException, 'could not be parsed at index 8');
+    });
+
+    it('should fail for less than two types or null arguments', () => {
+        expect(() => DateTimeFormatter.ISO_DATE.parseBest('2016-07-01', LocalDate.FROM)).to.throw(IllegalArgumentException);
+        expect(() => DateTimeFormatter.ISO_DATE.parseBest('2016-07-01', [])).to.throw(IllegalArgumentException);
+        expect(() => DateTimeFormatter.ISO_DATE.parseBest(null, ZonedDateTime.FROM, LocalDate.FROM)).to.throw(NullPointerException);
+        expect(() => DateTimeFormatter.ISO_DATE.parseBest('2016-07-01', ZonedDateTime.FROM, null)).to.throw(NullPointerException);
+    });
+
+});
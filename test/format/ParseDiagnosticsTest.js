@@ -0,0 +1,135 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeParseException} from '../../src/errors';
+import {Duration} from '../../src/Duration';
+import {LocalDate} from '../../src/LocalDate';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {FormatStyle} from '../../src/format/FormatStyle';
+import {ResolverStyle} from '../../src/format/ResolverStyle';
+import {ChronoField} from '../../src/temporal/ChronoField';
+
+describe('js-joda ParseDiagnosticsTest', () => {
+
+    function parseError(parse) {
+        try {
+            parse();
+        } catch (ex) {
+            expect(ex).to.be.an.instanceof(DateTimeParseException);
+            return ex;
+        }
+        throw new Error('expected a DateTimeParseException');
+    }
+
+    describe('parse failures', () => {
+
+        it('should describe the failed number', () => {
+            var ex = parseError(() => LocalDate.parse('2016-7-01'));
+            assertEquals(ex.errorIndex(), 5);
+            assertEquals(ex.errorStage(), 'parse');
+            assertEquals(ex.failedPrinterParser(), 'Value(MonthOfYear,2)');
+            assertEquals(ex.expected(), 'MonthOfYear of 2 digits');
+            assertEquals(ex.errorField(), ChronoField.MONTH_OF_YEAR);
+            assertEquals(ex.parsedFields(), {Year: 2016});
+        });
+
+        it('should describe the failed literal', () => {
+            var ex = parseError(() => LocalDate.parse('2016/07/01'));
+            assertEquals(ex.errorIndex(), 4);
+            assertEquals(ex.failedPrinterParser(), '\'-\'');
+            assertEquals(ex.expected(), 'literal \'-\'');
+            assertEquals(ex.errorField(), null);
+        });
+
+        it('should describe the failed text', () => {
+            var ex = parseError(() => LocalDate.parse('3 Mxx 2016', DateTimeFormatter.ofPattern('d MMM uuuu')));
+            assertEquals(ex.errorIndex(), 2);
+            assertEquals(ex.expected(), 'text of MonthOfYear');
+            assertEquals(ex.errorField(), ChronoField.MONTH_OF_YEAR);
+            assertEquals(ex.parsedFields(), {DayOfMonth: 3});
+        });
+
+        it('should describe the nested printer-parser of a localized pattern', () => {
+            var ex = parseError(() => LocalDate.parse('1-2-16', DateTimeFormatter.ofLocalizedDate(FormatStyle.SHORT)));
+            assertEquals(ex.errorIndex(), 1);
+            assertEquals(ex.expected(), 'literal \'/\'');
+        });
+
+        it('should describe the failure of the alternative that got furthest', () => {
+            var formatter = DateTimeFormatter.ofPatterns(['uuuu-MM-dd', 'dd.MM.uuuu']);
+            var ex = parseError(() => LocalDate.parse('01.3.2024', formatter));
+            assertEquals(ex.errorIndex(), 3);
+            assertEquals(ex.expected(), 'MonthOfYear of 2 digits');
+            assertEquals(ex.parsedFields(), {DayOfMonth: 1});
+        });
+
+        it('should describe unparsed text', () => {
+            var ex = parseError(() => LocalDate.parse('2016-02-01x'));
+            assertEquals(ex.errorIndex(), 10);
+            assertEquals(ex.errorStage(), 'parse');
+            assertEquals(ex.failedPrinterParser(), null);
+            assertEquals(ex.expected(), 'end of text');
+            assertEquals(ex.parsedFields(), {Year: 2016, MonthOfYear: 2, DayOfMonth: 1});
+        });
+
+    });
+
+    describe('resolve failures', () => {
+
+        it('should describe the field with an invalid value', () => {
+            var ex = parseError(() => LocalDate.parse('2016-13-01'));
+            assertEquals(ex.errorStage(), 'resolve');
+            assertEquals(ex.failedPrinterParser(), null);
+            assertEquals(ex.errorField(), ChronoField.MONTH_OF_YEAR);
+            assertEquals(ex.expected(), 'MonthOfYear in the range 1 - 12');
+            assertEquals(ex.parsedFields(), {Year: 2016, MonthOfYear: 13, DayOfMonth: 1});
+        });
+
+        it('should describe the day of the month exceeding the length of the month', () => {
+            var ex = parseError(() => LocalDate.parse('2016-02-30'));
+            assertEquals(ex.errorStage(), 'resolve');
+            assertEquals(ex.errorField(), ChronoField.DAY_OF_MONTH);
+            assertEquals(ex.expected(), 'DayOfMonth in the range 1 - 29');
+            assertEquals(ex.parsedFields(), {Year: 2016, MonthOfYear: 2, DayOfMonth: 30});
+            expect(ex.message).to.contain('Invalid date');
+
+            ex = parseError(() => LocalDate.parse('2015-02-29'));
+            assertEquals(ex.expected(), 'DayOfMonth in the range 1 - 28');
+            ex = parseError(() => LocalDate.parse('31.04.15', DateTimeFormatter.ofPattern('dd.MM.yy').withResolverStyle(ResolverStyle.STRICT)));
+            assertEquals(ex.errorField(), ChronoField.DAY_OF_MONTH);
+            assertEquals(ex.expected(), 'DayOfMonth in the range 1 - 30');
+        });
+
+        it('should describe the day of the year exceeding the length of the year', () => {
+            var ex = parseError(() => LocalDate.parse('2015-366', DateTimeFormatter.ISO_ORDINAL_DATE));
+            assertEquals(ex.errorStage(), 'resolve');
+            assertEquals(ex.errorField(), ChronoField.DAY_OF_YEAR);
+            assertEquals(ex.expected(), 'DayOfYear in the range 1 - 365');
+        });
+
+        it('should describe a failure to obtain the type', () => {
+            var ex = parseError(() => LocalDateTime.parse('2016-02-01', DateTimeFormatter.ISO_LOCAL_DATE));
+            assertEquals(ex.errorStage(), 'resolve');
+            assertEquals(ex.errorField(), null);
+            assertEquals(ex.parsedFields(), {Year: 2016, MonthOfYear: 2, DayOfMonth: 1});
+        });
+
+    });
+
+    it('should have no details for texts not parsed by a formatter', () => {
+        var ex = parseError(() => Duration.parse('xx'));
+        assertEquals(ex.errorStage(), null);
+        assertEquals(ex.failedPrinterParser(), null);
+        assertEquals(ex.expected(), null);
+        assertEquals(ex.errorField(), null);
+        assertEquals(ex.parsedFields(), {});
+    });
+
+});
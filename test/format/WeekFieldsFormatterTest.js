@@ -0,0 +1,89 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DayOfWeek} from '../../src/DayOfWeek';
+import {LocalDate} from '../../src/LocalDate';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DateTimeFormatterBuilder} from '../../src/format/DateTimeFormatterBuilder';
+import {Locale} from '../../src/format/Locale';
+import {LocaleData} from '../../src/format/locale/LocaleData';
+import {LocaleDataProvider} from '../../src/format/LocaleDataProvider';
+import {ChronoField} from '../../src/temporal/ChronoField';
+import {IsoFields} from '../../src/temporal/IsoFields';
+import {WeekFields} from '../../src/temporal/WeekFields';
+
+describe('js-joda WeekFieldsFormatterTest', () => {
+    // a sunday, in the first week of 2016 for sunday-start weeks and in the last week of 2015 for iso weeks
+    const SUNDAY = LocalDate.of(2016, 1, 3);
+
+    before(() => {
+        LocaleDataProvider.register(LocaleData.de);
+    });
+
+    describe('WeekFields.of(locale)', () => {
+
+        it('should use sunday-start weeks for the US', () => {
+            assertEquals(WeekFields.of(Locale.US), WeekFields.SUNDAY_START);
+            assertEquals(WeekFields.of(Locale.US).firstDayOfWeek(), DayOfWeek.SUNDAY);
+            assertEquals(WeekFields.of(Locale.US).minimalDaysInFirstWeek(), 1);
+        });
+
+        it('should use iso weeks for the UK and germany', () => {
+            assertEquals(WeekFields.of(Locale.UK), WeekFields.ISO);
+            assertEquals(WeekFields.of(Locale.GERMANY), WeekFields.ISO);
+        });
+
+    });
+
+    describe('week patterns', () => {
+
+        it('should print the week fields of the locale', () => {
+            var pattern = "YYYY-'W'ww-e";
+            assertEquals(SUNDAY.format(DateTimeFormatter.ofPattern(pattern, Locale.US)), '2016-W02-1');
+            assertEquals(SUNDAY.format(DateTimeFormatter.ofPattern(pattern, Locale.UK)), '2015-W53-7');
+            assertEquals(SUNDAY.format(DateTimeFormatter.ofPattern(pattern, Locale.GERMAN)), '2015-W53-7');
+            assertEquals(SUNDAY.format(DateTimeFormatter.ofPattern('YY ee c', Locale.US)), '16 01 1');
+        });
+
+        it('should print the week of month', () => {
+            assertEquals(LocalDate.of(2016, 3, 5).format(DateTimeFormatter.ofPattern('W', Locale.US)), '1');
+            assertEquals(LocalDate.of(2016, 3, 6).format(DateTimeFormatter.ofPattern('W', Locale.US)), '2');
+            assertEquals(LocalDate.of(2016, 3, 6).format(DateTimeFormatter.ofPattern('W', Locale.UK)), '1');
+        });
+
+        it('should parse the week fields of the locale', () => {
+            var pattern = "YYYY-'W'ww-e";
+            assertEquals(LocalDate.parse('2016-W02-1', DateTimeFormatter.ofPattern(pattern, Locale.US)), SUNDAY);
+            assertEquals(LocalDate.parse('2015-W53-7', DateTimeFormatter.ofPattern(pattern, Locale.UK)), SUNDAY);
+            assertEquals(LocalDate.parse('2016-03 2 1', DateTimeFormatter.ofPattern('yyyy-MM W e', Locale.US)), LocalDate.of(2016, 3, 6));
+        });
+
+        it('should print and parse the days of some years with sunday-start weeks', () => {
+            var formatter = DateTimeFormatter.ofPattern('YYYY ww e', Locale.US);
+            var date = LocalDate.of(2014, 12, 20);
+            for (let i = 0; i < 170; i++) {
+                assertEquals(LocalDate.parse(date.format(formatter), formatter), date);
+                date = date.plusDays(3);
+            }
+        });
+
+    });
+
+    describe('resolving of fields', () => {
+
+        it('should resolve the iso week fields', () => {
+            var formatter = new DateTimeFormatterBuilder()
+                .appendValue(IsoFields.WEEK_BASED_YEAR, 4).appendLiteral('-W')
+                .appendValue(IsoFields.WEEK_OF_WEEK_BASED_YEAR, 2).appendLiteral('-')
+                .appendValue(ChronoField.DAY_OF_WEEK, 1).toFormatter();
+            assertEquals(LocalDate.parse('2015-W53-7', formatter), SUNDAY);
+        });
+
+    });
+
+});
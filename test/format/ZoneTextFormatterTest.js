@@ -0,0 +1,134 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeParseException, IllegalArgumentException, NullPointerException} from '../../src/errors';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {DateTimeFormatter} from '../../src/format/DateTimeFormatter';
+import {DateTimeFormatterBuilder} from '../../src/format/DateTimeFormatterBuilder';
+import {FormatStyle} from '../../src/format/FormatStyle';
+import {Locale} from '../../src/format/Locale';
+import {LocaleData} from '../../src/format/locale/LocaleData';
+import {LocaleDataProvider} from '../../src/format/LocaleDataProvider';
+import {TextStyle} from '../../src/format/TextStyle';
+
+describe('js-joda ZoneTextFormatterTest', () => {
+    const SUMMER = LocalDateTime.of(2016, 7, 1, 12, 30);
+    const WINTER = LocalDateTime.of(2016, 1, 1, 12, 30);
+
+    before(() => {
+        LocaleDataProvider.register(LocaleData.de);
+        LocaleDataProvider.register(LocaleData.fr);
+    });
+
+    describe('zone names', () => {
+
+        it('should print the standard and daylight saving names', () => {
+            var berlin = ZoneId.of('Europe/Berlin');
+            assertEquals(ZonedDateTime.of(SUMMER, berlin).format(DateTimeFormatter.ofPattern('z')), 'CEST');
+            assertEquals(ZonedDateTime.of(WINTER, berlin).format(DateTimeFormatter.ofPattern('zzz')), 'CET');
+            assertEquals(ZonedDateTime.of(SUMMER, berlin).format(DateTimeFormatter.ofPattern('zzzz')), 'Central European Summer Time');
+            assertEquals(ZonedDateTime.of(WINTER, berlin).format(DateTimeFormatter.ofPattern('zzzz')), 'Central European Standard Time');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('America/New_York')).format(DateTimeFormatter.ofPattern('z')), 'EDT');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('Europe/London')).format(DateTimeFormatter.ofPattern('zzzz')), 'British Summer Time');
+        });
+
+        it('should print the names of the locale', () => {
+            var zdt = ZonedDateTime.of(SUMMER, ZoneId.of('Europe/Paris'));
+            assertEquals(zdt.format(DateTimeFormatter.ofPattern('z', Locale.GERMAN)), 'MESZ');
+            assertEquals(zdt.format(DateTimeFormatter.ofPattern('zzzz', Locale.FRENCH)), 'heure d’été d’Europe centrale');
+            assertEquals(zdt.format(DateTimeFormatter.ofPattern('z', Locale.UK)), 'CEST');
+        });
+
+        it('should print the zone id of zones without a name', () => {
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneOffset.ofHours(2)).format(DateTimeFormatter.ofPattern('zzzz')), '+02:00');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('Asia/Gaza')).format(DateTimeFormatter.ofPattern('z')), 'Asia/Gaza');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('America/New_York')).format(DateTimeFormatter.ofPattern('z', Locale.GERMAN)), 'America/New_York');
+        });
+
+        it('should print the names of the full localized time', () => {
+            var zdt = ZonedDateTime.of(SUMMER, ZoneId.of('America/New_York'));
+            assertEquals(zdt.format(DateTimeFormatter.ofLocalizedTime(FormatStyle.FULL)), '12:30:00 PM Eastern Daylight Time');
+            assertEquals(zdt.format(DateTimeFormatter.ofLocalizedTime(FormatStyle.LONG)), '12:30:00 PM EDT');
+        });
+
+        it('should parse the names', () => {
+            var formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm z');
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 EDT', formatter), ZonedDateTime.of(SUMMER, ZoneId.of('America/New_York')));
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 BST', formatter), ZonedDateTime.of(SUMMER, ZoneId.of('Europe/London')));
+            assertEquals(ZonedDateTime.parse('2016-01-01 12:30 GMT', formatter), ZonedDateTime.of(WINTER, ZoneId.of('Europe/London')));
+            formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm zzzz');
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 Central European Summer Time', formatter),
+                ZonedDateTime.of(SUMMER, ZoneId.of('Europe/Paris')));
+        });
+
+        it('should parse the names of the locale', () => {
+            var formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm zzzz', Locale.GERMAN);
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 Mitteleuropäische Sommerzeit', formatter),
+                ZonedDateTime.of(SUMMER, ZoneId.of('Europe/Berlin')));
+        });
+
+        it('should parse the zone ids and offsets', () => {
+            var formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm z');
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 Europe/Berlin', formatter), ZonedDateTime.of(SUMMER, ZoneId.of('Europe/Berlin')));
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 +02:00', formatter), ZonedDateTime.of(SUMMER, ZoneOffset.ofHours(2)));
+        });
+
+        it('should parse an ambiguous name to the preferred zone', () => {
+            var formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm z');
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 CEST', formatter).zone(), ZoneId.of('Europe/Paris'));
+            formatter = new DateTimeFormatterBuilder().appendPattern('yyyy-MM-dd HH:mm ')
+                .appendZoneText(TextStyle.SHORT, [ZoneId.of('Europe/Berlin')]).toFormatter();
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 CEST', formatter).zone(), ZoneId.of('Europe/Berlin'));
+        });
+
+        it('should fail to parse an unknown name', () => {
+            var formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm z');
+            expect(() => ZonedDateTime.parse('2016-07-01 12:30 XYZ', formatter)).to.throw(DateTimeParseException);
+        });
+
+        it('should fail for a null style or null preferred zones', () => {
+            expect(() => new DateTimeFormatterBuilder().appendZoneText(TextStyle.SHORT, null)).to.throw(NullPointerException);
+            expect(() => new DateTimeFormatterBuilder().appendGenericZoneText(null)).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('generic zone names', () => {
+
+        it('should print the generic names', () => {
+            var formatter = DateTimeFormatter.ofPattern('v');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('America/New_York')).format(formatter), 'ET');
+            assertEquals(ZonedDateTime.of(WINTER, ZoneId.of('America/New_York')).format(formatter), 'ET');
+            formatter = DateTimeFormatter.ofPattern('vvvv');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('Europe/Berlin')).format(formatter), 'Central European Time');
+            assertEquals(ZonedDateTime.of(SUMMER, ZoneId.of('Europe/Berlin')).format(formatter.withLocale(Locale.GERMANY)), 'Mitteleuropäische Zeit');
+        });
+
+        it('should parse the generic names', () => {
+            var formatter = DateTimeFormatter.ofPattern('yyyy-MM-dd HH:mm vvvv');
+            assertEquals(ZonedDateTime.parse('2016-07-01 12:30 Eastern Time', formatter), ZonedDateTime.of(SUMMER, ZoneId.of('America/New_York')));
+        });
+
+        it('should append the generic zone text', () => {
+            assertEquals(DateTimeFormatter.ofPattern('v').toString(), 'GenericZoneText(SHORT)');
+            assertEquals(DateTimeFormatter.ofPattern('vvvv').toString(), 'GenericZoneText(FULL)');
+        });
+
+        it('should fail for a wrong number of pattern letters', () => {
+            ['vv', 'vvv', 'vvvvv'].forEach((pattern) => {
+                expect(() => DateTimeFormatter.ofPattern(pattern)).to.throw(IllegalArgumentException);
+            });
+        });
+
+    });
+
+});
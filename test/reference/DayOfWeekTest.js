@@ -17,6 +17,7 @@ import {LocalTime} from '../../src/LocalTime';
 import {ChronoField} from '../../src/temporal/ChronoField';
 import {ChronoUnit} from '../../src/temporal/ChronoUnit';
 import {TemporalQueries} from '../../src/temporal/TemporalQueries';
+import {Locale} from '../../src/format/Locale';
 import {TextStyle} from '../../src/format/TextStyle';
 
 describe('org.threeten.bp.TestDayOfWeek', () => {
@@ -94,8 +95,7 @@ describe('org.threeten.bp.TestDayOfWeek', () => {
     
     });
     
-    describe.skip('getDisplayName()', function () {
-        // TODO: skipped because it needs locale support
+    describe('getDisplayName()', function () {
         it('test_getDisplayName', () => {
             assertEquals(DayOfWeek.MONDAY.getDisplayName(TextStyle.SHORT, Locale.US), 'Mon');
         });
@@ -28,10 +28,10 @@ import {ChronoUnit} from '../../src/temporal/ChronoUnit';
 import {TemporalQueries} from '../../src/temporal/TemporalQueries';
 import {ZoneId} from '../../src/ZoneId';
 import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneRulesBuilder} from '../../src/zone/ZoneRulesBuilder';
 
 import {MockSimplePeriod} from './MockSimplePeriod';
 import {MockFieldNoValue} from './temporal/MockFieldNoValue';
-import {CurrentCESTZone} from '../zone/CurrentCESTZone';
 
 import '../_init';
 
@@ -40,7 +40,12 @@ describe('org.threeten.bp.TestLocalDateTime', () => {
     var OFFSET_PONE;
     var OFFSET_PTWO;
     var OFFSET_MTWO;
-    var ZONE_DUMMY_CEST = new CurrentCESTZone();
+    var ZONE_DUMMY_CEST = new ZoneRulesBuilder(ZoneOffset.ofHours(1))
+        .addTransition(LocalDateTime.of(2008, 3, 30, 2, 0), ZoneOffset.ofHours(2))
+        .addTransition(LocalDateTime.of(2008, 10, 26, 3, 0), ZoneOffset.ofHours(1))
+        .toZoneRegion('Test/CEST');
+    var ZONE_PARIS = ZoneId.of('Europe/Paris');
+    var ZONE_GAZA = ZoneId.of('Asia/Gaza');
     var TEST_2007_07_15_12_30_40_987654321 = LocalDateTime.of(2007, 7, 15, 12, 30, 40, 987654321);
     var MAX_DATE_TIME;
     var MIN_DATE_TIME;
@@ -2731,7 +2736,6 @@ describe('org.threeten.bp.TestLocalDateTime', () => {
             assertEquals(t.atZone(OFFSET_PTWO), ZonedDateTime.of(LocalDateTime.of(2008, 6, 30, 11, 30), OFFSET_PTWO));
         });
 
-        /* TODO iana tzdb
         it('test_atZone_dstGap', () => {
             var t = LocalDateTime.of(2007, 4, 1, 0, 0);
             assertEquals(t.atZone(ZONE_GAZA),
@@ -2743,7 +2747,6 @@ describe('org.threeten.bp.TestLocalDateTime', () => {
             assertEquals(t.atZone(ZONE_PARIS),
                 ZonedDateTime.ofStrict(LocalDateTime.of(2007, 10, 28, 2, 30), OFFSET_PTWO, ZONE_PARIS));
         });
-        */
 
         it('test_atZone_nullTimeZone', () => {
             expect(() => {
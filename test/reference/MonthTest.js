@@ -9,12 +9,13 @@ import '../_init';
 
 import {ChronoField} from '../../src/temporal/ChronoField';
 import {ChronoUnit} from '../../src/temporal/ChronoUnit';
-import {DateTimeException} from '../../src/errors';
+import {DateTimeException, NullPointerException} from '../../src/errors';
 import {IsoChronology} from '../../src/chrono/IsoChronology';
 import {LocalDate} from '../../src/LocalDate';
 import {LocalTime} from '../../src/LocalTime';
 import {Month} from '../../src/Month';
 import {TemporalQueries} from '../../src/temporal/TemporalQueries';
+import {Locale} from '../../src/format/Locale';
 import {TextStyle} from '../../src/format/TextStyle';
 
 describe('org.threeten.bp.TestMonth', () => {
@@ -98,19 +99,19 @@ describe('org.threeten.bp.TestMonth', () => {
         });
     });
 
-    describe.skip('getDisplayName()', () => {
+    describe('getDisplayName()', () => {
         it('test_ggetDisplayName', () => {
             expect(Month.JANUARY.getDisplayName(TextStyle.SHORT, Locale.US)).to.eql('Jan');
         });
         it('test_getDisplayName_nullStyle', () => {
             expect(() => {
                 Month.JANUARY.getDisplayName(null, Locale.US);
-            }).to.throw(DateTimeException); //NullPointerException in JDK
+            }).to.throw(NullPointerException);
         });
         it('test_getDisplayName_nullLocale', () => {
             expect(() => {
                 Month.JANUARY.getDisplayName(TextStyle.FULL, null);
-            }).to.throw(DateTimeException); //NullPointerException in JDK
+            }).to.throw(NullPointerException);
         });
     });
     
@@ -310,9 +310,9 @@ describe('org.threeten.bp.TestZoneId', ()=>{
         // @DataProvider(name='ToString')
         function data_toString() {
             return [
-                //['Europe/London', 'Europe/London'],
-                //['Europe/Paris', 'Europe/Paris'],
-                //['Europe/Berlin', 'Europe/Berlin'],
+                ['Europe/London', 'Europe/London'],
+                ['Europe/Paris', 'Europe/Paris'],
+                ['Europe/Berlin', 'Europe/Berlin'],
                 ['Z', 'Z'],
                 ['UTC', 'UTC'],
                 ['UTC+01:00', 'UTC+01:00'],
@@ -11,7 +11,6 @@ import {assertEquals, assertTrue, dataProviderTest} from '../testUtils';
 import {isCoverageTestRunner, isBrowserTestRunner} from '../testUtils';
 import {MockFieldNoValue} from './temporal/MockFieldNoValue';
 import {MockSimplePeriod} from './MockSimplePeriod';
-import {CurrentCESTZone} from '../zone/CurrentCESTZone';
 
 import {DateTimeException, NullPointerException, DateTimeParseException} from '../../src/errors';
 //import {DateTimeParseException} from '../../src/errors';
@@ -48,7 +47,7 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
     var ZONE_0100 = OFFSET_0100;
     var ZONE_0200 = OFFSET_0200;
     var ZONE_M0100 = ZoneOffset.ofHours(-1);
-    var ZONE_PARIS = new CurrentCESTZone();
+    var ZONE_PARIS = ZoneId.of('Europe/Paris');
     var TEST_PARIS_GAP_2008_03_30_02_30;
     var TEST_PARIS_OVERLAP_2008_10_26_02_30;
     var TEST_LOCAL_2008_06_30_11_30_59_500;
@@ -370,7 +369,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             check(test, 2008, 6, 30, 11, 30, 10, 500, OFFSET_0200, ZONE_PARIS);
         });
 
-        /* TODO iana tzdb
         it('factory_ofStrict_LDT_ZI_ZO_inGap()', () => {
             expect(() => {
                 try {
@@ -381,7 +379,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
                 }
             }).to.throw(DateTimeException);
         });
-        */
 
         it('factory_ofStrict_LDT_ZI_ZO_inOverlap_invalidOfset()', () => {
             expect(() => {
@@ -495,11 +492,9 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             [2008, 6, 30, 11, 30, 59, 999000, 'Z', '2008-06-30T11:30:59.000999Z'],
             [2008, 6, 30, 11, 30, 59, 999000, '+01:00', '2008-06-30T11:30:59.000999+01:00'],
             [2008, 6, 30, 11, 30, 59, 999, 'Z', '2008-06-30T11:30:59.000000999Z'],
-            [2008, 6, 30, 11, 30, 59, 999, '+01:00', '2008-06-30T11:30:59.000000999+01:00']
-
-            // TODO iana tzdb
-            //[2008, 6, 30, 11, 30, 59, 999, 'Europe/London', '2008-06-30T11:30:59.000000999+01:00[Europe/London]'],
-            //[2008, 6, 30, 11, 30, 59, 999, 'Europe/Paris', '2008-06-30T11:30:59.000000999+02:00[Europe/Paris]']
+            [2008, 6, 30, 11, 30, 59, 999, '+01:00', '2008-06-30T11:30:59.000000999+01:00'],
+            [2008, 6, 30, 11, 30, 59, 999, 'Europe/London', '2008-06-30T11:30:59.000000999+01:00[Europe/London]'],
+            [2008, 6, 30, 11, 30, 59, 999, 'Europe/Paris', '2008-06-30T11:30:59.000000999+02:00[Europe/Paris]']
         ];
     }
 
@@ -525,11 +520,8 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
                 ['2012-06-30T12:30:40-01:00[UT-01:00]', 2012, 6, 30, 12, 30, 40, 0, 'UT-01:00'],
                 ['2012-06-30T12:30:40-01:00[UTC-01:00]', 2012, 6, 30, 12, 30, 40, 0, 'UTC-01:00'],
 
-                // special javascript ZoneId
-                ['2012-06-30T12:30:40+01:00[SYSTEM]', 2012, 6, 30, 12, 30, 40, 0, 'SYSTEM']
 
-                // TODO iana tzdb
-                // ['2012-06-30T12:30:40+01:00[Europe/London]', 2012, 6, 30, 12, 30, 40, 0, 'Europe/London']
+                ['2012-06-30T12:30:40+01:00[Europe/London]', 2012, 6, 30, 12, 30, 40, 0, 'Europe/London']
             ];
         }
 
@@ -540,6 +532,13 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             });
         });
 
+        // special javascript ZoneId, the parsed offset may differ from the one of the system default zone
+        it('test_parseAdditional_systemZone', () => {
+            var t = ZonedDateTime.parse('2012-06-30T12:30:40+01:00[SYSTEM]');
+            assertEquals(t.toInstant(), Instant.parse('2012-06-30T11:30:40Z'));
+            assertEquals(t.zone().id(), 'SYSTEM');
+        });
+
         function checkParsed(y, month, d, h, m, s, n, zoneId, text) {
             var t = ZonedDateTime.parse(text);
             assertEquals(t.year(), y);
@@ -743,7 +742,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
 
     });
 
-/* TODO iana tzdb
     describe('withEarlierOffsetAtOverlap()', () => {
 
         it('test_withEarlierOffsetAtOverlap_notAtOverlap', () => {
@@ -766,9 +764,7 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
         });
 
     });
-*/
 
-/* TODO iana tzdb
     describe('withLaterOffsetAtOverlap()', () => {
 
         it('test_withLaterOffsetAtOverlap_notAtOverlap', () => {
@@ -791,7 +787,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
         });
 
     });
-*/
 
     describe('withZoneSameLocal(ZoneId)', () => {
 
@@ -809,7 +804,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             assertEquals(test, base);
         });
 
-/* TODO iana tzdb
         it('test_withZoneSameLocal_retainOffset1()', () => {
             var ldt = LocalDateTime.of(2008, 11, 2, 1, 30, 59, 0);  // overlap
             var base = ZonedDateTime.of(ldt, ZoneId.of('UTC-04:00') );
@@ -825,7 +819,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             assertEquals(base.offset(), ZoneOffset.ofHours(-5));
             assertEquals(test.offset(), ZoneOffset.ofHours(-5));
         });
-*/
 
         it('test_withZoneSameLocal_null', () => {
             expect(() => {
@@ -893,13 +886,11 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             check(test, 2012, 7, 28, 11, 30, 59, 500, OFFSET_0200, ZONE_PARIS);
         });
        
-/* TODO iana tzdb
         it('test_with_WithAdjuster_LocalTime', () => {
             var base = ZonedDateTime.of(TEST_PARIS_OVERLAP_2008_10_26_02_30, ZONE_PARIS);
             var test = base.with(LocalTime.of(2, 29));
             check(test, 2008, 10, 26, 2, 29, 0, 0, OFFSET_0200, ZONE_PARIS);
         });
-*/
 
 /* Year.of and Year adjuster not implemented
         it('test_with_WithAdjuster_Year', () => {
@@ -928,7 +919,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             check(test, 2012, 7, 31, 0, 0, 0, 0, OFFSET_0200, ZONE_PARIS);  // offset ignored
         });
        
-/* TODO iana tzdb
         it('test_with_WithAdjuster_LocalDate_retainOffset1()', () => {
             var newYork = ZoneId.of('America/New_York');
             var ldt = LocalDateTime.of(2008, 11, 1, 1, 30);
@@ -946,7 +936,6 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             var test = base.with(LocalDate.of(2008, 11, 2));
             assertEquals(test.offset(), ZoneOffset.ofHours(-5));
         });
-*/
 
         it('test_with_WithAdjuster_null', () => {
             expect(() => {
@@ -1162,16 +1151,14 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             [dateTime9(2008, 3, 30, 1, 30, 0, 0, OFFSET_0100, ZONE_PARIS), 1, dateTime9(2008, 3, 31, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
             [dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS), -1, dateTime9(2008, 3, 29, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
             // land in gap
-            // TODO iana tzdb
-            //[dateTime9(2008, 3, 29, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS), 1, dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
-            //[dateTime9(2008, 3, 31, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), -1, dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
+            [dateTime9(2008, 3, 29, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS), 1, dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
+            [dateTime9(2008, 3, 31, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), -1, dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
             // skip over overlap
             [dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 27, 1, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
-            [dateTime9(2008, 10, 25, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)]
+            [dateTime9(2008, 10, 25, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
             // land in overlap
-            // TODO iana tzdb
-            //[dateTime9(2008, 10, 25, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
-            //[dateTime9(2008, 10, 27, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS), -1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS)]
+            [dateTime9(2008, 10, 25, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
+            [dateTime9(2008, 10, 27, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS), -1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS)]
         ];
     }
    
@@ -1186,13 +1173,11 @@ describe('org.threeten.bp.TestZonedDateTime', () => {
             [dateTime9(2008, 3, 30, 1, 30, 0, 0, OFFSET_0100, ZONE_PARIS), 1,  dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
             [dateTime9(2008, 3, 30, 3, 30, 0, 0, OFFSET_0200, ZONE_PARIS), -1, dateTime9(2008, 3, 30, 1, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
             // overlap
-            // TODO iana tzdb
-            //[dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
-            //[dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 2, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
-            [dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 3, dateTime9(2008, 10, 26, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)]
-            // TODO iana tzdb
-            //[dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
-            //[dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 2, dateTime9(2008, 10, 26, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)]
+            [dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS)],
+            [dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 2, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
+            [dateTime9(2008, 10, 26, 1, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 3, dateTime9(2008, 10, 26, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
+            [dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 1, dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0100, ZONE_PARIS)],
+            [dateTime9(2008, 10, 26, 2, 30, 0, 0, OFFSET_0200, ZONE_PARIS), 2, dateTime9(2008, 10, 26, 3, 30, 0, 0, OFFSET_0100, ZONE_PARIS)]
         ];
     }
    
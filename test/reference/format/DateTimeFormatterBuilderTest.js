@@ -13,6 +13,7 @@ import {DateTimeFormatterBuilder} from '../../../src/format/DateTimeFormatterBui
 import {IllegalArgumentException, IllegalStateException, NullPointerException} from '../../../src/errors';
 import {ParsePosition} from '../../../src/format/ParsePosition';
 import {SignStyle} from '../../../src/format/SignStyle';
+import {TextStyle} from '../../../src/format/TextStyle';
 
 const DAY_OF_MONTH = ChronoField.DAY_OF_MONTH;
 
@@ -264,13 +265,11 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
             ["''''", "''"],
             ["'o''clock'", "'o''clock'"],
 
-            /* TODO: text patterns not implemented yet
             ['G', 'Text(Era,SHORT)'],
             ['GG', 'Text(Era,SHORT)'],
             ['GGG', 'Text(Era,SHORT)'],
             ['GGGG', 'Text(Era)'],
             ['GGGGG', 'Text(Era,NARROW)'],
-            */
             
             ['u', 'Value(Year)'],
             ['uu', 'ReducedValue(Year,2,2,2000-01-01)'],
@@ -284,23 +283,26 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
             ['yyyy', 'Value(YearOfEra,4,15,EXCEEDS_PAD)'], // was ...,19,... in threeten, but we have lower MAX_WIDTH for number parsing
             ['yyyyy', 'Value(YearOfEra,5,15,EXCEEDS_PAD)'], // was ...,19,... in threeten, but we have lower MAX_WIDTH for number parsing
 
-//            ['Y', 'Value(WeekBasedYear)'],
-//            ['YY', 'ReducedValue(WeekBasedYear,2,2000)'],
-//            ['YYY', 'Value(WeekBasedYear,3,19,NORMAL)'],
-//            ['YYYY', 'Value(WeekBasedYear,4,19,EXCEEDS_PAD)'],
-//            ['YYYYY', 'Value(WeekBasedYear,5,19,EXCEEDS_PAD)'],
+            ['Y', 'Localized(WeekBasedYear)'],
+            ['YY', 'Localized(ReducedValue(WeekBasedYear,2,2,2000-01-01))'],
+            ['YYY', 'Localized(WeekBasedYear,3,15,NORMAL)'], // was ...,19,... in threeten, but we have lower MAX_WIDTH for number parsing
+            ['YYYY', 'Localized(WeekBasedYear,4,15,EXCEEDS_PAD)'], // was ...,19,... in threeten, but we have lower MAX_WIDTH for number parsing
+            ['YYYYY', 'Localized(WeekBasedYear,5,15,EXCEEDS_PAD)'], // was ...,19,... in threeten, but we have lower MAX_WIDTH for number parsing
 
             ['M', 'Value(MonthOfYear)'],
             ['MM', 'Value(MonthOfYear,2)'],
-            /* TODO: text patterns not implemented yet
             ['MMM', 'Text(MonthOfYear,SHORT)'],
             ['MMMM', 'Text(MonthOfYear)'],
             ['MMMMM', 'Text(MonthOfYear,NARROW)'],
-            */
 
-//            ['w', 'Value(WeekOfWeekBasedYear)'],
-//            ['ww', 'Value(WeekOfWeekBasedYear,2)'],
-//            ['www', 'Value(WeekOfWeekBasedYear,3)'],
+            ['w', 'Localized(WeekOfWeekBasedYear,1)'],
+            ['ww', 'Localized(WeekOfWeekBasedYear,2)'],
+
+            ['W', 'Localized(WeekOfMonth,1)'],
+
+            ['e', 'Localized(DayOfWeek,1)'],
+            ['ee', 'Localized(DayOfWeek,2)'],
+            ['c', 'Localized(DayOfWeek,1)'],
 
             ['D', 'Value(DayOfYear)'],
             ['DD', 'Value(DayOfYear,2)'],
@@ -311,7 +313,6 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
 
             ['F', 'Value(AlignedDayOfWeekInMonth)'],
 
-            /* TODO: text patterns not implemented yet
             ['E', 'Text(DayOfWeek,SHORT)'],
             ['EE', 'Text(DayOfWeek,SHORT)'],
             ['EEE', 'Text(DayOfWeek,SHORT)'],
@@ -319,7 +320,6 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
             ['EEEEE', 'Text(DayOfWeek,NARROW)'],
 
             ['a', 'Text(AmPmOfDay,SHORT)'],
-            */
             
             ['H', 'Value(HourOfDay)'],
             ['HH', 'Value(HourOfDay,2)'],
@@ -358,12 +358,10 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
             ['NN', 'Value(NanoOfDay,2)'],
             ['NNN', 'Value(NanoOfDay,3)'],
 
-            /* TODO: text patterns not implemented yet
             ['z', 'ZoneText(SHORT)'],
             ['zz', 'ZoneText(SHORT)'],
             ['zzz', 'ZoneText(SHORT)'],
             ['zzzz', 'ZoneText(FULL)'],
-            */
 
             ['VV', 'ZoneId()'],
     
@@ -432,8 +430,9 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
             ['EEEEEE'],
             ['aaaaaa'],
             ['VVV'],
-            ['W'],
             ['WW'],
+            ['www'],
+            ['cc'],
             ['XXXXXX'],
             ['xxxxxx'],
             ['zzzzzz'],
@@ -687,99 +686,81 @@ describe('org.threeten.bp.format.TestDateTimeFormatterBuilder',() => {
         
     });
     
-    describe('appendZone', () => {
-        it('test_appendZoneId', () => {
-            builder.appendZoneId();
+    describe('appendText', () => {
+        it('test_appendText_1arg', () => {
+            builder.appendText(ChronoField.MONTH_OF_YEAR);
             let f = builder.toFormatter();
-            assertEquals(f.toString(), 'ZoneId()');
+            assertEquals(f.toString(), 'Text(MonthOfYear)');
         });
-    });
-    
-});
 
+        it('test_appendText_1arg_null', () => {
+            expect(() => {
+                builder.appendText(null);
+            }).to.throw(NullPointerException);
+        });
 
-/***
- 
- public class TestDateTimeFormatterBuilder {
+    //-----------------------------------------------------------------------
+        it('test_appendText_2arg', () => {
+            builder.appendText(ChronoField.MONTH_OF_YEAR, TextStyle.SHORT);
+            let f = builder.toFormatter();
+            assertEquals(f.toString(), 'Text(MonthOfYear,SHORT)');
+        });
 
+        it('test_appendText_2arg_nullRule', () => {
+            expect(() => {
+                builder.appendText(null, TextStyle.SHORT);
+            }).to.throw(NullPointerException);
+        });
 
+        it('test_appendText_2arg_nullStyle', () => {
+            expect(() => {
+                builder.appendText(ChronoField.MONTH_OF_YEAR, null);
+            }).to.throw(NullPointerException);
+        });
 
-    @Test
-    public void test_appendText_1arg() throws Exception {
-        builder.appendText(MONTH_OF_YEAR);
-        DateTimeFormatter f = builder.toFormatter();
-        assertEquals(f.toString(), 'Text(MonthOfYear)');
-    }
+    //-----------------------------------------------------------------------
+        it('test_appendTextMap', () => {
+            let map = {
+                1: 'JNY', 2: 'FBY', 3: 'MCH', 4: 'APL', 5: 'MAY', 6: 'JUN',
+                7: 'JLY', 8: 'AGT', 9: 'SPT', 10: 'OBR', 11: 'NVR', 12: 'DBR'
+            };
+            builder.appendText(ChronoField.MONTH_OF_YEAR, map);
+            let f = builder.toFormatter();
+            assertEquals(f.toString(), 'Text(MonthOfYear)');
+        });
 
-    @Test(expectedExceptions=NullPointerException.class)
-    public void test_appendText_1arg_null() throws Exception {
-        builder.appendText(null);
-    }
+        it('test_appendTextMap_nullRule', () => {
+            expect(() => {
+                builder.appendText(null, {});
+            }).to.throw(NullPointerException);
+        });
+    });
 
-    //-----------------------------------------------------------------------
-    @Test
-    public void test_appendText_2arg() throws Exception {
-        builder.appendText(MONTH_OF_YEAR, TextStyle.SHORT);
-        DateTimeFormatter f = builder.toFormatter();
-        assertEquals(f.toString(), 'Text(MonthOfYear,SHORT)');
-    }
-
-    @Test(expectedExceptions=NullPointerException.class)
-    public void test_appendText_2arg_nullRule() throws Exception {
-        builder.appendText(null, TextStyle.SHORT);
-    }
-
-    @Test(expectedExceptions=NullPointerException.class)
-    public void test_appendText_2arg_nullStyle() throws Exception {
-        builder.appendText(MONTH_OF_YEAR, (TextStyle) null);
-    }
+    describe('appendZone', () => {
+        it('test_appendZoneId', () => {
+            builder.appendZoneId();
+            let f = builder.toFormatter();
+            assertEquals(f.toString(), 'ZoneId()');
+        });
 
-    //-----------------------------------------------------------------------
-    @Test
-    public void test_appendTextMap() throws Exception {
-        Map<Long, String> map = new HashMap<Long, String>();
-        map.put(1L, 'JNY');
-        map.put(2L, 'FBY');
-        map.put(3L, 'MCH');
-        map.put(4L, 'APL');
-        map.put(5L, 'MAY');
-        map.put(6L, 'JUN');
-        map.put(7L, 'JLY');
-        map.put(8L, 'AGT');
-        map.put(9L, 'SPT');
-        map.put(10L, 'OBR');
-        map.put(11L, 'NVR');
-        map.put(12L, 'DBR');
-        builder.appendText(MONTH_OF_YEAR, map);
-        DateTimeFormatter f = builder.toFormatter();
-        assertEquals(f.toString(), 'Text(MonthOfYear)');  // TODO: toString should be different?
-    }
-
-    @Test(expectedExceptions=NullPointerException.class)
-    public void test_appendTextMap_nullRule() throws Exception {
-        builder.appendText(null, new HashMap<Long, String>());
-    }
-
-    @Test(expectedExceptions=NullPointerException.class)
-    public void test_appendTextMap_nullStyle() throws Exception {
-        builder.appendText(MONTH_OF_YEAR, (Map<Long, String>) null);
-    }
+        it('test_appendZoneRegionId', () => {
+            builder.appendZoneRegionId();
+            let f = builder.toFormatter();
+            assertEquals(f.toString(), 'ZoneRegionId()');
+        });
 
-    //-----------------------------------------------------------------------
-    @Test
-    public void test_appendZoneText_1arg() throws Exception {
-        builder.appendZoneText(TextStyle.FULL);
-        DateTimeFormatter f = builder.toFormatter();
-        assertEquals(f.toString(), 'ZoneText(FULL)');
-    }
-
-    @Test(expectedExceptions=NullPointerException.class)
-    public void test_appendZoneText_1arg_nullText() throws Exception {
-        builder.appendZoneText(null);
-    }
+        it('test_appendZoneText_1arg', () => {
+            builder.appendZoneText(TextStyle.FULL);
+            let f = builder.toFormatter();
+            assertEquals(f.toString(), 'ZoneText(FULL)');
+        });
 
-    //-----------------------------------------------------------------------
+        it('test_appendZoneText_1arg_nullText', () => {
+            expect(() => {
+                builder.appendZoneText(null);
+            }).to.throw(NullPointerException);
+        });
+    });
+    
+});
 
-}
- *
- */
\ No newline at end of file
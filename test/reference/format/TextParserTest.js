@@ -0,0 +1,258 @@
+/**
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals, dataProviderTest} from '../../testUtils';
+
+import '../../_init';
+
+import {IllegalArgumentException} from '../../../src/errors';
+import {DateTimeFormatter} from '../../../src/format/DateTimeFormatter';
+import {DateTimeFormatterBuilder} from '../../../src/format/DateTimeFormatterBuilder';
+import {DateTimeParseContext} from '../../../src/format/DateTimeParseContext';
+import {DecimalStyle} from '../../../src/format/DecimalStyle';
+import {SimpleDateTimeTextProvider} from '../../../src/format/SimpleDateTimeTextProvider';
+import {TextStyle} from '../../../src/format/TextStyle';
+import {IsoChronology} from '../../../src/chrono/IsoChronology';
+import {ChronoField} from '../../../src/temporal/ChronoField';
+import {LocalDate} from '../../../src/LocalDate';
+
+const TextPrinterParser = DateTimeFormatterBuilder.TextPrinterParser;
+const PROVIDER = SimpleDateTimeTextProvider.getInstance();
+
+describe('org.threeten.bp.format.TestTextParser', () => {
+    var parseContext;
+
+    beforeEach(() => {
+        init();
+    });
+
+    function init() {
+        parseContext = new DateTimeParseContext(null, DecimalStyle.STANDARD, IsoChronology.INSTANCE);
+    }
+
+    it('test_parse_error', () => {
+        dataProviderTest([
+            [new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER), 'Monday', -1],
+            [new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER), 'Monday', 7]
+        ], (pp, text, pos) => {
+            init();
+            expect(() => {
+                pp.parse(parseContext, text, pos);
+            }).to.throw(IllegalArgumentException);
+        });
+    });
+
+    it('test_parse_midStr', () => {
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'XxxMondayXxx', 3);
+        assertEquals(newPos, 9);
+        assertEquals(parseContext.getParsed(ChronoField.DAY_OF_WEEK), 1);
+    });
+
+    it('test_parse_remainderIgnored', () => {
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.SHORT, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Wednesday', 0);
+        assertEquals(newPos, 3);
+        assertEquals(parseContext.getParsed(ChronoField.DAY_OF_WEEK), 3);
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_parse_noMatch1', () => {
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Munday', 0);
+        assertEquals(newPos, ~0);
+    });
+
+    it('test_parse_noMatch2', () => {
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Monday', 3);
+        assertEquals(newPos, ~3);
+    });
+
+    it('test_parse_noMatch_atEnd', () => {
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Monday', 6);
+        assertEquals(newPos, ~6);
+    });
+
+    //-----------------------------------------------------------------------
+    var data_text = [
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 1, 'Monday'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 2, 'Tuesday'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 3, 'Wednesday'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 4, 'Thursday'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 5, 'Friday'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 6, 'Saturday'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 7, 'Sunday'],
+
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 1, 'Mon'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 2, 'Tue'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 3, 'Wed'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 4, 'Thu'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 5, 'Fri'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 6, 'Sat'],
+        [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 7, 'Sun'],
+
+        [ChronoField.MONTH_OF_YEAR, TextStyle.FULL, 1, 'January'],
+        [ChronoField.MONTH_OF_YEAR, TextStyle.FULL, 12, 'December'],
+
+        [ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, 1, 'Jan'],
+        [ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, 12, 'Dec'],
+
+        [ChronoField.AMPM_OF_DAY, TextStyle.SHORT, 0, 'AM'],
+        [ChronoField.AMPM_OF_DAY, TextStyle.SHORT, 1, 'PM'],
+
+        [ChronoField.ERA, TextStyle.SHORT, 1, 'AD'],
+        [ChronoField.ERA, TextStyle.FULL, 0, 'Before Christ']
+    ];
+
+    var data_number = [
+        [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 1, '1'],
+        [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 2, '2'],
+        [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 30, '30'],
+        [ChronoField.DAY_OF_MONTH, TextStyle.SHORT, 1, '1'],
+        [ChronoField.DAY_OF_MONTH, TextStyle.SHORT, 2, '2'],
+        [ChronoField.DAY_OF_MONTH, TextStyle.SHORT, 30, '30']
+    ];
+
+    it('test_parseText', () => {
+        dataProviderTest(data_text.concat(data_number), (field, style, value, input) => {
+            init();
+            var pp = new TextPrinterParser(field, style, PROVIDER);
+            var newPos = pp.parse(parseContext, input, 0);
+            assertEquals(newPos, input.length);
+            assertEquals(parseContext.getParsed(field), value);
+        });
+    });
+
+    // js-joda parses the text of a field ignoring case, also if the context is case sensitive
+    it('test_parseText_strict_caseSensitive_parseUpper', () => {
+        var data_mixedCase = data_text.filter((data) => data[3] !== data[3].toUpperCase());
+        dataProviderTest(data_mixedCase, (field, style, value, input) => {
+            init();
+            parseContext.setCaseSensitive(true);
+            var pp = new TextPrinterParser(field, style, PROVIDER);
+            var newPos = pp.parse(parseContext, input.toUpperCase(), 0);
+            assertEquals(newPos, input.length);
+            assertEquals(parseContext.getParsed(field), value);
+        });
+    });
+
+    it('test_parseText_strict_caseInsensitive_parseUpper', () => {
+        dataProviderTest(data_text, (field, style, value, input) => {
+            init();
+            parseContext.setCaseSensitive(false);
+            var pp = new TextPrinterParser(field, style, PROVIDER);
+            var newPos = pp.parse(parseContext, input.toUpperCase(), 0);
+            assertEquals(newPos, input.length);
+            assertEquals(parseContext.getParsed(field), value);
+        });
+    });
+
+    it('test_parseText_strict_caseInsensitive_parseLower', () => {
+        dataProviderTest(data_text, (field, style, value, input) => {
+            init();
+            parseContext.setCaseSensitive(false);
+            var pp = new TextPrinterParser(field, style, PROVIDER);
+            var newPos = pp.parse(parseContext, input.toLowerCase(), 0);
+            assertEquals(newPos, input.length);
+            assertEquals(parseContext.getParsed(field), value);
+        });
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_parse_full_strict_full_match', () => {
+        parseContext.setStrict(true);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'January 2012', 0);
+        assertEquals(newPos, 7);
+    });
+
+    it('test_parse_full_strict_short_noMatch', () => {
+        parseContext.setStrict(true);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Janua', 0);
+        assertEquals(newPos, ~0);
+    });
+
+    it('test_parse_full_strict_number_noMatch', () => {
+        parseContext.setStrict(true);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, '1', 0);
+        assertEquals(newPos, ~0);
+    });
+
+    it('test_parse_short_strict_full_match', () => {
+        parseContext.setStrict(true);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, PROVIDER);
+        var newPos = pp.parse(parseContext, 'January 2012', 0);
+        assertEquals(newPos, 3);
+        assertEquals(parseContext.getParsed(ChronoField.MONTH_OF_YEAR), 1);
+    });
+
+    it('test_parse_short_strict_short_match', () => {
+        parseContext.setStrict(true);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Janua', 0);
+        assertEquals(newPos, 3);
+        assertEquals(parseContext.getParsed(ChronoField.MONTH_OF_YEAR), 1);
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_parse_full_lenient_full_match', () => {
+        parseContext.setStrict(false);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'January.', 0);
+        assertEquals(newPos, 7);
+        assertEquals(parseContext.getParsed(ChronoField.MONTH_OF_YEAR), 1);
+    });
+
+    it('test_parse_full_lenient_short_match', () => {
+        parseContext.setStrict(false);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, 'Janua', 0);
+        assertEquals(newPos, 3);
+        assertEquals(parseContext.getParsed(ChronoField.MONTH_OF_YEAR), 1);
+    });
+
+    it('test_parse_full_lenient_number_match', () => {
+        parseContext.setStrict(false);
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        var newPos = pp.parse(parseContext, '1', 0);
+        assertEquals(newPos, 1);
+        assertEquals(parseContext.getParsed(ChronoField.MONTH_OF_YEAR), 1);
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_parse_textMap', () => {
+        var formatter = new DateTimeFormatterBuilder()
+            .appendValue(ChronoField.DAY_OF_MONTH).appendLiteral('.')
+            .appendText(ChronoField.MONTH_OF_YEAR, {1: 'I', 2: 'II', 3: 'III', 4: 'IV', 5: 'V', 6: 'VI',
+                7: 'VII', 8: 'VIII', 9: 'IX', 10: 'X', 11: 'XI', 12: 'XII'})
+            .appendLiteral('.').appendValue(ChronoField.YEAR)
+            .toFormatter();
+        assertEquals(LocalDate.of(2012, 8, 3).format(formatter), '3.VIII.2012');
+        assertEquals(LocalDate.parse('3.VIII.2012', formatter), LocalDate.of(2012, 8, 3));
+    });
+
+    //-----------------------------------------------------------------------
+    it('should format and parse a date with the texts of the day and the month', () => {
+        var formatter = DateTimeFormatter.ofPattern('EEE, d MMM yyyy');
+        assertEquals(LocalDate.of(2022, 1, 3).format(formatter), 'Mon, 3 Jan 2022');
+        assertEquals(LocalDate.parse('Mon, 3 Jan 2022', formatter), LocalDate.of(2022, 1, 3));
+        assertEquals(LocalDate.parse('MON, 3 JAN 2022', formatter), LocalDate.of(2022, 1, 3));
+        assertEquals(LocalDate.parse('mon, 3 jan 2022', DateTimeFormatter.ofPattern('EEE, d MMM uuuu')), LocalDate.of(2022, 1, 3));
+        assertEquals(LocalDate.parse('3 JANUARY 2022', DateTimeFormatter.ofPattern('d MMMM uuuu')), LocalDate.of(2022, 1, 3));
+        assertEquals(LocalDate.parse('3 january 2022', DateTimeFormatter.ofPattern('d MMMM uuuu')), LocalDate.of(2022, 1, 3));
+        expect(() => {
+            LocalDate.parse('MONDAY, 3 JAN 2022', formatter);
+        }).to.throw(Error);
+
+        var insensitive = new DateTimeFormatterBuilder().parseCaseInsensitive().appendPattern('EEEE, d MMMM yyyy').toFormatter();
+        assertEquals(LocalDate.parse('MONDAY, 3 january 2022', insensitive), LocalDate.of(2022, 1, 3));
+    });
+
+});
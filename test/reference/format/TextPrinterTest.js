@@ -0,0 +1,133 @@
+/**
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+import {expect} from 'chai';
+import {assertEquals, dataProviderTest} from '../../testUtils';
+
+import '../../_init';
+
+import {DateTimeException} from '../../../src/errors';
+import {DateTimeFormatterBuilder} from '../../../src/format/DateTimeFormatterBuilder';
+import {DateTimePrintContext} from '../../../src/format/DateTimePrintContext';
+import {DecimalStyle} from '../../../src/format/DecimalStyle';
+import {SimpleDateTimeTextProvider} from '../../../src/format/SimpleDateTimeTextProvider';
+import {StringBuilder} from '../../../src/format/StringBuilder';
+import {TextStyle} from '../../../src/format/TextStyle';
+import {ChronoField} from '../../../src/temporal/ChronoField';
+import {IsoFields} from '../../../src/temporal/IsoFields';
+import {LocalDate} from '../../../src/LocalDate';
+import {LocalTime} from '../../../src/LocalTime';
+
+import {EMPTY} from '../temporal/Empty';
+import {MockFieldValue} from '../temporal/MockFieldValue';
+
+const TextPrinterParser = DateTimeFormatterBuilder.TextPrinterParser;
+const PROVIDER = SimpleDateTimeTextProvider.getInstance();
+
+describe('org.threeten.bp.format.TestTextPrinter', () => {
+    var buf;
+
+    beforeEach(() => {
+        buf = new StringBuilder();
+    });
+
+    function printContext(temporal) {
+        return new DateTimePrintContext(temporal, null, DecimalStyle.STANDARD);
+    }
+
+    it('test_print_emptyCalendrical', () => {
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER);
+        expect(() => {
+            pp.print(printContext(new EMPTY()), buf);
+        }).to.throw(DateTimeException);
+    });
+
+    it('test_print_append', () => {
+        buf.append('EXISTING');
+        var pp = new TextPrinterParser(ChronoField.DAY_OF_WEEK, TextStyle.FULL, PROVIDER);
+        pp.print(printContext(LocalDate.of(2012, 4, 18)), buf);
+        assertEquals(buf.toString(), 'EXISTINGWednesday');
+    });
+
+    it('test_print', () => {
+        dataProviderTest([
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 1, 'Monday'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 2, 'Tuesday'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 3, 'Wednesday'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 4, 'Thursday'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 5, 'Friday'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 6, 'Saturday'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.FULL, 7, 'Sunday'],
+
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 1, 'Mon'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 2, 'Tue'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 3, 'Wed'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 4, 'Thu'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 5, 'Fri'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 6, 'Sat'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.SHORT, 7, 'Sun'],
+
+            [ChronoField.DAY_OF_WEEK, TextStyle.NARROW, 1, 'M'],
+            [ChronoField.DAY_OF_WEEK, TextStyle.NARROW_STANDALONE, 7, 'S'],
+
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 1, '1'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 2, '2'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 3, '3'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 28, '28'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 29, '29'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 30, '30'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.FULL, 31, '31'],
+
+            [ChronoField.DAY_OF_MONTH, TextStyle.SHORT, 1, '1'],
+            [ChronoField.DAY_OF_MONTH, TextStyle.SHORT, 31, '31'],
+
+            [ChronoField.MONTH_OF_YEAR, TextStyle.FULL, 1, 'January'],
+            [ChronoField.MONTH_OF_YEAR, TextStyle.FULL, 12, 'December'],
+
+            [ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, 1, 'Jan'],
+            [ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, 12, 'Dec'],
+
+            [ChronoField.MONTH_OF_YEAR, TextStyle.NARROW, 1, 'J'],
+            [ChronoField.MONTH_OF_YEAR, TextStyle.FULL_STANDALONE, 9, 'September'],
+            [ChronoField.MONTH_OF_YEAR, TextStyle.SHORT_STANDALONE, 9, 'Sep']
+        ], (field, style, value, expected) => {
+            buf = new StringBuilder();
+            var pp = new TextPrinterParser(field, style, PROVIDER);
+            pp.print(printContext(new MockFieldValue(field, value)), buf);
+            assertEquals(buf.toString(), expected);
+        });
+    });
+
+    it('test_print_amPmEraQuarter', () => {
+        dataProviderTest([
+            [ChronoField.AMPM_OF_DAY, TextStyle.SHORT, LocalTime.of(11, 59), 'AM'],
+            [ChronoField.AMPM_OF_DAY, TextStyle.SHORT, LocalTime.of(12, 0), 'PM'],
+            [ChronoField.ERA, TextStyle.SHORT, LocalDate.of(2012, 1, 1), 'AD'],
+            [ChronoField.ERA, TextStyle.SHORT, LocalDate.of(-5, 1, 1), 'BC'],
+            [ChronoField.ERA, TextStyle.FULL, LocalDate.of(2012, 1, 1), 'Anno Domini'],
+            [ChronoField.ERA, TextStyle.NARROW, LocalDate.of(2012, 1, 1), 'A'],
+            [IsoFields.QUARTER_OF_YEAR, TextStyle.SHORT, LocalDate.of(2012, 5, 1), 'Q2'],
+            [IsoFields.QUARTER_OF_YEAR, TextStyle.FULL, LocalDate.of(2012, 5, 1), '2nd quarter'],
+            [IsoFields.QUARTER_OF_YEAR, TextStyle.NARROW, LocalDate.of(2012, 5, 1), '2']
+        ], (field, style, temporal, expected) => {
+            buf = new StringBuilder();
+            var pp = new TextPrinterParser(field, style, PROVIDER);
+            pp.print(printContext(temporal), buf);
+            assertEquals(buf.toString(), expected);
+        });
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_toString1', () => {
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.FULL, PROVIDER);
+        assertEquals(pp.toString(), 'Text(MonthOfYear)');
+    });
+
+    it('test_toString2', () => {
+        var pp = new TextPrinterParser(ChronoField.MONTH_OF_YEAR, TextStyle.SHORT, PROVIDER);
+        assertEquals(pp.toString(), 'Text(MonthOfYear,SHORT)');
+    });
+
+});
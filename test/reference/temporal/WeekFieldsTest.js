@@ -0,0 +1,350 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+
+import '../../_init';
+import {assertEquals, assertSame, dataProviderTest} from '../../testUtils';
+
+import {IllegalArgumentException} from '../../../src/errors';
+import {DayOfWeek} from '../../../src/DayOfWeek';
+import {LocalDate} from '../../../src/LocalDate';
+
+import {DateTimeFormatterBuilder} from '../../../src/format/DateTimeFormatterBuilder';
+import {ResolverStyle} from '../../../src/format/ResolverStyle';
+import {ChronoField} from '../../../src/temporal/ChronoField';
+import {IsoFields} from '../../../src/temporal/IsoFields';
+import {WeekFields} from '../../../src/temporal/WeekFields';
+
+describe('org.threeten.bp.temporal.TestWeekFields', () => {
+
+    // @DataProvider(name='weekFields')
+    function data_weekFields() {
+        var objects = [];
+        DayOfWeek.values().forEach((firstDayOfWeek) => {
+            for (let minDays = 1; minDays <= 7; minDays++) {
+                objects.push([firstDayOfWeek, minDays]);
+            }
+        });
+        return objects;
+    }
+
+    //-----------------------------------------------------------------------
+    it('test_of_DayOfWeek_int_singleton', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            assertEquals(week.firstDayOfWeek(), firstDayOfWeek, 'Incorrect firstDayOfWeek');
+            assertEquals(week.minimalDaysInFirstWeek(), minDays, 'Incorrect MinimalDaysInFirstWeek');
+            assertSame(WeekFields.of(firstDayOfWeek, minDays), week);
+        });
+    });
+
+    it('test_of_DayOfWeek_int_invalid', () => {
+        expect(() => WeekFields.of(DayOfWeek.MONDAY, 0)).to.throw(IllegalArgumentException);
+        expect(() => WeekFields.of(DayOfWeek.MONDAY, 8)).to.throw(IllegalArgumentException);
+    });
+
+    it('test_basics', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            assertEquals(week.dayOfWeek().isDateBased(), true);
+            assertEquals(week.dayOfWeek().isTimeBased(), false);
+
+            assertEquals(week.weekOfMonth().isDateBased(), true);
+            assertEquals(week.weekOfMonth().isTimeBased(), false);
+
+            assertEquals(week.weekOfYear().isDateBased(), true);
+            assertEquals(week.weekOfYear().isTimeBased(), false);
+
+            assertEquals(week.weekOfWeekBasedYear().isDateBased(), true);
+            assertEquals(week.weekOfWeekBasedYear().isTimeBased(), false);
+
+            assertEquals(week.weekBasedYear().isDateBased(), true);
+            assertEquals(week.weekBasedYear().isTimeBased(), false);
+        });
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_dayOfWeekField_simpleGet', () => {
+        var date = LocalDate.of(2000, 1, 10);  // Known to be ISO Monday
+        assertEquals(date.get(WeekFields.ISO.dayOfWeek()), 1);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.MONDAY, 1).dayOfWeek()), 1);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.MONDAY, 7).dayOfWeek()), 1);
+        assertEquals(date.get(WeekFields.SUNDAY_START.dayOfWeek()), 2);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.SUNDAY, 1).dayOfWeek()), 2);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.SUNDAY, 7).dayOfWeek()), 2);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.SATURDAY, 1).dayOfWeek()), 3);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.FRIDAY, 1).dayOfWeek()), 4);
+        assertEquals(date.get(WeekFields.of(DayOfWeek.TUESDAY, 1).dayOfWeek()), 7);
+    });
+
+    it('test_dayOfWeekField_simpleSet', () => {
+        var date = LocalDate.of(2000, 1, 10);  // Known to be ISO Monday
+        assertEquals(date.with(WeekFields.ISO.dayOfWeek(), 2), LocalDate.of(2000, 1, 11));
+        assertEquals(date.with(WeekFields.ISO.dayOfWeek(), 7), LocalDate.of(2000, 1, 16));
+
+        assertEquals(date.with(WeekFields.SUNDAY_START.dayOfWeek(), 3), LocalDate.of(2000, 1, 11));
+        assertEquals(date.with(WeekFields.SUNDAY_START.dayOfWeek(), 7), LocalDate.of(2000, 1, 15));
+
+        assertEquals(date.with(WeekFields.of(DayOfWeek.SATURDAY, 1).dayOfWeek(), 4), LocalDate.of(2000, 1, 11));
+        assertEquals(date.with(WeekFields.of(DayOfWeek.TUESDAY, 1).dayOfWeek(), 1), LocalDate.of(2000, 1, 4));
+    });
+
+    it('test_dayOfWeekField', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var day = LocalDate.of(2010, 12, 27);  // Known to be ISO Monday
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var f = week.dayOfWeek();
+            for (let i = 1; i <= 7; i++) {
+                assertEquals(day.get(f), (7 + day.dayOfWeek().value() - firstDayOfWeek.value()) % 7 + 1);
+                day = day.plusDays(1);
+            }
+        });
+    });
+
+    it('test_weekOfMonthField', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var day = LocalDate.of(2012, 12, 31);
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var dowField = week.dayOfWeek();
+            var womField = week.weekOfMonth();
+
+            for (let i = 1; i <= 15; i++) {
+                let actualDOW = day.get(dowField);
+                let actualWOM = day.get(womField);
+
+                // Verify that the combination of day of week and week of month can be used
+                // to reconstruct the same date.
+                let day1 = day.withDayOfMonth(1);
+                let offset = - (day1.get(dowField) - 1);
+                let week1 = day1.get(womField);
+                if (week1 === 0) {
+                    // week of the 1st is partial; start with first full week
+                    offset += 7;
+                }
+                offset += actualDOW - 1;
+                offset += (actualWOM - 1) * 7;
+                let result = day1.plusDays(offset);
+
+                assertEquals(result, day, 'Incorrect dayOfWeek or weekOfMonth: ' + week + ', ISO Day: ' + day);
+                day = day.plusDays(1);
+            }
+        });
+    });
+
+    it('test_weekOfYearField', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var day = LocalDate.of(2012, 12, 31);
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var dowField = week.dayOfWeek();
+            var woyField = week.weekOfYear();
+
+            for (let i = 1; i <= 15; i++) {
+                let actualDOW = day.get(dowField);
+                let actualWOY = day.get(woyField);
+
+                // Verify that the combination of day of week and week of year can be used
+                // to reconstruct the same date.
+                let day1 = day.withDayOfYear(1);
+                let offset = - (day1.get(dowField) - 1);
+                let week1 = day1.get(woyField);
+                if (week1 === 0) {
+                    // week of the 1st is partial; start with first full week
+                    offset += 7;
+                }
+                offset += actualDOW - 1;
+                offset += (actualWOY - 1) * 7;
+                let result = day1.plusDays(offset);
+
+                assertEquals(result, day, 'Incorrect dayOfWeek or weekOfYear: ' + week + ', ISO Day: ' + day);
+                day = day.plusDays(1);
+            }
+        });
+    });
+
+    it('test_fieldRanges', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var weekDef = WeekFields.of(firstDayOfWeek, minDays);
+            var womField = weekDef.weekOfMonth();
+            var woyField = weekDef.weekOfYear();
+
+            var day = LocalDate.of(2012, 11, 30);
+            var endDay = LocalDate.of(2013, 1, 2);
+            while (day.isBefore(endDay)) {
+                let last = day.with(ChronoField.DAY_OF_MONTH, day.lengthOfMonth());
+                let lastWOM = last.get(womField);
+                let first = day.with(ChronoField.DAY_OF_MONTH, 1);
+                let firstWOM = first.get(womField);
+                let rangeWOM = day.range(womField);
+                assertEquals(rangeWOM.minimum(), firstWOM, 'Range min should be same as WeekOfMonth for first day of month: ' + first + ', ' + weekDef);
+                assertEquals(rangeWOM.maximum(), lastWOM, 'Range max should be same as WeekOfMonth for last day of month: ' + last + ', ' + weekDef);
+
+                last = day.with(ChronoField.DAY_OF_YEAR, day.lengthOfYear());
+                let lastWOY = last.get(woyField);
+                first = day.with(ChronoField.DAY_OF_YEAR, 1);
+                let firstWOY = first.get(woyField);
+                let rangeWOY = day.range(woyField);
+                assertEquals(rangeWOY.minimum(), firstWOY, 'Range min should be same as WeekOfYear for first day of Year: ' + day + ', ' + weekDef);
+                assertEquals(rangeWOY.maximum(), lastWOY, 'Range max should be same as WeekOfYear for last day of Year: ' + day + ', ' + weekDef);
+
+                day = day.plusDays(1);
+            }
+        });
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_withDayOfWeek', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var day = LocalDate.of(2012, 12, 15);  // Safely in the middle of a month
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var dowField = week.dayOfWeek();
+            var womField = week.weekOfMonth();
+            var woyField = week.weekOfYear();
+
+            var wom = day.get(womField);
+            var woy = day.get(woyField);
+            for (let dow = 1; dow <= 7; dow++) {
+                let result = day.with(dowField, dow);
+                assertEquals(result.get(dowField), dow, 'Incorrect new Day of week: ' + result);
+                assertEquals(result.get(womField), wom, 'Week of Month should not change');
+                assertEquals(result.get(woyField), woy, 'Week of Year should not change');
+            }
+        });
+    });
+
+    it('test_weekBasedYear_iso', () => {
+        var date = LocalDate.of(2008, 12, 20);
+        for (let i = 0; i < 30; i++) {
+            assertEquals(date.get(WeekFields.ISO.weekBasedYear()), date.get(IsoFields.WEEK_BASED_YEAR), 'WeekBasedYear of ' + date);
+            assertEquals(date.get(WeekFields.ISO.weekOfWeekBasedYear()), date.get(IsoFields.WEEK_OF_WEEK_BASED_YEAR), 'WeekOfWeekBasedYear of ' + date);
+            date = date.plusDays(1);
+        }
+    });
+
+    it('test_withWeekBasedYear', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var wbyField = week.weekBasedYear();
+            var wowbyField = week.weekOfWeekBasedYear();
+            var dowField = week.dayOfWeek();
+
+            var day = LocalDate.of(2012, 12, 26);
+            for (let i = 1; i <= 15; i++) {
+                let result = day.with(wbyField, day.get(wbyField) + 1);
+                assertEquals(result.get(wbyField), day.get(wbyField) + 1, 'Incorrect new week-based-year: ' + result);
+                assertEquals(result.get(dowField), day.get(dowField), 'Day of week should not change');
+                if (day.get(wowbyField) < 52) {
+                    assertEquals(result.get(wowbyField), day.get(wowbyField), 'Week of week-based-year should not change');
+                }
+                day = day.plusDays(1);
+            }
+        });
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_parseDom', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var date = LocalDate.of(2012, 12, 15);
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var womField = week.weekOfMonth();
+
+            for (let i = 1; i <= 15; i++) {
+                // Test that with dayOfWeek and Week of month it computes the date
+                let f = new DateTimeFormatterBuilder()
+                        .appendValue(ChronoField.YEAR).appendLiteral('-')
+                        .appendValue(ChronoField.MONTH_OF_YEAR).appendLiteral('-')
+                        .appendValue(womField).appendLiteral('-')
+                        .appendValue(ChronoField.DAY_OF_WEEK).toFormatter();
+                let str = date.year() + '-' + date.monthValue() + '-' +
+                        date.get(womField) + '-' + date.get(ChronoField.DAY_OF_WEEK);
+                let parsed = LocalDate.parse(str, f);
+                assertEquals(parsed, date, ' :: ' + str + ' ' + i);
+
+                date = date.plusDays(1);
+            }
+        });
+    });
+
+    it('test_parseDom_lenient', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var date = LocalDate.of(2012, 12, 15);
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var womField = week.weekOfMonth();
+
+            for (let i = 1; i <= 15; i++) {
+                let f = new DateTimeFormatterBuilder()
+                        .appendValue(ChronoField.YEAR).appendLiteral('-')
+                        .appendValue(ChronoField.MONTH_OF_YEAR).appendLiteral('-')
+                        .appendValue(womField).appendLiteral('-')
+                        .appendValue(ChronoField.DAY_OF_WEEK).toFormatter(ResolverStyle.LENIENT);
+                let str = date.year() + '-' + date.monthValue() + '-' +
+                        date.get(womField) + '-' + date.get(ChronoField.DAY_OF_WEEK);
+                let parsed = LocalDate.parse(str, f);
+                assertEquals(parsed, date, ' :: ' + str + ' ' + i);
+
+                date = date.plusDays(1);
+            }
+        });
+    });
+
+    it('test_parseWoy', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var date = LocalDate.of(2012, 12, 15);
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var dowField = week.dayOfWeek();
+            var woyField = week.weekOfYear();
+
+            for (let i = 1; i <= 15; i++) {
+                // Test that with the localized dayOfWeek and Week of year it computes the date
+                let f = new DateTimeFormatterBuilder()
+                        .appendValue(ChronoField.YEAR).appendLiteral('-')
+                        .appendValue(woyField).appendLiteral('-')
+                        .appendValue(dowField).toFormatter();
+                let str = date.year() + '-' + date.get(woyField) + '-' + date.get(dowField);
+                let parsed = LocalDate.parse(str, f);
+                assertEquals(parsed, date, ' :: ' + str + ' ' + i);
+
+                date = date.plusDays(1);
+            }
+        });
+    });
+
+    it('test_parseWowby', () => {
+        dataProviderTest(data_weekFields, (firstDayOfWeek, minDays) => {
+            var date = LocalDate.of(2012, 12, 15);
+            var week = WeekFields.of(firstDayOfWeek, minDays);
+            var dowField = week.dayOfWeek();
+            var wowbyField = week.weekOfWeekBasedYear();
+            var wbyField = week.weekBasedYear();
+
+            for (let i = 1; i <= 30; i++) {
+                // Test that with the localized dayOfWeek, the week of week-based-year
+                // and the week-based-year it computes the date
+                let f = new DateTimeFormatterBuilder()
+                        .appendValue(wbyField).appendLiteral('-')
+                        .appendValue(wowbyField).appendLiteral('-')
+                        .appendValue(dowField).toFormatter(ResolverStyle.STRICT);
+                let str = date.get(wbyField) + '-' + date.get(wowbyField) + '-' + date.get(dowField);
+                let parsed = LocalDate.parse(str, f);
+                assertEquals(parsed, date, ' :: ' + str + ' ' + i);
+
+                date = date.plusDays(1);
+            }
+        });
+    });
+
+    //-----------------------------------------------------------------------
+    it('test_equals_hashCode_toString', () => {
+        assertEquals(WeekFields.ISO.equals(WeekFields.of(DayOfWeek.MONDAY, 4)), true);
+        assertEquals(WeekFields.ISO.equals(WeekFields.SUNDAY_START), false);
+        assertEquals(WeekFields.ISO.equals(null), false);
+        assertEquals(WeekFields.ISO.hashCode(), WeekFields.of(DayOfWeek.MONDAY, 4).hashCode());
+        assertEquals(WeekFields.ISO.toString(), 'WeekFields[MONDAY,4]');
+        assertEquals(WeekFields.SUNDAY_START.toString(), 'WeekFields[SUNDAY,1]');
+        assertEquals(WeekFields.SUNDAY_START.weekOfYear().toString(), 'WeekOfYear[WeekFields[SUNDAY,1]]');
+    });
+
+});
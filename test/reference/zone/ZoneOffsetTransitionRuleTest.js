@@ -0,0 +1,358 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import '../../_init';
+
+import {expect} from 'chai';
+import {assertEquals} from '../../testUtils';
+
+import {IllegalArgumentException, NullPointerException} from '../../../src/errors';
+
+import {DayOfWeek} from '../../../src/DayOfWeek';
+import {LocalDateTime} from '../../../src/LocalDateTime';
+import {LocalTime} from '../../../src/LocalTime';
+import {Month} from '../../../src/Month';
+import {ZoneOffset} from '../../../src/ZoneOffset';
+import {ZoneOffsetTransition} from '../../../src/zone/ZoneOffsetTransition';
+import {ZoneOffsetTransitionRule} from '../../../src/zone/ZoneOffsetTransitionRule';
+
+describe('org.threeten.bp.zone.TestZoneOffsetTransitionRule', () => {
+
+    var TimeDefinition = ZoneOffsetTransitionRule.TimeDefinition;
+
+    var TIME_0100 = LocalTime.of(1, 0);
+    var OFFSET_0200 = ZoneOffset.ofHours(2);
+    var OFFSET_0300 = ZoneOffset.ofHours(3);
+
+    //-----------------------------------------------------------------------
+    // factory
+    //-----------------------------------------------------------------------
+    describe('factory', () => {
+
+        it('test_factory_nullMonth', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    null, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullTime', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 20, DayOfWeek.SUNDAY, null, false, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullTimeDefinition', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, null,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullStandardOffset', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    null, OFFSET_0200, OFFSET_0300);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullOffsetBefore', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    OFFSET_0200, null, OFFSET_0300);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullOffsetAfter', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, null);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_invalidDayOfMonthIndicator_tooSmall', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, -29, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('test_factory_invalidDayOfMonthIndicator_zero', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 0, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('test_factory_invalidDayOfMonthIndicator_tooLarge', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 32, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('test_factory_invalidMidnightFlag', () => {
+            expect(() => {
+                ZoneOffsetTransitionRule.of(
+                    Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, true, TimeDefinition.WALL,
+                    OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            }).to.throw(IllegalArgumentException);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // getters
+    //-----------------------------------------------------------------------
+    describe('getters', () => {
+
+        it('test_getters_floatingWeek', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.month(), Month.MARCH);
+            assertEquals(test.dayOfMonthIndicator(), 20);
+            assertEquals(test.dayOfWeek(), DayOfWeek.SUNDAY);
+            assertEquals(test.localTime(), TIME_0100);
+            assertEquals(test.isMidnightEndOfDay(), false);
+            assertEquals(test.timeDefinition(), TimeDefinition.WALL);
+            assertEquals(test.standardOffset(), OFFSET_0200);
+            assertEquals(test.offsetBefore(), OFFSET_0200);
+            assertEquals(test.offsetAfter(), OFFSET_0300);
+        });
+
+        it('test_getters_floatingWeekBackwards', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, -1, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.month(), Month.MARCH);
+            assertEquals(test.dayOfMonthIndicator(), -1);
+            assertEquals(test.dayOfWeek(), DayOfWeek.SUNDAY);
+            assertEquals(test.localTime(), TIME_0100);
+            assertEquals(test.isMidnightEndOfDay(), false);
+            assertEquals(test.timeDefinition(), TimeDefinition.WALL);
+            assertEquals(test.standardOffset(), OFFSET_0200);
+            assertEquals(test.offsetBefore(), OFFSET_0200);
+            assertEquals(test.offsetAfter(), OFFSET_0300);
+        });
+
+        it('test_getters_fixedDate', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, null, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.month(), Month.MARCH);
+            assertEquals(test.dayOfMonthIndicator(), 20);
+            assertEquals(test.dayOfWeek(), null);
+            assertEquals(test.localTime(), TIME_0100);
+            assertEquals(test.isMidnightEndOfDay(), false);
+            assertEquals(test.timeDefinition(), TimeDefinition.WALL);
+            assertEquals(test.standardOffset(), OFFSET_0200);
+            assertEquals(test.offsetBefore(), OFFSET_0200);
+            assertEquals(test.offsetAfter(), OFFSET_0300);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // createTransition()
+    //-----------------------------------------------------------------------
+    describe('createTransition()', () => {
+
+        it('test_createTransition_floatingWeek_gap_notEndOfDay', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            var trans = ZoneOffsetTransition.of(
+                LocalDateTime.of(2000, Month.MARCH, 26, 1, 0), OFFSET_0200, OFFSET_0300);
+            assertEquals(test.createTransition(2000), trans);
+        });
+
+        it('test_createTransition_floatingWeek_overlap_endOfDay', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, DayOfWeek.SUNDAY, LocalTime.MIDNIGHT, true, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0300, OFFSET_0200);
+            var trans = ZoneOffsetTransition.of(
+                LocalDateTime.of(2000, Month.MARCH, 27, 0, 0), OFFSET_0300, OFFSET_0200);
+            assertEquals(test.createTransition(2000), trans);
+        });
+
+        it('test_createTransition_floatingWeekBackwards_last', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, -1, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            var trans = ZoneOffsetTransition.of(
+                LocalDateTime.of(2000, Month.MARCH, 26, 1, 0), OFFSET_0200, OFFSET_0300);
+            assertEquals(test.createTransition(2000), trans);
+        });
+
+        it('test_createTransition_floatingWeekBackwards_seventhLast', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, -7, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            var trans = ZoneOffsetTransition.of(
+                LocalDateTime.of(2000, Month.MARCH, 19, 1, 0), OFFSET_0200, OFFSET_0300);
+            assertEquals(test.createTransition(2000), trans);
+        });
+
+        it('test_createTransition_floatingWeekBackwards_secondLast', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, -2, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            var trans = ZoneOffsetTransition.of(
+                LocalDateTime.of(2000, Month.MARCH, 26, 1, 0), OFFSET_0200, OFFSET_0300);
+            assertEquals(test.createTransition(2000), trans);
+        });
+
+        it('test_createTransition_fixedDate', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, null, TIME_0100, false, TimeDefinition.STANDARD,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            var trans = ZoneOffsetTransition.of(
+                LocalDateTime.of(2000, Month.MARCH, 20, 1, 0), OFFSET_0200, OFFSET_0300);
+            assertEquals(test.createTransition(2000), trans);
+        });
+
+        it('test_createTransition_leapYear', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.FEBRUARY, -1, null, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.createTransition(2000).dateTimeBefore(), LocalDateTime.of(2000, Month.FEBRUARY, 29, 1, 0));
+            assertEquals(test.createTransition(2001).dateTimeBefore(), LocalDateTime.of(2001, Month.FEBRUARY, 28, 1, 0));
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // TimeDefinition
+    //-----------------------------------------------------------------------
+    describe('TimeDefinition.createDateTime()', () => {
+
+        it('test_createDateTime', () => {
+            var ldt = LocalDateTime.of(2000, Month.MARCH, 26, 1, 0);
+            var standardOffset = ZoneOffset.ofHours(1);
+            assertEquals(TimeDefinition.UTC.createDateTime(ldt, standardOffset, OFFSET_0200), ldt.plusHours(2));
+            assertEquals(TimeDefinition.STANDARD.createDateTime(ldt, standardOffset, OFFSET_0200), ldt.plusHours(1));
+            assertEquals(TimeDefinition.WALL.createDateTime(ldt, standardOffset, OFFSET_0200), ldt);
+        });
+
+        it('test_createTransition_timeDefinition', () => {
+            var standardOffset = ZoneOffset.ofHours(1);
+            dataProviderTimeDefinition([
+                [TimeDefinition.UTC, LocalDateTime.of(2000, Month.MARCH, 26, 3, 0)],
+                [TimeDefinition.STANDARD, LocalDateTime.of(2000, Month.MARCH, 26, 2, 0)],
+                [TimeDefinition.WALL, LocalDateTime.of(2000, Month.MARCH, 26, 1, 0)]
+            ]);
+
+            function dataProviderTimeDefinition(data) {
+                data.forEach(([timeDefinition, expected]) => {
+                    var test = ZoneOffsetTransitionRule.of(
+                        Month.MARCH, -1, DayOfWeek.SUNDAY, TIME_0100, false, timeDefinition,
+                        standardOffset, OFFSET_0200, OFFSET_0300);
+                    assertEquals(test.createTransition(2000).dateTimeBefore(), expected, timeDefinition.toString());
+                });
+            }
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // equals()
+    //-----------------------------------------------------------------------
+    describe('equals()', () => {
+
+        function rule(month, dom, dow, time, timeEndOfDay, timeDefinition, standardOffset, offsetBefore, offsetAfter) {
+            return ZoneOffsetTransitionRule.of(month, dom, dow, time, timeEndOfDay, timeDefinition, standardOffset, offsetBefore, offsetAfter);
+        }
+
+        var a = () => rule(Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300);
+
+        it('test_equals_same', () => {
+            var a1 = a();
+            var a2 = a();
+            assertEquals(a1.equals(a1), true);
+            assertEquals(a1.equals(a2), true);
+            assertEquals(a2.equals(a1), true);
+            assertEquals(a1.hashCode(), a2.hashCode());
+        });
+
+        it('test_equals_different', () => {
+            [
+                rule(Month.APRIL, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 21, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, DayOfWeek.SATURDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, null, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, DayOfWeek.SUNDAY, LocalTime.of(2, 0), false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, DayOfWeek.SUNDAY, LocalTime.MIDNIGHT, true, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.STANDARD, OFFSET_0200, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0300, OFFSET_0200, OFFSET_0300),
+                rule(Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0300, OFFSET_0200),
+                rule(Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL, OFFSET_0200, OFFSET_0200, ZoneOffset.ofHours(4))
+            ].forEach((b) => {
+                assertEquals(a().equals(b), false, b.toString());
+                assertEquals(b.equals(a()), false, b.toString());
+            });
+        });
+
+        it('test_equals_otherType', () => {
+            assertEquals(a().equals('TZDB'), false);
+            assertEquals(a().equals(null), false);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // toString()
+    //-----------------------------------------------------------------------
+    describe('toString()', () => {
+
+        it('test_toString_floatingWeek_gap_notEndOfDay', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.toString(), 'TransitionRule[Gap +02:00 to +03:00, SUNDAY on or after MARCH 20 at 01:00 WALL, standard offset +02:00]');
+        });
+
+        it('test_toString_floatingWeek_overlap_endOfDay', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.OCTOBER, 20, DayOfWeek.SUNDAY, LocalTime.MIDNIGHT, true, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0300, OFFSET_0200);
+            assertEquals(test.toString(), 'TransitionRule[Overlap +03:00 to +02:00, SUNDAY on or after OCTOBER 20 at 24:00 WALL, standard offset +02:00]');
+        });
+
+        it('test_toString_floatingWeekBackwards_last', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, -1, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.toString(), 'TransitionRule[Gap +02:00 to +03:00, SUNDAY on or before last day of MARCH at 01:00 WALL, standard offset +02:00]');
+        });
+
+        it('test_toString_floatingWeekBackwards_secondLast', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, -2, DayOfWeek.SUNDAY, TIME_0100, false, TimeDefinition.WALL,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.toString(), 'TransitionRule[Gap +02:00 to +03:00, SUNDAY on or before last day minus 1 of MARCH at 01:00 WALL, standard offset +02:00]');
+        });
+
+        it('test_toString_fixedDate', () => {
+            var test = ZoneOffsetTransitionRule.of(
+                Month.MARCH, 20, null, TIME_0100, false, TimeDefinition.STANDARD,
+                OFFSET_0200, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.toString(), 'TransitionRule[Gap +02:00 to +03:00, MARCH 20 at 01:00 STANDARD, standard offset +02:00]');
+        });
+
+    });
+
+});
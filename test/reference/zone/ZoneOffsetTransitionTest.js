@@ -0,0 +1,245 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @copyright (c) 2007-present, Stephen Colebourne & Michael Nascimento Santos
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import '../../_init';
+
+import {expect} from 'chai';
+import {assertEquals} from '../../testUtils';
+
+import {IllegalArgumentException, NullPointerException} from '../../../src/errors';
+
+import {Duration} from '../../../src/Duration';
+import {LocalDateTime} from '../../../src/LocalDateTime';
+import {ZoneOffset} from '../../../src/ZoneOffset';
+import {ChronoUnit} from '../../../src/temporal/ChronoUnit';
+import {ZoneOffsetTransition} from '../../../src/zone/ZoneOffsetTransition';
+
+describe('org.threeten.bp.zone.TestZoneOffsetTransition', () => {
+
+    var OFFSET_0100 = ZoneOffset.ofHours(1);
+    var OFFSET_0200 = ZoneOffset.ofHours(2);
+    var OFFSET_0230 = ZoneOffset.ofHoursMinutes(2, 30);
+    var OFFSET_0300 = ZoneOffset.ofHours(3);
+    var OFFSET_0400 = ZoneOffset.ofHours(4);
+
+    //-----------------------------------------------------------------------
+    // factory
+    //-----------------------------------------------------------------------
+    describe('factory', () => {
+
+        it('test_factory_nullTransition', () => {
+            expect(() => {
+                ZoneOffsetTransition.of(null, OFFSET_0100, OFFSET_0200);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullOffsetBefore', () => {
+            expect(() => {
+                ZoneOffsetTransition.of(LocalDateTime.of(2010, 12, 3, 11, 30), null, OFFSET_0200);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_nullOffsetAfter', () => {
+            expect(() => {
+                ZoneOffsetTransition.of(LocalDateTime.of(2010, 12, 3, 11, 30), OFFSET_0200, null);
+            }).to.throw(NullPointerException);
+        });
+
+        it('test_factory_sameOffset', () => {
+            expect(() => {
+                ZoneOffsetTransition.of(LocalDateTime.of(2010, 12, 3, 11, 30), OFFSET_0200, OFFSET_0200);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('test_factory_noNanos', () => {
+            expect(() => {
+                ZoneOffsetTransition.of(LocalDateTime.of(2010, 12, 3, 11, 30, 0, 500), OFFSET_0200, OFFSET_0300);
+            }).to.throw(IllegalArgumentException);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // getters
+    //-----------------------------------------------------------------------
+    describe('getters', () => {
+
+        it('test_getters_gap', () => {
+            var before = LocalDateTime.of(2010, 3, 31, 1, 0);
+            var after = LocalDateTime.of(2010, 3, 31, 2, 0);
+            var test = ZoneOffsetTransition.of(before, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.isGap(), true);
+            assertEquals(test.isOverlap(), false);
+            assertEquals(test.dateTimeBefore(), before);
+            assertEquals(test.dateTimeAfter(), after);
+            assertEquals(test.instant(), before.toInstant(OFFSET_0200));
+            assertEquals(test.toEpochSecond(), before.toEpochSecond(OFFSET_0200));
+            assertEquals(test.offsetBefore(), OFFSET_0200);
+            assertEquals(test.offsetAfter(), OFFSET_0300);
+            assertEquals(test.duration(), Duration.of(1, ChronoUnit.HOURS));
+        });
+
+        it('test_getters_overlap', () => {
+            var before = LocalDateTime.of(2010, 10, 31, 1, 0);
+            var after = LocalDateTime.of(2010, 10, 31, 0, 0);
+            var test = ZoneOffsetTransition.of(before, OFFSET_0300, OFFSET_0200);
+            assertEquals(test.isGap(), false);
+            assertEquals(test.isOverlap(), true);
+            assertEquals(test.dateTimeBefore(), before);
+            assertEquals(test.dateTimeAfter(), after);
+            assertEquals(test.instant(), before.toInstant(OFFSET_0300));
+            assertEquals(test.offsetBefore(), OFFSET_0300);
+            assertEquals(test.offsetAfter(), OFFSET_0200);
+            assertEquals(test.duration(), Duration.of(-1, ChronoUnit.HOURS));
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // isValidOffset()
+    //-----------------------------------------------------------------------
+    describe('isValidOffset()', () => {
+
+        it('test_isValidOffset_gap', () => {
+            var ldt = LocalDateTime.of(2010, 3, 31, 1, 0);
+            var test = ZoneOffsetTransition.of(ldt, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.isValidOffset(OFFSET_0100), false);
+            assertEquals(test.isValidOffset(OFFSET_0200), false);
+            assertEquals(test.isValidOffset(OFFSET_0230), false);
+            assertEquals(test.isValidOffset(OFFSET_0300), false);
+            assertEquals(test.isValidOffset(OFFSET_0400), false);
+            assertEquals(test.validOffsets(), []);
+        });
+
+        it('test_isValidOffset_overlap', () => {
+            var ldt = LocalDateTime.of(2010, 10, 31, 1, 0);
+            var test = ZoneOffsetTransition.of(ldt, OFFSET_0300, OFFSET_0200);
+            assertEquals(test.isValidOffset(OFFSET_0100), false);
+            assertEquals(test.isValidOffset(OFFSET_0200), true);
+            assertEquals(test.isValidOffset(OFFSET_0230), false);
+            assertEquals(test.isValidOffset(OFFSET_0300), true);
+            assertEquals(test.isValidOffset(OFFSET_0400), false);
+            assertEquals(test.validOffsets(), [OFFSET_0300, OFFSET_0200]);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // compareTo()
+    //-----------------------------------------------------------------------
+    describe('compareTo()', () => {
+
+        it('test_compareTo', () => {
+            var a = ZoneOffsetTransition.of(
+                LocalDateTime.ofEpochSecond(23875287 - 1, 0, OFFSET_0200), OFFSET_0200, OFFSET_0300);
+            var b = ZoneOffsetTransition.of(
+                LocalDateTime.ofEpochSecond(23875287, 0, OFFSET_0300), OFFSET_0300, OFFSET_0200);
+            var c = ZoneOffsetTransition.of(
+                LocalDateTime.ofEpochSecond(23875287 + 1, 0, OFFSET_0100), OFFSET_0100, OFFSET_0400);
+
+            assertEquals(a.compareTo(a) === 0, true);
+            assertEquals(a.compareTo(b) < 0, true);
+            assertEquals(a.compareTo(c) < 0, true);
+
+            assertEquals(b.compareTo(a) > 0, true);
+            assertEquals(b.compareTo(b) === 0, true);
+            assertEquals(b.compareTo(c) < 0, true);
+
+            assertEquals(c.compareTo(a) > 0, true);
+            assertEquals(c.compareTo(b) > 0, true);
+            assertEquals(c.compareTo(c) === 0, true);
+        });
+
+        it('test_compareTo_sameInstant', () => {
+            var a = ZoneOffsetTransition.of(
+                LocalDateTime.ofEpochSecond(23875287, 0, OFFSET_0200), OFFSET_0200, OFFSET_0300);
+            var b = ZoneOffsetTransition.of(
+                LocalDateTime.ofEpochSecond(23875287, 0, OFFSET_0300), OFFSET_0300, OFFSET_0200);
+            var c = ZoneOffsetTransition.of(
+                LocalDateTime.ofEpochSecond(23875287, 0, OFFSET_0100), OFFSET_0100, OFFSET_0400);
+
+            assertEquals(a.compareTo(a) === 0, true);
+            assertEquals(a.compareTo(b) === 0, true);
+            assertEquals(a.compareTo(c) === 0, true);
+
+            assertEquals(b.compareTo(a) === 0, true);
+            assertEquals(b.compareTo(b) === 0, true);
+            assertEquals(b.compareTo(c) === 0, true);
+
+            assertEquals(c.compareTo(a) === 0, true);
+            assertEquals(c.compareTo(b) === 0, true);
+            assertEquals(c.compareTo(c) === 0, true);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // equals()
+    //-----------------------------------------------------------------------
+    describe('equals()', () => {
+
+        it('test_equals', () => {
+            var ldtA = LocalDateTime.of(2010, 3, 31, 1, 0);
+            var a1 = ZoneOffsetTransition.of(ldtA, OFFSET_0200, OFFSET_0300);
+            var a2 = ZoneOffsetTransition.of(ldtA, OFFSET_0200, OFFSET_0300);
+            var ldtB = LocalDateTime.of(2010, 10, 31, 1, 0);
+            var b = ZoneOffsetTransition.of(ldtB, OFFSET_0300, OFFSET_0200);
+
+            assertEquals(a1.equals(a1), true);
+            assertEquals(a1.equals(a2), true);
+            assertEquals(a1.equals(b), false);
+            assertEquals(a2.equals(a1), true);
+            assertEquals(a2.equals(a2), true);
+            assertEquals(a2.equals(b), false);
+            assertEquals(b.equals(a1), false);
+            assertEquals(b.equals(a2), false);
+            assertEquals(b.equals(b), true);
+
+            assertEquals(a1.equals(''), false);
+            assertEquals(a1.equals(null), false);
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // hashCode()
+    //-----------------------------------------------------------------------
+    describe('hashCode()', () => {
+
+        it('test_hashCode_floatingWeek_gap_notEndOfDay', () => {
+            var ldtA = LocalDateTime.of(2010, 3, 31, 1, 0);
+            var a1 = ZoneOffsetTransition.of(ldtA, OFFSET_0200, OFFSET_0300);
+            var a2 = ZoneOffsetTransition.of(ldtA, OFFSET_0200, OFFSET_0300);
+            var ldtB = LocalDateTime.of(2010, 10, 31, 1, 0);
+            var b = ZoneOffsetTransition.of(ldtB, OFFSET_0300, OFFSET_0200);
+
+            assertEquals(a1.hashCode(), a1.hashCode());
+            assertEquals(a1.hashCode(), a2.hashCode());
+            assertEquals(b.hashCode(), b.hashCode());
+        });
+
+    });
+
+    //-----------------------------------------------------------------------
+    // toString()
+    //-----------------------------------------------------------------------
+    describe('toString()', () => {
+
+        it('test_toString_gap', () => {
+            var t = LocalDateTime.of(2010, 3, 31, 1, 0);
+            var test = ZoneOffsetTransition.of(t, OFFSET_0200, OFFSET_0300);
+            assertEquals(test.toString(), 'Transition[Gap at 2010-03-31T01:00+02:00 to +03:00]');
+        });
+
+        it('test_toString_overlap', () => {
+            var t = LocalDateTime.of(2010, 10, 31, 1, 0);
+            var test = ZoneOffsetTransition.of(t, OFFSET_0300, OFFSET_0200);
+            assertEquals(test.toString(), 'Transition[Overlap at 2010-10-31T01:00+03:00 to +02:00]');
+        });
+
+    });
+
+});
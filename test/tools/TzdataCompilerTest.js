@@ -0,0 +1,184 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {Instant} from '../../src/Instant';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {TzdbZoneRulesProvider} from '../../src/zone/TzdbZoneRulesProvider';
+
+import {compileZone, readTzdata} from '../../tools/tzdb/TzdataCompiler';
+
+describe('tools/TzdataCompilerTest.js', () => {
+
+    var EU_RULES = [
+        'Rule EU 1977 1980 - Apr Sun>=1 1:00u 1:00 S',
+        'Rule EU 1977 only - Sep lastSun 1:00u 0 -',
+        'Rule EU 1978 only - Oct 1 1:00u 0 -',
+        'Rule EU 1979 1995 - Sep lastSun 1:00u 0 -',
+        'Rule EU 1981 max - Mar lastSun 1:00u 1:00 S',
+        'Rule EU 1996 max - Oct lastSun 1:00u 0 -'
+    ];
+
+    var CET_RULES = [
+        {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 3600,
+            timeDefinition: 'UTC', standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+        {month: 10, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 3600,
+            timeDefinition: 'UTC', standardOffset: 3600, offsetBefore: 7200, offsetAfter: 3600}
+    ];
+
+    function compile(lines, zoneId) {
+        return compileZone(readTzdata(lines.join('\n') + '\n'), zoneId);
+    }
+
+    function epochSecond(text) {
+        return Instant.parse(text).epochSecond();
+    }
+
+    describe('readTzdata()', () => {
+
+        it('should read the version, rules, zones and links', () => {
+            var tzdata = readTzdata('# version 2016f\n' +
+                '# Rule NAME FROM TO - IN ON AT SAVE LETTER/S\n' +
+                'Rule EU 1981 max - Mar lastSun 1:00u 1:00 S # comment\n' +
+                'Zone Europe/Berlin 0:53:28 - LMT 1893 Apr\n' +
+                '\t\t\t1:00 EU CE%sT\n' +
+                'Link Europe/Berlin Arctic/Longyearbyen\n');
+            assertEquals(tzdata.version, '2016f');
+            assertEquals(tzdata.rules, {EU: [{fromYear: 1981, toYear: Infinity, month: 3,
+                day: {dayOfMonth: null, dayOfWeek: 7, type: 'last'}, time: 3600, timeDefinition: 'UTC', save: 3600}]});
+            assertEquals(tzdata.zones, {'Europe/Berlin': [
+                {standardOffset: 3208, rules: null, save: 0,
+                    until: {year: 1893, localSecond: epochSecond('1893-04-01T00:00:00Z'), timeDefinition: 'WALL'}},
+                {standardOffset: 3600, rules: 'EU', save: 0, until: null}
+            ]});
+            assertEquals(tzdata.links, {'Arctic/Longyearbyen': 'Europe/Berlin'});
+        });
+
+        it('should read the abbreviations of the tzdata.zi file', () => {
+            var tzdata = readTzdata('R E 1981 ma - Mar lSu 1u 1 S\nR E 1996 ma - O lSu 1u 0 -\n' +
+                'Z Europe/Berlin 0:53:28 - LMT 1893 Ap\n1 E CE%sT\nL Europe/Berlin Arctic/Longyearbyen\n');
+            assertEquals(tzdata.rules.E.map((rule) => [rule.fromYear, rule.toYear, rule.month, rule.day.type, rule.time]),
+                [[1981, Infinity, 3, 'last', 3600], [1996, Infinity, 10, 'last', 3600]]);
+            assertEquals(tzdata.zones['Europe/Berlin'].map((era) => era.standardOffset), [3208, 3600]);
+            assertEquals(tzdata.links, {'Arctic/Longyearbyen': 'Europe/Berlin'});
+        });
+
+        it('should add the content to the tzdata', () => {
+            var tzdata = readTzdata('Zone Etc/UTC 0 - UTC\n');
+            assertEquals(readTzdata('Link Etc/UTC UTC\n', tzdata), tzdata);
+            assertEquals(Object.keys(tzdata.zones), ['Etc/UTC']);
+            assertEquals(tzdata.links, {'UTC': 'Etc/UTC'});
+        });
+
+        it('should fail for invalid lines with their line number', () => {
+            expect(() => {
+                readTzdata('\nRule X 1990 only - Foo 1 0 1 -\n');
+            }).to.throw(Error, 'Invalid month Foo in line 2');
+            expect(() => {
+                readTzdata('Rule X 1990 only - Ma 1 0 1 -\n');
+            }).to.throw(Error, 'Invalid month Ma in line 1');
+            expect(() => {
+                readTzdata('Zone Test/Zone 1:00 - CET 1990\n');
+            }).to.throw(Error, 'Missing continuation line');
+            expect(() => {
+                readTzdata('Zone Test/Zone 1:00 - CET\nZone Test/Zone 1:00 - CET\n');
+            }).to.throw(Error, 'Duplicate zone Test/Zone');
+        });
+
+    });
+
+    describe('compileZone()', () => {
+
+        it('should end the transitions with the first year of the last rules', () => {
+            var zoneData = compile(EU_RULES.concat(['Zone Test/Zone 0:53:28 - LMT 1893 Apr', '1:00 EU CE%sT']), 'Test/Zone');
+            assertEquals(zoneData, {
+                transitions: [epochSecond('1893-03-31T23:06:32Z'), epochSecond('1977-04-03T01:00:00Z'),
+                    epochSecond('1977-09-25T01:00:00Z')].concat(zoneData.transitions.slice(3)),
+                offsets: zoneData.offsets,
+                lastRules: CET_RULES,
+                standardTransitions: [epochSecond('1893-03-31T23:06:32Z')],
+                standardOffsets: [3208, 3600]
+            });
+            assertEquals(zoneData.transitions[zoneData.transitions.length - 1], epochSecond('1996-10-27T01:00:00Z'));
+            assertEquals(zoneData.offsets.slice(0, 4), [3208, 3600, 7200, 3600]);
+            assertEquals(zoneData.offsets.length, zoneData.transitions.length + 1);
+        });
+
+        it('should start the rules of an era with the rule in effect at its start', () => {
+            // summer time without end from 1981 to 1996
+            var zoneData = compile(['R E 1981 ma - Mar lSu 1u 1 S', 'R E 1996 ma - O lSu 1u 0 -',
+                'Z Test/Zone 0:53:28 - LMT 1893 Ap', '1 E CE%sT'], 'Test/Zone');
+            assertEquals(zoneData, {
+                transitions: [epochSecond('1893-03-31T23:06:32Z'), epochSecond('1981-03-29T01:00:00Z'),
+                    epochSecond('1996-10-27T01:00:00Z'), epochSecond('1997-03-30T01:00:00Z'), epochSecond('1997-10-26T01:00:00Z')],
+                offsets: [3208, 3600, 7200, 3600, 7200, 3600],
+                lastRules: CET_RULES,
+                standardTransitions: [epochSecond('1893-03-31T23:06:32Z')],
+                standardOffsets: [3208, 3600]
+            });
+
+            // the rules take effect in the middle of the summer time
+            zoneData = compile(EU_RULES.concat(['Zone Test/Zone 1:00 - CET 1980 Jul', '1:00 EU CE%sT']), 'Test/Zone');
+            assertEquals(zoneData.transitions.slice(0, 2), [epochSecond('1980-06-30T23:00:00Z'), epochSecond('1980-09-28T01:00:00Z')]);
+            assertEquals(zoneData.offsets.slice(0, 3), [3600, 7200, 3600]);
+        });
+
+        it('should compile eras with a fixed amount of saved time and their standard offsets', () => {
+            assertEquals(compile(['Zone Test/Zone 2:00 - EET 1990', '2:00 1:00 EEST 1991 Mar 31 2:00s', '3:00 - MSK'], 'Test/Zone'), {
+                transitions: [epochSecond('1989-12-31T22:00:00Z')],
+                offsets: [7200, 10800],
+                lastRules: [],
+                standardTransitions: [epochSecond('1991-03-31T00:00:00Z')],
+                standardOffsets: [7200, 10800]
+            });
+        });
+
+        it('should merge a transition taking effect at the same local time as the preceding one', () => {
+            // the standard offset and the saved time change at the same local time, without changing the wall offset
+            var zoneData = compile(['Rule Arg 1999 only - Oct Sun>=1 0:00 1:00 -', 'Rule Arg 2000 only - Mar 3 0:00 0 -',
+                'Zone Test/Zone -3:00 - -03 1999 Oct 3', '-4:00 Arg -04/-03 2000 Mar 3', '-3:00 - -03'], 'Test/Zone');
+            assertEquals(zoneData, {
+                transitions: [],
+                offsets: [-10800],
+                lastRules: [],
+                standardTransitions: [epochSecond('1999-10-03T03:00:00Z'), epochSecond('2000-03-03T03:00:00Z')],
+                standardOffsets: [-10800, -14400, -10800]
+            });
+        });
+
+        it('should describe the years after the transitions by the last rules', () => {
+            var rules = new TzdbZoneRulesProvider({zones: {
+                'Test/Zone': compile(['Rule US 2007 max - Mar Sun>=8 2:00 1:00 D', 'Rule US 2007 max - Nov Sun>=1 2:00 0 S',
+                    'Zone Test/Zone -5:00 - EST 2008', '-5:00 US E%sT'], 'Test/Zone')
+            }, links: {}}).provideRules('Test/Zone');
+            assertEquals(rules.offset(Instant.parse('2040-03-11T06:59:59Z')), ZoneOffset.ofHours(-5));
+            assertEquals(rules.offset(Instant.parse('2040-03-11T07:00:00Z')), ZoneOffset.ofHours(-4));
+            assertEquals(rules.offset(Instant.parse('2040-11-04T05:59:59Z')), ZoneOffset.ofHours(-4));
+            assertEquals(rules.offset(Instant.parse('2040-11-04T06:00:00Z')), ZoneOffset.ofHours(-5));
+        });
+
+        it('should move times outside of the day of the last rules to other days', () => {
+            var zoneData = compile(['Rule Test 2016 max - Mar Sat<=30 25:00 1:00 S', 'Rule Test 2016 max - Oct Sun>=8 -1:00 0 -',
+                'Zone Test/Zone 2:00 Test EE%sT'], 'Test/Zone');
+            assertEquals(zoneData.lastRules.map((rule) => [rule.month, rule.dayOfMonthIndicator, rule.dayOfWeek, rule.secondOfDay]),
+                [[3, -1, 7, 3600], [10, 7, 6, 82800]]);
+        });
+
+        it('should fail for unknown zones and rules', () => {
+            expect(() => {
+                compile([], 'Test/Zone');
+            }).to.throw(Error, 'Unknown zone Test/Zone');
+            expect(() => {
+                compile(['Zone Test/Zone 1:00 EU CE%sT'], 'Test/Zone');
+            }).to.throw(Error, 'Unknown rules EU of Test/Zone');
+        });
+
+    });
+
+});
@@ -0,0 +1,161 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {expect} from 'chai';
+import {assertEquals} from '../testUtils';
+
+import '../_init';
+
+import {Instant} from '../../src/Instant';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {TzdbPackedData} from '../../src/zone/TzdbPackedData';
+import {TzdbZoneRulesProvider} from '../../src/zone/TzdbZoneRulesProvider';
+
+import {packTzdb, readTzdataFiles, subsetZone} from '../../tools/tzdb/TzdbPacker';
+
+describe('tools/TzdbPackerTest.js', () => {
+
+    var CET_RULES = [
+        {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 7200,
+            timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+        {month: 10, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 10800,
+            timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 7200, offsetAfter: 3600}
+    ];
+
+    describe('subsetZone()', () => {
+
+        var ZONE_DATA = {
+            transitions: [-1000, 1364688000, 1382835600, 1396141200, 1414285200],
+            offsets: [3208, 3600, 7200, 3600, 7200, 3600],
+            lastRules: CET_RULES,
+            standardTransitions: [-1000],
+            standardOffsets: [3208, 3600]
+        };
+
+        it('should keep all transitions without years', () => {
+            assertEquals(subsetZone(ZONE_DATA), ZONE_DATA);
+        });
+
+        it('should keep the transitions of the years', () => {
+            assertEquals(subsetZone(ZONE_DATA, 2013, 2014), {
+                transitions: [1364688000, 1382835600, 1396141200, 1414285200],
+                offsets: [3600, 7200, 3600, 7200, 3600],
+                lastRules: CET_RULES,
+                standardTransitions: [],
+                standardOffsets: [3600]
+            });
+            assertEquals(subsetZone(ZONE_DATA, 1960, 2013), {
+                transitions: [-1000, 1364688000, 1382835600],
+                offsets: [3208, 3600, 7200, 3600],
+                lastRules: [],
+                standardTransitions: [-1000],
+                standardOffsets: [3208, 3600]
+            });
+            assertEquals(subsetZone(ZONE_DATA, 1960, 1960), {
+                transitions: [],
+                offsets: [3208],
+                lastRules: [],
+                standardTransitions: [],
+                standardOffsets: [3208]
+            });
+        });
+
+        it('should keep the last transition before the last rules', () => {
+            assertEquals(subsetZone(ZONE_DATA, 2016, 2036), {
+                transitions: [1414285200],
+                offsets: [7200, 3600],
+                lastRules: CET_RULES,
+                standardTransitions: [],
+                standardOffsets: [3600]
+            });
+        });
+
+    });
+
+    describe('packTzdb()', () => {
+
+        var EUROPE = 'Rule EU 1981 max - Mar lastSun 1:00u 1:00 S\nRule EU 1996 max - Oct lastSun 1:00u 0 -\n' +
+            'Zone Europe/Berlin 0:53:28 - LMT 1893 Apr\n\t\t\t1:00 EU CE%sT\n';
+
+        var tzdataDir;
+        var tzdataFiles = {
+            'europe': EUROPE,
+            'etcetera': 'Zone Etc 0 - UTC\n',
+            'backward': 'Link Europe/Berlin Arctic/Longyearbyen\nLink Arctic/Longyearbyen Atlantic/Jan_Mayen\nLink Etc UTC\n',
+            'version': '2016f\n',
+            'tzdata.zi': '# version 2016g\n' + EUROPE + 'Link Europe/Berlin Arctic/Longyearbyen\n'
+        };
+
+        before(() => {
+            tzdataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tzdata-'));
+            Object.keys(tzdataFiles).forEach((file) => {
+                fs.writeFileSync(path.join(tzdataDir, file), tzdataFiles[file]);
+            });
+        });
+
+        after(() => {
+            Object.keys(tzdataFiles).forEach((file) => {
+                fs.unlinkSync(path.join(tzdataDir, file));
+            });
+            fs.rmdirSync(tzdataDir);
+        });
+
+        it('should read the source files and the version of the tzdata directory', () => {
+            var tzdata = readTzdataFiles(tzdataDir);
+            assertEquals(tzdata.version, '2016f');
+            assertEquals(Object.keys(tzdata.zones), ['Europe/Berlin', 'Etc']);
+            assertEquals(tzdata.links, {
+                'Arctic/Longyearbyen': 'Europe/Berlin',
+                'Atlantic/Jan_Mayen': 'Arctic/Longyearbyen',
+                'UTC': 'Etc'
+            });
+        });
+
+        it('should fail without tzdata source files', () => {
+            expect(() => {
+                packTzdb({});
+            }).to.throw(Error);
+            expect(() => {
+                packTzdb({tzdata: os.tmpdir()});
+            }).to.throw(Error);
+        });
+
+        it('should pack all zones and links of the tzdata directory', () => {
+            var packed = packTzdb({tzdata: tzdataDir});
+            assertEquals(packed.version, '2016f');
+            assertEquals(packed.zones.map((zone) => zone.split('|')[0]), ['Etc', 'Europe/Berlin']);
+            assertEquals(TzdbPackedData.unpack(packed).links, {
+                'Arctic/Longyearbyen': 'Europe/Berlin',
+                'Atlantic/Jan_Mayen': 'Europe/Berlin',
+                'UTC': 'Etc'
+            });
+        });
+
+        it('should pack a single source file', () => {
+            var packed = packTzdb({tzdata: path.join(tzdataDir, 'tzdata.zi')});
+            assertEquals(packed.version, '2016g');
+            var data = TzdbPackedData.unpack(packed);
+            assertEquals(Object.keys(data.zones), ['Europe/Berlin']);
+            assertEquals(data.links, {'Arctic/Longyearbyen': 'Europe/Berlin'});
+        });
+
+        it('should pack a subset of the zones and years', () => {
+            var packed = packTzdb({tzdata: tzdataDir, zones: ['Atlantic/Jan_Mayen'], fromYear: 2016, toYear: 2036, links: false});
+            var data = TzdbPackedData.unpack(packed);
+            assertEquals(Object.keys(data.zones), ['Europe/Berlin']);
+            assertEquals(data.links, {'Atlantic/Jan_Mayen': 'Europe/Berlin'});
+
+            var rules = new TzdbZoneRulesProvider(data).provideRules('Atlantic/Jan_Mayen');
+            assertEquals(rules.offset(Instant.parse('2030-07-01T00:00:00Z')), ZoneOffset.ofHours(2));
+            assertEquals(rules.offset(Instant.parse('2030-12-01T00:00:00Z')), ZoneOffset.ofHours(1));
+        });
+
+    });
+
+});
@@ -0,0 +1,230 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals, assertSame} from '../testUtils';
+
+import '../_init';
+
+import {ZoneRulesException} from '../../src/errors';
+import {Instant} from '../../src/Instant';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {IntlZoneRules} from '../../src/zone/IntlZoneRules';
+import {IntlZoneRulesProvider} from '../../src/zone/IntlZoneRulesProvider';
+import {TzdbZoneRulesProvider} from '../../src/zone/TzdbZoneRulesProvider';
+import {ZoneRulesProvider} from '../../src/zone/ZoneRulesProvider';
+
+import {TZDB_TEST_DATA} from './TzdbTestData';
+
+describe('zone/IntlZoneRulesTest.js', function () {
+
+    before(function () {
+        if (IntlZoneRulesProvider.isSupported() === false) {
+            this.skip();
+        }
+    });
+
+    var TZDB = new TzdbZoneRulesProvider(TZDB_TEST_DATA);
+
+    var ZONES = ['Europe/Berlin', 'Europe/London', 'America/New_York', 'Australia/Sydney', 'Asia/Kolkata'];
+
+    describe('IntlZoneRules', () => {
+
+        it('should return the offsets of the tzdb around each transition', () => {
+            ZONES.forEach((zoneId) => {
+                var rules = new IntlZoneRules(zoneId);
+                var expected = TZDB.provideRules(zoneId);
+                expected.transitions().forEach((trans) => {
+                    var instant = trans.instant();
+                    assertEquals(rules.offset(instant.minusSeconds(1)), trans.offsetBefore(), zoneId + ' ' + instant);
+                    assertEquals(rules.offset(instant), trans.offsetAfter(), zoneId + ' ' + instant);
+                    assertEquals(rules.offsetOfEpochMilli(instant.toEpochMilli() - 1), trans.offsetBefore(), zoneId + ' ' + instant);
+                });
+            });
+        });
+
+        it('should find the transitions of the tzdb', () => {
+            ZONES.forEach((zoneId) => {
+                var rules = new IntlZoneRules(zoneId);
+                var expected = TZDB.provideRules(zoneId);
+                var instant = Instant.parse('2010-01-01T00:00:00Z');
+                for (var i = 0; i < 10; i++) {
+                    var trans = expected.nextTransition(instant);
+                    if (trans == null || trans.instant().epochSecond() - instant.epochSecond() > 365 * 86400) {
+                        expect(rules.nextTransition(instant), zoneId + ' ' + instant).to.be.null;
+                        break;
+                    }
+                    assertEquals(rules.nextTransition(instant), trans, zoneId + ' ' + instant);
+                    assertEquals(rules.previousTransition(trans.instant().plusSeconds(1)), trans, zoneId + ' ' + instant);
+                    instant = trans.instant();
+                }
+            });
+        });
+
+        it('should return the offsets of the tzdb for local date-times', () => {
+            ZONES.forEach((zoneId) => {
+                var rules = new IntlZoneRules(zoneId);
+                var expected = TZDB.provideRules(zoneId);
+                expected.transitions().filter((trans) => trans.instant().epochSecond() > 0).forEach((trans) => {
+                    [-1, 0, 1800, 3600].forEach((seconds) => {
+                        var ldt = trans.dateTimeBefore().plusSeconds(seconds);
+                        var message = zoneId + ' ' + ldt;
+                        assertEquals(rules.validOffsets(ldt), expected.validOffsets(ldt), message);
+                        assertEquals(rules.transition(ldt), expected.transition(ldt), message);
+                        assertEquals(rules.offset(ldt), expected.offset(ldt), message);
+                        assertEquals(rules.isValidOffset(ldt, trans.offsetAfter()), expected.isValidOffset(ldt, trans.offsetAfter()), message);
+                    });
+                });
+            });
+        });
+
+        it('should handle gaps and overlaps', () => {
+            var rules = new IntlZoneRules('Europe/Berlin');
+            var gap = LocalDateTime.of(2016, 3, 27, 2, 30);
+            assertEquals(rules.validOffsets(gap).length, 0);
+            assertEquals(rules.transition(gap).isGap(), true);
+            assertEquals(rules.offset(gap), ZoneOffset.ofHours(1));
+            var overlap = LocalDateTime.of(2016, 10, 30, 2, 30);
+            assertEquals(rules.validOffsets(overlap), [ZoneOffset.ofHours(2), ZoneOffset.ofHours(1)]);
+            assertEquals(rules.transition(overlap).isOverlap(), true);
+            assertEquals(rules.offset(overlap), ZoneOffset.ofHours(2));
+        });
+
+        it('should return the offset of a zone without daylight savings', () => {
+            var rules = new IntlZoneRules('Asia/Tokyo');
+            var instant = Instant.parse('2016-07-01T00:00:00Z');
+            assertEquals(rules.isFixedOffset(), false);
+            assertEquals(rules.offset(instant), ZoneOffset.ofHours(9));
+            expect(rules.nextTransition(instant)).to.be.null;
+            expect(rules.previousTransition(instant)).to.be.null;
+            assertEquals(rules.transitions(), []);
+            assertEquals(rules.transitionRules(), []);
+        });
+
+        it('should return the smaller offset of winter and summer as standard offset', () => {
+            var berlin = new IntlZoneRules('Europe/Berlin');
+            var summer = Instant.parse('2016-07-01T00:00:00Z');
+            assertEquals(berlin.standardOffset(summer), ZoneOffset.ofHours(1));
+            assertEquals(berlin.isDaylightSavings(summer), true);
+            assertEquals(berlin.daylightSavings(summer).toString(), 'PT1H');
+            var sydney = new IntlZoneRules('Australia/Sydney');
+            assertEquals(sydney.standardOffset(summer), ZoneOffset.ofHours(10));
+            assertEquals(sydney.isDaylightSavings(summer), false);
+            var tokyo = new IntlZoneRules('Asia/Tokyo');
+            assertEquals(tokyo.standardOffset(summer), ZoneOffset.ofHours(9));
+            assertEquals(tokyo.isDaylightSavings(summer), false);
+        });
+
+        it('should use the offset of the nearest instant supported by Date', () => {
+            var rules = new IntlZoneRules('Asia/Tokyo');
+            assertEquals(rules.offset(Instant.MAX), ZoneOffset.ofHours(9));
+            assertEquals(rules.offset(LocalDateTime.MAX), ZoneOffset.ofHours(9));
+            expect(rules.offset(Instant.MIN)).to.be.instanceOf(ZoneOffset);
+        });
+
+        it('should fail for a zone not supported by the runtime', () => {
+            expect(() => {
+                new IntlZoneRules('Europe/Unknown');
+            }).to.throw(RangeError);
+        });
+
+        it('should implement equals() and toString()', () => {
+            var rules = new IntlZoneRules('Asia/Tokyo');
+            assertEquals(rules.equals(rules), true);
+            assertEquals(rules.equals(new IntlZoneRules('Asia/Tokyo')), true);
+            assertEquals(rules.equals(new IntlZoneRules('Europe/Berlin')), false);
+            assertEquals(rules.equals(TZDB.provideRules('Europe/Berlin')), false);
+            assertEquals(rules.equals(null), false);
+            assertEquals(rules.zoneId(), 'Asia/Tokyo');
+            assertEquals(rules.toString(), 'IntlZoneRules[zoneId=Asia/Tokyo]');
+        });
+
+    });
+
+    describe('IntlZoneRulesProvider', () => {
+
+        it('should provide the zone ids listed by the runtime', () => {
+            var provider = new IntlZoneRulesProvider();
+            expect(provider.provideZoneIds()).to.include('Asia/Tokyo');
+            expect(provider.provideRules('Asia/Tokyo')).to.be.instanceOf(IntlZoneRules);
+            assertSame(provider.provideRules('Asia/Tokyo'), provider.provideRules('Asia/Tokyo'));
+            assertEquals(provider.toString(), 'Intl');
+        });
+
+        it('should provide the rules of the runtime zone of an alias', () => {
+            var provider = new IntlZoneRulesProvider(['US/Eastern', 'America/New_York']);
+            assertEquals(provider.provideZoneIds(), ['US/Eastern', 'America/New_York']);
+            assertEquals(provider.provideCanonicalId('US/Eastern'), 'America/New_York');
+            assertEquals(provider.provideCanonicalId('America/New_York'), 'America/New_York');
+            assertSame(provider.provideRules('US/Eastern'), provider.provideRules('America/New_York'));
+        });
+
+        it('should provide the rules of any zone id supported by the runtime', () => {
+            var provider = new IntlZoneRulesProvider(['Asia/Tokyo']);
+            assertEquals(provider.provideZoneIds(), ['Asia/Tokyo']);
+            ['Asia/Kolkata', 'Europe/Kyiv', 'US/Eastern', 'Etc/GMT+5'].forEach((zoneId) => {
+                assertEquals(provider.provideSupportsZoneId(zoneId), true);
+                expect(provider.provideRules(zoneId)).to.be.instanceOf(IntlZoneRules);
+            });
+            assertEquals(provider.provideRules('Asia/Kolkata').offset(Instant.parse('2016-07-01T00:00:00Z')), ZoneOffset.ofHoursMinutes(5, 30));
+            assertEquals(provider.provideRules('Europe/Kyiv').offset(Instant.parse('2016-07-01T00:00:00Z')), ZoneOffset.ofHours(3));
+            assertEquals(provider.provideCanonicalId('US/Eastern'), 'America/New_York');
+        });
+
+        it('should fail for an unknown zone id', () => {
+            var provider = new IntlZoneRulesProvider(['Asia/Tokyo']);
+            assertEquals(provider.provideSupportsZoneId('Europe/Unknown'), false);
+            assertEquals(provider.provideCanonicalId('Europe/Unknown'), 'Europe/Unknown');
+            expect(() => {
+                provider.provideRules('Europe/Unknown');
+            }).to.throw(ZoneRulesException);
+        });
+
+        it('should list no zone ids if the runtime does not list them', () => {
+            var supportedValuesOf = Intl.supportedValuesOf;
+            Intl.supportedValuesOf = undefined;
+            try {
+                var provider = new IntlZoneRulesProvider();
+                assertEquals(provider.provideZoneIds(), []);
+                assertEquals(provider.provideCanonicalId('US/Eastern'), 'America/New_York');
+            } finally {
+                Intl.supportedValuesOf = supportedValuesOf;
+            }
+        });
+
+        it('should fail for a zone id not supported by the runtime', () => {
+            expect(() => {
+                new IntlZoneRulesProvider(['Asia/Tokyo', 'Europe/Unknown']);
+            }).to.throw(ZoneRulesException);
+        });
+
+        it('should be usable by ZoneId.of() once registered', () => {
+            ZoneRulesProvider.registerProvider(new IntlZoneRulesProvider(['Asia/Tokyo', 'Japan']));
+            var zdt = ZonedDateTime.of(LocalDateTime.of(2016, 7, 1, 12, 0), ZoneId.of('Japan'));
+            assertEquals(zdt.toString(), '2016-07-01T12:00+09:00[Japan]');
+            assertEquals(zdt.zone().canonicalId(), 'Asia/Tokyo');
+            assertEquals(zdt.toInstant(), Instant.parse('2016-07-01T03:00:00Z'));
+            assertEquals(ZoneId.of('Asia/Tokyo').rules(), zdt.zone().rules());
+        });
+
+        it('should resolve zone ids that are not listed by ZoneId.of() once registered', () => {
+            var instant = Instant.parse('2016-07-01T00:00:00Z');
+            assertEquals(ZonedDateTime.ofInstant(instant, ZoneId.of('Asia/Kolkata')).offset(), ZoneOffset.ofHoursMinutes(5, 30));
+            assertEquals(ZonedDateTime.ofInstant(instant, ZoneId.of('Europe/Kyiv')).offset(), ZoneOffset.ofHours(3));
+            assertEquals(ZonedDateTime.ofInstant(instant, ZoneId.of('US/Eastern')).offset(), ZoneOffset.ofHours(-4));
+            assertEquals(ZoneId.of('US/Eastern').canonicalId(), 'America/New_York');
+            assertEquals(ZonedDateTime.ofInstant(instant, ZoneId.of('Etc/GMT+5')).offset(), ZoneOffset.ofHours(-5));
+            expect(ZoneRulesProvider.getAvailableZoneIds()).to.not.include('Europe/Kyiv');
+            expect(() => {
+                ZoneId.of('Europe/Unknown');
+            }).to.throw(ZoneRulesException);
+        });
+
+    });
+
+});
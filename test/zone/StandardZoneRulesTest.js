@@ -0,0 +1,440 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals, dataProviderTest} from '../testUtils';
+
+import '../_init';
+
+import {IllegalArgumentException} from '../../src/errors';
+import {Duration} from '../../src/Duration';
+import {Instant} from '../../src/Instant';
+import {DayOfWeek} from '../../src/DayOfWeek';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {LocalTime} from '../../src/LocalTime';
+import {Month} from '../../src/Month';
+import {Year} from '../../src/Year';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {StandardZoneRules} from '../../src/zone/StandardZoneRules';
+import {ZoneOffsetTransition} from '../../src/zone/ZoneOffsetTransition';
+import {ZoneOffsetTransitionRule} from '../../src/zone/ZoneOffsetTransitionRule';
+
+describe('zone/StandardZoneRulesTest.js', () => {
+
+    var OFFSET_PONE = ZoneOffset.ofHours(1);
+    var OFFSET_PTWO = ZoneOffset.ofHours(2);
+    var OFFSET_M4 = ZoneOffset.ofHours(-4);
+    var OFFSET_M5 = ZoneOffset.ofHours(-5);
+
+    var PARIS = ZoneId.of('Europe/Paris');
+    var NEW_YORK = ZoneId.of('America/New_York');
+    var SYDNEY = ZoneId.of('Australia/Sydney');
+
+    var RULE_GAP = ZoneOffsetTransitionRule.of(Month.MARCH, -1, DayOfWeek.SUNDAY, LocalTime.of(1, 0), false,
+        ZoneOffsetTransitionRule.TimeDefinition.UTC, OFFSET_PONE, OFFSET_PONE, OFFSET_PTWO);
+    var RULE_OVERLAP = ZoneOffsetTransitionRule.of(Month.OCTOBER, -1, DayOfWeek.SUNDAY, LocalTime.of(1, 0), false,
+        ZoneOffsetTransitionRule.TimeDefinition.UTC, OFFSET_PONE, OFFSET_PTWO, OFFSET_PONE);
+
+    describe('of()', () => {
+
+        it('should create fixed rules without transitions', () => {
+            var rules = StandardZoneRules.of([], [OFFSET_PONE]);
+            assertEquals(rules.isFixedOffset(), true);
+            assertEquals(rules.offset(Instant.EPOCH), OFFSET_PONE);
+            assertEquals(rules.offset(LocalDateTime.of(2016, 6, 30, 0, 0)), OFFSET_PONE);
+        });
+
+        it('should fail if offsets do not match the transitions', () => {
+            expect(() => {
+                StandardZoneRules.of([0], [OFFSET_PONE]);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('should fail if last rules are given without transitions', () => {
+            expect(() => {
+                StandardZoneRules.of([], [OFFSET_PONE], [RULE_GAP, RULE_OVERLAP]);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('should fail if standard offsets do not match the standard transitions', () => {
+            expect(() => {
+                StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [], [0], [OFFSET_PONE]);
+            }).to.throw(IllegalArgumentException);
+        });
+
+    });
+
+    describe('offset(Instant)', () => {
+
+        it('Europe/Paris', () => {
+            var rules = PARIS.rules();
+            assertEquals(rules.isFixedOffset(), false);
+            dataProviderTest([
+                ['2008-01-01T00:00:00Z', OFFSET_PONE],
+                ['2008-03-30T00:59:59Z', OFFSET_PONE],
+                ['2008-03-30T01:00:00Z', OFFSET_PTWO],
+                ['2008-06-30T00:00:00Z', OFFSET_PTWO],
+                ['2008-10-26T00:59:59Z', OFFSET_PTWO],
+                ['2008-10-26T01:00:00Z', OFFSET_PONE]
+            ], (text, expected) => {
+                var instant = Instant.parse(text);
+                assertEquals(rules.offset(instant), expected, text);
+                assertEquals(rules.offsetOfEpochMilli(instant.toEpochMilli()), expected, text);
+            });
+        });
+
+        it('America/New_York', () => {
+            var rules = NEW_YORK.rules();
+            dataProviderTest([
+                ['2008-03-09T06:59:59Z', OFFSET_M5],
+                ['2008-03-09T07:00:00Z', OFFSET_M4],
+                ['2008-11-02T05:59:59Z', OFFSET_M4],
+                ['2008-11-02T06:00:00Z', OFFSET_M5]
+            ], (text, expected) => {
+                assertEquals(rules.offset(Instant.parse(text)), expected, text);
+            });
+        });
+
+        it('should use the offset of the first entry before the first transition', () => {
+            var rules = PARIS.rules();
+            assertEquals(rules.offset(Instant.parse('1800-01-01T00:00:00Z')), ZoneOffset.ofTotalSeconds(561));
+        });
+
+    });
+
+    describe('offset(LocalDateTime) / isValidOffset()', () => {
+
+        it('Europe/Paris', () => {
+            var rules = PARIS.rules();
+            dataProviderTest([
+                // normal
+                [LocalDateTime.of(2008, 6, 30, 11, 30), OFFSET_PTWO, [OFFSET_PTWO]],
+                [LocalDateTime.of(2008, 3, 30, 1, 59, 59), OFFSET_PONE, [OFFSET_PONE]],
+                [LocalDateTime.of(2008, 3, 30, 3, 0), OFFSET_PTWO, [OFFSET_PTWO]],
+                // gap, best offset is the offset before
+                [LocalDateTime.of(2008, 3, 30, 2, 0), OFFSET_PONE, []],
+                [LocalDateTime.of(2008, 3, 30, 2, 30), OFFSET_PONE, []],
+                // overlap, best offset is the offset before
+                [LocalDateTime.of(2008, 10, 26, 1, 59, 59), OFFSET_PTWO, [OFFSET_PTWO]],
+                [LocalDateTime.of(2008, 10, 26, 2, 0), OFFSET_PTWO, [OFFSET_PTWO, OFFSET_PONE]],
+                [LocalDateTime.of(2008, 10, 26, 2, 30), OFFSET_PTWO, [OFFSET_PTWO, OFFSET_PONE]],
+                [LocalDateTime.of(2008, 10, 26, 3, 0), OFFSET_PONE, [OFFSET_PONE]]
+            ], (ldt, expected, validOffsets) => {
+                assertEquals(rules.offset(ldt), expected, ldt.toString());
+                [OFFSET_PONE, OFFSET_PTWO].forEach((offset) => {
+                    var valid = validOffsets.some((validOffset) => validOffset.equals(offset));
+                    assertEquals(rules.isValidOffset(ldt, offset), valid, ldt + ' ' + offset);
+                });
+            });
+        });
+
+    });
+
+    describe('validOffsets() / transition()', () => {
+
+        it('Europe/Paris', () => {
+            var rules = PARIS.rules();
+            var gap = ZoneOffsetTransition.of(LocalDateTime.of(2008, 3, 30, 2, 0), OFFSET_PONE, OFFSET_PTWO);
+            var overlap = ZoneOffsetTransition.of(LocalDateTime.of(2008, 10, 26, 3, 0), OFFSET_PTWO, OFFSET_PONE);
+            dataProviderTest([
+                [LocalDateTime.of(2008, 6, 30, 11, 30), [OFFSET_PTWO], null],
+                [LocalDateTime.of(2008, 3, 30, 1, 59, 59), [OFFSET_PONE], null],
+                [LocalDateTime.of(2008, 3, 30, 2, 0), [], gap],
+                [LocalDateTime.of(2008, 3, 30, 2, 59, 59), [], gap],
+                [LocalDateTime.of(2008, 3, 30, 3, 0), [OFFSET_PTWO], null],
+                [LocalDateTime.of(2008, 10, 26, 1, 59, 59), [OFFSET_PTWO], null],
+                [LocalDateTime.of(2008, 10, 26, 2, 0), [OFFSET_PTWO, OFFSET_PONE], overlap],
+                [LocalDateTime.of(2008, 10, 26, 2, 59, 59), [OFFSET_PTWO, OFFSET_PONE], overlap],
+                [LocalDateTime.of(2008, 10, 26, 3, 0), [OFFSET_PONE], null]
+            ], (ldt, validOffsets, transition) => {
+                assertEquals(rules.validOffsets(ldt), validOffsets, ldt.toString());
+                assertEquals(rules.transition(ldt), transition, ldt.toString());
+            });
+        });
+
+        it('fixed rules', () => {
+            var rules = StandardZoneRules.of([], [OFFSET_PONE]);
+            assertEquals(rules.validOffsets(LocalDateTime.of(2008, 3, 30, 2, 0)), [OFFSET_PONE]);
+            assertEquals(rules.transition(LocalDateTime.of(2008, 3, 30, 2, 0)), null);
+        });
+
+    });
+
+    describe('nextTransition() / previousTransition()', () => {
+
+        var OVERLAP_2007 = ZoneOffsetTransition.of(LocalDateTime.of(2007, 10, 28, 3, 0), OFFSET_PTWO, OFFSET_PONE);
+        var GAP_2008 = ZoneOffsetTransition.of(LocalDateTime.of(2008, 3, 30, 2, 0), OFFSET_PONE, OFFSET_PTWO);
+        var OVERLAP_2008 = ZoneOffsetTransition.of(LocalDateTime.of(2008, 10, 26, 3, 0), OFFSET_PTWO, OFFSET_PONE);
+        var GAP_2009 = ZoneOffsetTransition.of(LocalDateTime.of(2009, 3, 29, 2, 0), OFFSET_PONE, OFFSET_PTWO);
+
+        it('Europe/Paris', () => {
+            var rules = PARIS.rules();
+            dataProviderTest([
+                [GAP_2008.instant().minusSeconds(1), OVERLAP_2007, GAP_2008],
+                [GAP_2008.instant(), OVERLAP_2007, OVERLAP_2008],
+                [GAP_2008.instant().plusNanos(1), GAP_2008, OVERLAP_2008],
+                [Instant.parse('2008-06-30T00:00:00Z'), GAP_2008, OVERLAP_2008],
+                [OVERLAP_2008.instant(), GAP_2008, GAP_2009],
+                [OVERLAP_2008.instant().plusSeconds(1), OVERLAP_2008, GAP_2009]
+            ], (instant, previous, next) => {
+                assertEquals(rules.nextTransition(instant), next, instant.toString());
+                assertEquals(rules.previousTransition(instant), previous, instant.toString());
+            });
+        });
+
+        it('should be consistent with the offsets', () => {
+            var rules = NEW_YORK.rules();
+            var instant = Instant.parse('2016-07-01T12:00:00Z');
+            var next = rules.nextTransition(instant);
+            assertEquals(next.toString(), 'Transition[Overlap at 2016-11-06T02:00-04:00 to -05:00]');
+            assertEquals(rules.offset(next.instant().minusSeconds(1)), next.offsetBefore());
+            assertEquals(rules.offset(next.instant()), next.offsetAfter());
+            var previous = rules.previousTransition(instant);
+            assertEquals(previous.toString(), 'Transition[Gap at 2016-03-13T02:00-05:00 to -04:00]');
+            assertEquals(rules.nextTransition(previous.instant().minusSeconds(1)), previous);
+        });
+
+        it('should return null before the first and after the last transition', () => {
+            var rules = StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO]);
+            assertEquals(rules.previousTransition(Instant.EPOCH), null);
+            assertEquals(rules.previousTransition(Instant.ofEpochSecond(1)), rules.transitions()[0]);
+            assertEquals(rules.nextTransition(Instant.ofEpochSecond(-1)), rules.transitions()[0]);
+            assertEquals(rules.nextTransition(Instant.EPOCH), null);
+            var fixed = StandardZoneRules.of([], [OFFSET_PONE]);
+            assertEquals(fixed.nextTransition(Instant.EPOCH), null);
+            assertEquals(fixed.previousTransition(Instant.EPOCH), null);
+        });
+
+    });
+
+    describe('last rules', () => {
+
+        it('should use the last rules after the last transition', () => {
+            var rules = PARIS.rules();
+            var transitions = rules.transitions();
+            assertEquals(transitions[transitions.length - 1].dateTimeBefore().year(), 1996);
+            dataProviderTest([
+                ['2050-03-27T00:59:59Z', OFFSET_PONE],
+                ['2050-03-27T01:00:00Z', OFFSET_PTWO],
+                ['2050-10-30T00:59:59Z', OFFSET_PTWO],
+                ['2050-10-30T01:00:00Z', OFFSET_PONE],
+                ['2200-07-01T00:00:00Z', OFFSET_PTWO],
+                ['3000-12-01T00:00:00Z', OFFSET_PONE]
+            ], (text, expected) => {
+                assertEquals(rules.offset(Instant.parse(text)), expected, text);
+            });
+        });
+
+        it('should find gaps and overlaps of the last rules', () => {
+            var rules = PARIS.rules();
+            dataProviderTest([
+                [LocalDateTime.of(2050, 3, 27, 2, 30), [],
+                    ZoneOffsetTransition.of(LocalDateTime.of(2050, 3, 27, 2, 0), OFFSET_PONE, OFFSET_PTWO)],
+                [LocalDateTime.of(2050, 10, 30, 2, 30), [OFFSET_PTWO, OFFSET_PONE],
+                    ZoneOffsetTransition.of(LocalDateTime.of(2050, 10, 30, 3, 0), OFFSET_PTWO, OFFSET_PONE)],
+                [LocalDateTime.of(2500, 3, 28, 2, 30), [],
+                    ZoneOffsetTransition.of(LocalDateTime.of(2500, 3, 28, 2, 0), OFFSET_PONE, OFFSET_PTWO)],
+                [LocalDateTime.of(2500, 6, 1, 0, 0), [OFFSET_PTWO], null]
+            ], (ldt, validOffsets, transition) => {
+                assertEquals(rules.validOffsets(ldt), validOffsets, ldt.toString());
+                assertEquals(rules.transition(ldt), transition, ldt.toString());
+            });
+        });
+
+        it('should use the last rules of the southern hemisphere', () => {
+            var rules = SYDNEY.rules();
+            var OFFSET_P10 = ZoneOffset.ofHours(10);
+            var OFFSET_P11 = ZoneOffset.ofHours(11);
+            assertEquals(rules.offset(Instant.parse('2050-01-01T00:00:00Z')), OFFSET_P11);
+            assertEquals(rules.offset(Instant.parse('2050-07-01T00:00:00Z')), OFFSET_P10);
+            assertEquals(rules.nextTransition(Instant.parse('2050-01-01T00:00:00Z')),
+                ZoneOffsetTransition.of(LocalDateTime.of(2050, 4, 3, 3, 0), OFFSET_P11, OFFSET_P10));
+            assertEquals(rules.previousTransition(Instant.parse('2050-01-01T00:00:00Z')),
+                ZoneOffsetTransition.of(LocalDateTime.of(2049, 10, 3, 2, 0), OFFSET_P10, OFFSET_P11));
+        });
+
+        it('should continue the transitions across the last transition', () => {
+            var rules = PARIS.rules();
+            var transitions = rules.transitions();
+            var last = transitions[transitions.length - 1];
+            var first = ZoneOffsetTransition.of(LocalDateTime.of(1997, 3, 30, 2, 0), OFFSET_PONE, OFFSET_PTWO);
+            assertEquals(rules.nextTransition(last.instant().minusSeconds(1)), last);
+            assertEquals(rules.nextTransition(last.instant()), first);
+            assertEquals(rules.previousTransition(first.instant()), last);
+            assertEquals(rules.previousTransition(first.instant().plusSeconds(1)), first);
+            assertEquals(rules.nextTransition(Instant.parse('2500-06-01T00:00:00Z')),
+                ZoneOffsetTransition.of(LocalDateTime.of(2500, 10, 31, 3, 0), OFFSET_PTWO, OFFSET_PONE));
+            assertEquals(rules.previousTransition(Instant.parse('2500-06-01T00:00:00Z')),
+                ZoneOffsetTransition.of(LocalDateTime.of(2500, 3, 28, 2, 0), OFFSET_PONE, OFFSET_PTWO));
+        });
+
+        it('should end the transitions with the last supported year', () => {
+            var rules = PARIS.rules();
+            assertEquals(rules.nextTransition(Instant.MAX), null);
+            assertEquals(rules.previousTransition(Instant.MAX).dateTimeBefore().year(), Year.MAX_VALUE);
+        });
+
+        it('should be consistent with the offsets of the last rules', () => {
+            var rules = StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [RULE_GAP, RULE_OVERLAP]);
+            var instant = Instant.EPOCH;
+            for (var i = 0; i < 20; i++) {
+                var next = rules.nextTransition(instant);
+                assertEquals(rules.offset(next.instant().minusSeconds(1)), next.offsetBefore(), next.toString());
+                assertEquals(rules.offset(next.instant()), next.offsetAfter(), next.toString());
+                assertEquals(rules.previousTransition(next.instant().plusSeconds(1)), next, next.toString());
+                instant = next.instant();
+            }
+            assertEquals(instant, LocalDateTime.of(1979, 10, 28, 1, 0).toInstant(ZoneOffset.UTC));
+        });
+
+        it('transitionRules()', () => {
+            assertEquals(PARIS.rules().transitionRules().length, 2);
+            assertEquals(StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [RULE_GAP, RULE_OVERLAP]).transitionRules(),
+                [RULE_GAP, RULE_OVERLAP]);
+            assertEquals(StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO]).transitionRules(), []);
+        });
+
+    });
+
+    describe('standardOffset() / daylightSavings() / isDaylightSavings()', () => {
+
+        it('should return the standard offset of the transitions', () => {
+            dataProviderTest([
+                [PARIS, '2016-01-15T12:00:00Z', OFFSET_PONE, OFFSET_PONE],
+                [PARIS, '2016-07-15T12:00:00Z', OFFSET_PTWO, OFFSET_PONE],
+                [PARIS, '2208-07-15T12:00:00Z', OFFSET_PTWO, OFFSET_PONE],
+                [PARIS, '1850-01-01T00:00:00Z', ZoneOffset.ofTotalSeconds(561), ZoneOffset.ofTotalSeconds(561)],
+                [NEW_YORK, '2016-01-15T12:00:00Z', OFFSET_M5, OFFSET_M5],
+                [NEW_YORK, '2016-07-15T12:00:00Z', OFFSET_M4, OFFSET_M5],
+                [SYDNEY, '2016-01-15T12:00:00Z', ZoneOffset.ofHours(11), ZoneOffset.ofHours(10)],
+                [SYDNEY, '2016-07-15T12:00:00Z', ZoneOffset.ofHours(10), ZoneOffset.ofHours(10)],
+                [ZoneId.of('Europe/London'), '1944-07-15T12:00:00Z', OFFSET_PTWO, ZoneOffset.UTC]
+            ], (zone, text, offset, standardOffset) => {
+                var rules = zone.rules();
+                var instant = Instant.parse(text);
+                assertEquals(rules.offset(instant), offset);
+                assertEquals(rules.standardOffset(instant), standardOffset);
+                assertEquals(rules.daylightSavings(instant), Duration.ofSeconds(offset.totalSeconds() - standardOffset.totalSeconds()));
+                assertEquals(rules.isDaylightSavings(instant), offset.equals(standardOffset) === false);
+            });
+        });
+
+        it('should switch at the standard transitions', () => {
+            var rules = StandardZoneRules.of([0, 3600], [OFFSET_PONE, OFFSET_PTWO, OFFSET_PONE], [], [1800], [OFFSET_PONE, OFFSET_PTWO]);
+            assertEquals(rules.standardOffset(Instant.ofEpochSecond(-1)), OFFSET_PONE);
+            assertEquals(rules.isDaylightSavings(Instant.ofEpochSecond(1799)), true);
+            assertEquals(rules.standardOffset(Instant.ofEpochSecond(1800)), OFFSET_PTWO);
+            assertEquals(rules.isDaylightSavings(Instant.ofEpochSecond(1800)), false);
+            assertEquals(rules.daylightSavings(Instant.ofEpochSecond(3600)), Duration.ofHours(-1));
+        });
+
+        it('should use the wall offsets as standard offsets without standard transitions', () => {
+            var rules = StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO]);
+            assertEquals(rules.standardOffset(Instant.ofEpochSecond(-1)), OFFSET_PONE);
+            assertEquals(rules.standardOffset(Instant.ofEpochSecond(0)), OFFSET_PTWO);
+            assertEquals(rules.isDaylightSavings(Instant.ofEpochSecond(0)), false);
+            assertEquals(rules.daylightSavings(Instant.ofEpochSecond(0)), Duration.ZERO);
+        });
+
+        it('should query a ZonedDateTime', () => {
+            var summer = ZonedDateTime.of(LocalDateTime.of(2016, 7, 1, 12, 0), PARIS);
+            assertEquals(summer.standardOffset(), OFFSET_PONE);
+            assertEquals(summer.isDaylightSavings(), true);
+            assertEquals(summer.daylightSavings(), Duration.ofHours(1));
+            var winter = ZonedDateTime.of(LocalDateTime.of(2016, 12, 1, 12, 0), PARIS);
+            assertEquals(winter.standardOffset(), OFFSET_PONE);
+            assertEquals(winter.isDaylightSavings(), false);
+            assertEquals(winter.daylightSavings(), Duration.ZERO);
+            var fixed = ZonedDateTime.of(LocalDateTime.of(2016, 7, 1, 12, 0), OFFSET_PTWO);
+            assertEquals(fixed.standardOffset(), OFFSET_PTWO);
+            assertEquals(fixed.isDaylightSavings(), false);
+        });
+
+        it('should switch a ZonedDateTime in an overlap', () => {
+            var earlier = ZonedDateTime.of(LocalDateTime.of(2016, 10, 30, 2, 30), PARIS);
+            var later = earlier.withLaterOffsetAtOverlap();
+            assertEquals(earlier.isDaylightSavings(), true);
+            assertEquals(later.isDaylightSavings(), false);
+            assertEquals(earlier.standardOffset(), later.standardOffset());
+        });
+
+    });
+
+    describe('transitions()', () => {
+
+        it('should list all transitions', () => {
+            var rules = StandardZoneRules.of([0, 3600], [OFFSET_PONE, OFFSET_PTWO, OFFSET_PONE]);
+            assertEquals(rules.transitions(), [
+                ZoneOffsetTransition.of(LocalDateTime.of(1970, 1, 1, 1, 0), OFFSET_PONE, OFFSET_PTWO),
+                ZoneOffsetTransition.of(LocalDateTime.of(1970, 1, 1, 3, 0), OFFSET_PTWO, OFFSET_PONE)
+            ]);
+            assertEquals(StandardZoneRules.of([], [OFFSET_PONE]).transitions(), []);
+        });
+
+        it('should be consistent with the offsets of a zone', () => {
+            var rules = PARIS.rules();
+            rules.transitions().forEach((transition) => {
+                assertEquals(rules.offset(transition.instant().minusSeconds(1)), transition.offsetBefore());
+                assertEquals(rules.offset(transition.instant()), transition.offsetAfter());
+            });
+        });
+
+    });
+
+    describe('ZonedDateTime', () => {
+
+        it('should shift a local date-time in a gap by the length of the gap', () => {
+            var test = ZonedDateTime.of(LocalDateTime.of(2008, 3, 9, 2, 30), NEW_YORK);
+            assertEquals(test.toLocalDateTime(), LocalDateTime.of(2008, 3, 9, 3, 30));
+            assertEquals(test.offset(), OFFSET_M4);
+            assertEquals(test.toString(), '2008-03-09T03:30-04:00[America/New_York]');
+        });
+
+        it('should use the earlier offset in an overlap', () => {
+            var test = ZonedDateTime.of(LocalDateTime.of(2008, 11, 2, 1, 30), NEW_YORK);
+            assertEquals(test.toLocalDateTime(), LocalDateTime.of(2008, 11, 2, 1, 30));
+            assertEquals(test.offset(), OFFSET_M4);
+        });
+
+        it('should retain the offset when adding across an overlap', () => {
+            var test = ZonedDateTime.of(LocalDateTime.of(2008, 11, 2, 0, 30), NEW_YORK).plusHours(2);
+            assertEquals(test.toString(), '2008-11-02T01:30-05:00[America/New_York]');
+        });
+
+        it('should convert an instant to the local date-time of the zone', () => {
+            var instant = Instant.parse('2016-07-01T12:00:00Z');
+            assertEquals(ZonedDateTime.ofInstant(instant, NEW_YORK).toString(), '2016-07-01T08:00-04:00[America/New_York]');
+            assertEquals(ZonedDateTime.ofInstant(instant, PARIS).toString(), '2016-07-01T14:00+02:00[Europe/Paris]');
+        });
+
+    });
+
+    describe('equals()', () => {
+
+        it('should compare the transitions and offsets', () => {
+            var rules1 = StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO]);
+            var rules2 = StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO]);
+            var rules3 = StandardZoneRules.of([1], [OFFSET_PONE, OFFSET_PTWO]);
+            assertEquals(rules1.equals(rules1), true);
+            assertEquals(rules1.equals(StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [], [], [OFFSET_PONE])), false);
+            assertEquals(rules1.equals(rules2), true);
+            assertEquals(rules1.equals(rules3), false);
+            assertEquals(rules1.equals(StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [RULE_GAP, RULE_OVERLAP])), false);
+            assertEquals(StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [RULE_GAP, RULE_OVERLAP]).equals(
+                StandardZoneRules.of([0], [OFFSET_PONE, OFFSET_PTWO], [RULE_GAP, RULE_OVERLAP])), true);
+            assertEquals(rules1.equals(PARIS.rules()), false);
+            assertEquals(rules1.equals(OFFSET_PONE.rules()), false);
+            assertEquals(rules1.equals(null), false);
+        });
+
+        it('toString()', () => {
+            assertEquals(PARIS.rules().toString(), 'StandardZoneRules[currentOffset=+01:00]');
+        });
+
+    });
+
+});
@@ -9,6 +9,7 @@ import '../_init';
 
 import {LocalDateTime} from '../../src/LocalDateTime';
 import {Instant} from '../../src/Instant';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
 import {ZoneId} from '../../src/ZoneId';
 import {ZoneOffset} from '../../src/ZoneOffset';
 import {SystemDefaultZoneRules} from '../../src/zone/SystemDefaultZoneRules';
@@ -48,6 +49,37 @@ describe('zone/SystemDefaultZoneRulesTest.js', () => {
         expect(offset.toString()).to.be.a('string');
     });
 
+    it('should return the valid offsets for a LocalDateTime', function () {
+        var rules = ZoneId.systemDefault().rules();
+        var ldt = LocalDateTime.parse('2016-10-30T00:00:00');
+
+        expect(rules.validOffsets(ldt)).to.have.length(1);
+        expect(rules.validOffsets(ldt)[0].equals(rules.offset(ldt))).to.be.true;
+        expect(rules.transition(ldt)).to.be.null;
+        expect(rules.transitions()).to.have.length(0);
+    });
+
+    it('should return transitions consistent with the offsets', function () {
+        var rules = ZoneId.systemDefault().rules();
+        var instant = Instant.parse('2016-07-01T00:00:00Z');
+
+        var next = rules.nextTransition(instant);
+        if (next != null) {
+            expect(next.instant().isAfter(instant)).to.be.true;
+            expect(rules.offset(next.instant().minusSeconds(1)).equals(next.offsetBefore())).to.be.true;
+            expect(rules.offset(next.instant()).equals(next.offsetAfter())).to.be.true;
+            expect(rules.previousTransition(next.instant().plusSeconds(1)).equals(next)).to.be.true;
+        }
+
+        var previous = rules.previousTransition(instant);
+        if (previous != null) {
+            expect(previous.instant().isBefore(instant)).to.be.true;
+            expect(rules.offset(previous.instant().minusSeconds(1)).equals(previous.offsetBefore())).to.be.true;
+            expect(rules.offset(previous.instant()).equals(previous.offsetAfter())).to.be.true;
+            expect(rules.nextTransition(previous.instant().minusSeconds(1)).equals(previous)).to.be.true;
+        }
+    });
+
     it('ZoneIdSystemDefault.toString', function () {
         var zone = ZoneId.systemDefault();
         expect(zone.toString()).to.be.a('string');
@@ -73,6 +105,97 @@ describe('zone/SystemDefaultZoneRulesTest.js', () => {
         expect(zone.rules().equals({})).to.be.false;
     });
 
+    describe('daylight saving gaps and overlaps', function () {
+
+        var TZ_ENV = typeof process !== 'undefined' && process.env != null ? process.env : null;
+        var previousTZ;
+
+        before(function () {
+            // the system zone of node can be switched, other runtimes are tested in their own zone
+            if (TZ_ENV != null) {
+                previousTZ = TZ_ENV.TZ;
+                TZ_ENV.TZ = 'Europe/Berlin';
+            }
+        });
+
+        after(function () {
+            if (TZ_ENV != null) {
+                if (previousTZ === undefined) {
+                    delete TZ_ENV.TZ;
+                } else {
+                    TZ_ENV.TZ = previousTZ;
+                }
+            }
+        });
+
+        function findTransition(rules, instant, gap) {
+            var trans = rules.nextTransition(instant);
+            while (trans != null && trans.isGap() !== gap) {
+                trans = rules.nextTransition(trans.instant());
+            }
+            return trans;
+        }
+
+        it('should report no valid offsets in a gap', function () {
+            var rules = ZoneId.systemDefault().rules();
+            var trans = findTransition(rules, Instant.parse('2016-01-01T00:00:00Z'), true);
+            if (trans == null) {
+                this.skip();
+            }
+            var ldt = trans.dateTimeBefore().plusSeconds(trans.durationSeconds() / 2);
+            expect(rules.validOffsets(ldt)).to.have.length(0);
+            expect(rules.transition(ldt).equals(trans)).to.be.true;
+            expect(rules.offset(ldt).equals(trans.offsetBefore())).to.be.true;
+            expect(rules.isValidOffset(ldt, trans.offsetBefore())).to.be.false;
+            expect(rules.isValidOffset(ldt, trans.offsetAfter())).to.be.false;
+
+            var zdt = ZonedDateTime.of(ldt, ZoneId.systemDefault());
+            expect(zdt.toLocalDateTime().equals(ldt.plusSeconds(trans.durationSeconds()))).to.be.true;
+            expect(zdt.offset().equals(trans.offsetAfter())).to.be.true;
+        });
+
+        it('should report both valid offsets in an overlap', function () {
+            var rules = ZoneId.systemDefault().rules();
+            var trans = findTransition(rules, Instant.parse('2016-01-01T00:00:00Z'), false);
+            if (trans == null) {
+                this.skip();
+            }
+            var ldt = trans.dateTimeAfter().minusSeconds(trans.durationSeconds() / 2);
+            var validOffsets = rules.validOffsets(ldt);
+            expect(validOffsets).to.have.length(2);
+            expect(validOffsets[0].equals(trans.offsetBefore())).to.be.true;
+            expect(validOffsets[1].equals(trans.offsetAfter())).to.be.true;
+            expect(rules.transition(ldt).equals(trans)).to.be.true;
+            expect(rules.offset(ldt).equals(trans.offsetBefore())).to.be.true;
+            expect(rules.isValidOffset(ldt, trans.offsetBefore())).to.be.true;
+            expect(rules.isValidOffset(ldt, trans.offsetAfter())).to.be.true;
+
+            var zdt = ZonedDateTime.of(ldt, ZoneId.systemDefault());
+            expect(zdt.offset().equals(trans.offsetBefore())).to.be.true;
+            var later = zdt.withLaterOffsetAtOverlap();
+            expect(later.offset().equals(trans.offsetAfter())).to.be.true;
+            expect(later.toLocalDateTime().equals(ldt)).to.be.true;
+            expect(later.withEarlierOffsetAtOverlap().equals(zdt)).to.be.true;
+            expect(later.toInstant().epochSecond() - zdt.toInstant().epochSecond()).to.equal(-trans.durationSeconds());
+        });
+
+        it('should report a single offset around the transitions', function () {
+            var rules = ZoneId.systemDefault().rules();
+            var trans = rules.nextTransition(Instant.parse('2016-01-01T00:00:00Z'));
+            if (trans == null) {
+                this.skip();
+            }
+            [trans.dateTimeBefore(), trans.dateTimeAfter()].forEach((localTransition) => {
+                [localTransition.minusHours(3), localTransition.plusHours(3)].forEach((ldt) => {
+                    expect(rules.validOffsets(ldt)).to.have.length(1);
+                    expect(rules.transition(ldt)).to.be.null;
+                    expect(rules.isValidOffset(ldt, rules.offset(ldt))).to.be.true;
+                });
+            });
+        });
+
+    });
+
     it('manual daylight savings scan', function () {
         var logResult = '';
 
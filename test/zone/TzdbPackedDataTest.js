@@ -0,0 +1,138 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals, assertSame} from '../testUtils';
+
+import '../_init';
+
+import {IllegalArgumentException, ZoneRulesException} from '../../src/errors';
+import {ZoneId} from '../../src/ZoneId';
+import {TzdbPackedData} from '../../src/zone/TzdbPackedData';
+import {TzdbZoneRulesProvider} from '../../src/zone/TzdbZoneRulesProvider';
+import {ZoneRulesProvider} from '../../src/zone/ZoneRulesProvider';
+
+import {TZDB_TEST_DATA} from './TzdbTestData';
+
+describe('zone/TzdbPackedDataTest.js', () => {
+
+    var DATA = {
+        version: '2016f',
+        zones: {
+            'Test/Rules': {
+                transitions: [-100, 0, 3600],
+                offsets: [-3601, 3600, 7200, 3600],
+                lastRules: [
+                    {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 3600, timeDefinition: 'UTC',
+                        standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+                    {month: 10, dayOfMonthIndicator: 20, dayOfWeek: null, secondOfDay: 86400, timeDefinition: 'STANDARD',
+                        standardOffset: 3600, offsetBefore: 7200, offsetAfter: 3600}
+                ],
+                standardTransitions: [-100],
+                standardOffsets: [-3601, 3600]
+            },
+            'Test/Fixed': {
+                transitions: [],
+                offsets: [7200],
+                lastRules: []
+            }
+        },
+        links: {
+            'Test/Alias': 'Test/Rules',
+            'Test/Other': 'Test/Rules',
+            'Test/FixedAlias': 'Test/Fixed'
+        }
+    };
+
+    describe('pack()', () => {
+
+        it('should pack the offsets, zones and links', () => {
+            assertEquals(TzdbPackedData.pack(DATA), {
+                version: '2016f',
+                offsets: '200 -101 100',
+                zones: [
+                    'Test/Fixed|0|0||',
+                    'Test/Rules|1 2 0|0121|-1G 1G 100|3.-1.7.100.u.1.1.2 a.k.0.o00.s.1.2.1|01|-1G'
+                ],
+                links: [
+                    'Test/Fixed|Test/FixedAlias',
+                    'Test/Rules|Test/Alias Test/Other'
+                ]
+            });
+        });
+
+        it('should fail for a zone with more than 60 offsets', () => {
+            var offsets = [];
+            for (var i = 0; i <= 60; i++) {
+                offsets.push(i * 60);
+            }
+            var transitions = offsets.slice(1);
+            expect(() => {
+                TzdbPackedData.pack({zones: {'Test/Zone': {transitions: transitions, offsets: offsets}}});
+            }).to.throw(IllegalArgumentException);
+        });
+
+    });
+
+    describe('unpack()', () => {
+
+        it('should unpack packed data', () => {
+            assertEquals(TzdbPackedData.unpack(TzdbPackedData.pack(DATA)), DATA);
+        });
+
+        it('should unpack the tzdb test data to the same rules', () => {
+            var unpacked = new TzdbZoneRulesProvider(TzdbPackedData.unpack(TzdbPackedData.pack(TZDB_TEST_DATA)));
+            var provider = new TzdbZoneRulesProvider(TZDB_TEST_DATA);
+            provider.provideZoneIds().forEach((zoneId) => {
+                assertEquals(unpacked.provideRules(zoneId).equals(provider.provideRules(zoneId)), true, zoneId);
+            });
+        });
+
+        it('should fail for invalid packed data', () => {
+            [
+                {offsets: '0', zones: ['Test/Zone|0|0']},
+                {offsets: '0', zones: ['Test/Zone|0|01|0|']},
+                {offsets: '0', zones: ['Test/Zone|1|0||']},
+                {offsets: '0', zones: ['Test/Zone|0|0|||0']},
+                {offsets: '0', zones: ['Test/Zone|0|0|||1|']},
+                {offsets: '0', zones: ['Test/Zone|0|0|-|']},
+                {offsets: '0', zones: ['Test/Zone|0|0|#|']},
+                {offsets: '0 1', zones: ['Test/Zone|0 1|01|0|3.-1.7.100.x.0.0.1']},
+                {offsets: '0 1', zones: ['Test/Zone|0 1|01|0|3.-1.7.100.w.0.0']},
+                {offsets: '0', zones: [], links: ['Test/Zone']}
+            ].forEach((packed) => {
+                expect(() => {
+                    TzdbPackedData.unpack(packed);
+                }).to.throw(IllegalArgumentException);
+            });
+        });
+
+    });
+
+    describe('TzdbZoneRulesProvider.loadPacked()', () => {
+
+        it('should register the zones and links of the packed data', () => {
+            var provider = TzdbZoneRulesProvider.loadPacked({
+                offsets: '100 200',
+                zones: ['Packed/Zone|0 1|01|0|'],
+                links: ['Packed/Zone|Packed/Alias']
+            });
+            assertEquals(provider.provideZoneIds(), ['Packed/Zone', 'Packed/Alias']);
+            expect(ZoneRulesProvider.getAvailableZoneIds()).to.include('Packed/Alias');
+            var zone = ZoneId.of('Packed/Alias');
+            assertEquals(zone.id(), 'Packed/Alias');
+            assertSame(zone.rules(), ZoneId.of('Packed/Zone').rules());
+            assertEquals(zone.rules().transitions().length, 1);
+        });
+
+        it('should fail to register a zone id twice', () => {
+            expect(() => {
+                TzdbZoneRulesProvider.loadPacked({offsets: '0', zones: ['Europe/Paris|0|0||']});
+            }).to.throw(ZoneRulesException);
+        });
+
+    });
+
+});
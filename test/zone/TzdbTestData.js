@@ -0,0 +1,315 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+/**
+ * Extract of the IANA time zone database (version 2025b) for the zones and links used in the tests,
+ * in the format of the {@link TzdbZoneRulesProvider}.
+ * The transitions end with the first year that is described by the last rules.
+ */
+export var TZDB_TEST_DATA = {
+    version: '2025b',
+    zones: {
+        'America/New_York': {
+            transitions: [
+                -2717650800, -1633280400, -1615140000, -1601830800, -1583690400, -1570381200, -1551636000, -1536512400,
+                -1523210400, -1504458000, -1491760800, -1473008400, -1459706400, -1441558800, -1428256800, -1410109200,
+                -1396807200, -1378659600, -1365357600, -1347210000, -1333908000, -1315155600, -1301853600, -1283706000,
+                -1270404000, -1252256400, -1238954400, -1220806800, -1207504800, -1189357200, -1176055200, -1157302800,
+                -1144605600, -1125853200, -1112551200, -1094403600, -1081101600, -1062954000, -1049652000, -1031504400,
+                -1018202400, -1000054800, -986752800, -968000400, -955303200, -936550800, -923248800, -905101200,
+                -891799200, -880218000, -765396000, -747248400, -733946400, -715798800, -702496800, -684349200,
+                -671047200, -652899600, -639597600, -620845200, -608148000, -589395600, -576093600, -557946000,
+                -544644000, -526496400, -513194400, -495046800, -481744800, -463597200, -447271200, -431542800,
+                -415821600, -400093200, -384372000, -368643600, -352922400, -337194000, -321472800, -305744400,
+                -289418400, -273690000, -257968800, -242240400, -226519200, -210790800, -195069600, -179341200,
+                -163620000, -147891600, -131565600, -116442000, -100116000, -84387600, -68666400, -52938000,
+                -37216800, -21488400, -5767200, 9961200, 25682400, 41410800, 57736800, 73465200,
+                89186400, 104914800, 120636000, 126687600, 152085600, 162370800, 183535200, 199263600,
+                215589600, 230713200, 247039200, 262767600, 278488800, 294217200, 309938400, 325666800,
+                341388000, 357116400, 372837600, 388566000, 404892000, 420015600, 436341600, 452070000,
+                467791200, 483519600, 499240800, 514969200, 530690400, 544604400, 562140000, 576054000,
+                594194400, 607503600, 625644000, 638953200, 657093600, 671007600, 688543200, 702457200,
+                719992800, 733906800, 752047200, 765356400, 783496800, 796806000, 814946400, 828860400,
+                846396000, 860310000, 877845600, 891759600, 909295200, 923209200, 941349600, 954658800,
+                972799200, 986108400, 1004248800, 1018162800, 1035698400, 1049612400, 1067148000, 1081062000,
+                1099202400, 1112511600, 1130652000, 1143961200, 1162101600, 1173596400, 1194156000
+            ],
+            offsets: [
+                -17762, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000,
+                -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000, -14400, -18000
+            ],
+            lastRules: [
+                {month: 3, dayOfMonthIndicator: 8, dayOfWeek: 7, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: -18000, offsetBefore: -18000, offsetAfter: -14400},
+                {month: 11, dayOfMonthIndicator: 1, dayOfWeek: 7, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: -18000, offsetBefore: -14400, offsetAfter: -18000}
+            ],
+            standardTransitions: [
+                -2717650800
+            ],
+            standardOffsets: [
+                -17762, -18000
+            ]
+        },
+        'Asia/Gaza': {
+            transitions: [
+                -2185409872, -933638400, -923097600, -919036800, -857347200, -844300800, -825811200, -812678400,
+                -794188800, -779846400, -762652800, -748310400, -731116800, -399088800, -386650800, -368330400,
+                -355114800, -336790800, -323654400, -305168400, -292032000, -273632400, -260496000, -242096400,
+                -228960000, -210560400, -197424000, -178938000, -165801600, -147402000, -134265600, -115866000,
+                -102643200, -84330000, -81313200, 142380000, 150843600, 167176800, 178664400, 334101600,
+                337730400, 452642400, 462319200, 482277600, 494370000, 516751200, 526424400, 545436000,
+                558478800, 576626400, 589323600, 609890400, 620773200, 638316000, 651618000, 669765600,
+                683672400, 701820000, 715726800, 733701600, 747176400, 765151200, 778021200, 796600800,
+                810075600, 828655200, 843170400, 860104800, 874620000, 891554400, 906069600, 924213600,
+                939934800, 956268000, 971989200, 987717600, 1003438800, 1019167200, 1034888400, 1050616800,
+                1066338000, 1082066400, 1096581600, 1113516000, 1128380400, 1143842400, 1158872400, 1175378400,
+                1189638000, 1206655200, 1219957200, 1238104800, 1252015200, 1269640860, 1281474000, 1301608860,
+                1312146000, 1333058400, 1348178400, 1364508000, 1380229200, 1395957600, 1414098000, 1427493600,
+                1445551200, 1458946800, 1477692000, 1490396400, 1509141600, 1521846000, 1540591200, 1553810400,
+                1572037200, 1585346400, 1603490400, 1616796000, 1635458400, 1648332000, 1666998000, 1682726400,
+                1698447600, 1713571200, 1729897200, 1744416000, 1761346800, 1774656000, 1792796400, 1806105600,
+                1824850800, 1837555200, 1856300400, 1869004800, 1887750000, 1901059200, 1919199600, 1932508800,
+                1950649200, 1963958400, 1982703600, 1995408000, 2014153200, 2026857600, 2045602800, 2058307200,
+                2077052400, 2090361600, 2107897200, 2121811200, 2138742000, 2153260800, 2168982000, 2184710400,
+                2199826800, 2216160000, 2230066800, 2234304000, 2234905200, 2248214400, 2260911600, 2264544000,
+                2266354800, 2279664000, 2291756400, 2295388800, 2297804400, 2311113600, 2321996400, 2326233600,
+                2329254000, 2342563200, 2352841200, 2356473600, 2361308400, 2374012800, 2383686000, 2387318400,
+                2392758000, 2405462400, 2413926000, 2418163200, 2424207600, 2437516800, 2444770800, 2448403200,
+                2455657200, 2468966400, 2475010800, 2479248000, 2487106800, 2500416000, 2505855600, 2509488000,
+                2519161200, 2531865600, 2536700400, 2540332800, 2550610800, 2563315200, 2566940400, 2571177600,
+                2582060400, 2595369600, 2597785200, 2601417600, 2613510000, 2626819200, 2628025200, 2632262400,
+                2644959600, 2658268800, 2658870000, 2663107200, 2676409200, 2693347200, 2708463600, 2724192000,
+                2739913200, 2754432000, 2771362800, 2785276800, 2802812400, 2816121600, 2834262000, 2847571200,
+                2866316400, 2879020800, 2897766000, 2910470400, 2929215600, 2941920000, 2960665200, 2973974400,
+                2992114800, 3005424000, 3023564400, 3036873600, 3055618800, 3068323200, 3087068400, 3099772800,
+                3117913200, 3131827200, 3148758000, 3163276800, 3179602800, 3194726400, 3209842800, 3226176000,
+                3240687600, 3244320000, 3244921200, 3257625600, 3271532400, 3275164800, 3276370800, 3289075200,
+                3301772400, 3306009600, 3307820400, 3321129600, 3332617200, 3336249600, 3339270000, 3352579200,
+                3362857200, 3367094400, 3370719600, 3384028800, 3393702000, 3397939200, 3402774000, 3415478400,
+                3424546800, 3428179200, 3434223600, 3446928000, 3454786800, 3459024000, 3465673200, 3478982400,
+                3485631600, 3489264000, 3497122800, 3510432000, 3516476400, 3520108800, 3528572400, 3541881600,
+                3546716400, 3550953600, 3560022000, 3573331200, 3577561200, 3581193600, 3592076400, 3604780800,
+                3607801200, 3612038400, 3623526000, 3636230400, 3638646000, 3642883200, 3654975600, 3668284800,
+                3669490800, 3673123200, 3686425200
+            ],
+            offsets: [
+                8272, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200, 10800, 7200,
+                10800, 7200, 10800, 7200
+            ],
+            lastRules: [
+                {month: 3, dayOfMonthIndicator: 24, dayOfWeek: 6, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: 7200, offsetBefore: 7200, offsetAfter: 10800},
+                {month: 10, dayOfMonthIndicator: 24, dayOfWeek: 6, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: 7200, offsetBefore: 10800, offsetAfter: 7200}
+            ],
+            standardTransitions: [
+                -2185409872
+            ],
+            standardOffsets: [
+                8272, 7200
+            ]
+        },
+        'Asia/Kolkata': {
+            transitions: [
+                -3645237208, -3155694800, -2019705670, -891581400, -872058600, -862637400, -764145000
+            ],
+            offsets: [
+                21208, 21200, 19270, 19800, 23400, 19800, 23400, 19800
+            ],
+            standardTransitions: [
+                -3645237208, -3155694800, -2019705670
+            ],
+            standardOffsets: [
+                21208, 21200, 19270, 19800
+            ]
+        },
+        'Australia/Sydney': {
+            transitions: [
+                -2364113092, -1672560000, -1665388800, -883641600, -876124800, -860400000, -844675200, -828345600,
+                -813225600, 57686400, 67968000, 89136000, 100022400, 120585600, 131472000, 152035200,
+                162921600, 183484800, 194976000, 215539200, 226425600, 246988800, 257875200, 278438400,
+                289324800, 309888000, 320774400, 341337600, 352224000, 372787200, 386697600, 404841600,
+                415728000, 436291200, 447177600, 467740800, 478627200, 499190400, 511286400, 530035200,
+                542736000, 562089600, 574790400, 594144000, 606240000, 625593600, 636480000, 657043200,
+                667929600, 688492800, 699379200, 719942400, 731433600, 751996800, 762883200, 783446400,
+                794332800, 814896000, 828201600, 846345600, 859651200, 877795200, 891100800, 909244800,
+                922550400, 941299200, 954000000, 967305600, 985449600, 1004198400, 1017504000, 1035648000,
+                1048953600, 1067097600, 1080403200, 1099152000, 1111852800, 1130601600, 1143907200, 1162051200,
+                1174752000, 1193500800, 1207411200, 1223136000
+            ],
+            offsets: [
+                36292, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000,
+                39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000,
+                39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000,
+                39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000,
+                39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000, 39600, 36000,
+                39600, 36000, 39600, 36000, 39600
+            ],
+            lastRules: [
+                {month: 4, dayOfMonthIndicator: 1, dayOfWeek: 7, secondOfDay: 10800,
+                    timeDefinition: 'WALL', standardOffset: 36000, offsetBefore: 39600, offsetAfter: 36000},
+                {month: 10, dayOfMonthIndicator: 1, dayOfWeek: 7, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: 36000, offsetBefore: 36000, offsetAfter: 39600}
+            ],
+            standardTransitions: [
+                -2364113092
+            ],
+            standardOffsets: [
+                36292, 36000
+            ]
+        },
+        'Europe/Berlin': {
+            transitions: [
+                -2422054408, -1693706400, -1680483600, -1663455600, -1650150000, -1632006000, -1618700400, -938905200,
+                -857257200, -844556400, -828226800, -812502000, -796777200, -781052400, -776563200, -765936000,
+                -761180400, -748479600, -733273200, -717631200, -714610800, -710380800, -701910000, -684975600,
+                -670460400, -654130800, -639010800, 323830800, 338950800, 354675600, 370400400, 386125200,
+                401850000, 417574800, 433299600, 449024400, 465354000, 481078800, 496803600, 512528400,
+                528253200, 543978000, 559702800, 575427600, 591152400, 606877200, 622602000, 638326800,
+                654656400, 670381200, 686106000, 701830800, 717555600, 733280400, 749005200, 764730000,
+                780454800, 796179600, 811904400, 828234000, 846378000
+            ],
+            offsets: [
+                3208, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 10800,
+                7200, 3600, 7200, 3600, 7200, 10800, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600,
+                7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600,
+                7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600
+            ],
+            lastRules: [
+                {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+                {month: 10, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 10800,
+                    timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 7200, offsetAfter: 3600}
+            ],
+            standardTransitions: [
+                -2422054408
+            ],
+            standardOffsets: [
+                3208, 3600
+            ]
+        },
+        'Europe/London': {
+            transitions: [
+                -3852662325, -1691964000, -1680472800, -1664143200, -1650146400, -1633903200, -1617487200, -1601848800,
+                -1586037600, -1570399200, -1552168800, -1538344800, -1522533600, -1507500000, -1490565600, -1473631200,
+                -1460930400, -1442786400, -1428876000, -1410732000, -1396216800, -1379282400, -1364767200, -1348437600,
+                -1333317600, -1315778400, -1301263200, -1284328800, -1269813600, -1253484000, -1238364000, -1221429600,
+                -1206914400, -1189980000, -1175464800, -1159135200, -1143410400, -1126476000, -1111960800, -1095631200,
+                -1080511200, -1063576800, -1049061600, -1032127200, -1017612000, -1001282400, -986162400, -969228000,
+                -950479200, -942012000, -904518000, -896050800, -875487600, -864601200, -844038000, -832546800,
+                -812588400, -798073200, -781052400, -772066800, -764805600, -748476000, -733356000, -719445600,
+                -717030000, -706748400, -699487200, -687996000, -668037600, -654732000, -636588000, -622072800,
+                -605743200, -590623200, -574293600, -558568800, -542239200, -527119200, -512604000, -496274400,
+                -481154400, -464220000, -449704800, -432165600, -417650400, -401320800, -386200800, -369266400,
+                -354751200, -337816800, -323301600, -306972000, -291852000, -276732000, -257983200, -245282400,
+                -226533600, -213228000, -195084000, -182383200, -163634400, -150933600, -132184800, -119484000,
+                -100735200, -88034400, -68680800, -59004000, 57722400, 69818400, 89172000, 101268000,
+                120621600, 132717600, 152071200, 164167200, 183520800, 196221600, 214970400, 227671200,
+                246420000, 259120800, 278474400, 290570400, 309924000, 322020000, 341373600, 354675600,
+                372819600, 386125200, 404269200, 417574800, 435718800, 449024400, 467773200, 481078800,
+                499222800, 512528400, 530672400, 543978000, 562122000, 575427600, 593571600, 606877200,
+                625626000, 638326800, 657075600, 670381200, 688525200, 701830800, 719974800, 733280400,
+                751424400, 764730000, 782874000, 796179600, 814323600, 828234000, 846378000
+            ],
+            offsets: [
+                -75, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 0, 3600, 0,
+                3600, 7200, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0
+            ],
+            lastRules: [
+                {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 3600,
+                    timeDefinition: 'WALL', standardOffset: 0, offsetBefore: 0, offsetAfter: 3600},
+                {month: 10, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: 0, offsetBefore: 3600, offsetAfter: 0}
+            ],
+            standardTransitions: [
+                -3852662325, -37242000, 57722400
+            ],
+            standardOffsets: [
+                -75, 0, 3600, 0
+            ]
+        },
+        'Europe/Paris': {
+            transitions: [
+                -1855958961, -1689814800, -1680397200, -1665363600, -1648342800, -1635123600, -1616893200, -1604278800,
+                -1585443600, -1574038800, -1552266000, -1539997200, -1520557200, -1507510800, -1490576400, -1470618000,
+                -1459126800, -1444006800, -1427677200, -1411952400, -1396227600, -1379293200, -1364778000, -1348448400,
+                -1333328400, -1316394000, -1301274000, -1284339600, -1269824400, -1253494800, -1238374800, -1221440400,
+                -1206925200, -1191200400, -1175475600, -1160355600, -1143421200, -1127696400, -1111971600, -1096851600,
+                -1080522000, -1063587600, -1049072400, -1033347600, -1017622800, -1002502800, -986173200, -969238800,
+                -950490000, -942012000, -932436000, -857257200, -844556400, -828226800, -812502000, -796266000,
+                -781052400, -766623600, 196819200, 212540400, 228877200, 243997200, 260326800, 276051600,
+                291776400, 307501200, 323830800, 338950800, 354675600, 370400400, 386125200, 401850000,
+                417574800, 433299600, 449024400, 465354000, 481078800, 496803600, 512528400, 528253200,
+                543978000, 559702800, 575427600, 591152400, 606877200, 622602000, 638326800, 654656400,
+                670381200, 686106000, 701830800, 717555600, 733280400, 749005200, 764730000, 780454800,
+                796179600, 811904400, 828234000, 846378000
+            ],
+            offsets: [
+                561, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0, 3600, 0,
+                3600, 0, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200,
+                3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200,
+                3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200, 3600, 7200,
+                3600, 7200, 3600, 7200, 3600
+            ],
+            lastRules: [
+                {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 7200,
+                    timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+                {month: 10, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 10800,
+                    timeDefinition: 'WALL', standardOffset: 3600, offsetBefore: 7200, offsetAfter: 3600}
+            ],
+            standardTransitions: [
+                -1855958961, -857257200
+            ],
+            standardOffsets: [
+                561, 0, 3600
+            ]
+        }
+    },
+    links: {
+        'Asia/Calcutta': 'Asia/Kolkata',
+        'Australia/NSW': 'Australia/Sydney',
+        'Europe/Belfast': 'Europe/London',
+        'GB': 'Europe/London',
+        'US/Eastern': 'America/New_York'
+    }
+};
@@ -0,0 +1,390 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals, assertSame, dataProviderTest} from '../testUtils';
+
+import '../_init';
+
+import {DateTimeException, NullPointerException, ZoneRulesException} from '../../src/errors';
+import {DayOfWeek} from '../../src/DayOfWeek';
+import {Instant} from '../../src/Instant';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {LocalTime} from '../../src/LocalTime';
+import {Month} from '../../src/Month';
+import {ZoneId} from '../../src/ZoneId';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneRegion} from '../../src/ZoneRegion';
+import {StandardZoneRules} from '../../src/zone/StandardZoneRules';
+import {ZoneOffsetTransitionRule} from '../../src/zone/ZoneOffsetTransitionRule';
+import {TzdbZoneRulesProvider} from '../../src/zone/TzdbZoneRulesProvider';
+import {ZoneRulesProvider} from '../../src/zone/ZoneRulesProvider';
+
+import {TzdbPackedData} from '../../src/js-joda';
+
+describe('zone/TzdbZoneRulesProviderTest.js', () => {
+
+    var TEST_DATA = {
+        zones: {
+            'Test/Zone': {
+                transitions: [0],
+                offsets: [3600, 7200]
+            }
+        }
+    };
+
+    describe('TzdbZoneRulesProvider', () => {
+
+        it('should provide the zone ids of the data', () => {
+            var provider = new TzdbZoneRulesProvider(TEST_DATA);
+            assertEquals(provider.provideZoneIds(), ['Test/Zone']);
+        });
+
+        it('should provide and cache the rules', () => {
+            var provider = new TzdbZoneRulesProvider(TEST_DATA);
+            var rules = provider.provideRules('Test/Zone');
+            expect(rules).to.be.instanceOf(StandardZoneRules);
+            assertEquals(rules, StandardZoneRules.of([0], [ZoneOffset.ofHours(1), ZoneOffset.ofHours(2)]));
+            assertSame(provider.provideRules('Test/Zone'), rules);
+        });
+
+        it('should create the last rules of the data', () => {
+            var provider = new TzdbZoneRulesProvider({
+                zones: {
+                    'Test/Rules': {
+                        transitions: [0],
+                        offsets: [3600, 7200],
+                        lastRules: [
+                            {month: 3, dayOfMonthIndicator: -1, dayOfWeek: 7, secondOfDay: 3600, timeDefinition: 'UTC',
+                                standardOffset: 3600, offsetBefore: 3600, offsetAfter: 7200},
+                            {month: 10, dayOfMonthIndicator: 20, dayOfWeek: null, secondOfDay: 86400, timeDefinition: 'WALL',
+                                standardOffset: 3600, offsetBefore: 7200, offsetAfter: 3600}
+                        ]
+                    }
+                }
+            });
+            var rules = provider.provideRules('Test/Rules').transitionRules();
+            assertEquals(rules.length, 2);
+            assertEquals(rules[0], ZoneOffsetTransitionRule.of(Month.MARCH, -1, DayOfWeek.SUNDAY, LocalTime.of(1, 0), false,
+                ZoneOffsetTransitionRule.TimeDefinition.UTC, ZoneOffset.ofHours(1), ZoneOffset.ofHours(1), ZoneOffset.ofHours(2)));
+            assertEquals(rules[1], ZoneOffsetTransitionRule.of(Month.OCTOBER, 20, null, LocalTime.MIDNIGHT, true,
+                ZoneOffsetTransitionRule.TimeDefinition.WALL, ZoneOffset.ofHours(1), ZoneOffset.ofHours(2), ZoneOffset.ofHours(1)));
+        });
+
+        it('should create the standard offsets of the data', () => {
+            var provider = new TzdbZoneRulesProvider({
+                zones: {
+                    'Test/Standard': {
+                        transitions: [0, 100],
+                        offsets: [3600, 7200, 10800],
+                        standardTransitions: [100],
+                        standardOffsets: [3600, 7200]
+                    }
+                }
+            });
+            var rules = provider.provideRules('Test/Standard');
+            assertEquals(rules, StandardZoneRules.of([0, 100], [ZoneOffset.ofHours(1), ZoneOffset.ofHours(2), ZoneOffset.ofHours(3)],
+                [], [100], [ZoneOffset.ofHours(1), ZoneOffset.ofHours(2)]));
+            assertEquals(rules.standardOffset(Instant.ofEpochSecond(50)), ZoneOffset.ofHours(1));
+            assertEquals(rules.isDaylightSavings(Instant.ofEpochSecond(50)), true);
+            assertEquals(rules.standardOffset(Instant.ofEpochSecond(100)), ZoneOffset.ofHours(2));
+        });
+
+        it('should provide the rules of the zone of a link', () => {
+            var provider = new TzdbZoneRulesProvider({zones: TEST_DATA.zones, links: {'Test/Alias': 'Test/Zone'}});
+            assertEquals(provider.provideZoneIds(), ['Test/Zone', 'Test/Alias']);
+            assertSame(provider.provideRules('Test/Alias'), provider.provideRules('Test/Zone'));
+            assertEquals(provider.provideCanonicalId('Test/Alias'), 'Test/Zone');
+            assertEquals(provider.provideCanonicalId('Test/Zone'), 'Test/Zone');
+        });
+
+        it('should fail for an unknown zone id', () => {
+            var provider = new TzdbZoneRulesProvider(TEST_DATA);
+            expect(() => {
+                provider.provideRules('Unknown/Zone');
+            }).to.throw(ZoneRulesException);
+        });
+
+    });
+
+    describe('ZoneRulesProvider', () => {
+
+        it('should list the registered zone ids', () => {
+            var zoneIds = ZoneRulesProvider.getAvailableZoneIds();
+            expect(zoneIds).to.include('Europe/Berlin');
+            expect(zoneIds).to.include('America/New_York');
+        });
+
+        it('should provide the rules of a registered zone id', () => {
+            var rules = ZoneRulesProvider.getRules('Europe/Berlin');
+            expect(rules).to.be.instanceOf(StandardZoneRules);
+        });
+
+        it('should fail for an unknown zone id', () => {
+            expect(() => {
+                ZoneRulesProvider.getRules('Unknown/Zone');
+            }).to.throw(ZoneRulesException);
+        });
+
+        it('should resolve the canonical id of a link', () => {
+            assertEquals(ZoneRulesProvider.getCanonicalId('US/Eastern'), 'America/New_York');
+            assertEquals(ZoneRulesProvider.getCanonicalId('America/New_York'), 'America/New_York');
+            expect(() => {
+                ZoneRulesProvider.getCanonicalId('Unknown/Zone');
+            }).to.throw(ZoneRulesException);
+        });
+
+        it('should fail to register a zone id twice', () => {
+            expect(() => {
+                ZoneRulesProvider.registerProvider(new TzdbZoneRulesProvider({zones: {'Europe/Berlin': {transitions: [], offsets: [0]}}}));
+            }).to.throw(ZoneRulesException);
+            assertEquals(ZoneRulesProvider.getAvailableZoneIds().indexOf('Test/Zone'), -1);
+        });
+
+    });
+
+    describe('versions', () => {
+
+        var VERSION_A = {
+            version: '2016a',
+            zones: {'Test/Versioned': {transitions: [0], offsets: [3600, 7200]}}
+        };
+        var VERSION_B = {
+            version: '2016b',
+            zones: {
+                'Test/Versioned': {transitions: [0, 86400], offsets: [3600, 7200, 10800]},
+                'Test/Added': {transitions: [], offsets: [-3600]}
+            },
+            links: {'Test/AddedAlias': 'Test/Added'}
+        };
+
+        it('should report the version of the data', () => {
+            var provider = new TzdbZoneRulesProvider(VERSION_A);
+            assertEquals(provider.version(), '2016a');
+            assertEquals(provider.toString(), 'TZDB[2016a]');
+            var unversioned = new TzdbZoneRulesProvider(TEST_DATA);
+            expect(unversioned.version()).to.be.null;
+            assertEquals(unversioned.toString(), 'TZDB');
+            assertEquals(unversioned.provideVersions('Test/Zone'), {});
+        });
+
+        it('should apply a registered version on refresh', () => {
+            var provider = new TzdbZoneRulesProvider(VERSION_A);
+            var rulesA = provider.provideRules('Test/Versioned');
+            provider.registerVersion(VERSION_B);
+            assertEquals(provider.version(), '2016a');
+            assertSame(provider.provideRules('Test/Versioned'), rulesA);
+            assertEquals(provider.provideRefresh(), true);
+            assertEquals(provider.provideRefresh(), false);
+            assertEquals(provider.version(), '2016b');
+            assertEquals(provider.provideRules('Test/Versioned').transitions().length, 2);
+            assertEquals(provider.provideZoneIds(), ['Test/Versioned', 'Test/Added', 'Test/AddedAlias']);
+            assertEquals(provider.provideCanonicalId('Test/AddedAlias'), 'Test/Added');
+            var versions = provider.provideVersions('Test/Versioned');
+            assertEquals(Object.keys(versions), ['2016a', '2016b']);
+            assertSame(versions['2016a'], rulesA);
+            assertSame(versions['2016b'], provider.provideRules('Test/Versioned'));
+            assertEquals(Object.keys(provider.provideVersions('Test/AddedAlias')), ['2016b']);
+        });
+
+        it('should keep the zones that are missing in a newer version', () => {
+            var provider = new TzdbZoneRulesProvider(VERSION_B);
+            provider.registerVersion({version: '2016c', zones: {'Test/Versioned': {transitions: [], offsets: [0]}}});
+            provider.provideRefresh();
+            assertEquals(provider.provideRules('Test/Added').offset(Instant.EPOCH), ZoneOffset.ofHours(-1));
+            assertEquals(provider.provideRules('Test/Versioned').offset(Instant.EPOCH), ZoneOffset.UTC);
+        });
+
+        it('should fail to register a version that is not newer', () => {
+            var provider = new TzdbZoneRulesProvider(VERSION_B);
+            expect(() => {
+                provider.registerVersion(VERSION_A);
+            }).to.throw(ZoneRulesException);
+            expect(() => {
+                provider.registerVersion(VERSION_B);
+            }).to.throw(ZoneRulesException);
+            expect(() => {
+                provider.registerVersion({zones: {}});
+            }).to.throw(NullPointerException);
+        });
+
+        it('should refresh the registered providers and the zone regions lazily', () => {
+            var provider = new TzdbZoneRulesProvider(VERSION_A);
+            ZoneRulesProvider.registerProvider(provider);
+            var zone = ZoneId.of('Test/Versioned');
+            var instant = Instant.ofEpochSecond(86400);
+            var zdt = ZonedDateTime.ofInstant(instant, zone);
+            assertEquals(zdt.offset(), ZoneOffset.ofHours(2));
+            assertEquals(ZoneRulesProvider.getVersionOfOffset('Test/Versioned', instant, zdt.offset()), '2016a');
+
+            provider.registerVersion(VERSION_B);
+            expect(ZoneRulesProvider.getAvailableZoneIds()).to.not.include('Test/Added');
+            assertEquals(ZoneRulesProvider.refresh(), true);
+            assertEquals(ZoneRulesProvider.refresh(), false);
+
+            assertEquals(zone.rules().offset(instant), ZoneOffset.ofHours(3));
+            assertEquals(ZonedDateTime.ofInstant(instant, zone).offset(), ZoneOffset.ofHours(3));
+            assertEquals(ZoneRulesProvider.getVersionOfOffset('Test/Versioned', instant, zdt.offset()), '2016a');
+            assertEquals(ZoneRulesProvider.getVersionOfOffset('Test/Versioned', instant, ZoneOffset.ofHours(3)), '2016b');
+            expect(ZoneRulesProvider.getVersionOfOffset('Test/Versioned', instant, ZoneOffset.UTC)).to.be.null;
+            assertEquals(Object.keys(ZoneRulesProvider.getVersions('Test/Versioned')), ['2016a', '2016b']);
+            assertEquals(ZoneId.of('Test/AddedAlias').rules().offset(instant), ZoneOffset.ofHours(-1));
+        });
+
+        it('should register a version of packed data unpacked by the exported TzdbPackedData', () => {
+            var provider = new TzdbZoneRulesProvider(VERSION_A);
+            provider.registerVersion(TzdbPackedData.unpack(TzdbPackedData.pack(VERSION_B)));
+            assertEquals(provider.provideRefresh(), true);
+            assertEquals(provider.version(), '2016b');
+            assertEquals(provider.provideRules('Test/Versioned').offset(Instant.ofEpochSecond(86400)), ZoneOffset.ofHours(3));
+        });
+
+        it('should fail to refresh without applying a version that adds a registered zone id', () => {
+            var owner = new TzdbZoneRulesProvider({version: '2016a', zones: {'Test/Owned': {transitions: [], offsets: [0]}}});
+            var provider = new TzdbZoneRulesProvider({version: '2016a', zones: {'Test/Refreshed': {transitions: [], offsets: [0]}}});
+            ZoneRulesProvider.registerProvider(owner);
+            ZoneRulesProvider.registerProvider(provider);
+
+            provider.registerVersion({version: '2016b', zones: {
+                'Test/Refreshed': {transitions: [], offsets: [3600]},
+                'Test/Owned': {transitions: [], offsets: [7200]}
+            }});
+            assertEquals(provider.providePendingZoneIds(), ['Test/Owned']);
+            expect(() => {
+                ZoneRulesProvider.refresh();
+            }).to.throw(ZoneRulesException);
+            assertEquals(provider.version(), '2016a');
+            assertEquals(provider.provideZoneIds(), ['Test/Refreshed']);
+            assertEquals(ZoneId.of('Test/Refreshed').rules().offset(Instant.EPOCH), ZoneOffset.UTC);
+            assertEquals(ZoneId.of('Test/Owned').rules().offset(Instant.EPOCH), ZoneOffset.UTC);
+
+            provider.discardPendingVersions();
+            assertEquals(ZoneRulesProvider.refresh(), false);
+            provider.registerVersion({version: '2016c', zones: {'Test/Refreshed': {transitions: [], offsets: [3600]}}});
+            assertEquals(ZoneRulesProvider.refresh(), true);
+            assertEquals(ZoneId.of('Test/Refreshed').rules().offset(Instant.EPOCH), ZoneOffset.ofHours(1));
+        });
+
+        it('should fail to refresh two providers adding the same zone id', () => {
+            var first = new TzdbZoneRulesProvider({version: '2016a', zones: {'Test/First': {transitions: [], offsets: [0]}}});
+            var second = new TzdbZoneRulesProvider({version: '2016a', zones: {'Test/Second': {transitions: [], offsets: [0]}}});
+            ZoneRulesProvider.registerProvider(first);
+            ZoneRulesProvider.registerProvider(second);
+
+            first.registerVersion({version: '2016b', zones: {'Test/Both': {transitions: [], offsets: [0]}}});
+            second.registerVersion({version: '2016b', zones: {'Test/Both': {transitions: [], offsets: [0]}}});
+            expect(() => {
+                ZoneRulesProvider.refresh();
+            }).to.throw(ZoneRulesException);
+            assertEquals(first.version(), '2016a');
+            expect(ZoneRulesProvider.getAvailableZoneIds()).to.not.include('Test/Both');
+
+            second.discardPendingVersions();
+            assertEquals(ZoneRulesProvider.refresh(), true);
+            assertEquals(ZoneRulesProvider.getCanonicalId('Test/Both'), 'Test/Both');
+            assertEquals(first.provideZoneIds(), ['Test/First', 'Test/Both']);
+        });
+
+        it('should list the version of the tzdb test data', () => {
+            assertEquals(Object.keys(ZoneRulesProvider.getVersions('Europe/Berlin')), ['2025b']);
+            expect(() => {
+                ZoneRulesProvider.getVersions('Unknown/Zone');
+            }).to.throw(ZoneRulesException);
+        });
+
+    });
+
+    describe('ZoneId.getAvailableZoneIds()', () => {
+
+        it('should list the zones and links of the registered providers', () => {
+            var zoneIds = ZoneId.getAvailableZoneIds();
+            expect(zoneIds).to.include('Europe/London');
+            expect(zoneIds).to.include('GB');
+            expect(zoneIds).to.include('Asia/Calcutta');
+            expect(zoneIds).to.not.include('UTC');
+            expect(zoneIds).to.not.include('+01:00');
+            zoneIds.forEach((zoneId) => {
+                assertEquals(ZoneId.of(zoneId).id(), zoneId);
+            });
+        });
+
+        it('should return a new array', () => {
+            var zoneIds = ZoneId.getAvailableZoneIds();
+            zoneIds.push('Test/Zone');
+            expect(ZoneId.getAvailableZoneIds()).to.not.include('Test/Zone');
+        });
+
+    });
+
+    describe('ZoneRegion.canonicalId()', () => {
+
+        it('should keep the legacy id and resolve the rules of its zone', () => {
+            dataProviderTest([
+                ['US/Eastern', 'America/New_York'],
+                ['Asia/Calcutta', 'Asia/Kolkata'],
+                ['GB', 'Europe/London'],
+                ['Europe/Belfast', 'Europe/London']
+            ], (legacyId, canonicalId) => {
+                var zone = ZoneId.of(legacyId);
+                assertEquals(zone.id(), legacyId);
+                assertEquals(zone.toString(), legacyId);
+                assertEquals(zone.canonicalId(), canonicalId);
+                assertSame(zone.rules(), ZoneId.of(canonicalId).rules());
+                assertEquals(zone.equals(ZoneId.of(canonicalId)), false);
+            });
+        });
+
+        it('should return the id of a canonical zone', () => {
+            assertEquals(ZoneId.of('Europe/Paris').canonicalId(), 'Europe/Paris');
+        });
+
+        it('should fail for an unknown region', () => {
+            expect(() => {
+                ZoneRegion.ofId('Europe/Unknown', false).canonicalId();
+            }).to.throw(ZoneRulesException);
+        });
+
+        it('should keep working for a zoned date-time in a legacy zone', () => {
+            var zdt = ZonedDateTime.of(LocalDateTime.of(2016, 7, 1, 12, 0), ZoneId.of('Asia/Calcutta'));
+            assertEquals(zdt.toString(), '2016-07-01T12:00+05:30[Asia/Calcutta]');
+            assertEquals(ZonedDateTime.parse('2016-03-13T03:30-04:00[US/Eastern]').zone().canonicalId(), 'America/New_York');
+        });
+
+    });
+
+    describe('ZoneId.of()', () => {
+
+        it('should create a ZoneRegion with the rules of the provider', () => {
+            var zone = ZoneId.of('America/New_York');
+            expect(zone).to.be.instanceOf(ZoneRegion);
+            assertEquals(zone.id(), 'America/New_York');
+            assertSame(zone.rules(), ZoneRulesProvider.getRules('America/New_York'));
+            assertSame(zone.normalized(), zone);
+        });
+
+        it('should fail for an unknown region id', () => {
+            expect(() => {
+                ZoneId.of('Europe/Unknown');
+            }).to.throw(ZoneRulesException);
+        });
+
+        it('should fail for an invalid region id', () => {
+            expect(() => {
+                ZoneId.of('Europe Berlin');
+            }).to.throw(DateTimeException);
+        });
+
+        it('should create a region with lazy rules lookup if availability is not checked', () => {
+            var zone = ZoneRegion.ofId('Europe/Unknown', false);
+            assertEquals(zone.id(), 'Europe/Unknown');
+            expect(() => {
+                zone.rules();
+            }).to.throw(ZoneRulesException);
+        });
+
+    });
+
+});
@@ -0,0 +1,199 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import {expect} from 'chai';
+import {assertEquals, dataProviderTest} from '../testUtils';
+
+import '../_init';
+
+import {IllegalArgumentException, IllegalStateException, NullPointerException} from '../../src/errors';
+import {DayOfWeek} from '../../src/DayOfWeek';
+import {Instant} from '../../src/Instant';
+import {LocalDateTime} from '../../src/LocalDateTime';
+import {LocalTime} from '../../src/LocalTime';
+import {Month} from '../../src/Month';
+import {ZonedDateTime} from '../../src/ZonedDateTime';
+import {ZoneOffset} from '../../src/ZoneOffset';
+import {ZoneRegion} from '../../src/ZoneRegion';
+import {StandardZoneRules} from '../../src/zone/StandardZoneRules';
+import {ZoneOffsetTransitionRule} from '../../src/zone/ZoneOffsetTransitionRule';
+import {ZoneRulesBuilder} from '../../src/zone/ZoneRulesBuilder';
+
+describe('zone/ZoneRulesBuilderTest.js', () => {
+
+    var WINTER = ZoneOffset.ofHours(1);
+    var SUMMER = ZoneOffset.ofHours(2);
+
+    function euRule(month, offsetBefore, offsetAfter) {
+        return ZoneOffsetTransitionRule.of(month, -1, DayOfWeek.SUNDAY, LocalTime.of(1, 0), false,
+            ZoneOffsetTransitionRule.TimeDefinition.UTC, WINTER, offsetBefore, offsetAfter);
+    }
+
+    function cestBuilder() {
+        return new ZoneRulesBuilder(WINTER)
+            .addTransition(LocalDateTime.of(2015, 3, 29, 2, 0), SUMMER)
+            .addTransition(LocalDateTime.of(2015, 10, 25, 3, 0), WINTER)
+            .addTransitionRule(euRule(Month.MARCH, WINTER, SUMMER))
+            .addTransitionRule(euRule(Month.OCTOBER, SUMMER, WINTER));
+    }
+
+    describe('toRules()', () => {
+
+        var rules = cestBuilder().toRules();
+
+        it('should return the offset of an instant', () => {
+            dataProviderTest([
+                [Instant.parse('2015-01-01T00:00:00Z'), WINTER],
+                [Instant.parse('2015-03-29T00:59:59Z'), WINTER],
+                [Instant.parse('2015-03-29T01:00:00Z'), SUMMER],
+                [Instant.parse('2016-12-21T00:00:00Z'), WINTER],
+                [Instant.parse('2016-06-21T00:00:00Z'), SUMMER],
+                [Instant.parse('2016-03-27T00:59:59Z'), WINTER],
+                [Instant.parse('2016-03-27T01:00:00Z'), SUMMER],
+                [Instant.parse('2016-10-30T00:59:59Z'), SUMMER],
+                [Instant.parse('2016-10-30T01:00:00Z'), WINTER]
+            ], (instant, offset) => {
+                assertEquals(rules.offset(instant), offset, instant.toString());
+            });
+        });
+
+        it('should return the offset of a local date-time', () => {
+            dataProviderTest([
+                [LocalDateTime.parse('2016-12-21T00:00:00'), WINTER],
+                [LocalDateTime.parse('2016-06-21T00:00:00'), SUMMER],
+                // gap
+                [LocalDateTime.parse('2016-03-27T01:59:59'), WINTER],
+                [LocalDateTime.parse('2016-03-27T02:00:00'), WINTER],
+                [LocalDateTime.parse('2016-03-27T02:30:00'), WINTER],
+                [LocalDateTime.parse('2016-03-27T03:00:00'), SUMMER],
+                // overlap
+                [LocalDateTime.parse('2016-10-30T01:59:59'), SUMMER],
+                [LocalDateTime.parse('2016-10-30T02:00:00'), SUMMER],
+                [LocalDateTime.parse('2016-10-30T02:30:00'), SUMMER],
+                [LocalDateTime.parse('2016-10-30T03:00:00'), WINTER]
+            ], (localDateTime, offset) => {
+                assertEquals(rules.offset(localDateTime), offset, localDateTime.toString());
+            });
+        });
+
+        it('should report the gaps and overlaps of the transitions and the transition rules', () => {
+            assertEquals(rules.validOffsets(LocalDateTime.of(2015, 3, 29, 2, 30)), []);
+            assertEquals(rules.validOffsets(LocalDateTime.of(2015, 10, 25, 2, 30)), [SUMMER, WINTER]);
+            assertEquals(rules.validOffsets(LocalDateTime.of(2020, 3, 29, 2, 30)), []);
+            assertEquals(rules.validOffsets(LocalDateTime.of(2020, 10, 25, 2, 30)), [SUMMER, WINTER]);
+            assertEquals(rules.transitions().length, 2);
+            assertEquals(rules.transitionRules().length, 2);
+            assertEquals(rules.nextTransition(Instant.parse('2020-01-01T00:00:00Z')).instant(), Instant.parse('2020-03-29T01:00:00Z'));
+        });
+
+        it('should return the standard offsets', () => {
+            var summer = Instant.parse('2016-06-21T00:00:00Z');
+            assertEquals(rules.standardOffset(summer), WINTER);
+            assertEquals(rules.isDaylightSavings(summer), true);
+
+            var changed = new ZoneRulesBuilder(WINTER)
+                .addTransition(Instant.ofEpochSecond(0), SUMMER, SUMMER)
+                .addTransition(Instant.ofEpochSecond(100), SUMMER, WINTER)
+                .toRules();
+            assertEquals(changed.standardOffset(Instant.ofEpochSecond(50)), SUMMER);
+            assertEquals(changed.standardOffset(Instant.ofEpochSecond(100)), WINTER);
+            assertEquals(changed.isDaylightSavings(Instant.ofEpochSecond(100)), true);
+            assertEquals(changed, StandardZoneRules.of([0], [WINTER, SUMMER], [], [0, 100], [WINTER, SUMMER, WINTER]));
+        });
+
+        it('should return fixed rules without transitions', () => {
+            var fixed = new ZoneRulesBuilder(SUMMER).toRules();
+            assertEquals(fixed.isFixedOffset(), true);
+            assertEquals(fixed.offset(Instant.EPOCH), SUMMER);
+        });
+
+        it('should create new rules on each call', () => {
+            var builder = new ZoneRulesBuilder(WINTER).addTransition(Instant.ofEpochSecond(0), SUMMER);
+            var first = builder.toRules();
+            builder.addTransition(Instant.ofEpochSecond(100), WINTER);
+            assertEquals(first.transitions().length, 1);
+            assertEquals(builder.toRules().transitions().length, 2);
+        });
+
+    });
+
+    describe('toZoneRegion()', () => {
+
+        it('should create a zone region with the rules', () => {
+            var zone = cestBuilder().toZoneRegion('Test/Zone');
+            expect(zone).to.be.instanceOf(ZoneRegion);
+            assertEquals(zone.id(), 'Test/Zone');
+            assertEquals(zone.rules(), cestBuilder().toRules());
+            var zdt = ZonedDateTime.of(LocalDateTime.of(2016, 3, 27, 2, 30), zone);
+            assertEquals(zdt.toString(), '2016-03-27T03:30+02:00[Test/Zone]');
+        });
+
+        it('should fail for a null zone id', () => {
+            expect(() => {
+                cestBuilder().toZoneRegion(null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('addTransition()', () => {
+
+        it('should fail for a transition that is not after the previous one', () => {
+            expect(() => {
+                new ZoneRulesBuilder(WINTER)
+                    .addTransition(Instant.ofEpochSecond(100), SUMMER)
+                    .addTransition(Instant.ofEpochSecond(100), WINTER);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('should fail for a transition that changes no offset', () => {
+            expect(() => {
+                new ZoneRulesBuilder(WINTER).addTransition(Instant.ofEpochSecond(100), WINTER);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('should fail for a transition with nanoseconds', () => {
+            expect(() => {
+                new ZoneRulesBuilder(WINTER).addTransition(Instant.ofEpochSecond(100, 1), SUMMER);
+            }).to.throw(IllegalArgumentException);
+        });
+
+        it('should fail for a transition after the transition rules', () => {
+            expect(() => {
+                cestBuilder().addTransition(LocalDateTime.of(2030, 1, 1, 0, 0), SUMMER);
+            }).to.throw(IllegalStateException);
+        });
+
+        it('should fail for null arguments', () => {
+            expect(() => {
+                new ZoneRulesBuilder(null);
+            }).to.throw(NullPointerException);
+            expect(() => {
+                new ZoneRulesBuilder(WINTER).addTransition(null, SUMMER);
+            }).to.throw(NullPointerException);
+            expect(() => {
+                new ZoneRulesBuilder(WINTER).addTransition(Instant.EPOCH, null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+    describe('addTransitionRule()', () => {
+
+        it('should fail without a transition before', () => {
+            expect(() => {
+                new ZoneRulesBuilder(WINTER).addTransitionRule(euRule(Month.MARCH, WINTER, SUMMER));
+            }).to.throw(IllegalStateException);
+        });
+
+        it('should fail for a null rule', () => {
+            expect(() => {
+                cestBuilder().addTransitionRule(null);
+            }).to.throw(NullPointerException);
+        });
+
+    });
+
+});
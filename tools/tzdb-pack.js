@@ -0,0 +1,80 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+/*
+ * Compiles the IANA tzdb of the tzdata source files of a tzdata release (https://www.iana.org/time-zones)
+ * into the packed format of js-joda, to be loaded by TzdbZoneRulesProvider.loadPacked().
+ *
+ * usage: node tools/tzdb-pack.js --tzdata <dir|file> [options], or npm run build-tzdb -- --tzdata <dir|file> [options]
+ *
+ *   --tzdata <dir|file>  the directory of the tzdata source files (africa, europe, ...),
+ *                        or a single source file like tzdata.zi
+ *   --zones <ids>        comma separated zone IDs to pack, default all zones
+ *   --from <year>        first year of the transitions to pack
+ *   --to <year>          last year of the transitions to pack
+ *   --no-links           do not pack the aliases of the packed zones
+ *   --out <file>         the json file to write, default stdout
+ *
+ * example: node tools/tzdb-pack.js --tzdata ./tzdata2016f --zones Europe/Berlin,America/New_York --from 2010 --to 2030 --out tzdb.json
+ */
+
+require('babel-core/register');
+
+var fs = require('fs');
+var packTzdb = require('./tzdb/TzdbPacker').packTzdb;
+
+var USAGE = 'usage: node tools/tzdb-pack.js --tzdata <dir|file> [--zones <ids>] [--from <year>] [--to <year>] [--no-links] [--out <file>]';
+
+function parseYear(text) {
+    var year = parseInt(text, 10);
+    if (isNaN(year)) {
+        fail('invalid year: ' + text);
+    }
+    return year;
+}
+
+function fail(message) {
+    process.stderr.write(message + '\n' + USAGE + '\n');
+    process.exit(1);
+}
+
+var options = {};
+var out = null;
+var args = process.argv.slice(2);
+for (var i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--tzdata':
+            options.tzdata = args[++i];
+            break;
+        case '--zones':
+            options.zones = args[++i].split(',');
+            break;
+        case '--from':
+            options.fromYear = parseYear(args[++i]);
+            break;
+        case '--to':
+            options.toYear = parseYear(args[++i]);
+            break;
+        case '--no-links':
+            options.links = false;
+            break;
+        case '--out':
+            out = args[++i];
+            break;
+        default:
+            fail('unknown option: ' + args[i]);
+    }
+}
+
+if (options.tzdata == null) {
+    fail('the tzdata source directory or file is required');
+}
+
+var json = JSON.stringify(packTzdb(options), null, 2) + '\n';
+if (out != null) {
+    fs.writeFileSync(out, json);
+} else {
+    process.stdout.write(json);
+}
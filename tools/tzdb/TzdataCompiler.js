@@ -0,0 +1,628 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+var SECONDS_PER_DAY = 86400;
+
+var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+var DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+var MONTH_LENGTHS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * The time definitions of the suffixes of the times of the tzdata source.
+ */
+var TIME_DEFINITIONS = {w: 'WALL', s: 'STANDARD', u: 'UTC', g: 'UTC', z: 'UTC'};
+
+/**
+ * The number of years after the start of the last rules of a zone that are searched
+ * for the first year whose transitions follow the last rules.
+ */
+var LAST_RULES_SEARCH_YEARS = 10;
+
+/**
+ * Reads the rules, zones and links of a tzdata source file, like {@code europe} or
+ * {@code northamerica} of the iana tzdata, or the {@code tzdata.zi} file of the same format,
+ * as described by the zic man page.
+ * <p>
+ * The files of a tzdata release are read one after the other into the same tzdata object.
+ *
+ * @param {string} text - the content of the file
+ * @param {Object} [tzdata] - the tzdata to add the content to, a new one if not specified
+ * @return {{version: string, rules: Object, zones: Object, links: Object}} the tzdata, the rules and
+ *  the eras of the zones keyed by their name, the links keyed by their name
+ */
+export function readTzdata(text, tzdata = {version: null, rules: {}, zones: {}, links: {}}) {
+    var eras = null;
+    text.split('\n').forEach((line, lineIndex) => {
+        var versionMatch = /^#\s*version\s+(\S+)/.exec(line);
+        if (versionMatch != null) {
+            tzdata.version = versionMatch[1];
+        }
+        var fields = line.replace(/#.*/, '').trim().split(/\s+/).map((field) => field.replace(/^"(.*)"$/, '$1'));
+        if (fields[0] === '') {
+            return;
+        }
+        try {
+            if (eras != null) {
+                eras = addEra(eras, fields);
+            } else {
+                switch (lookup(fields[0], ['Rule', 'Zone', 'Link'], 'line type')) {
+                    case 1:
+                        addRule(tzdata.rules, fields);
+                        break;
+                    case 2:
+                        if (fields.length < 5) {
+                            throw new Error('Invalid zone line');
+                        }
+                        if (tzdata.zones.hasOwnProperty(fields[1])) {
+                            throw new Error('Duplicate zone ' + fields[1]);
+                        }
+                        eras = tzdata.zones[fields[1]] = [];
+                        eras = addEra(eras, fields.slice(2));
+                        break;
+                    default:
+                        if (fields.length !== 3) {
+                            throw new Error('Invalid link line');
+                        }
+                        tzdata.links[fields[2]] = fields[1];
+                }
+            }
+        } catch (ex) {
+            throw new Error(ex.message + ' in line ' + (lineIndex + 1) + ': ' + line);
+        }
+    });
+    if (eras != null) {
+        throw new Error('Missing continuation line of the last zone');
+    }
+    return tzdata;
+}
+
+/**
+ * Adds the rule of a rule line to the rules.
+ *
+ * @param {Object} rules - the rules keyed by their name
+ * @param {string[]} fields - the fields of the line
+ */
+function addRule(rules, fields) {
+    if (fields.length !== 10) {
+        throw new Error('Invalid rule line');
+    }
+    var fromYear = parseRuleYear(fields[2], null);
+    var toYear = parseRuleYear(fields[3], fromYear);
+    var month = lookup(fields[5], MONTH_NAMES, 'month');
+    var time = parseTimeOfDay(fields[7]);
+    var rule = {
+        fromYear: fromYear,
+        toYear: toYear,
+        month: month,
+        day: parseDay(fields[6]),
+        time: time.seconds,
+        timeDefinition: time.timeDefinition,
+        save: parseSave(fields[8])
+    };
+    if (rules.hasOwnProperty(fields[1]) === false) {
+        rules[fields[1]] = [];
+    }
+    rules[fields[1]].push(rule);
+}
+
+/**
+ * Adds the era of a zone or continuation line to the eras of a zone.
+ *
+ * @param {Object[]} eras - the eras of the zone
+ * @param {string[]} fields - the fields of the line, without the zone keyword and name
+ * @return {Object[]} the eras if a continuation line follows, else null
+ */
+function addEra(eras, fields) {
+    if (fields.length < 3 || fields.length > 7) {
+        throw new Error('Invalid zone line');
+    }
+    var era = {standardOffset: parseTime(fields[0]), rules: null, save: 0, until: null};
+    if (/^-?[0-9]/.test(fields[1])) {
+        era.save = parseSave(fields[1]);
+    } else if (fields[1] !== '-') {
+        era.rules = fields[1];
+    }
+    if (fields.length > 3) {
+        var year = parseYear(fields[3]);
+        var month = fields.length > 4 ? lookup(fields[4], MONTH_NAMES, 'month') : 1;
+        var dayOfMonth = fields.length > 5 ? dayOfMonthOf(parseDay(fields[5]), year, month) : 1;
+        var time = fields.length > 6 ? parseTimeOfDay(fields[6]) : {seconds: 0, timeDefinition: 'WALL'};
+        era.until = {
+            year: year,
+            localSecond: epochDay(year, month, dayOfMonth) * SECONDS_PER_DAY + time.seconds,
+            timeDefinition: time.timeDefinition
+        };
+    }
+    eras.push(era);
+    return era.until != null ? eras : null;
+}
+
+/**
+ * Looks up a possibly abbreviated, case insensitive name.
+ *
+ * @param {string} word - the name or its abbreviation
+ * @param {string[]} names - the full names
+ * @param {string} what - the kind of names, for error messages
+ * @return {number} the one based index of the name
+ */
+function lookup(word, names, what) {
+    var lowerWord = word.toLowerCase();
+    var matches = names.filter((name) => name.toLowerCase().indexOf(lowerWord) === 0);
+    var exact = matches.filter((name) => name.toLowerCase() === lowerWord);
+    if (exact.length === 1) {
+        return names.indexOf(exact[0]) + 1;
+    }
+    if (matches.length !== 1) {
+        throw new Error('Invalid ' + what + ' ' + word);
+    }
+    return names.indexOf(matches[0]) + 1;
+}
+
+function parseYear(text) {
+    if (/^-?[0-9]+$/.test(text) === false) {
+        throw new Error('Invalid year ' + text);
+    }
+    return parseInt(text, 10);
+}
+
+function parseRuleYear(text, fromYear) {
+    if (/^-?[0-9]+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    var keywords = fromYear == null ? ['minimum', 'maximum'] : ['minimum', 'maximum', 'only'];
+    switch (lookup(text, keywords, 'year')) {
+        case 1:
+            return -Infinity;
+        case 2:
+            return Infinity;
+        default:
+            return fromYear;
+    }
+}
+
+/**
+ * Parses the day of a rule or of the end of an era, like {@code 14}, {@code lastSun},
+ * {@code Sun>=8} or {@code Sun<=25}.
+ *
+ * @param {string} text
+ * @return {{dayOfMonth: number, dayOfWeek: number, type: string}} the day of the month and the iso day of the week,
+ *  the type is one of {@code fixed}, {@code last}, {@code >=} and {@code <=}
+ */
+function parseDay(text) {
+    if (/^[0-9]+$/.test(text)) {
+        return {dayOfMonth: parseInt(text, 10), dayOfWeek: null, type: 'fixed'};
+    }
+    var match = /^([a-z]+)([<>]=)([0-9]+)$/i.exec(text);
+    if (match != null) {
+        return {dayOfMonth: parseInt(match[3], 10), dayOfWeek: lookup(match[1], DAY_NAMES, 'day'), type: match[2]};
+    }
+    match = /^l(?:ast)?-?([a-z]+)$/i.exec(text);
+    if (match != null) {
+        return {dayOfMonth: null, dayOfWeek: lookup(match[1], DAY_NAMES, 'day'), type: 'last'};
+    }
+    throw new Error('Invalid day ' + text);
+}
+
+/**
+ * Parses a time, like {@code 2}, {@code -0:25:21} or {@code 24:00}, into seconds.
+ *
+ * @param {string} text
+ * @return {number}
+ */
+function parseTime(text) {
+    if (text === '-') {
+        return 0;
+    }
+    var match = /^(-)?([0-9]+)(?::([0-9]+))?(?::([0-9]+))?$/.exec(text);
+    if (match == null) {
+        throw new Error('Invalid time ' + text);
+    }
+    var seconds = parseInt(match[2], 10) * 3600 + parseInt(match[3] || '0', 10) * 60 + parseInt(match[4] || '0', 10);
+    return match[1] != null ? -seconds : seconds;
+}
+
+/**
+ * Parses a time of day with an optional suffix for its time definition, like {@code 2:00s} or {@code 1u}.
+ *
+ * @param {string} text
+ * @return {{seconds: number, timeDefinition: string}}
+ */
+function parseTimeOfDay(text) {
+    var suffix = text.charAt(text.length - 1).toLowerCase();
+    if (TIME_DEFINITIONS.hasOwnProperty(suffix)) {
+        return {seconds: parseTime(text.substr(0, text.length - 1)), timeDefinition: TIME_DEFINITIONS[suffix]};
+    }
+    return {seconds: parseTime(text), timeDefinition: 'WALL'};
+}
+
+/**
+ * Parses the saved amount of time of a rule or an era, ignoring its optional {@code s} or {@code d} suffix.
+ *
+ * @param {string} text
+ * @return {number}
+ */
+function parseSave(text) {
+    return parseTime(text.replace(/[sd]$/i, ''));
+}
+
+/**
+ * Compiles the eras of a zone and the rules they use into the zone data of a {@link TzdbZoneRulesProvider},
+ * the same way as zic does.
+ * <p>
+ * The wall offset of an era is its standard offset plus the saved amount of time of its
+ * fixed amount or of the last rule in effect, the standard offset is the one of the era.
+ * Transitions that do not change the wall offset are dropped.
+ * <p>
+ * If the last era uses rules that apply up to the maximum year, the transitions end with the
+ * first year that only has transitions of these rules, the following years are described by
+ * them as the last rules.
+ *
+ * @param {{rules: Object, zones: Object}} tzdata - the tzdata, see {@link readTzdata}
+ * @param {string} zoneId - the zone ID, not a link
+ * @return {{transitions: number[], offsets: number[], lastRules: Object[],
+ *  standardTransitions: number[], standardOffsets: number[]}}
+ */
+export function compileZone(tzdata, zoneId) {
+    var eras = tzdata.zones[zoneId];
+    if (eras == null) {
+        throw new Error('Unknown zone ' + zoneId);
+    }
+    var events = [];
+    var initial = null;
+    var startTime = null;
+    var lastRules = [];
+    var lastEraStartYear = null;
+    eras.forEach((era, i) => {
+        var standardOffset = era.standardOffset;
+        var save = era.save;
+        var untilTime = () => utcSecond(era.until.localSecond, era.until.timeDefinition, standardOffset, save);
+        var addEvent = (epochSecond, offset) => {
+            if (epochSecond == null) {
+                initial = {offset: offset, standardOffset: standardOffset};
+            } else {
+                events.push({epochSecond: epochSecond, offset: offset, standardOffset: standardOffset});
+            }
+        };
+        if (era.rules == null) {
+            addEvent(startTime, standardOffset + save);
+        } else {
+            var rules = tzdata.rules[era.rules];
+            if (rules == null) {
+                throw new Error('Unknown rules ' + era.rules + ' of ' + zoneId);
+            }
+            var isLastEra = (i === eras.length - 1);
+            var maxRules = rules.filter((rule) => rule.toYear === Infinity);
+            if (isLastEra && maxRules.length > 0) {
+                lastRules = maxRules;
+            }
+            if (isLastEra) {
+                lastEraStartYear = yearOf(startTime);
+            }
+            var years = yearsOfRules(rules, era.until, lastRules.length > 0, lastEraStartYear);
+            var started = (startTime == null);
+            var startOffset = standardOffset;
+            save = 0;
+            for (let year = years.from; year <= years.to; year++) {
+                var todo = rules.filter((rule) => year >= rule.fromYear && year <= rule.toYear)
+                    .map((rule) => ({rule: rule, localSecond: ruleLocalSecond(rule, year)}));
+                while (todo.length > 0) {
+                    // the rule of the year taking effect first, with the amount of time saved so far
+                    var first = 0;
+                    var firstTime = null;
+                    todo.forEach((entry, j) => {
+                        var epochSecond = utcSecond(entry.localSecond, entry.rule.timeDefinition, standardOffset, save);
+                        if (firstTime == null || epochSecond < firstTime) {
+                            first = j;
+                            firstTime = epochSecond;
+                        }
+                    });
+                    var rule = todo.splice(first, 1)[0].rule;
+                    if (era.until != null && firstTime >= untilTime()) {
+                        break;
+                    }
+                    save = rule.save;
+                    if (started === false && firstTime <= startTime) {
+                        started = (firstTime === startTime);
+                        if (started === false) {
+                            startOffset = standardOffset + save;
+                            continue;
+                        }
+                    }
+                    addEvent(firstTime, standardOffset + save);
+                }
+            }
+            if (started === false) {
+                addEvent(startTime, startOffset);
+            } else if (startTime == null && initial == null) {
+                initial = {offset: standardOffset, standardOffset: standardOffset};
+            }
+        }
+        if (era.until != null) {
+            startTime = untilTime();
+        }
+    });
+    events.sort((a, b) => a.epochSecond - b.epochSecond);
+
+    var zoneData = {transitions: [], offsets: [initial.offset], lastRules: [],
+        standardTransitions: [], standardOffsets: [initial.standardOffset]};
+    mergeEvents(events, initial.offset).forEach((event) => {
+        if (event.offset !== zoneData.offsets[zoneData.offsets.length - 1]) {
+            zoneData.transitions.push(event.epochSecond);
+            zoneData.offsets.push(event.offset);
+        }
+        if (event.standardOffset !== zoneData.standardOffsets[zoneData.standardOffsets.length - 1]) {
+            zoneData.standardTransitions.push(event.epochSecond);
+            zoneData.standardOffsets.push(event.standardOffset);
+        }
+    });
+    if (lastRules.length > 0) {
+        endWithLastRules(zoneData, lastRules, eras[eras.length - 1].standardOffset, lastEraStartYear, zoneId);
+    }
+    return zoneData;
+}
+
+/**
+ * Merges each transition into the preceding one if it does not take effect at a later local time
+ * than the preceding one, like zic does, e.g. if the standard offset changes at the same local time
+ * as the amount of saved time, without changing the wall offset.
+ *
+ * @param {Object[]} events - the transitions, sorted by their epoch-second
+ * @param {number} initialOffset - the wall offset before the first transition
+ * @return {Object[]} the merged transitions
+ */
+function mergeEvents(events, initialOffset) {
+    var merged = [];
+    events.forEach((event) => {
+        var previous = merged[merged.length - 1];
+        if (previous != null) {
+            var offsetBeforePrevious = merged.length > 1 ? merged[merged.length - 2].offset : initialOffset;
+            if (event.epochSecond + previous.offset <= previous.epochSecond + offsetBeforePrevious) {
+                merged[merged.length - 1] = {epochSecond: previous.epochSecond, offset: event.offset,
+                    standardOffset: event.standardOffset};
+                return;
+            }
+        }
+        merged.push(event);
+    });
+    return merged;
+}
+
+/**
+ * Determines the years to compile the rules of an era for.
+ * <p>
+ * The years start with the first year of the rules, as the rules in effect at the start of the era
+ * may have started long before. They end with the year of the end of the era, or the last year of
+ * the rules, or, if the rules apply up to the maximum year, a few years after the last rule started.
+ *
+ * @param {Object[]} rules
+ * @param {Object} until - the end of the era, null for the last era
+ * @param {boolean} hasLastRules - whether the era is the last one and its rules apply up to the maximum year
+ * @param {number} startYear - the year of the start of the era, null for the first era
+ * @return {{from: number, to: number}}
+ */
+function yearsOfRules(rules, until, hasLastRules, startYear) {
+    var finiteYears = [];
+    rules.forEach((rule) => {
+        [rule.fromYear, rule.toYear].forEach((year) => {
+            if (isFinite(year)) {
+                finiteYears.push(year);
+            }
+        });
+    });
+    var from = Math.min.apply(null, finiteYears);
+    var to = Math.max.apply(null, finiteYears);
+    if (until != null) {
+        to = until.year;
+    } else if (hasLastRules) {
+        to = Math.max(to, startYear != null ? startYear : to) + 1 + LAST_RULES_SEARCH_YEARS;
+    }
+    return {from: from, to: to};
+}
+
+/**
+ * Ends the transitions of the last era with the first year from which on the transitions
+ * are the ones of the last rules, and adds the last rules.
+ *
+ * @param {{transitions: number[], offsets: number[], lastRules: Object[]}} zoneData
+ * @param {Object[]} maxRules - the rules of the last era applying up to the maximum year
+ * @param {number} standardOffset - the standard offset of the last era
+ * @param {number} startYear - the year of the start of the last era, null if the zone has only one era
+ * @param {string} zoneId - the zone ID, for error messages
+ */
+function endWithLastRules(zoneData, maxRules, standardOffset, startYear, zoneId) {
+    var transitions = zoneData.transitions;
+    var offsets = zoneData.offsets;
+    var years = transitions.map((epochSecond, i) => localYear(epochSecond, offsets[i]));
+    // the last compiled year may be incomplete
+    var year = years[years.length - 1] - 1;
+    var ordered = maxRules
+        .map((rule) => ({rule: rule, localSecond: ruleLocalSecond(rule, year)}))
+        .sort((a, b) => a.localSecond - b.localSecond)
+        .map((entry) => entry.rule);
+    var lastRules = ordered.map((rule, i) => transitionRule(rule, standardOffset,
+        standardOffset + ordered[(i + ordered.length - 1) % ordered.length].save, standardOffset + rule.save));
+    var matchesRules = (year) => {
+        var indices = [];
+        years.forEach((transitionYear, i) => {
+            if (transitionYear === year) {
+                indices.push(i);
+            }
+        });
+        return indices.length === lastRules.length && lastRules.every((rule, k) => rule != null &&
+            transitions[indices[k]] === ruleTransition(rule, year) &&
+            offsets[indices[k]] === rule.offsetBefore && offsets[indices[k] + 1] === rule.offsetAfter);
+    };
+    if (matchesRules(year) === false) {
+        throw new Error('Unsupported last rules of ' + zoneId);
+    }
+    while ((startYear == null || year - 1 > startYear) && matchesRules(year - 1)) {
+        year--;
+    }
+    var count = years.filter((transitionYear) => transitionYear <= year).length;
+    zoneData.transitions = transitions.slice(0, count);
+    zoneData.offsets = offsets.slice(0, count + 1);
+    zoneData.lastRules = lastRules;
+}
+
+/**
+ * Converts a rule into a last rule of a {@link TzdbZoneRulesProvider}, see {@link ZoneOffsetTransitionRule}.
+ * <p>
+ * Times outside of the day are moved to the preceding or following days.
+ *
+ * @param {Object} rule
+ * @param {number} standardOffset
+ * @param {number} offsetBefore
+ * @param {number} offsetAfter
+ * @return {Object} the last rule, null if the rule can not be converted
+ */
+function transitionRule(rule, standardOffset, offsetBefore, offsetAfter) {
+    var month = rule.month;
+    var dayOfWeek = rule.day.dayOfWeek;
+    var dayOfMonthIndicator;
+    switch (rule.day.type) {
+        case 'last':
+            dayOfMonthIndicator = -1;
+            break;
+        case '<=':
+            if (month === 2) {
+                return null;
+            }
+            dayOfMonthIndicator = rule.day.dayOfMonth - MONTH_LENGTHS[month - 1] - 1;
+            break;
+        default:
+            dayOfMonthIndicator = rule.day.dayOfMonth;
+    }
+    var secondOfDay = rule.time;
+    if (secondOfDay !== SECONDS_PER_DAY) {
+        var days = Math.floor(secondOfDay / SECONDS_PER_DAY);
+        secondOfDay -= days * SECONDS_PER_DAY;
+        if (days !== 0) {
+            dayOfMonthIndicator += days;
+            if (dayOfMonthIndicator > 0 ? dayOfMonthIndicator > MONTH_LENGTHS[month - 1] :
+                    (dayOfMonthIndicator < -28 || dayOfMonthIndicator >= 0)) {
+                return null;
+            }
+            if (dayOfWeek != null) {
+                dayOfWeek = ((dayOfWeek - 1 + days) % 7 + 7) % 7 + 1;
+            }
+        }
+    }
+    if (dayOfMonthIndicator < -28 || dayOfMonthIndicator > 31 || dayOfMonthIndicator === 0) {
+        return null;
+    }
+    return {
+        month: month,
+        dayOfMonthIndicator: dayOfMonthIndicator,
+        dayOfWeek: dayOfWeek,
+        secondOfDay: secondOfDay,
+        timeDefinition: rule.timeDefinition,
+        standardOffset: standardOffset,
+        offsetBefore: offsetBefore,
+        offsetAfter: offsetAfter
+    };
+}
+
+/**
+ * Calculates the epoch-second of the transition of a last rule in a year,
+ * the same way as {@link ZoneOffsetTransitionRule#createTransition} does.
+ *
+ * @param {Object} lastRule
+ * @param {number} year
+ * @return {number}
+ */
+function ruleTransition(lastRule, year) {
+    if (lastRule == null) {
+        return null;
+    }
+    var day;
+    if (lastRule.dayOfMonthIndicator < 0) {
+        day = {dayOfMonth: monthLength(year, lastRule.month) + 1 + lastRule.dayOfMonthIndicator,
+            dayOfWeek: lastRule.dayOfWeek, type: '<='};
+    } else {
+        day = {dayOfMonth: lastRule.dayOfMonthIndicator, dayOfWeek: lastRule.dayOfWeek, type: '>='};
+    }
+    var localSecond = epochDay(year, lastRule.month, dayOfMonthOf(day, year, lastRule.month)) * SECONDS_PER_DAY +
+        lastRule.secondOfDay;
+    return utcSecond(localSecond, lastRule.timeDefinition, lastRule.standardOffset,
+        lastRule.offsetBefore - lastRule.standardOffset);
+}
+
+/**
+ * Calculates the local epoch-second of the transition of a rule in a year.
+ *
+ * @param {Object} rule
+ * @param {number} year
+ * @return {number}
+ */
+function ruleLocalSecond(rule, year) {
+    return epochDay(year, rule.month, dayOfMonthOf(rule.day, year, rule.month)) * SECONDS_PER_DAY + rule.time;
+}
+
+/**
+ * Converts a local epoch-second to the epoch-second, according to its time definition.
+ *
+ * @param {number} localSecond
+ * @param {string} timeDefinition - {@code WALL}, {@code STANDARD} or {@code UTC}
+ * @param {number} standardOffset
+ * @param {number} save - the amount of time saved in addition to the standard offset
+ * @return {number}
+ */
+function utcSecond(localSecond, timeDefinition, standardOffset, save) {
+    switch (timeDefinition) {
+        case 'UTC':
+            return localSecond;
+        case 'STANDARD':
+            return localSecond - standardOffset;
+        default:
+            return localSecond - standardOffset - save;
+    }
+}
+
+/**
+ * Calculates the day of the month of a day of a rule in a year.
+ *
+ * @param {{dayOfMonth: number, dayOfWeek: number, type: string}} day
+ * @param {number} year
+ * @param {number} month
+ * @return {number}
+ */
+function dayOfMonthOf(day, year, month) {
+    if (day.type === 'fixed') {
+        return day.dayOfMonth;
+    }
+    var dayOfMonth = day.type === 'last' ? monthLength(year, month) : day.dayOfMonth;
+    var dayOfWeek = isoDayOfWeek(epochDay(year, month, dayOfMonth));
+    if (day.type === '>=') {
+        return dayOfMonth + (day.dayOfWeek - dayOfWeek + 7) % 7;
+    }
+    return dayOfMonth - (dayOfWeek - day.dayOfWeek + 7) % 7;
+}
+
+function monthLength(year, month) {
+    var leapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return MONTH_LENGTHS[month - 1] + (month === 2 && leapYear ? 1 : 0);
+}
+
+function epochDay(year, month, dayOfMonth) {
+    var date = new Date(0);
+    date.setUTCFullYear(year, month - 1, dayOfMonth);
+    return date.getTime() / 86400000;
+}
+
+function isoDayOfWeek(epochDay) {
+    // 1970-01-01 is a thursday
+    return ((epochDay + 3) % 7 + 7) % 7 + 1;
+}
+
+function yearOf(epochSecond) {
+    return epochSecond == null ? null : localYear(epochSecond, 0);
+}
+
+function localYear(epochSecond, offset) {
+    return new Date((epochSecond + offset) * 1000).getUTCFullYear();
+}
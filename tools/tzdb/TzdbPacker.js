@@ -0,0 +1,165 @@
+/*
+ * @copyright (c) 2016, Philipp Thürwächter & Pattrick Hüper
+ * @license BSD-3-Clause (see LICENSE in the root directory of this source tree)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {TzdbPackedData} from '../../src/zone/TzdbPackedData';
+
+import {compileZone, readTzdata} from './TzdataCompiler';
+
+/**
+ * The tzdata source files of the zones and links of a tzdata release, in the order zic reads them.
+ */
+var TZDATA_FILES = ['africa', 'antarctica', 'asia', 'australasia', 'europe', 'northamerica',
+    'southamerica', 'etcetera', 'factory', 'backward'];
+
+/**
+ * Packs the IANA tzdb time-zone data of the tzdata source files into the format of {@link TzdbPackedData}.
+ * <p>
+ * The rules, zones and links are read from the source files of a tzdata release, like {@code europe}
+ * or {@code northamerica}, and the zones are compiled from them like zic does, see {@link compileZone}.
+ * The version is read from the {@code version} file of the release, if there is one.
+ * Instead of a directory, a single file in the source format can be read, like the {@code tzdata.zi}
+ * file that contains all zones of a release including its version.
+ *
+ * @param {Object} options
+ * @param {string} options.tzdata - the directory of the tzdata source files, or a single source file
+ * @param {string[]} [options.zones] - the zone IDs to pack, all zones of the tzdata if not specified.
+ *  Aliases are resolved to their zone
+ * @param {number} [options.fromYear] - the first year of the transitions to pack
+ * @param {number} [options.toYear] - the last year of the transitions to pack
+ * @param {boolean} [options.links=true] - whether to pack the aliases of the packed zones
+ * @return {Object} the packed tzdb data, not null
+ */
+export function packTzdb(options) {
+    if (options == null || options.tzdata == null) {
+        throw new Error('The tzdata source directory or file is required');
+    }
+    var tzdata = readTzdataFiles(options.tzdata);
+
+    var resolveLink = (zoneId) => {
+        while (tzdata.links.hasOwnProperty(zoneId)) {
+            zoneId = tzdata.links[zoneId];
+        }
+        return zoneId;
+    };
+
+    var zoneIds = options.zones || Object.keys(tzdata.zones);
+    var zones = {};
+    var links = {};
+    zoneIds.forEach((zoneId) => {
+        var targetId = resolveLink(zoneId);
+        if (targetId !== zoneId) {
+            links[zoneId] = targetId;
+        }
+        if (zones.hasOwnProperty(targetId) === false) {
+            zones[targetId] = subsetZone(compileZone(tzdata, targetId), options.fromYear, options.toYear);
+        }
+    });
+    if (options.links !== false) {
+        Object.keys(tzdata.links).forEach((linkId) => {
+            var targetId = resolveLink(linkId);
+            if (zones.hasOwnProperty(targetId)) {
+                links[linkId] = targetId;
+            }
+        });
+    }
+
+    var data = {};
+    if (tzdata.version != null) {
+        data.version = tzdata.version;
+    }
+    data.zones = zones;
+    data.links = links;
+    return TzdbPackedData.pack(data);
+}
+
+/**
+ * Reads the tzdata source files of a directory, or a single source file.
+ *
+ * @param {string} tzdataPath - the directory of the tzdata source files, or a single source file
+ * @return {{version: string, rules: Object, zones: Object, links: Object}} the tzdata, see {@link readTzdata}
+ */
+export function readTzdataFiles(tzdataPath) {
+    if (fs.statSync(tzdataPath).isDirectory() === false) {
+        return readTzdata(fs.readFileSync(tzdataPath, 'utf8'));
+    }
+    var files = TZDATA_FILES.filter((file) => fs.existsSync(path.join(tzdataPath, file)));
+    if (files.length === 0) {
+        throw new Error('No tzdata source files in ' + tzdataPath);
+    }
+    var tzdata = files.reduce((result, file) => readTzdata(fs.readFileSync(path.join(tzdataPath, file), 'utf8'), result),
+        {version: null, rules: {}, zones: {}, links: {}});
+    var versionFile = path.join(tzdataPath, 'version');
+    if (fs.existsSync(versionFile)) {
+        tzdata.version = fs.readFileSync(versionFile, 'utf8').trim();
+    }
+    return tzdata;
+}
+
+/**
+ * Restricts zone data to the transitions of a range of years.
+ * <p>
+ * The offset before the range is the offset at the start of the range.
+ * The last rules are kept if no transition after the range is dropped, otherwise the
+ * offset after the range is the offset at the end of the range.
+ * The standard offset transitions are restricted to the same range.
+ *
+ * @param {{transitions: number[], offsets: number[], lastRules: Object[],
+ *  standardTransitions: number[], standardOffsets: number[]}} zoneData
+ * @param {number} [fromYear] - the first year to keep, no restriction if not specified
+ * @param {number} [toYear] - the last year to keep, no restriction if not specified
+ * @return {{transitions: number[], offsets: number[], lastRules: Object[],
+ *  standardTransitions: number[], standardOffsets: number[]}}
+ */
+export function subsetZone(zoneData, fromYear, toYear) {
+    var transitions = zoneData.transitions;
+    var start = 0;
+    var end = transitions.length;
+    if (fromYear != null) {
+        var startEpochSecond = startOfYear(fromYear);
+        while (start < end && transitions[start] < startEpochSecond) {
+            start++;
+        }
+    }
+    if (toYear != null) {
+        var endEpochSecond = startOfYear(toYear + 1);
+        while (end > start && transitions[end - 1] >= endEpochSecond) {
+            end--;
+        }
+    }
+    var lastRules = end === transitions.length ? zoneData.lastRules : [];
+    if (lastRules.length > 0 && start === end) {
+        // the last rules continue the last transition
+        start--;
+        startEpochSecond = transitions[start];
+    }
+    var subset = {
+        transitions: transitions.slice(start, end),
+        offsets: zoneData.offsets.slice(start, end + 1),
+        lastRules: lastRules
+    };
+    if (zoneData.standardOffsets != null) {
+        var standardTransitions = zoneData.standardTransitions;
+        var standardStart = 0;
+        var standardEnd = standardTransitions.length;
+        while (standardStart < standardEnd && fromYear != null && standardTransitions[standardStart] < startEpochSecond) {
+            standardStart++;
+        }
+        while (standardEnd > standardStart && toYear != null && standardTransitions[standardEnd - 1] >= endEpochSecond) {
+            standardEnd--;
+        }
+        subset.standardTransitions = standardTransitions.slice(standardStart, standardEnd);
+        subset.standardOffsets = zoneData.standardOffsets.slice(standardStart, standardEnd + 1);
+    }
+    return subset;
+}
+
+function startOfYear(year) {
+    var date = new Date(0);
+    date.setUTCFullYear(year, 0, 1);
+    return date.getTime() / 1000;
+}